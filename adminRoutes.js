@@ -0,0 +1,92 @@
+import express from "express";
+import { getConfig } from "./config.js";
+import { secretsMatch } from "./streamAuth.js";
+import { endCall } from "./functionHandlers.js";
+import {
+  listActiveCalls,
+  getActiveCall,
+  describeCall,
+} from "./callRegistry.js";
+import { logger } from "./logger.js";
+
+const config = getConfig();
+
+/**
+ * Require the admin secret as a bearer token or x-admin-secret header
+ */
+function requireAdminSecret(req, res, next) {
+  if (!config.admin.apiSecret) {
+    return res.status(503).json({ error: "Admin API not configured" });
+  }
+
+  const authorization = req.headers.authorization || "";
+  const provided = authorization.startsWith("Bearer ")
+    ? authorization.slice("Bearer ".length)
+    : req.headers["x-admin-secret"];
+
+  if (!secretsMatch(config.admin.apiSecret, provided)) {
+    logger.warn(`🔒 ADMIN: Unauthorized request to ${req.originalUrl}`);
+    return res.status(401).json({ error: "Unauthorized" });
+  }
+
+  next();
+}
+
+/**
+ * Create the router for the admin API (mounted at /admin)
+ * @returns {express.Router} Router exposing the live call registry
+ */
+export function createAdminRouter() {
+  const router = express.Router();
+  router.use(requireAdminSecret);
+  router.use(express.json());
+
+  // List every call this process is handling
+  router.get("/calls", async (req, res) => {
+    try {
+      const calls = await Promise.all(listActiveCalls().map(describeCall));
+      res.json({ count: calls.length, calls });
+    } catch (error) {
+      logger.error("❌ ADMIN: Failed to list calls:", error);
+      res.status(500).json({ error: "Failed to list calls" });
+    }
+  });
+
+  // Inspect a single call
+  router.get("/calls/:callSid", async (req, res) => {
+    const call = getActiveCall(req.params.callSid);
+    if (!call) {
+      return res.status(404).json({ error: "Call not active on this server" });
+    }
+
+    try {
+      res.json(await describeCall(call));
+    } catch (error) {
+      logger.error(`❌ ADMIN: Failed to describe call ${call.callSid}:`, error);
+      res.status(500).json({ error: "Failed to describe call" });
+    }
+  });
+
+  // Force-end a call - the call finalizer still sends any pending SMS confirmations
+  router.post("/calls/:callSid/end", async (req, res) => {
+    const call = getActiveCall(req.params.callSid);
+    if (!call) {
+      return res.status(404).json({ error: "Call not active on this server" });
+    }
+
+    const reason = req.body?.reason || "ended by admin";
+    logger.info(`🛑 ADMIN: Force-ending call ${call.callSid} - ${reason}`);
+    try {
+      const result = await endCall(call.callSid, { reason });
+      if (result?.error) {
+        return res.status(502).json(result);
+      }
+      res.json(result);
+    } catch (error) {
+      logger.error(`❌ ADMIN: Failed to end call ${call.callSid}:`, error);
+      res.status(500).json({ error: "Failed to end call" });
+    }
+  });
+
+  return router;
+}
@@ -0,0 +1,154 @@
+import { getConfig } from "./config.js";
+import { db } from "./database.js";
+import {
+  loadBusinessConfig,
+  getNotificationPhone,
+} from "./businessConfig.js";
+import { isWithinBusinessHours } from "./utils.js";
+import { sendSMS } from "./functionHandlers.js";
+import { getDateTimeInTimezone, UK_TIMEZONE } from "./dateUtils.js";
+import { logger } from "./logger.js";
+
+const config = getConfig();
+
+// Spoken first on after-hours calls unless the business sets after_hours_greeting
+export const DEFAULT_AFTER_HOURS_GREETING =
+  "Thanks for calling {business_name}. We're closed right now, but I can book you in for another day, take a message or arrange for someone to call you back. How can I help?";
+
+let digestInterval = null;
+
+/**
+ * Decide whether a call should run in after-hours mode
+ * Businesses can opt out with after_hours_mode_enabled = false.
+ * @param {Object} businessConfig - Business configuration
+ * @param {Date} [now] - Time of the call
+ * @returns {boolean} True if the business is closed right now
+ */
+export function isAfterHours(businessConfig, now = new Date()) {
+  if (businessConfig.config?.after_hours_mode_enabled === false) {
+    return false;
+  }
+
+  const timezone = businessConfig.business?.timezone || UK_TIMEZONE;
+  const { date, time } = getDateTimeInTimezone(now, timezone);
+  return !isWithinBusinessHours(date, time, businessConfig).isWithin;
+}
+
+/**
+ * Build the digest text for one business
+ * @param {Object} businessConfig - Business configuration
+ * @param {Array<Object>} calls - After-hours call_logs rows
+ * @param {Array<Object>} callbacks - callback_requests rows for those calls
+ * @returns {string} SMS text
+ */
+function formatDigest(businessConfig, calls, callbacks) {
+  let message = `${businessConfig.business.name} after-hours summary: ${
+    calls.length
+  } call${calls.length === 1 ? "" : "s"}, ${callbacks.length} callback request${
+    callbacks.length === 1 ? "" : "s"
+  }.`;
+
+  callbacks.forEach((callback, index) => {
+    message += `\n${index + 1}. ${callback.customer_name || "Unknown caller"} (${
+      callback.callback_number || callback.caller_phone || "no number"
+    })`;
+    if (callback.preferred_time) message += `, best time ${callback.preferred_time}`;
+    if (callback.message) message += `: "${callback.message}"`;
+  });
+
+  return message;
+}
+
+/**
+ * Send each business its digest of calls taken while it was closed
+ * A business's digest goes out during its configured local hour, once per batch of calls.
+ * @param {Date} [now] - Current time
+ * @returns {Promise<number>} Number of digests sent
+ */
+export async function sendAfterHoursDigests(now = new Date()) {
+  let sent = 0;
+
+  try {
+    const calls = await db.getUndigestedAfterHoursCalls();
+    const callsByBusiness = new Map();
+    calls.forEach((call) => {
+      const businessCalls = callsByBusiness.get(call.business_id) || [];
+      businessCalls.push(call);
+      callsByBusiness.set(call.business_id, businessCalls);
+    });
+
+    for (const [businessId, businessCalls] of callsByBusiness) {
+      try {
+        const businessConfig = await loadBusinessConfig(businessId);
+        if (!businessConfig) continue;
+
+        const timezone = businessConfig.business.timezone || UK_TIMEZONE;
+        const digestHour =
+          businessConfig.config?.after_hours_digest_hour ??
+          config.afterHours.digestHour;
+        if (getDateTimeInTimezone(now, timezone).hour !== Number(digestHour)) {
+          continue;
+        }
+
+        // Leave the calls unclaimed so they go in a digest once a phone is set
+        const recipient = getNotificationPhone(businessConfig);
+        if (!recipient) {
+          logger.warn(
+            `🌙 AFTER-HOURS: No notification phone for business ${businessId} - digest held`
+          );
+          continue;
+        }
+
+        // Claim the calls first so two instances can't both send the same digest
+        const claimed = await db.markAfterHoursDigestSent(
+          businessCalls.map((call) => call.id)
+        );
+        if (claimed.length === 0) continue;
+
+        const callbacks = await db.getCallbackRequests(
+          claimed.map((call) => call.twilio_call_sid)
+        );
+        await sendSMS({
+          businessId,
+          to: recipient,
+          message: formatDigest(businessConfig, claimed, callbacks),
+          type: "after_hours_digest",
+        });
+        sent++;
+        logger.info(
+          `🌙 AFTER-HOURS: Digest sent for business ${businessId} (${claimed.length} calls)`
+        );
+      } catch (error) {
+        logger.error(
+          `❌ AFTER-HOURS: Failed to send digest for business ${businessId}:`,
+          error
+        );
+      }
+    }
+  } catch (error) {
+    logger.error("❌ AFTER-HOURS: Digest run failed:", error);
+  }
+
+  return sent;
+}
+
+/**
+ * Check for due after-hours digests on an interval
+ */
+export function startAfterHoursDigestScheduler() {
+  if (digestInterval) return;
+  digestInterval = setInterval(
+    sendAfterHoursDigests,
+    config.afterHours.digestCheckIntervalMs
+  );
+}
+
+/**
+ * Stop checking for after-hours digests
+ */
+export function stopAfterHoursDigestScheduler() {
+  if (digestInterval) {
+    clearInterval(digestInterval);
+    digestInterval = null;
+  }
+}
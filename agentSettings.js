@@ -0,0 +1,186 @@
+import { logger } from "./logger.js";
+import { isCallLanguage } from "./languages.js";
+
+/**
+ * Speech, language model and voice settings for a business's agent
+ * Read from business_config and checked against the allow-lists below; anything not allowed is
+ * logged and replaced by the default, so a bad value never stops calls being answered.
+ *
+ * business_config column -> setting:
+ * - agent_language -> language (STT and agent language; a call switched to another of the
+ *   business's languages uses that one instead)
+ * - stt_model -> listenModel
+ * - stt_endpointing_ms -> endpointingMs (silence that ends the caller's turn)
+ * - llm_provider, llm_model -> thinkProvider, thinkModel
+ * - llm_temperature -> temperature
+ * - ai_voice -> voice (checked by the voice agent provider, as voice names differ between providers)
+ * - language_voices -> voice for a call in that language, e.g. { "es": "aura-2-celeste-es" };
+ *   without one, ai_voice is used if it speaks the language, else the provider's voice for it
+ */
+
+// What every call used before these were configurable; null leaves the provider's own default
+export const DEFAULT_AGENT_SETTINGS = {
+  language: "en",
+  listenModel: "nova-3",
+  endpointingMs: null,
+  thinkProvider: "open_ai",
+  thinkModel: "gpt-4.1-mini",
+  temperature: null,
+};
+
+const LISTEN_MODELS = ["nova-3", "nova-2"];
+const ENDPOINTING_RANGE_MS = [100, 3000];
+
+// The first model for each provider is its default
+const THINK_MODELS = {
+  open_ai: ["gpt-4.1-mini", "gpt-4.1", "gpt-4.1-nano", "gpt-4o-mini", "gpt-4o"],
+  anthropic: ["claude-3-5-haiku-latest", "claude-sonnet-4-20250514"],
+};
+const TEMPERATURE_RANGES = {
+  open_ai: [0, 2],
+  anthropic: [0, 1],
+};
+
+/**
+ * Check a number from business_config against an inclusive range
+ * @param {*} value - Configured value
+ * @param {Array<number>} range - [min, max]
+ * @returns {boolean} True if the value is a number in range
+ */
+function isInRange(value, [min, max]) {
+  const number = Number(value);
+  return value !== "" && Number.isFinite(number) && number >= min && number <= max;
+}
+
+/**
+ * Check whether a call in a language would get a voice that speaks it
+ * Unsupported configured voices are skipped here; resolveAgentSettings logs them.
+ * @param {Object} businessConfig - Business configuration
+ * @param {Function} Provider - Voice agent provider class
+ * @param {string} language - ISO 639-1 code
+ * @returns {boolean} True if a configured voice or the provider's own speaks the language
+ */
+export function hasVoiceFor(businessConfig, Provider, language) {
+  const configured = businessConfig.config || {};
+  const languageVoice = configured.language_voices?.[language];
+  if (languageVoice && Provider.isSupportedVoice(languageVoice)) {
+    return true;
+  }
+  if (
+    configured.ai_voice &&
+    Provider.isSupportedVoice(configured.ai_voice) &&
+    Provider.voiceSpeaksLanguage(configured.ai_voice, language)
+  ) {
+    return true;
+  }
+  return !!Provider.defaultVoiceFor(language);
+}
+
+/**
+ * Resolve the agent settings for a call
+ * @param {Object} businessConfig - Business configuration
+ * @param {Function} Provider - Voice agent provider class, used to check the voice
+ * @param {string} [language] - Language the call is in, if not the business's agent_language
+ * @returns {Object} Settings with every value allowed, plus the provider name
+ */
+export function resolveAgentSettings(businessConfig, Provider, language = null) {
+  const configured = businessConfig.config || {};
+  const settings = { provider: Provider.providerName, ...DEFAULT_AGENT_SETTINGS };
+
+  const reject = (column, value) => {
+    logger.warn(`⚠️ AGENT_SETTINGS: Ignoring ${column} '${value}' - not allowed, using the default`);
+  };
+  const isSet = (value) => value !== null && value !== undefined && value !== "";
+
+  if (isSet(configured.agent_language)) {
+    if (isCallLanguage(configured.agent_language)) {
+      settings.language = configured.agent_language;
+    } else {
+      reject("agent_language", configured.agent_language);
+    }
+  }
+
+  if (isSet(configured.stt_model)) {
+    if (LISTEN_MODELS.includes(configured.stt_model)) {
+      settings.listenModel = configured.stt_model;
+    } else {
+      reject("stt_model", configured.stt_model);
+    }
+  }
+
+  if (isSet(configured.stt_endpointing_ms)) {
+    if (isInRange(configured.stt_endpointing_ms, ENDPOINTING_RANGE_MS)) {
+      settings.endpointingMs = Number(configured.stt_endpointing_ms);
+    } else {
+      reject("stt_endpointing_ms", configured.stt_endpointing_ms);
+    }
+  }
+
+  if (isSet(configured.llm_provider)) {
+    if (THINK_MODELS[configured.llm_provider]) {
+      settings.thinkProvider = configured.llm_provider;
+      settings.thinkModel = THINK_MODELS[configured.llm_provider][0];
+    } else {
+      reject("llm_provider", configured.llm_provider);
+    }
+  }
+
+  if (isSet(configured.llm_model)) {
+    if (THINK_MODELS[settings.thinkProvider].includes(configured.llm_model)) {
+      settings.thinkModel = configured.llm_model;
+    } else {
+      reject("llm_model", configured.llm_model);
+    }
+  }
+
+  if (isSet(configured.llm_temperature)) {
+    if (isInRange(configured.llm_temperature, TEMPERATURE_RANGES[settings.thinkProvider])) {
+      settings.temperature = Number(configured.llm_temperature);
+    } else {
+      reject("llm_temperature", configured.llm_temperature);
+    }
+  }
+
+  if (language) {
+    settings.language = language;
+  }
+
+  settings.voice = null;
+  const languageVoice = configured.language_voices?.[settings.language];
+  if (isSet(languageVoice)) {
+    if (Provider.isSupportedVoice(languageVoice)) {
+      settings.voice = languageVoice;
+    } else {
+      reject(`language_voices.${settings.language}`, languageVoice);
+    }
+  }
+
+  let businessVoice = null;
+  if (isSet(configured.ai_voice)) {
+    if (Provider.isSupportedVoice(configured.ai_voice)) {
+      businessVoice = configured.ai_voice;
+    } else {
+      reject("ai_voice", configured.ai_voice);
+    }
+  }
+  if (
+    !settings.voice &&
+    businessVoice &&
+    Provider.voiceSpeaksLanguage(businessVoice, settings.language)
+  ) {
+    settings.voice = businessVoice;
+  }
+
+  if (!settings.voice) {
+    settings.voice = Provider.defaultVoiceFor(settings.language);
+  }
+  if (!settings.voice) {
+    // Better a voice with an accent than no call
+    settings.voice = businessVoice || Provider.defaultVoiceFor(DEFAULT_AGENT_SETTINGS.language);
+    logger.warn(
+      `⚠️ AGENT_SETTINGS: No ${settings.language} voice for ${Provider.providerName} - set language_voices.${settings.language}`
+    );
+  }
+
+  return settings;
+}
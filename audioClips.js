@@ -0,0 +1,118 @@
+import { readFile } from "fs/promises";
+import { getConfig } from "./config.js";
+import { logger } from "./logger.js";
+
+const config = getConfig();
+
+// Clips are small and reused across calls, so keep them in memory
+const clipCache = new Map();
+
+const SPEAK_URL = "https://api.deepgram.com/v1/speak";
+// Synthesized clips are only worth having if they arrive quickly
+const SPEAK_TIMEOUT_MS = 3000;
+
+const WAV_FORMAT_MULAW = 7;
+
+/**
+ * Extract μ-law samples from a WAV file, or return raw .ulaw data unchanged
+ * @param {Buffer} data - File contents
+ * @param {string} path - File path, used in error messages
+ * @returns {Buffer} 8kHz mono μ-law samples
+ */
+function extractMulawSamples(data, path) {
+  if (data.toString("ascii", 0, 4) !== "RIFF") {
+    return data;
+  }
+
+  let offset = 12;
+  let format = null;
+  while (offset + 8 <= data.length) {
+    const chunkId = data.toString("ascii", offset, offset + 4);
+    const chunkSize = data.readUInt32LE(offset + 4);
+    const chunkStart = offset + 8;
+
+    if (chunkId === "fmt ") {
+      format = {
+        audioFormat: data.readUInt16LE(chunkStart),
+        channels: data.readUInt16LE(chunkStart + 2),
+        sampleRate: data.readUInt32LE(chunkStart + 4),
+      };
+    } else if (chunkId === "data") {
+      if (
+        !format ||
+        format.audioFormat !== WAV_FORMAT_MULAW ||
+        format.channels !== 1 ||
+        format.sampleRate !== 8000
+      ) {
+        throw new Error(`${path} must be 8kHz mono μ-law audio`);
+      }
+      return data.subarray(chunkStart, chunkStart + chunkSize);
+    }
+
+    // Chunks are padded to an even number of bytes
+    offset = chunkStart + chunkSize + (chunkSize % 2);
+  }
+
+  throw new Error(`${path} has no audio data`);
+}
+
+/**
+ * Load a pre-recorded 8kHz μ-law clip (raw .ulaw or μ-law .wav)
+ * @param {string} path - Path to the clip
+ * @returns {Promise<Buffer|null>} μ-law samples, or null if no path is set or the file can't be read
+ */
+export async function loadMulawClip(path) {
+  if (!path) return null;
+  if (clipCache.has(path)) return clipCache.get(path);
+
+  try {
+    const clip = extractMulawSamples(await readFile(path), path);
+    clipCache.set(path, clip);
+    logger.info(`🔊 Loaded audio clip ${path} (${clip.length} bytes)`);
+    return clip;
+  } catch (error) {
+    logger.error(`❌ Failed to load audio clip ${path}:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Speak a short phrase with Deepgram text-to-speech as an 8kHz μ-law clip
+ * For messages played without an agent. Clips are cached by voice and text.
+ * @param {string} text - Phrase to speak
+ * @param {string} voice - Deepgram Aura voice
+ * @returns {Promise<Buffer|null>} μ-law samples, or null if synthesis failed
+ */
+export async function synthesizeMulawClip(text, voice) {
+  const key = `speak:${voice}:${text}`;
+  if (clipCache.has(key)) return clipCache.get(key);
+
+  try {
+    const params = new URLSearchParams({
+      model: voice,
+      encoding: "mulaw",
+      sample_rate: "8000",
+      container: "none",
+    });
+    const response = await fetch(`${SPEAK_URL}?${params}`, {
+      method: "POST",
+      headers: {
+        Authorization: `Token ${config.deepgram.apiKey}`,
+        "Content-Type": "application/json",
+      },
+      body: JSON.stringify({ text }),
+      signal: AbortSignal.timeout(SPEAK_TIMEOUT_MS),
+    });
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+
+    const clip = Buffer.from(await response.arrayBuffer());
+    clipCache.set(key, clip);
+    logger.info(`🔊 Synthesized audio clip "${text}" (${clip.length} bytes)`);
+    return clip;
+  } catch (error) {
+    logger.error(`❌ Failed to synthesize audio clip "${text}":`, error.message);
+    return null;
+  }
+}
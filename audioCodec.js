@@ -0,0 +1,146 @@
+/**
+ * G.711 μ-law coding, resampling and WAV encoding for telephony audio
+ */
+
+const MULAW_BIAS = 0x84;
+const MULAW_CLIP = 32635;
+
+// Precomputed μ-law byte -> 16-bit linear sample
+const MULAW_DECODE_TABLE = new Int16Array(256);
+for (let i = 0; i < 256; i++) {
+  const value = ~i & 0xff;
+  const sign = value & 0x80;
+  const exponent = (value >> 4) & 0x07;
+  const mantissa = value & 0x0f;
+  const magnitude = (((mantissa << 3) + MULAW_BIAS) << exponent) - MULAW_BIAS;
+  MULAW_DECODE_TABLE[i] = sign ? -magnitude : magnitude;
+}
+
+/**
+ * Decode μ-law bytes to 16-bit linear PCM
+ * @param {Buffer} mulaw - μ-law encoded audio
+ * @returns {Int16Array} Linear samples
+ */
+export function decodeMulaw(mulaw) {
+  const samples = new Int16Array(mulaw.length);
+  for (let i = 0; i < mulaw.length; i++) {
+    samples[i] = MULAW_DECODE_TABLE[mulaw[i]];
+  }
+  return samples;
+}
+
+/**
+ * Encode 16-bit linear PCM samples as μ-law
+ * @param {Int16Array} samples - Linear samples
+ * @returns {Buffer} μ-law encoded audio
+ */
+export function encodeMulaw(samples) {
+  const mulaw = Buffer.alloc(samples.length);
+  for (let i = 0; i < samples.length; i++) {
+    let sample = samples[i];
+    const sign = sample < 0 ? 0x80 : 0;
+    if (sign) sample = -sample;
+    if (sample > MULAW_CLIP) sample = MULAW_CLIP;
+    sample += MULAW_BIAS;
+
+    let exponent = 7;
+    for (let mask = 0x4000; (sample & mask) === 0 && exponent > 0; mask >>= 1) {
+      exponent--;
+    }
+    const mantissa = (sample >> (exponent + 3)) & 0x0f;
+    mulaw[i] = ~(sign | (exponent << 4) | mantissa) & 0xff;
+  }
+  return mulaw;
+}
+
+/**
+ * Read little-endian 16-bit PCM from a buffer
+ * @param {Buffer} buffer - Raw PCM16 bytes (a trailing odd byte is ignored)
+ * @returns {Int16Array} Linear samples
+ */
+export function pcm16FromBuffer(buffer) {
+  const samples = new Int16Array(Math.floor(buffer.length / 2));
+  for (let i = 0; i < samples.length; i++) {
+    samples[i] = buffer.readInt16LE(i * 2);
+  }
+  return samples;
+}
+
+/**
+ * Write linear samples as little-endian 16-bit PCM
+ * @param {Int16Array} samples - Linear samples
+ * @returns {Buffer} Raw PCM16 bytes
+ */
+export function pcm16ToBuffer(samples) {
+  const buffer = Buffer.alloc(samples.length * 2);
+  for (let i = 0; i < samples.length; i++) {
+    buffer.writeInt16LE(samples[i], i * 2);
+  }
+  return buffer;
+}
+
+/**
+ * Resample linear audio with linear interpolation
+ * Good enough for speech between the browser's rates and 8kHz telephony audio.
+ * @param {Int16Array} samples - Input samples
+ * @param {number} fromRate - Input sample rate in Hz
+ * @param {number} toRate - Output sample rate in Hz
+ * @returns {Int16Array} Resampled audio
+ */
+export function resample(samples, fromRate, toRate) {
+  if (fromRate === toRate || samples.length === 0) {
+    return samples;
+  }
+
+  const ratio = fromRate / toRate;
+  const output = new Int16Array(Math.floor(samples.length / ratio));
+  for (let i = 0; i < output.length; i++) {
+    const position = i * ratio;
+    const index = Math.floor(position);
+    const next = Math.min(index + 1, samples.length - 1);
+    const fraction = position - index;
+    output[i] = Math.round(
+      samples[index] + (samples[next] - samples[index]) * fraction
+    );
+  }
+  return output;
+}
+
+/**
+ * Encode one or more equal-length channels as a 16-bit PCM WAV file
+ * @param {Array<Int16Array>} channels - Samples per channel
+ * @param {number} sampleRate - Sample rate in Hz
+ * @returns {Buffer} WAV file contents
+ */
+export function encodeWav(channels, sampleRate) {
+  const channelCount = channels.length;
+  const frameCount = channels[0]?.length || 0;
+  const blockAlign = channelCount * 2;
+  const dataSize = frameCount * blockAlign;
+  const wav = Buffer.alloc(44 + dataSize);
+
+  wav.write("RIFF", 0, "ascii");
+  wav.writeUInt32LE(36 + dataSize, 4);
+  wav.write("WAVE", 8, "ascii");
+  wav.write("fmt ", 12, "ascii");
+  wav.writeUInt32LE(16, 16);
+  wav.writeUInt16LE(1, 20); // PCM
+  wav.writeUInt16LE(channelCount, 22);
+  wav.writeUInt32LE(sampleRate, 24);
+  wav.writeUInt32LE(sampleRate * blockAlign, 28);
+  wav.writeUInt16LE(blockAlign, 32);
+  wav.writeUInt16LE(16, 34);
+  wav.write("data", 36, "ascii");
+  wav.writeUInt32LE(dataSize, 40);
+
+  // Interleave channels frame by frame
+  let offset = 44;
+  for (let frame = 0; frame < frameCount; frame++) {
+    for (let channel = 0; channel < channelCount; channel++) {
+      wav.writeInt16LE(channels[channel][frame], offset);
+      offset += 2;
+    }
+  }
+
+  return wav;
+}
@@ -1,4 +1,5 @@
 import { supabase } from "./database.js";
+import { logger } from "./logger.js";
 
 /**
  * Load complete business configuration including business details, config, and services
@@ -15,7 +16,7 @@ export async function loadBusinessConfig(businessId) {
       .single();
 
     if (businessError || !business) {
-      console.error("Failed to load business:", businessError);
+      logger.error("Failed to load business:", businessError);
       return null;
     }
 
@@ -52,7 +53,7 @@ export async function loadBusinessConfig(businessId) {
           paymentMethods = business.payment_methods;
         }
       } catch (error) {
-        console.error("Error parsing payment_methods:", error);
+        logger.error("Error parsing payment_methods:", error);
         paymentMethods = [];
       }
     }
@@ -68,7 +69,7 @@ export async function loadBusinessConfig(businessId) {
       paymentMethods: paymentMethods,
     };
   } catch (error) {
-    console.error("Error loading business config:", error);
+    logger.error("Error loading business config:", error);
     return null;
   }
 }
@@ -112,18 +113,31 @@ export function isGoogleCalendarConnected(businessConfig) {
   return !!(business.google_calendar_id && hasGoogleTokens);
 }
 
+/**
+ * Get the number the business wants staff notifications (messages, digests) sent to
+ * @param {Object} businessConfig - Complete business configuration object
+ * @returns {string|null} Phone number, or null if the business hasn't set one
+ */
+export function getNotificationPhone(businessConfig) {
+  return (
+    businessConfig?.config?.notification_phone ||
+    businessConfig?.config?.bypass_phone_number ||
+    null
+  );
+}
+
 /**
  * Log Google Calendar connection status for debugging purposes
  * @param {Object} business - Business object
  * @param {Object} config - Business configuration object
  */
 function logGoogleCalendarStatus(business, config) {
-  console.log(`📅 Business ${business.name} Google Calendar Status:`);
-  console.log(
+  logger.info(`📅 Business ${business.name} Google Calendar Status:`);
+  logger.info(
     `   - Calendar ID: ${business.google_calendar_id || "Not connected"}`
   );
-  console.log(`   - Timezone: ${business.timezone || "Not set"}`);
-  console.log(
+  logger.info(`   - Timezone: ${business.timezone || "Not set"}`);
+  logger.info(
     `   - Integration Config: ${
       config?.integration_settings?.google ? "Available" : "Not available"
     }`
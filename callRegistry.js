@@ -0,0 +1,122 @@
+import { listCurrentBookings } from "./functionHandlers.js";
+import { logger } from "./logger.js";
+import { trackActiveCalls } from "./metrics.js";
+
+/**
+ * In-process registry of the calls this server is currently handling
+ * Entries are keyed by Twilio call SID and hold getters so they always reflect live state.
+ */
+const activeCalls = new Map();
+trackActiveCalls(listActiveCalls);
+
+/**
+ * Register a call once it has been accepted
+ * @param {string} callSid - The Twilio call SID
+ * @param {Object} entry - Call details
+ * @param {string} entry.businessId - Business handling the call
+ * @param {string} entry.callerPhone - Caller's phone number
+ * @param {number} entry.startedAt - Call start time in milliseconds
+ * @param {Function} entry.getBusinessConfig - Returns the call's business configuration
+ * @param {Function} entry.getVoiceAgent - Returns the call's voice agent (may be null)
+ * @param {CallLifecycle} entry.lifecycle - The call's lifecycle, used to end it exactly once
+ */
+export function registerCall(callSid, entry) {
+  if (!callSid) return;
+  activeCalls.set(callSid, { callSid, ...entry });
+  logger.info(
+    `📋 REGISTRY: Registered call ${callSid} (${activeCalls.size} active)`
+  );
+}
+
+/**
+ * Remove a call from the registry
+ * @param {string} callSid - The Twilio call SID
+ */
+export function unregisterCall(callSid) {
+  if (!callSid || !activeCalls.has(callSid)) return;
+  activeCalls.delete(callSid);
+  logger.info(
+    `📋 REGISTRY: Unregistered call ${callSid} (${activeCalls.size} active)`
+  );
+}
+
+/**
+ * Get a registered call
+ * @param {string} callSid - The Twilio call SID
+ * @returns {Object|null} Registry entry or null if the call is not active here
+ */
+export function getActiveCall(callSid) {
+  return activeCalls.get(callSid) || null;
+}
+
+/**
+ * Get all registered calls
+ * @returns {Array<Object>} Registry entries
+ */
+export function listActiveCalls() {
+  return [...activeCalls.values()];
+}
+
+/**
+ * Get the number of active calls, optionally for a single business
+ * @param {string} [businessId] - Only count calls for this business
+ * @returns {number} Number of active calls
+ */
+export function getActiveCallCount(businessId = null) {
+  if (!businessId) return activeCalls.size;
+  return listActiveCalls().filter((call) => call.businessId === businessId)
+    .length;
+}
+
+/**
+ * Check whether another call can be taken without exceeding the concurrency limits
+ * Call this and registerCall without awaiting in between so the slot can't be taken twice.
+ * @param {string} businessId - Business the new call is for
+ * @param {Object} limits - Concurrency limits (null or 0 means unlimited)
+ * @param {number} [limits.maxPerBusiness] - Maximum concurrent calls for the business
+ * @param {number} [limits.maxPerInstance] - Maximum concurrent calls for this process
+ * @param {number} [limits.pendingOnInstance] - Calls placed from this process but not answered
+ *   yet, which take a slot once they are
+ * @param {number} [limits.pendingForBusiness] - Those of the pending calls that are for the business
+ * @returns {Object} { allowed, limit } where limit is "instance" or "business" when refused
+ */
+export function checkCallCapacity(
+  businessId,
+  { maxPerBusiness, maxPerInstance, pendingOnInstance = 0, pendingForBusiness = 0 }
+) {
+  if (maxPerInstance && getActiveCallCount() + pendingOnInstance >= maxPerInstance) {
+    return { allowed: false, limit: "instance" };
+  }
+  if (
+    maxPerBusiness &&
+    getActiveCallCount(businessId) + pendingForBusiness >= maxPerBusiness
+  ) {
+    return { allowed: false, limit: "business" };
+  }
+  return { allowed: true, limit: null };
+}
+
+/**
+ * Build a serialisable snapshot of a registered call
+ * @param {Object} call - Registry entry
+ * @returns {Promise<Object>} Call summary with audio, silence, transcript and booking state
+ */
+export async function describeCall(call) {
+  const businessConfig = call.getBusinessConfig?.();
+  const connectionState = call.getVoiceAgent?.()?.connectionState;
+  const sessionBookings = await listCurrentBookings(call.callSid);
+
+  return {
+    callSid: call.callSid,
+    businessId: call.businessId,
+    businessName: businessConfig?.business?.name || null,
+    callerPhone: call.callerPhone || null,
+    startedAt: new Date(call.startedAt).toISOString(),
+    durationSeconds: Math.round((Date.now() - call.startedAt) / 1000),
+    lifecycle: call.lifecycle?.getState() || null,
+    agentConnected: !!connectionState,
+    state: connectionState ? connectionState.getDebugInfo() : null,
+    transcriptEntries: connectionState ? connectionState.getTranscriptCount() : 0,
+    bookings: sessionBookings.bookings || [],
+  };
+}
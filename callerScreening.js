@@ -0,0 +1,90 @@
+import { getConfig } from "./config.js";
+import { db } from "./database.js";
+import { logger } from "./logger.js";
+
+const config = getConfig();
+
+// Why a caller was turned away, stored on the call log and used as the metrics reason
+export const SCREENING_REASONS = {
+  BLOCKED: "blocked",
+  RATE_LIMITED: "rate_limited",
+};
+
+/**
+ * Normalize a phone number for comparison (keeps a leading + and the digits)
+ * @param {string} phone - Phone number as sent by the carrier or entered in the dashboard
+ * @returns {string} Normalized number
+ */
+function normalizePhone(phone) {
+  const value = String(phone || "").trim();
+  return (value.startsWith("+") ? "+" : "") + value.replace(/\D/g, "");
+}
+
+/**
+ * Get the hourly call limit per caller for a business
+ * A business_config value (including 0 to turn the limit off) overrides the server default.
+ * @param {Object} businessConfig - Business configuration
+ * @returns {number|null} Maximum calls per caller per hour, or null for no limit
+ */
+function getHourlyCallLimit(businessConfig) {
+  const businessLimit = businessConfig.config?.max_calls_per_caller_per_hour;
+  const limit =
+    businessLimit === null || businessLimit === undefined
+      ? config.callerScreening.maxCallsPerHour
+      : Number(businessLimit);
+  return limit > 0 ? limit : null;
+}
+
+/**
+ * Decide whether a caller may reach the AI agent
+ * Checks the business and global blocklists, then the per-number hourly call limit.
+ * Fails open on database errors so a lookup problem never blocks real customers.
+ * @param {Object} businessConfig - Business configuration
+ * @param {string} callerPhone - Caller's phone number
+ * @returns {Promise<Object>} { allowed: true } or { allowed: false, reason, summary }
+ */
+export async function screenCaller(businessConfig, callerPhone) {
+  const businessId = businessConfig.business.id;
+  const phone = normalizePhone(callerPhone);
+  if (!phone) {
+    return { allowed: true };
+  }
+
+  try {
+    const blocks = await db.getCallerBlocks(businessId, phone);
+    if (blocks.length > 0) {
+      // A business-specific entry is more useful in the call log than the global one
+      const block = blocks.find((b) => b.business_id) || blocks[0];
+      const scope = block.business_id ? "business" : "global";
+      logger.info(`🚫 SCREENING: ${phone} is on the ${scope} blocklist`);
+      return {
+        allowed: false,
+        reason: SCREENING_REASONS.BLOCKED,
+        summary: `Call blocked - caller is on the ${scope} blocklist${
+          block.reason ? ` (${block.reason})` : ""
+        }`,
+      };
+    }
+
+    const limit = getHourlyCallLimit(businessConfig);
+    if (limit) {
+      const since = new Date(Date.now() - 60 * 60 * 1000).toISOString();
+      // Same number format as the blocklist, so formatting can't slip past the limit
+      const recentCalls = await db.countCallsFromCaller(businessId, phone, since);
+      if (recentCalls >= limit) {
+        logger.info(
+          `🚫 SCREENING: ${phone} made ${recentCalls} calls in the last hour (limit ${limit})`
+        );
+        return {
+          allowed: false,
+          reason: SCREENING_REASONS.RATE_LIMITED,
+          summary: `Call blocked - ${recentCalls} calls from this number in the last hour (limit ${limit})`,
+        };
+      }
+    }
+  } catch (error) {
+    logger.error(`❌ SCREENING: Failed to screen caller ${phone}:`, error);
+  }
+
+  return { allowed: true };
+}
@@ -11,6 +11,18 @@ export function loadEnvironmentVariables() {
   }
 }
 
+/**
+ * Read an hour of the day from an environment variable
+ * Unlike `Number(value) || fallback`, midnight (0) is a valid setting.
+ * @param {string} value - Environment variable value
+ * @param {number} fallback - Hour to use when unset or not a number
+ * @returns {number} Hour of the day
+ */
+function parseHour(value, fallback) {
+  const hour = value === undefined || value.trim() === "" ? NaN : Number(value);
+  return Number.isNaN(hour) ? fallback : hour;
+}
+
 /**
  * Get configuration values from environment variables
  */
@@ -22,18 +34,110 @@ export function getConfig() {
     },
     websocket: {
       port: process.env.WS_PORT || 8080,
+      // Public wss:// base URL Twilio connects to, used to validate request signatures behind proxies
+      publicUrl: process.env.PUBLIC_WS_URL,
     },
     deepgram: {
       apiKey: process.env.DEEPGRAM_API_KEY,
+      // Voice Agent endpoint, e.g. a regional one
+      agentUrl: process.env.DEEPGRAM_AGENT_URL || "wss://agent.deepgram.com/v1/agent/converse",
+    },
+    openai: {
+      // Only needed by businesses using the openai_realtime voice agent provider
+      apiKey: process.env.OPENAI_API_KEY,
+      realtimeModel: process.env.OPENAI_REALTIME_MODEL || "gpt-4o-realtime-preview",
+    },
+    voiceAgents: {
+      // Provider for businesses that don't set business_config.voice_agent_provider
+      defaultProvider: process.env.VOICE_AGENT_PROVIDER || "deepgram",
+      // Attempts to reconnect an agent that drops mid-call, the delay growing with each attempt
+      reconnectAttempts: Number(process.env.VOICE_AGENT_RECONNECT_ATTEMPTS) || 3,
+      reconnectDelayMs: Number(process.env.VOICE_AGENT_RECONNECT_DELAY_MS) || 1000,
+      // Drops one call may reconnect from; a provider that keeps dropping ends the call instead
+      maxReconnectsPerCall: Number(process.env.VOICE_AGENT_MAX_RECONNECTS_PER_CALL) || 3,
+      // 8kHz μ-law apology played while reconnecting; spoken with Deepgram text-to-speech if unset
+      reconnectAudioPath: process.env.RECONNECT_AUDIO_PATH,
     },
     twilio: {
       accountSid: process.env.TWILIO_ACCOUNT_SID,
       authToken: process.env.TWILIO_AUTH_TOKEN,
+      validateSignatures: process.env.TWILIO_VALIDATE_SIGNATURES !== "false",
     },
     nextjs: {
       siteUrl: process.env.NEXT_PUBLIC_SITE_URL || "http://localhost:3000",
       internalApiSecret: process.env.INTERNAL_API_SECRET,
     },
+    admin: {
+      // Secret required by the /admin API; the API is disabled when unset
+      apiSecret: process.env.ADMIN_API_SECRET,
+    },
+    readiness: {
+      // How long a /ready result is reused before dependencies are checked again
+      cacheMs: Number(process.env.READINESS_CACHE_MS) || 5000,
+      checkTimeoutMs: Number(process.env.READINESS_CHECK_TIMEOUT_MS) || 3000,
+    },
+    calls: {
+      // Concurrent calls this instance will take; per-business limits come from business_config
+      maxConcurrent: Number(process.env.MAX_CONCURRENT_CALLS) || null,
+      // 8kHz μ-law clip played to callers over the limit
+      overflowAudioPath: process.env.OVERFLOW_AUDIO_PATH,
+    },
+    afterHours: {
+      // Local hour (in the business's timezone) when the after-hours digest SMS goes out
+      digestHour: parseHour(process.env.AFTER_HOURS_DIGEST_HOUR, 7),
+      digestCheckIntervalMs: Number(process.env.AFTER_HOURS_DIGEST_CHECK_MS) || 15 * 60 * 1000,
+    },
+    callerScreening: {
+      // Default limit on calls from one number to one business per hour; business_config can override
+      maxCallsPerHour: Number(process.env.MAX_CALLS_PER_CALLER_PER_HOUR) || 10,
+    },
+    sessions: {
+      // "memory" (default, single instance) or "supabase" to share call sessions between instances
+      store: process.env.SESSION_STORE || "memory",
+      // How long a call session is kept after its last update
+      ttlMs: Number(process.env.SESSION_TTL_MS) || 2 * 60 * 60 * 1000,
+      // How long a processed function call ID blocks a duplicate of the same call
+      dedupTtlMs: Number(process.env.FUNCTION_CALL_DEDUP_TTL_MS) || 5 * 60 * 1000,
+    },
+    smsOutbox: {
+      // How often queued booking confirmations are checked and sent
+      dispatchIntervalMs: Number(process.env.SMS_OUTBOX_DISPATCH_MS) || 30000,
+      // Confirmations wait for the call to end so they go out as one text; if the call is never
+      // finalized (e.g. the server died mid-call) they are sent once this has passed
+      holdMs: Number(process.env.SMS_OUTBOX_HOLD_MS) || 30 * 60 * 1000,
+      // Failed sends are retried after retryBaseMs, doubling each time, up to maxAttempts
+      retryBaseMs: Number(process.env.SMS_OUTBOX_RETRY_BASE_MS) || 30000,
+      maxAttempts: Number(process.env.SMS_OUTBOX_MAX_ATTEMPTS) || 8,
+      batchSize: 50,
+    },
+    recordings: {
+      // "local" (default) or "supabase"; more backends can be registered in recordingStorage.js
+      storage: process.env.RECORDING_STORAGE || "local",
+      localDir: process.env.RECORDINGS_DIR || "./recordings",
+      bucket: process.env.RECORDINGS_BUCKET || "call-recordings",
+    },
+    reminders: {
+      // Outbound reminder calls for tomorrow's bookings (businesses opt in via business_config)
+      enabled: process.env.REMINDER_CALLS_ENABLED === "true",
+      sweepIntervalMs: Number(process.env.REMINDER_SWEEP_INTERVAL_MS) || 15 * 60 * 1000,
+      // Local hours (in the business's timezone) when customers may be called, end exclusive
+      callStartHour: parseHour(process.env.REMINDER_CALL_START_HOUR, 10),
+      callEndHour: Number(process.env.REMINDER_CALL_END_HOUR) || 19,
+    },
+    shutdown: {
+      // How long live calls may keep running after SIGTERM before they are wrapped up
+      drainTimeoutMs: Number(process.env.DRAIN_TIMEOUT_MS) || 120000,
+      // How long wrapped-up calls get to hang up and finish their transcript/SMS work
+      wrapUpTimeoutMs: Number(process.env.DRAIN_WRAP_UP_TIMEOUT_MS) || 30000,
+    },
+    logging: {
+      // error, warn, info or debug - debug includes full agent payloads and session dumps
+      level:
+        process.env.LOG_LEVEL ||
+        (process.env.NODE_ENV === "production" ? "info" : "debug"),
+      // "json" (one object per line) or "pretty" for reading locally
+      format: process.env.LOG_FORMAT || "json",
+    },
     environment: process.env.NODE_ENV || "development",
   };
 }
@@ -1,5 +1,6 @@
 import { createClient } from "@supabase/supabase-js";
 import { getConfig } from "./config.js";
+import { logger } from "./logger.js";
 
 /**
  * Initialize and export Supabase client
@@ -94,6 +95,380 @@ export const db = {
     return data || [];
   },
 
+  /**
+   * Get a single booking, scoped to its business
+   */
+  async getBooking(businessId, bookingId) {
+    const { data, error } = await supabase
+      .from("bookings")
+      .select("*")
+      .eq("business_id", businessId)
+      .eq("id", bookingId)
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Failed to get booking: ${error.message}`);
+    }
+
+    return data;
+  },
+
+  /**
+   * Get the IDs of businesses that have opted in to reminder calls
+   */
+  async getReminderCallBusinessIds() {
+    const { data, error } = await supabase
+      .from("business_config")
+      .select("business_id")
+      .eq("reminder_calls_enabled", true);
+
+    if (error) {
+      throw new Error(`Failed to get reminder businesses: ${error.message}`);
+    }
+
+    return (data || []).map((row) => row.business_id);
+  },
+
+  /**
+   * Claim a booking's reminder call before dialling
+   * Only applies while the booking has no reminder status, so two instances can't both call.
+   * Returns the claimed booking, or null if someone else got it first.
+   */
+  async claimBookingReminder(bookingId, updates) {
+    const { data, error } = await supabase
+      .from("bookings")
+      .update(updates)
+      .eq("id", bookingId)
+      .is("reminder_status", null)
+      .select();
+
+    if (error) {
+      throw new Error(`Failed to claim booking reminder: ${error.message}`);
+    }
+
+    return data?.[0] || null;
+  },
+
+  /**
+   * Record the state of a booking's reminder call
+   * When expectedStatus is given the update only applies if the reminder is still in that state,
+   * so a late carrier status callback can't overwrite an outcome the agent already recorded.
+   */
+  async updateBookingReminder(bookingId, updates, expectedStatus = null) {
+    let query = supabase.from("bookings").update(updates).eq("id", bookingId);
+    if (expectedStatus) {
+      query = query.eq("reminder_status", expectedStatus);
+    }
+
+    const { data, error } = await query.select();
+
+    if (error) {
+      logger.error("Failed to update booking reminder:", error);
+      throw new Error(`Failed to update booking reminder: ${error.message}`);
+    }
+
+    return data?.[0] || null;
+  },
+
+  /**
+   * Get active blocklist entries for a caller - the business's own and global ones (no business_id)
+   */
+  async getCallerBlocks(businessId, callerPhone) {
+    const { data, error } = await supabase
+      .from("blocked_callers")
+      .select("*")
+      .eq("caller_phone", callerPhone)
+      .or(`business_id.is.null,business_id.eq.${businessId}`);
+
+    if (error) {
+      throw new Error(`Failed to get caller blocks: ${error.message}`);
+    }
+
+    const now = new Date();
+    return (data || []).filter(
+      (block) => !block.expires_at || new Date(block.expires_at) > now
+    );
+  },
+
+  /**
+   * Count calls a number has made to a business since the given time
+   */
+  async countCallsFromCaller(businessId, callerPhone, since) {
+    const { count, error } = await supabase
+      .from("call_logs")
+      .select("id", { count: "exact", head: true })
+      .eq("business_id", businessId)
+      .eq("caller_phone", callerPhone)
+      .gte("started_at", since);
+
+    if (error) {
+      throw new Error(`Failed to count caller's calls: ${error.message}`);
+    }
+
+    return count || 0;
+  },
+
+  /**
+   * Save a caller's request to be called back
+   */
+  async createCallbackRequest(request) {
+    const { data, error } = await supabase
+      .from("callback_requests")
+      .insert({ status: "pending", ...request })
+      .select()
+      .single();
+
+    if (error) {
+      throw new Error(`Failed to create callback request: ${error.message}`);
+    }
+
+    return data;
+  },
+
+  /**
+   * Get the callback requests made on the given calls
+   */
+  async getCallbackRequests(twilioCallSids) {
+    if (twilioCallSids.length === 0) return [];
+
+    const { data, error } = await supabase
+      .from("callback_requests")
+      .select("*")
+      .in("twilio_call_sid", twilioCallSids)
+      .order("created_at", { ascending: true });
+
+    if (error) {
+      throw new Error(`Failed to get callback requests: ${error.message}`);
+    }
+
+    return data || [];
+  },
+
+  /**
+   * Save a message a caller left for the business
+   */
+  async createCallMessage(message) {
+    const { data, error } = await supabase
+      .from("call_messages")
+      .insert(message)
+      .select()
+      .single();
+
+    if (error) {
+      throw new Error(`Failed to save call message: ${error.message}`);
+    }
+
+    return data;
+  },
+
+  /**
+   * Record when the business was notified about a message
+   */
+  async markCallMessageNotified(messageId) {
+    const { error } = await supabase
+      .from("call_messages")
+      .update({ notified_at: new Date().toISOString() })
+      .eq("id", messageId);
+
+    if (error) {
+      logger.error("Failed to mark call message notified:", error);
+    }
+  },
+
+  /**
+   * Add or refresh the SMS confirmation waiting to go out for a booking made on a call
+   * An entry already being sent, sent or given up on is left alone, so it can't go out twice.
+   * Returns the saved entry, or null if it was left alone.
+   */
+  async upsertSmsOutboxEntry(entry) {
+    const { data: inserted, error: insertError } = await supabase
+      .from("sms_outbox")
+      .upsert(
+        { status: "pending", attempts: 0, last_error: null, ...entry },
+        { onConflict: "call_sid,appointment_id", ignoreDuplicates: true }
+      )
+      .select();
+
+    if (insertError) {
+      throw new Error(`Failed to save SMS outbox entry: ${insertError.message}`);
+    }
+    if (inserted?.length > 0) {
+      return inserted[0];
+    }
+
+    const { data, error } = await supabase
+      .from("sms_outbox")
+      .update({ ...entry, status: "pending" })
+      .eq("call_sid", entry.call_sid)
+      .eq("appointment_id", entry.appointment_id)
+      .in("status", ["pending", "cancelled"])
+      .select();
+
+    if (error) {
+      throw new Error(`Failed to save SMS outbox entry: ${error.message}`);
+    }
+
+    return data?.[0] || null;
+  },
+
+  /**
+   * Cancel unsent SMS confirmations for an appointment
+   */
+  async cancelSmsOutboxEntries(appointmentId) {
+    const { data, error } = await supabase
+      .from("sms_outbox")
+      .update({ status: "cancelled" })
+      .eq("appointment_id", appointmentId)
+      .eq("status", "pending")
+      .select("id");
+
+    if (error) {
+      throw new Error(`Failed to cancel SMS outbox entries: ${error.message}`);
+    }
+
+    return data || [];
+  },
+
+  /**
+   * Make a call's held SMS confirmations due now
+   */
+  async releaseSmsOutboxEntries(callSid) {
+    const { data, error } = await supabase
+      .from("sms_outbox")
+      .update({ send_after: new Date().toISOString() })
+      .eq("call_sid", callSid)
+      .eq("status", "pending")
+      .select("id");
+
+    if (error) {
+      throw new Error(`Failed to release SMS outbox entries: ${error.message}`);
+    }
+
+    return data || [];
+  },
+
+  /**
+   * Claim due SMS outbox entries for sending
+   * Only rows still pending are claimed, so two dispatchers never send the same entry.
+   */
+  async claimDueSmsOutboxEntries(limit, callSid = null) {
+    let query = supabase
+      .from("sms_outbox")
+      .select("id")
+      .eq("status", "pending")
+      .lte("send_after", new Date().toISOString())
+      .order("send_after", { ascending: true })
+      .limit(limit);
+    if (callSid) {
+      query = query.eq("call_sid", callSid);
+    }
+
+    const { data: due, error: dueError } = await query;
+    if (dueError) {
+      throw new Error(`Failed to get due SMS outbox entries: ${dueError.message}`);
+    }
+    if (!due || due.length === 0) return [];
+
+    const { data, error } = await supabase
+      .from("sms_outbox")
+      .update({ status: "sending", claimed_at: new Date().toISOString() })
+      .in(
+        "id",
+        due.map((entry) => entry.id)
+      )
+      .eq("status", "pending")
+      .select("*");
+
+    if (error) {
+      throw new Error(`Failed to claim SMS outbox entries: ${error.message}`);
+    }
+
+    return data || [];
+  },
+
+  /**
+   * Return entries left in "sending" by a dispatcher that died mid-send to the queue
+   */
+  async requeueStaleSmsOutboxEntries(claimedBefore) {
+    const { data, error } = await supabase
+      .from("sms_outbox")
+      .update({ status: "pending" })
+      .eq("status", "sending")
+      .lt("claimed_at", claimedBefore)
+      .select("id");
+
+    if (error) {
+      throw new Error(`Failed to requeue SMS outbox entries: ${error.message}`);
+    }
+
+    return data || [];
+  },
+
+  /**
+   * Record the result of a send attempt on SMS outbox entries
+   */
+  async updateSmsOutboxEntries(entryIds, updates) {
+    const { error } = await supabase
+      .from("sms_outbox")
+      .update(updates)
+      .in("id", entryIds);
+
+    if (error) {
+      throw new Error(`Failed to update SMS outbox entries: ${error.message}`);
+    }
+  },
+
+  /**
+   * Flag a call as taken while the business was closed
+   */
+  async markCallAfterHours(twilioCallSid) {
+    const { error } = await supabase
+      .from("call_logs")
+      .update({ after_hours: true })
+      .eq("twilio_call_sid", twilioCallSid);
+
+    if (error) {
+      logger.error("Failed to mark call as after-hours:", error);
+    }
+  },
+
+  /**
+   * Get after-hours calls that haven't been included in a digest yet
+   */
+  async getUndigestedAfterHoursCalls() {
+    const { data, error } = await supabase
+      .from("call_logs")
+      .select("id, business_id, twilio_call_sid, caller_phone, started_at")
+      .eq("after_hours", true)
+      .is("after_hours_digest_sent_at", null)
+      .order("started_at", { ascending: true });
+
+    if (error) {
+      throw new Error(`Failed to get after-hours calls: ${error.message}`);
+    }
+
+    return data || [];
+  },
+
+  /**
+   * Mark after-hours calls as included in a digest
+   * Returns only the rows this update claimed, so concurrent digest runs don't overlap.
+   */
+  async markAfterHoursDigestSent(callLogIds) {
+    const { data, error } = await supabase
+      .from("call_logs")
+      .update({ after_hours_digest_sent_at: new Date().toISOString() })
+      .in("id", callLogIds)
+      .is("after_hours_digest_sent_at", null)
+      .select("id, business_id, twilio_call_sid, caller_phone, started_at");
+
+    if (error) {
+      throw new Error(`Failed to mark digest sent: ${error.message}`);
+    }
+
+    return data || [];
+  },
+
   /**
    * Log an incoming call
    */
@@ -112,7 +487,7 @@ export const db = {
       .single();
 
     if (error) {
-      console.error("Failed to log incoming call:", error);
+      logger.error("Failed to log incoming call:", error);
       throw new Error(`Failed to log incoming call: ${error.message}`);
     }
 
@@ -140,7 +515,7 @@ export const db = {
       .single();
 
     if (error) {
-      console.error("Failed to update call status:", error);
+      logger.error("Failed to update call status:", error);
       throw new Error(`Failed to update call status: ${error.message}`);
     }
 
@@ -159,7 +534,7 @@ export const db = {
       .single();
 
     if (error) {
-      console.error("Failed to update call customer:", error);
+      logger.error("Failed to update call customer:", error);
       // Don't throw error for customer name updates as it's not critical
       return null;
     }
@@ -167,6 +542,59 @@ export const db = {
     return data;
   },
 
+  /**
+   * Link a call recording to the call log
+   */
+  async updateCallRecording(twilioCallSid, recordingUrl) {
+    const { data, error } = await supabase
+      .from("call_logs")
+      .update({ recording_url: recordingUrl })
+      .eq("twilio_call_sid", twilioCallSid)
+      .select()
+      .single();
+
+    if (error) {
+      logger.error("Failed to update call recording:", error);
+      // The recording file is already saved, so don't fail the call for this
+      return null;
+    }
+
+    return data;
+  },
+
+  /**
+   * Record the provider, models, voice and language a call's agent ran with
+   * Lets call quality be compared across agent settings.
+   * @param {string} twilioCallSid - The Twilio call SID
+   * @param {Object} agentSettings - Settings applied by the voice agent provider
+   */
+  async updateCallAgentSettings(twilioCallSid, agentSettings) {
+    const { error } = await supabase
+      .from("call_logs")
+      .update({ agent_settings: agentSettings })
+      .eq("twilio_call_sid", twilioCallSid);
+
+    if (error) {
+      logger.error("Failed to record call agent settings:", error);
+    }
+  },
+
+  /**
+   * Record the language a call is being held in
+   * @param {string} twilioCallSid - The Twilio call SID
+   * @param {string} language - ISO 639-1 code
+   */
+  async updateCallLanguage(twilioCallSid, language) {
+    const { error } = await supabase
+      .from("call_logs")
+      .update({ language })
+      .eq("twilio_call_sid", twilioCallSid);
+
+    if (error) {
+      logger.error("Failed to record call language:", error);
+    }
+  },
+
   /**
    * Update call transcript
    */
@@ -179,7 +607,7 @@ export const db = {
       .single();
 
     if (error) {
-      console.error("Failed to update call transcript:", error);
+      logger.error("Failed to update call transcript:", error);
       throw new Error(`Failed to update call transcript: ${error.message}`);
     }
 
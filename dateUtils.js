@@ -7,7 +7,7 @@ import {
   parseISO,
 } from "date-fns";
 import { toZonedTime, fromZonedTime, format as formatTz } from "date-fns-tz";
-import { enGB } from "date-fns/locale";
+import { enGB, es, pl, fr, de, it, pt, nl } from "date-fns/locale";
 
 // UK timezone constant
 export const UK_TIMEZONE = "Europe/London";
@@ -26,6 +26,17 @@ const UK_LOCALE_OPTIONS = {
   weekStartsOn: 1, // Monday = 1
 };
 
+// How a date is said in each call language other than English, without and with the month
+const CONVERSATIONAL_DATE_FORMATS = {
+  es: { locale: es, day: "EEEE d", dayWithMonth: "EEEE d 'de' MMMM" },
+  pl: { locale: pl, day: "EEEE, d", dayWithMonth: "EEEE, d MMMM" },
+  fr: { locale: fr, day: "EEEE d", dayWithMonth: "EEEE d MMMM" },
+  de: { locale: de, day: "EEEE, 'der' d.", dayWithMonth: "EEEE, 'der' d. MMMM" },
+  it: { locale: it, day: "EEEE d", dayWithMonth: "EEEE d MMMM" },
+  pt: { locale: pt, day: "EEEE, 'dia' d", dayWithMonth: "EEEE, d 'de' MMMM" },
+  nl: { locale: nl, day: "EEEE d", dayWithMonth: "EEEE d MMMM" },
+};
+
 /**
  * Get the current date and time in UK timezone
  */
@@ -103,6 +114,21 @@ export function isBookingInPast(dateString, timeString, timezone = UK_TIMEZONE)
   }
 }
 
+/**
+ * Get the calendar date and wall-clock time of an instant in a timezone
+ * @param {Date} date - The instant to convert
+ * @param {string} timezone - IANA timezone (defaults to UK)
+ * @returns {Object} { date: "YYYY-MM-DD", time: "HH:MM", hour }
+ */
+export function getDateTimeInTimezone(date, timezone = UK_TIMEZONE) {
+  const zoned = toZonedTime(date, timezone);
+  return {
+    date: format(zoned, ISO_DATE_FORMAT),
+    time: format(zoned, ISO_TIME_FORMAT),
+    hour: zoned.getHours(),
+  };
+}
+
 /**
  * Get the current date in UK timezone (time set to 00:00:00)
  */
@@ -158,9 +184,15 @@ export function getOrdinalSuffix(day) {
 /**
  * Format a date for conversational AI using day name and ordinal date
  * @param {Date} date - Date object to format
- * @returns {string} Natural language date (e.g., "Wednesday, the 13th", "Monday, the 21st")
- */
-export function formatConversationalDate(date) {
+ * @param {string} [language] - Call language (ISO 639-1), English by default
+ * @returns {string} Natural language date (e.g., "Wednesday, the 13th", "Monday, the 21st",
+ *   "miércoles 13" in Spanish)
+ */
+export function formatConversationalDate(date, language = "en") {
+  const localized = CONVERSATIONAL_DATE_FORMATS[language];
+  if (localized) {
+    return format(date, localized.day, { locale: localized.locale });
+  }
   const dayName = format(date, "EEEE", UK_LOCALE_OPTIONS);
   const dayNumber = date.getDate();
   const ordinalSuffix = getOrdinalSuffix(dayNumber);
@@ -170,9 +202,15 @@ export function formatConversationalDate(date) {
 /**
  * Format a date with month for conversational AI
  * @param {Date} date - Date object to format
- * @returns {string} Natural language date with month (e.g., "Wednesday, the 13th of September")
- */
-export function formatConversationalDateWithMonth(date) {
+ * @param {string} [language] - Call language (ISO 639-1), English by default
+ * @returns {string} Natural language date with month (e.g., "Wednesday, the 13th of September",
+ *   "środa, 13 września" in Polish)
+ */
+export function formatConversationalDateWithMonth(date, language = "en") {
+  const localized = CONVERSATIONAL_DATE_FORMATS[language];
+  if (localized) {
+    return format(date, localized.dayWithMonth, { locale: localized.locale });
+  }
   const dayName = format(date, "EEEE", UK_LOCALE_OPTIONS);
   const dayNumber = date.getDate();
   const ordinalSuffix = getOrdinalSuffix(dayNumber);
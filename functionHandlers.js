@@ -1,4 +1,3 @@
-import WebSocket from "ws";
 import { getConfig } from "./config.js";
 import {
   parseISODate,
@@ -14,62 +13,139 @@ import {
 } from "./dateUtils.js";
 import { isWithinBusinessHours } from "./utils.js";
 import { db } from "./database.js";
-import { isGoogleCalendarConnected } from "./businessConfig.js";
+import {
+  isGoogleCalendarConnected,
+  getNotificationPhone,
+} from "./businessConfig.js";
+import { observeFunctionCall, recordSmsConfirmation } from "./metrics.js";
+import { getActiveCall } from "./callRegistry.js";
+import { recordReminderOutcome, REMINDER_STATUSES } from "./reminderCalls.js";
+import { logger } from "./logger.js";
+import { getSessionStore } from "./sessionStore.js";
+import {
+  enqueueBookingConfirmation,
+  cancelBookingConfirmations,
+} from "./smsOutbox.js";
+import { switchCallLanguage } from "./voiceAgent.js";
+import {
+  fillTemplate,
+  getCallLanguage,
+  getPrimaryLanguage,
+} from "./languages.js";
 
 const config = getConfig();
 
-// In-memory session store for call context
-const callSessions = new Map();
-
-// Track processed function call IDs to prevent duplicates
-const processedFunctionCalls = new Set();
-const functionCallTimestamps = new Map();
-
-// Clean up old function call IDs every 5 minutes
-setInterval(() => {
-  const fiveMinutesAgo = Date.now() - 5 * 60 * 1000;
-  for (const [functionCallId, timestamp] of functionCallTimestamps.entries()) {
-    if (timestamp < fiveMinutesAgo) {
-      processedFunctionCalls.delete(functionCallId);
-      functionCallTimestamps.delete(functionCallId);
-      console.log(`🧹 CLEANUP: Removed old function call ID ${functionCallId}`);
-    }
-  }
-}, 5 * 60 * 1000); // Run every 5 minutes
+// Call sessions and processed function call IDs live in the configured session store
+const sessionStore = getSessionStore();
+
+/**
+ * Session store key for a call
+ * @param {string} callSid - The Twilio call SID
+ * @returns {string} Store key
+ */
+function callSessionKey(callSid) {
+  return `call:${callSid}`;
+}
 
 /**
  * Store session data for a call
  * @param {string} callSid - The Twilio call SID
- * @param {Object} sessionData - Data to store for this call session
+ * @param {Object} sessionData - Data to merge into this call's session
  */
-export function setCallSession(callSid, sessionData) {
+export async function setCallSession(callSid, sessionData) {
   if (!callSid) return;
-  const existing = callSessions.get(callSid) || {};
-  callSessions.set(callSid, { ...existing, ...sessionData });
-  console.log(
-    `📝 Session updated for call ${callSid}:`,
-    callSessions.get(callSid)
+  const session = await sessionStore.update(
+    callSessionKey(callSid),
+    (existing) => ({ ...existing, ...sessionData }),
+    config.sessions.ttlMs
+  );
+  logger.debug(`📝 Session updated for call ${callSid}:`, session);
+}
+
+/**
+ * Atomically read and change a call's session
+ * Use this instead of getCallSession + setCallSession when the change depends on the
+ * current session (e.g. appending to bookings), so concurrent updates aren't lost.
+ * @param {string} callSid - The Twilio call SID
+ * @param {Function} updater - (session) => new session; synchronous, may be re-run
+ * @returns {Promise<Object>} The updated session
+ */
+export async function updateCallSession(callSid, updater) {
+  if (!callSid) return {};
+  return sessionStore.update(
+    callSessionKey(callSid),
+    (existing) => updater(existing || {}),
+    config.sessions.ttlMs
   );
 }
 
 /**
  * Get session data for a call
  * @param {string} callSid - The Twilio call SID
- * @returns {Object} Session data or empty object
+ * @returns {Promise<Object>} Session data or empty object
  */
-export function getCallSession(callSid) {
+export async function getCallSession(callSid) {
   if (!callSid) return {};
-  return callSessions.get(callSid) || {};
+  return (await sessionStore.get(callSessionKey(callSid))) || {};
 }
 
 /**
  * Clear session data for a call
  * @param {string} callSid - The Twilio call SID
  */
-export function clearCallSession(callSid) {
+export async function clearCallSession(callSid) {
   if (!callSid) return;
-  callSessions.delete(callSid);
-  console.log(`🗑️ Session cleared for call ${callSid}`);
+  await sessionStore.delete(callSessionKey(callSid));
+  logger.info(`🗑️ Session cleared for call ${callSid}`);
+}
+
+/**
+ * Check whether a call is a browser test call running in sandbox mode
+ * @param {string} callSid - The call SID
+ * @returns {Promise<boolean>} True if bookings, transfers and SMS should be simulated
+ */
+async function isSandboxCall(callSid) {
+  return (await getCallSession(callSid)).sandbox === true;
+}
+
+/**
+ * Stand-in for an internal API response in sandbox mode
+ * Lets the booking handlers run their normal session bookkeeping without touching real data.
+ * @param {Object} body - Response body the real API would have returned
+ * @returns {Object} Minimal fetch Response lookalike
+ */
+function sandboxApiResponse(body) {
+  logger.info("🧪 SANDBOX: Simulated internal API response:", body);
+  return {
+    ok: true,
+    status: 200,
+    statusText: "OK (sandbox)",
+    json: async () => body,
+    text: async () => JSON.stringify(body),
+  };
+}
+
+/**
+ * Write a booking confirmed on this call to the SMS outbox
+ * If the outbox can't take it, the confirmation is sent when the call ends instead.
+ * @param {string} callSid - The Twilio call SID
+ * @param {Object} booking - Booking details for enqueueBookingConfirmation
+ */
+async function queueBookingConfirmation(callSid, booking) {
+  if (!callSid || !booking.customerPhone) {
+    return;
+  }
+  const session = await getCallSession(callSid);
+  if (session.sandbox === true) {
+    return;
+  }
+
+  // Texted in the language the call ended up in
+  await enqueueBookingConfirmation({
+    callSid,
+    language: session.language,
+    ...booking,
+  });
 }
 
 /**
@@ -88,12 +164,12 @@ function generateBookingReference() {
  * @param {string} callSid - The Twilio call SID
  * @returns {Object} List of bookings with references and summary
  */
-export function listCurrentBookings(callSid) {
+export async function listCurrentBookings(callSid) {
   if (!callSid) {
     return { error: "No call session found" };
   }
 
-  const session = getCallSession(callSid);
+  const session = await getCallSession(callSid);
   const bookings = session.bookings || [];
 
   if (bookings.length === 0) {
@@ -173,12 +249,12 @@ export async function lookupAndStoreCustomerBookings(
   business
 ) {
   if (!callSid || !callerPhone || !business) {
-    console.log("⚠️ Missing required parameters for customer booking lookup");
+    logger.info("⚠️ Missing required parameters for customer booking lookup");
     return null;
   }
 
   try {
-    console.log(`🔍 Looking up existing bookings for phone: ${callerPhone}`);
+    logger.info(`🔍 Looking up existing bookings for phone: ${callerPhone}`);
 
     // Call the lookup API to find existing bookings
     const lookupResponse = await fetch(
@@ -219,7 +295,7 @@ export async function lookupAndStoreCustomerBookings(
           }));
 
           // Store ALL future bookings in session for better handling
-          setCallSession(callSid, {
+          await setCallSession(callSid, {
             customerName: futureBookings[0].customer_name,
             hasExistingBookings: true,
             existingBookingsCount: futureBookings.length,
@@ -236,7 +312,7 @@ export async function lookupAndStoreCustomerBookings(
               : {}),
           });
 
-          console.log("✅ Stored existing bookings in session:", {
+          logger.info("✅ Stored existing bookings in session:", {
             customer: futureBookings[0].customer_name,
             totalFutureBookings: futureBookings.length,
             bookings: futureBookings.map((b) => ({
@@ -251,83 +327,173 @@ export async function lookupAndStoreCustomerBookings(
             ? futureBookings[0]
             : futureBookings;
         } else {
-          console.log("📅 No future bookings found for this customer");
+          logger.info("📅 No future bookings found for this customer");
         }
       } else {
-        console.log("📅 No existing bookings found for this customer");
+        logger.info("📅 No existing bookings found for this customer");
       }
     } else {
-      console.log(
+      logger.info(
         "⚠️ Could not lookup existing bookings:",
         lookupResponse.status
       );
     }
   } catch (error) {
-    console.error("❌ Error during proactive booking lookup:", error);
+    logger.error("❌ Error during proactive booking lookup:", error);
   }
 
   return null;
 }
 
+/**
+ * Seed the session for an outbound reminder call with the booking being confirmed
+ * Uses the same session shape as lookupAndStoreCustomerBookings so update_booking and
+ * cancel_booking work on it without a lookup.
+ * @param {string} callSid - The Twilio call SID
+ * @param {Object} reminder - Reminder details from loadReminderBooking
+ */
+export async function storeReminderBooking(callSid, reminder) {
+  await setCallSession(callSid, {
+    reminder: { bookingId: reminder.bookingId, outcome: null },
+    callerPhone: reminder.customerPhone,
+    customerName: reminder.customerName,
+    hasExistingBookings: true,
+    existingBookingsCount: 1,
+    bookings: [
+      {
+        bookingReference: generateBookingReference(),
+        customerName: reminder.customerName,
+        serviceName: reminder.serviceName,
+        date: reminder.date,
+        time: reminder.time,
+        appointmentId: reminder.bookingId,
+        type: "existing",
+        originalBookingId: reminder.bookingId,
+      },
+    ],
+    currentDate: reminder.date,
+    currentTime: reminder.time,
+    currentServiceName: reminder.serviceName,
+    selectedBookingId: reminder.bookingId,
+    lastBookingDate: reminder.date,
+    lastBookingTime: reminder.time,
+  });
+  logger.info(
+    `⏰ REMINDER: Session seeded with booking ${reminder.bookingId} for call ${callSid}`
+  );
+}
+
+/**
+ * Record what the customer decided on a reminder call
+ * The first decision wins, except that a later cancellation replaces a confirmation.
+ * @param {string} callSid - The Twilio call SID
+ * @param {string} outcome - One of REMINDER_STATUSES
+ * @returns {Promise<boolean>} True if the outcome was recorded
+ */
+async function recordReminderCallOutcome(callSid, outcome) {
+  const reminder = (await getCallSession(callSid)).reminder;
+  if (!reminder) {
+    return false;
+  }
+  if (reminder.outcome && outcome !== REMINDER_STATUSES.CANCELLED) {
+    return false;
+  }
+
+  await setCallSession(callSid, { reminder: { ...reminder, outcome } });
+  if (await isSandboxCall(callSid)) {
+    return true;
+  }
+  return recordReminderOutcome(reminder.bookingId, outcome);
+}
+
+/**
+ * Send a function's result back to the voice agent
+ * A closed agent is logged rather than thrown, so the rest of the call carries on.
+ * @param {Object} agent - Voice agent that requested the function
+ * @param {Object} functionCallData - The function call being answered
+ * @param {Object} result - Result for the agent
+ */
+function sendFunctionResult(agent, functionCallData, result) {
+  try {
+    agent.sendFunctionResult(
+      {
+        id: functionCallData.function_call_id,
+        name: functionCallData.function_name,
+      },
+      result
+    );
+    logger.info(`✅ Sent ${functionCallData.function_name} response to agent`);
+  } catch (error) {
+    logger.error(
+      `❌ Error sending ${functionCallData.function_name} response to agent:`,
+      error
+    );
+  }
+}
+
 /**
  * Main function call handler that routes function calls to appropriate handlers
- * @param {WebSocket} deepgramWs - The Deepgram WebSocket connection
- * @param {Object} functionCallData - The function call data from Deepgram
+ * @param {Object} agent - The voice agent that requested the function
+ * @param {Object} functionCallData - { function_name, function_call_id, parameters }
  * @param {Object} businessConfig - The business configuration
  */
 export async function handleFunctionCall(
-  deepgramWs,
+  agent,
   functionCallData,
   businessConfig,
   callSid = null,
   callerPhone = null
 ) {
-  // Store caller phone in session if provided
-  if (callSid && callerPhone) {
-    setCallSession(callSid, { callerPhone });
-  }
   const timestamp = getShortTimestamp();
-  console.log(`[${timestamp}] 🚀 FUNCTION: ${functionCallData?.function_name}`);
+  const functionStartedAt = Date.now();
+  logger.info(`[${timestamp}] 🚀 FUNCTION: ${functionCallData?.function_name}`);
 
   try {
+    // Store caller phone in session if provided
+    if (callSid && callerPhone) {
+      await setCallSession(callSid, { callerPhone });
+    }
+
     const { function_name, function_call_id } = functionCallData;
     // Handle both 'params' and 'parameters' properties
     const params = functionCallData.params || functionCallData.parameters || {};
 
+    // Refused before running - still counted, so blocked calls show up in the metrics
+    const blockFunctionCall = (result) => {
+      observeFunctionCall(function_name, Date.now() - functionStartedAt, "error");
+      sendFunctionResult(agent, functionCallData, result);
+    };
+
     // Check for duplicate create_booking requests
     if (function_name === "create_booking" && function_call_id) {
-      console.log(
+      logger.debug(
         `🔍 DEDUP CHECK: Checking function call ID ${function_call_id}`
       );
-      console.log(
-        `🔍 DEDUP CHECK: Current processed calls:`,
-        Array.from(processedFunctionCalls)
-      );
-      console.log(
+      logger.debug(
         `🔍 DEDUP CHECK: Function parameters:`,
         JSON.stringify(params, null, 2)
       );
-      console.log(`🔍 DEDUP CHECK: Timestamp:`, getShortTimestamp());
+      logger.debug(`🔍 DEDUP CHECK: Timestamp:`, getShortTimestamp());
 
-      if (processedFunctionCalls.has(function_call_id)) {
-        console.log(
+      // Claiming the ID marks it processed, on every instance sharing the session store
+      const firstRequest = await sessionStore.claim(
+        `function_call:${function_call_id}`,
+        config.sessions.dedupTtlMs
+      );
+      if (!firstRequest) {
+        logger.info(
           `🚫 DUPLICATE BOOKING REQUEST DETECTED: ${function_call_id}`
         );
-        console.log(`⏭️ Skipping duplicate create_booking call`);
-        return {
+        logger.info(`⏭️ Skipping duplicate create_booking call`);
+        // Still answered, so the agent isn't left waiting on the call ID
+        blockFunctionCall({
           error:
-            "Duplicate booking request detected - booking already processed",
-        };
+            "Duplicate booking request detected - this booking has already been made",
+        });
+        return;
       }
-      // Mark this function call as processed
-      processedFunctionCalls.add(function_call_id);
-      functionCallTimestamps.set(function_call_id, Date.now());
-      console.log(
-        `✅ TRACKING: Added function call ID ${function_call_id} to processed set`
-      );
-      console.log(
-        `✅ TRACKING: Updated processed calls:`,
-        Array.from(processedFunctionCalls)
+      logger.debug(
+        `✅ TRACKING: Marked function call ID ${function_call_id} as processed`
       );
     }
 
@@ -341,26 +507,12 @@ export async function handleFunctionCall(
 
       // CRITICAL: We need a date to proceed with any booking-related function
       if (!date) {
-        console.error(
+        logger.error(
           `❌ FUNCTION_CALL_BLOCKED: No date provided for ${function_name}`
         );
-        const errorResponse = {
-          type: "FunctionCallResponse",
-          id: function_call_id,
-          name: function_name,
-          content: JSON.stringify({
-            error: "Please specify a date for your appointment.",
-          }),
-        };
-
-        try {
-          if (deepgramWs && deepgramWs.readyState === WebSocket.OPEN) {
-            deepgramWs.send(JSON.stringify(errorResponse));
-            console.log("✅ Validation error response sent to Deepgram");
-          }
-        } catch (sendError) {
-          console.error("❌ Error sending validation response:", sendError);
-        }
+        blockFunctionCall({
+          error: "Please specify a date for your appointment.",
+        });
         return;
       }
 
@@ -374,10 +526,10 @@ export async function handleFunctionCall(
       const currentTime = ukNow.toTimeString().slice(0, 5); // HH:MM format
       const currentDate = ukNow.toISOString().split("T")[0]; // YYYY-MM-DD format
 
-      console.log(
+      logger.info(
         `🕐 Current UK time: ${currentTime}, Current date: ${currentDate}`
       );
-      console.log(
+      logger.info(
         `📅 Validating request for date: ${date}, time: ${
           time || "not specified"
         }`
@@ -388,49 +540,21 @@ export async function handleFunctionCall(
       try {
         requestedDate = parseISODate(date);
       } catch (error) {
-        console.error(`❌ FUNCTION_CALL_BLOCKED: Invalid date format: ${date}`);
-        const errorResponse = {
-          type: "FunctionCallResponse",
-          id: function_call_id,
-          name: function_name,
-          content: JSON.stringify({
-            error:
-              "Please provide a valid date format (e.g., 2024-01-15 or today).",
-          }),
-        };
-
-        try {
-          if (deepgramWs && deepgramWs.readyState === WebSocket.OPEN) {
-            deepgramWs.send(JSON.stringify(errorResponse));
-            console.log("✅ Validation error response sent to Deepgram");
-          }
-        } catch (sendError) {
-          console.error("❌ Error sending validation response:", sendError);
-        }
+        logger.error(`❌ FUNCTION_CALL_BLOCKED: Invalid date format: ${date}`);
+        blockFunctionCall({
+          error:
+            "Please provide a valid date format (e.g., 2024-01-15 or today).",
+        });
         return;
       }
 
       // Check if the requested date is in the past
       const requestedDateStr = requestedDate.toISOString().split("T")[0];
       if (requestedDateStr < currentDate) {
-        console.error(`❌ FUNCTION_CALL_BLOCKED: Date ${date} is in the past`);
-        const errorResponse = {
-          type: "FunctionCallResponse",
-          id: function_call_id,
-          name: function_name,
-          content: JSON.stringify({
-            error: `Sorry, I cannot book appointments for past dates. Today is ${currentDate}. Please choose today or a future date.`,
-          }),
-        };
-
-        try {
-          if (deepgramWs && deepgramWs.readyState === WebSocket.OPEN) {
-            deepgramWs.send(JSON.stringify(errorResponse));
-            console.log("✅ Validation error response sent to Deepgram");
-          }
-        } catch (sendError) {
-          console.error("❌ Error sending validation response:", sendError);
-        }
+        logger.error(`❌ FUNCTION_CALL_BLOCKED: Date ${date} is in the past`);
+        blockFunctionCall({
+          error: `Sorry, I cannot book appointments for past dates. Today is ${currentDate}. Please choose today or a future date.`,
+        });
         return;
       }
 
@@ -445,24 +569,10 @@ export async function handleFunctionCall(
         !businessHoursCheck.isWithin &&
         businessHoursCheck.message.includes("closed")
       ) {
-        console.error(`❌ FUNCTION_CALL_BLOCKED: Business closed on ${date}`);
-        const errorResponse = {
-          type: "FunctionCallResponse",
-          id: function_call_id,
-          name: function_name,
-          content: JSON.stringify({
-            error: `Sorry, we are closed on that day. ${businessHoursCheck.message}`,
-          }),
-        };
-
-        try {
-          if (deepgramWs && deepgramWs.readyState === WebSocket.OPEN) {
-            deepgramWs.send(JSON.stringify(errorResponse));
-            console.log("✅ Validation error response sent to Deepgram");
-          }
-        } catch (sendError) {
-          console.error("❌ Error sending validation response:", sendError);
-        }
+        logger.error(`❌ FUNCTION_CALL_BLOCKED: Business closed on ${date}`);
+        blockFunctionCall({
+          error: `Sorry, we are closed on that day. ${businessHoursCheck.message}`,
+        });
         return;
       }
 
@@ -485,24 +595,10 @@ export async function handleFunctionCall(
         );
 
         if (pastCheck.isPast) {
-          console.error(`❌ FUNCTION_CALL_BLOCKED: ${pastCheck.message}`);
-          const errorResponse = {
-            type: "FunctionCallResponse",
-            id: function_call_id,
-            name: function_name,
-            content: JSON.stringify({
-              error: `Sorry, I cannot book appointments in the past. The current time is ${pastCheck.currentTime}. Please choose a future time.`,
-            }),
-          };
-
-          try {
-            if (deepgramWs && deepgramWs.readyState === WebSocket.OPEN) {
-              deepgramWs.send(JSON.stringify(errorResponse));
-              console.log("✅ Validation error response sent to Deepgram");
-            }
-          } catch (sendError) {
-            console.error("❌ Error sending validation response:", sendError);
-          }
+          logger.error(`❌ FUNCTION_CALL_BLOCKED: ${pastCheck.message}`);
+          blockFunctionCall({
+            error: `Sorry, I cannot book appointments in the past. The current time is ${pastCheck.currentTime}. Please choose a future time.`,
+          });
           return;
         }
 
@@ -514,31 +610,17 @@ export async function handleFunctionCall(
         );
 
         if (!timeBusinessHoursCheck.isWithin) {
-          console.error(
+          logger.error(
             `❌ FUNCTION_CALL_BLOCKED: ${timeBusinessHoursCheck.message}`
           );
-          const errorResponse = {
-            type: "FunctionCallResponse",
-            id: function_call_id,
-            name: function_name,
-            content: JSON.stringify({
-              error: `Sorry, I cannot book appointments outside business hours. ${timeBusinessHoursCheck.message}`,
-            }),
-          };
-
-          try {
-            if (deepgramWs && deepgramWs.readyState === WebSocket.OPEN) {
-              deepgramWs.send(JSON.stringify(errorResponse));
-              console.log("✅ Validation error response sent to Deepgram");
-            }
-          } catch (sendError) {
-            console.error("❌ Error sending validation response:", sendError);
-          }
+          blockFunctionCall({
+            error: `Sorry, I cannot book appointments outside business hours. ${timeBusinessHoursCheck.message}`,
+          });
           return;
         }
       }
 
-      console.log(
+      logger.info(
         `✅ FUNCTION_CALL_VALIDATION: ${function_name} passed all checks - proceeding with API call`
       );
     }
@@ -548,8 +630,8 @@ export async function handleFunctionCall(
 
     switch (function_name) {
       case "get_services":
-        console.log("🔧 Processing get_services function call");
-        console.log(
+        logger.info("🔧 Processing get_services function call");
+        logger.debug(
           "📊 Raw services from config:",
           businessConfig.services.length,
           "services found"
@@ -563,16 +645,16 @@ export async function handleFunctionCall(
           description: s.description,
         }));
 
-        console.log(
+        logger.debug(
           "📋 Mapped services result:",
           JSON.stringify(result, null, 2)
         );
-        console.log("✅ get_services processing complete");
+        logger.info("✅ get_services processing complete");
         break;
 
       case "get_staff_members":
-        console.log("👥 Processing get_staff_members function call");
-        console.log(
+        logger.info("👥 Processing get_staff_members function call");
+        logger.debug(
           "📊 Raw staff from config:",
           businessConfig.staffMembers?.length || 0,
           "staff members found"
@@ -585,8 +667,8 @@ export async function handleFunctionCall(
           working_hours: staff.working_hours,
         }));
 
-        console.log("👥 Mapped staff result:", JSON.stringify(result, null, 2));
-        console.log("✅ get_staff_members processing complete");
+        logger.debug("👥 Mapped staff result:", JSON.stringify(result, null, 2));
+        logger.info("✅ get_staff_members processing complete");
         break;
 
       case "get_available_slots":
@@ -594,7 +676,7 @@ export async function handleFunctionCall(
         break;
 
       case "list_current_bookings":
-        result = listCurrentBookings(callSid);
+        result = await listCurrentBookings(callSid);
         break;
 
       case "create_booking":
@@ -603,14 +685,53 @@ export async function handleFunctionCall(
 
       case "update_booking":
         result = await updateBooking(businessConfig, params, callSid);
+        if (result?.success) {
+          await recordReminderCallOutcome(callSid, REMINDER_STATUSES.RESCHEDULED);
+        }
         break;
 
       case "cancel_booking":
         result = await cancelBooking(businessConfig, params, callSid);
+        if (result?.success) {
+          await recordReminderCallOutcome(callSid, REMINDER_STATUSES.CANCELLED);
+        }
+        break;
+
+      case "take_message":
+        result = await takeMessage(businessConfig, params, callSid);
+        break;
+
+      case "request_callback":
+        result = await requestCallback(businessConfig, params, callSid);
         break;
 
+      case "set_call_language":
+        result = await switchCallLanguage(agent, businessConfig, params.language);
+        if (result.success && callSid) {
+          await setCallSession(callSid, { language: result.language });
+          if (!(await isSandboxCall(callSid))) {
+            await db.updateCallLanguage(callSid, result.language);
+            await db.updateCallAgentSettings(callSid, agent.agentSettings);
+          }
+        }
+        break;
+
+      case "confirm_appointment": {
+        const reminder = (await getCallSession(callSid)).reminder;
+        if (!reminder) {
+          result = { error: "There is no appointment reminder on this call" };
+          break;
+        }
+        await recordReminderCallOutcome(callSid, REMINDER_STATUSES.CONFIRMED);
+        result = {
+          success: true,
+          message: "The appointment is confirmed. Thank the customer and say goodbye.",
+        };
+        break;
+      }
+
       case "end_call":
-        result = await endCall(callSid, params, businessConfig);
+        result = await endCall(callSid, params);
         break;
 
       case "check_business_status":
@@ -619,7 +740,7 @@ export async function handleFunctionCall(
 
       case "get_current_time":
         try {
-          console.log("🕐 Getting current time");
+          logger.info("🕐 Getting current time");
           const now = new Date();
           const ukTime = new Date(
             now.toLocaleString("en-US", { timeZone: UK_TIMEZONE })
@@ -632,7 +753,7 @@ export async function handleFunctionCall(
             hour12: true,
           });
 
-          console.log(
+          logger.info(
             `✅ Current UK time: ${currentTime24} (${currentTime12})`
           );
           result = {
@@ -643,7 +764,7 @@ export async function handleFunctionCall(
             formatted: `It is currently ${currentTime12} UK time`,
           };
         } catch (error) {
-          console.error("❌ Error getting current time:", error);
+          logger.error("❌ Error getting current time:", error);
           result = {
             error: "Unable to get current time",
             details: error.message,
@@ -657,17 +778,17 @@ export async function handleFunctionCall(
           const functionParams = params || functionCallData.parameters || {};
           const dateValue = functionParams.date;
 
-          console.log(
+          logger.debug(
             "📅 Function call data:",
             JSON.stringify(functionCallData, null, 2)
           );
-          console.log(
+          logger.debug(
             "📅 Extracted params:",
             JSON.stringify(functionParams, null, 2)
           );
-          console.log("📅 Getting day of week for:", dateValue);
-          console.log("📅 Date type:", typeof dateValue);
-          console.log("📅 Date value:", JSON.stringify(dateValue));
+          logger.info("📅 Getting day of week for:", dateValue);
+          logger.debug("📅 Date type:", typeof dateValue);
+          logger.debug("📅 Date value:", JSON.stringify(dateValue));
 
           if (!dateValue) {
             result = {
@@ -686,18 +807,18 @@ export async function handleFunctionCall(
           try {
             // First try UK format (DD/MM/YYYY)
             parsedDate = parseUKDate(dateValue);
-            console.log("📅 Parsed date successfully (UK format):", parsedDate);
+            logger.info("📅 Parsed date successfully (UK format):", parsedDate);
           } catch (ukError) {
-            console.log("📅 UK format failed, trying ISO format (YYYY-MM-DD)...");
+            logger.info("📅 UK format failed, trying ISO format (YYYY-MM-DD)...");
             // If UK format fails, try ISO format (YYYY-MM-DD)
             parsedDate = parseISODate(dateValue);
-            console.log("📅 Parsed date successfully (ISO format):", parsedDate);
+            logger.info("📅 Parsed date successfully (ISO format):", parsedDate);
           }
 
           const dayName = getDayOfWeekName(parsedDate);
           const dayNumber = getDayOfWeekNumber(parsedDate);
 
-          console.log(`✅ ${dateValue} is a ${dayName}`);
+          logger.info(`✅ ${dateValue} is a ${dayName}`);
           result = {
             date: dateValue,
             day_of_week: dayName,
@@ -709,12 +830,12 @@ export async function handleFunctionCall(
             })}`,
           };
         } catch (error) {
-          console.error("❌ Error getting day of week:", error);
-          console.error("❌ Error details:", error.message);
-          console.error("❌ Error stack:", error.stack);
+          logger.error("❌ Error getting day of week:", error);
+          logger.error("❌ Error details:", error.message);
+          logger.error("❌ Error stack:", error.stack);
 
           // Try alternative parsing approaches
-          console.log("🔄 Attempting alternative date parsing...");
+          logger.info("🔄 Attempting alternative date parsing...");
           try {
             const functionParams = params || functionCallData.parameters || {};
             const dateValue = functionParams.date;
@@ -727,8 +848,8 @@ export async function handleFunctionCall(
 
             // Try direct Date parsing
             const directParse = new Date(dateValue);
-            console.log("📅 Direct Date() parsing result:", directParse);
-            console.log(
+            logger.info("📅 Direct Date() parsing result:", directParse);
+            logger.info(
               "📅 Direct Date() is valid:",
               !isNaN(directParse.getTime())
             );
@@ -740,8 +861,8 @@ export async function handleFunctionCall(
               const month = parseInt(parts[1], 10) - 1; // Month is 0-indexed
               const year = parseInt(parts[2], 10);
               const manualDate = new Date(year, month, day);
-              console.log("📅 Manual parsing result:", manualDate);
-              console.log(
+              logger.info("📅 Manual parsing result:", manualDate);
+              logger.info(
                 "📅 Manual parsing is valid:",
                 !isNaN(manualDate.getTime())
               );
@@ -749,7 +870,7 @@ export async function handleFunctionCall(
               if (!isNaN(manualDate.getTime())) {
                 const dayName = getDayOfWeekName(manualDate);
                 const dayNumber = getDayOfWeekNumber(manualDate);
-                console.log(
+                logger.info(
                   `✅ Manual parsing success: ${dateValue} is a ${dayName}`
                 );
                 result = {
@@ -769,7 +890,7 @@ export async function handleFunctionCall(
               }
             }
           } catch (altError) {
-            console.error("❌ Alternative parsing also failed:", altError);
+            logger.error("❌ Alternative parsing also failed:", altError);
           }
 
           const functionParams = params || functionCallData.parameters || {};
@@ -790,9 +911,9 @@ export async function handleFunctionCall(
         break;
 
       case "select_booking":
-        console.log("🎯 Processing select_booking function call");
+        logger.info("🎯 Processing select_booking function call");
         try {
-          const session = getCallSession(callSid);
+          const session = await getCallSession(callSid);
 
           if (
             !session ||
@@ -855,8 +976,7 @@ export async function handleFunctionCall(
 
           if (selectedBooking) {
             // Store the selected booking details in session
-            setCallSession(callSid, {
-              ...session,
+            await setCallSession(callSid, {
               currentDate: selectedBooking.appointment_date,
               currentTime: selectedBooking.start_time,
               currentServiceName: selectedBooking.service_name,
@@ -897,7 +1017,7 @@ export async function handleFunctionCall(
             };
           }
         } catch (error) {
-          console.error("❌ Error in select_booking:", error);
+          logger.error("❌ Error in select_booking:", error);
           result = { error: "Failed to select booking" };
         }
         break;
@@ -907,9 +1027,9 @@ export async function handleFunctionCall(
         break;
 
       case "lookup_customer":
-        console.log("🔍 Processing lookup_customer function call");
+        logger.info("🔍 Processing lookup_customer function call");
         try {
-          const session = getCallSession(callSid);
+          const session = await getCallSession(callSid);
           const phoneToUse = callerPhone || session.callerPhone;
 
           if (!phoneToUse) {
@@ -964,7 +1084,7 @@ export async function handleFunctionCall(
             };
           }
         } catch (error) {
-          console.error("❌ Error in lookup_customer:", error);
+          logger.error("❌ Error in lookup_customer:", error);
           result = { error: "Failed to lookup customer bookings" };
         }
         break;
@@ -973,50 +1093,26 @@ export async function handleFunctionCall(
         result = { error: "Unknown function" };
     }
 
-    // Send response back to Deepgram
-    const response = {
-      type: "FunctionCallResponse",
-      id: functionCallData.function_call_id,
-      name: function_name,
-      content: JSON.stringify(result), // Deepgram expects content as string
-    };
-
-    console.log(`✅ Sending ${function_name} response to Deepgram`);
-    // Reduced logging for better performance
-
-    try {
-      if (deepgramWs && deepgramWs.readyState === WebSocket.OPEN) {
-        deepgramWs.send(JSON.stringify(response));
-        console.log("✅ Function response sent successfully to Deepgram");
-        console.log("🔄 Waiting for Deepgram to process the response...");
+    observeFunctionCall(
+      function_name,
+      Date.now() - functionStartedAt,
+      result?.error || result?.success === false ? "error" : "success"
+    );
 
-        // Add a small delay to ensure Deepgram processes the response before any KeepAlive
-        await new Promise((resolve) => setTimeout(resolve, 1000));
-      } else {
-        console.error(
-          "❌ Cannot send function response - Deepgram connection not open"
-        );
-        console.error("   - WebSocket exists:", !!deepgramWs);
-        console.error("   - ReadyState:", deepgramWs?.readyState);
-        throw new Error("Deepgram connection not available");
-      }
-    } catch (sendError) {
-      console.error("❌ Error sending response to Deepgram:", sendError);
-      // Don't throw the error to prevent connection closure
-      console.error("🔧 Continuing despite send error to maintain connection");
-    }
+    // Send response back to the agent
+    sendFunctionResult(agent, functionCallData, result);
   } catch (error) {
-    console.error("Error handling function call:", error);
+    logger.error("Error handling function call:", error);
+    observeFunctionCall(
+      functionCallData?.function_name,
+      Date.now() - functionStartedAt,
+      "error"
+    );
 
     // Send error response
-    const errorResponse = {
-      type: "FunctionCallResponse",
-      id: functionCallData.function_call_id,
-      name: functionCallData.function_name,
-      content: JSON.stringify({ error: "Function execution failed" }),
-    };
-
-    deepgramWs.send(JSON.stringify(errorResponse));
+    sendFunctionResult(agent, functionCallData, {
+      error: "Function execution failed",
+    });
   }
 }
 
@@ -1032,7 +1128,7 @@ export async function getAvailableSlots(
   callSid = null
 ) {
   const timestamp = getShortTimestamp();
-  console.log(
+  logger.info(
     `[${timestamp}] 🗓️ GET_SLOTS: ${params.date} service:${params.service_id}`
   );
 
@@ -1054,15 +1150,15 @@ export async function getAvailableSlots(
       );
 
       if (!businessHoursCheck.isWithin) {
-        console.log(`📅 Business closed: ${businessHoursCheck.message}`);
+        logger.info(`📅 Business closed: ${businessHoursCheck.message}`);
         return {
           slots: [],
           message: businessHoursCheck.message,
         };
       }
-      console.log(`📅 Business open on ${getDayOfWeekName(parsedDate)}`);
+      logger.info(`📅 Business open on ${getDayOfWeekName(parsedDate)}`);
     } catch (error) {
-      console.error("Error checking business hours:", error);
+      logger.error("Error checking business hours:", error);
       // Continue with normal flow if error
     }
 
@@ -1081,14 +1177,14 @@ export async function getAvailableSlots(
         );
         if (service) {
           serviceId = service.id; // Use the actual UUID
-          console.log(
+          logger.info(
             `📋 Found service by name '${service_id}' -> ID: ${serviceId}`
           );
         }
       }
 
       if (service) {
-        console.log(
+        logger.info(
           "📋 Using service:",
           service.name,
           "(Duration:",
@@ -1096,8 +1192,8 @@ export async function getAvailableSlots(
           "minutes)"
         );
       } else {
-        console.error("❌ Service not found with ID/Name:", serviceId);
-        console.error(
+        logger.error("❌ Service not found with ID/Name:", serviceId);
+        logger.error(
           "📋 Available services:",
           businessConfig.services.map((s) => `${s.name} (${s.id})`)
         );
@@ -1111,7 +1207,7 @@ export async function getAvailableSlots(
       // Use first available service as default
       service = businessConfig.services[0];
       serviceId = service.id;
-      console.log(
+      logger.info(
         "📋 Using default service:",
         service.name,
         "(Duration:",
@@ -1119,7 +1215,7 @@ export async function getAvailableSlots(
         "minutes)"
       );
     } else {
-      console.error("❌ No services available");
+      logger.error("❌ No services available");
       return { error: "No services available" };
     }
 
@@ -1127,10 +1223,10 @@ export async function getAvailableSlots(
     let apiUrl = `${config.nextjs.siteUrl}/api/calendar/availability?businessId=${businessConfig.business.id}&serviceId=${serviceId}&date=${date}`;
 
     // Add customer context if available (for update scenarios)
-    const session = callSid ? getCallSession(callSid) : null;
+    const session = callSid ? await getCallSession(callSid) : null;
     if (session?.callerPhone) {
       apiUrl += `&customerPhone=${encodeURIComponent(session.callerPhone)}`;
-      console.log(
+      logger.info(
         `🔍 Including customer context for availability check: ${session.callerPhone}`
       );
     }
@@ -1146,20 +1242,20 @@ export async function getAvailableSlots(
     });
 
     const result = await response.json();
-    console.log(
+    logger.info(
       `[${timestamp}] 📡 API: ${response.status} - ${
         result.slots?.length || 0
       } slots`
     );
 
     if (!response.ok) {
-      console.error("❌ Calendar API error:", result);
+      logger.error("❌ Calendar API error:", result);
       return { error: result.error || "Failed to get available slots" };
     }
 
     // Extract just the time strings from the slots
     const availableTimes = result.slots?.map((slot) => slot.startTime) || [];
-    console.log("✅ Available time slots:", availableTimes);
+    logger.info("✅ Available time slots:", availableTimes);
 
     // Helper function to convert 24-hour to 12-hour format
     const convertTo12Hour = (time24) => {
@@ -1172,17 +1268,15 @@ export async function getAvailableSlots(
 
     // Create both 24-hour and 12-hour formats for AI processing
     const availableSlots12Hour = availableTimes.map(convertTo12Hour);
-    console.log("✅ Available slots (12-hour):", availableSlots12Hour);
+    logger.info("✅ Available slots (12-hour):", availableSlots12Hour);
 
     // Store the checked date in session for context awareness
     if (callSid && date) {
-      const session = getCallSession(callSid);
-      setCallSession(callSid, {
-        ...session,
+      await setCallSession(callSid, {
         lastCheckedDate: date,
         lastCheckedTimestamp: getShortTimestamp(),
       });
-      console.log(`📅 Stored checked date in session: ${date}`);
+      logger.info(`📅 Stored checked date in session: ${date}`);
     }
 
     return {
@@ -1194,7 +1288,7 @@ export async function getAvailableSlots(
       }, {}),
     };
   } catch (error) {
-    console.error("❌ Error getting available slots:", error);
+    logger.error("❌ Error getting available slots:", error);
     return { error: "Failed to get available slots" };
   }
 }
@@ -1208,19 +1302,19 @@ export async function getAvailableSlots(
 export async function createBooking(businessConfig, params, callSid = null) {
   try {
     const timestamp = getShortTimestamp();
-    console.log(
+    logger.info(
       `[${timestamp}] 📅 CREATE_BOOKING: ${params.customer_name} - ${params.service_id} on ${params.date} at ${params.time}`
     );
 
     const { customer_name, service_id, date, time, customer_phone } = params;
 
     // Get caller phone from session if not provided in params
-    const session = getCallSession(callSid);
+    const session = await getCallSession(callSid);
     const phoneToUse = customer_phone || session.callerPhone;
 
     // Validate required parameters
     if (!customer_name || !service_id || !date || !time) {
-      console.error("❌ Missing required booking parameters:", {
+      logger.error("❌ Missing required booking parameters:", {
         customer_name,
         service_id,
         date,
@@ -1245,10 +1339,10 @@ export async function createBooking(businessConfig, params, callSid = null) {
 
       if (existingBooking) {
         const timestamp = getShortTimestamp();
-        console.log(
+        logger.info(
           `[${timestamp}] ✅ DUPLICATE_BOOKING_IGNORED: Booking was already confirmed in this session.`
         );
-        console.log(`📋 Existing booking details:`, {
+        logger.info(`📋 Existing booking details:`, {
           customer: existingBooking.customerName,
           service: existingBooking.serviceName,
           date: existingBooking.date,
@@ -1274,14 +1368,14 @@ export async function createBooking(businessConfig, params, callSid = null) {
         (s) => s.name.toLowerCase() === service_id.toLowerCase()
       );
       if (service) {
-        console.log(
+        logger.info(
           `📋 Booking - Found service by name '${service_id}' -> ID: ${service.id}`
         );
       }
     }
     if (!service) {
-      console.error("❌ Service not found. Service ID/Name:", service_id);
-      console.error(
+      logger.error("❌ Service not found. Service ID/Name:", service_id);
+      logger.error(
         "📋 Available services:",
         businessConfig.services.map((s) => `${s.id}: ${s.name}`)
       );
@@ -1291,20 +1385,17 @@ export async function createBooking(businessConfig, params, callSid = null) {
           .join(", ")}`,
       };
     }
-    console.log(
+    logger.info(
       "✅ Booking - Service found:",
       service.name,
       "(ID:",
       service.id,
       ")"
     );
-    console.log(`🔍 DEBUG: Complete service object:`, JSON.stringify(service, null, 2));
+    logger.debug(`🔍 DEBUG: Complete service object:`, JSON.stringify(service, null, 2));
 
     // Store customer info in session for future use
     if (callSid && customer_name) {
-      const session = getCallSession(callSid);
-      const bookings = session.bookings || [];
-
       // Add this booking to the list (will be updated with appointment ID later)
       const newBooking = {
         bookingReference: generateBookingReference(),
@@ -1318,24 +1409,23 @@ export async function createBooking(businessConfig, params, callSid = null) {
         type: "create",
       };
 
-      bookings.push(newBooking);
-
-      setCallSession(callSid, {
+      await updateCallSession(callSid, (session) => ({
+        ...session,
         customerName: customer_name,
         lastBookingDate: date,
         lastBookingTime: time,
         lastServiceId: service_id,
         lastServiceName: service.name,
         lastServiceDuration: service.duration_minutes,
-        bookings: bookings,
-      });
+        bookings: [...(session.bookings || []), newBooking],
+      }));
     }
 
     // Calculate start and end times with proper UK timezone handling
     const business = businessConfig.business;
     const businessTimezone = business.timezone || UK_TIMEZONE;
 
-    console.log(
+    logger.info(
       `🕐 Creating appointment for ${date} at ${time} in timezone: ${businessTimezone}`
     );
 
@@ -1356,11 +1446,11 @@ export async function createBooking(businessConfig, params, callSid = null) {
 
       // Verify the day of the week is correct
       const dayOfWeek = getDayOfWeekName(parsedDate);
-      console.log(
+      logger.info(
         `📅 Parsed date: ${formatISODate(parsedDate)} (${dayOfWeek})`
       );
     } catch (error) {
-      console.error(`❌ Date/time parsing error:`, error.message);
+      logger.error(`❌ Date/time parsing error:`, error.message);
       return { error: `Invalid date or time format: ${error.message}` };
     }
 
@@ -1374,16 +1464,16 @@ export async function createBooking(businessConfig, params, callSid = null) {
         : time;
 
     // Calculate end time by adding service duration
-    console.log(`🔍 DEBUG: Service duration_minutes = ${service.duration_minutes} (type: ${typeof service.duration_minutes})`);
+    logger.debug(`🔍 DEBUG: Service duration_minutes = ${service.duration_minutes} (type: ${typeof service.duration_minutes})`);
     const [hours, minutes] = timeIn24h.split(":").map(Number);
-    console.log(`🔍 DEBUG: Parsed time - hours: ${hours}, minutes: ${minutes}`);
+    logger.debug(`🔍 DEBUG: Parsed time - hours: ${hours}, minutes: ${minutes}`);
     const startMinutes = hours * 60 + minutes;
-    console.log(`🔍 DEBUG: Start minutes: ${startMinutes}`);
+    logger.debug(`🔍 DEBUG: Start minutes: ${startMinutes}`);
     const endMinutes = startMinutes + service.duration_minutes;
-    console.log(`🔍 DEBUG: End minutes: ${endMinutes} (${startMinutes} + ${service.duration_minutes})`);
+    logger.debug(`🔍 DEBUG: End minutes: ${endMinutes} (${startMinutes} + ${service.duration_minutes})`);
     const endHours = Math.floor(endMinutes / 60);
     const endMins = endMinutes % 60;
-    console.log(`🔍 DEBUG: End time calculation - hours: ${endHours}, mins: ${endMins}`);
+    logger.debug(`🔍 DEBUG: End time calculation - hours: ${endHours}, mins: ${endMins}`);
     const endTimeIn24h = `${endHours.toString().padStart(2, "0")}:${endMins
       .toString()
       .padStart(2, "0")}`;
@@ -1392,15 +1482,15 @@ export async function createBooking(businessConfig, params, callSid = null) {
     const startTime = timeIn24h;
     const endTimeString = endTimeIn24h;
 
-    console.log(`🕐 Appointment datetime (UK local): ${startTime}`);
-    console.log(`🕐 Business timezone: ${businessTimezone}`);
-    console.log(`🕐 Start time: ${startTime}`);
-    console.log(`🕐 End time: ${endTimeString}`);
-    console.log(`📅 Day of week: ${getDayOfWeekName(parsedDate)}`);
+    logger.info(`🕐 Appointment datetime (UK local): ${startTime}`);
+    logger.info(`🕐 Business timezone: ${businessTimezone}`);
+    logger.info(`🕐 Start time: ${startTime}`);
+    logger.info(`🕐 End time: ${endTimeString}`);
+    logger.info(`📅 Day of week: ${getDayOfWeekName(parsedDate)}`);
 
     // ATOMIC BOOKING: Let the booking API handle availability checking
     // This eliminates the false "unavailable" errors caused by redundant checks
-    console.log("🔄 Proceeding with atomic booking (availability verified by booking API)...");
+    logger.info("🔄 Proceeding with atomic booking (availability verified by booking API)...");
 
     // Prepare booking data for the Next.js API
     const bookingData = {
@@ -1418,79 +1508,97 @@ export async function createBooking(businessConfig, params, callSid = null) {
       sessionId: callSid, // Pass session ID for filler phrase generation
     };
 
-    console.log("📞 Calling internal Next.js booking API...");
-    console.log(
+    logger.info("📞 Calling internal Next.js booking API...");
+    logger.info(
       "🔗 API URL:",
       `${config.nextjs.siteUrl || "http://localhost:3000"}/api/internal/booking`
     );
-    console.log("📦 Booking data:", JSON.stringify(bookingData, null, 2));
+    logger.debug("📦 Booking data:", JSON.stringify(bookingData, null, 2));
 
     // Call the internal Next.js booking API endpoint
     const baseUrl = config.nextjs.siteUrl || "http://localhost:3000";
-    const response = await fetch(`${baseUrl}/api/internal/booking`, {
-      method: "POST",
-      headers: {
-        "Content-Type": "application/json",
-        "x-internal-secret": config.nextjs.internalApiSecret,
-      },
-      body: JSON.stringify(bookingData),
-    });
+    const response = await isSandboxCall(callSid)
+      ? sandboxApiResponse({
+          appointmentId: `sandbox-${Date.now()}`,
+          calendarEventId: null,
+        })
+      : await fetch(`${baseUrl}/api/internal/booking`, {
+          method: "POST",
+          headers: {
+            "Content-Type": "application/json",
+            "x-internal-secret": config.nextjs.internalApiSecret,
+          },
+          body: JSON.stringify(bookingData),
+        });
 
-    console.log(
+    logger.info(
       "📡 API Response status:",
       response.status,
       response.statusText
     );
 
     const result = await response.json();
-    console.log("📋 API Response body:", JSON.stringify(result, null, 2));
+    logger.debug("📋 API Response body:", JSON.stringify(result, null, 2));
 
     if (!response.ok) {
-      console.error("❌ Booking API error:", result);
+      logger.error("❌ Booking API error:", result);
       return { error: result.error || "Failed to create booking" };
     }
 
-    console.log(
+    logger.info(
       "✅ Appointment created successfully via API:",
       result.appointmentId
     );
-    console.log("📅 Calendar event ID:", result.calendarEventId || "None");
+    logger.info("📅 Calendar event ID:", result.calendarEventId || "None");
 
     // Update call log with customer name if we have a call SID
     try {
-      if (callSid && customer_name) {
-        console.log(
+      if (callSid && customer_name && !(await isSandboxCall(callSid))) {
+        logger.info(
           `📞 Updating call log with customer name: ${customer_name}`
         );
         await db.updateCallCustomer(callSid, customer_name);
-        console.log(`✅ Call log updated with customer name: ${callSid}`);
+        logger.info(`✅ Call log updated with customer name: ${callSid}`);
       }
     } catch (error) {
-      console.error("❌ Failed to update call log with customer name:", error);
+      logger.error("❌ Failed to update call log with customer name:", error);
       // Don't fail the booking if call logging fails
     }
 
     // Store appointment ID in session for SMS confirmation
     if (callSid && result.appointmentId) {
-      const session = getCallSession(callSid);
-      const bookings = session.bookings || [];
-
-      // Update the most recent booking with the appointment ID
-      if (bookings.length > 0) {
-        const lastBooking = bookings[bookings.length - 1];
-        if (lastBooking.appointmentId === null) {
-          lastBooking.appointmentId = result.appointmentId;
+      await updateCallSession(callSid, (session) => {
+        const bookings = session.bookings || [];
+
+        // Update the most recent booking with the appointment ID
+        if (bookings.length > 0) {
+          const lastBooking = bookings[bookings.length - 1];
+          if (lastBooking.appointmentId === null) {
+            lastBooking.appointmentId = result.appointmentId;
+          }
         }
-      }
 
-      setCallSession(callSid, {
-        lastAppointmentId: result.appointmentId,
-        lastServiceDuration: service.duration_minutes,
-        bookings: bookings,
+        return {
+          ...session,
+          lastAppointmentId: result.appointmentId,
+          lastServiceDuration: service.duration_minutes,
+          bookings: bookings,
+        };
       });
-      console.log(
+      logger.info(
         `📋 Stored appointment ID in session: ${result.appointmentId}`
       );
+
+      await queueBookingConfirmation(callSid, {
+        businessId: business.id,
+        appointmentId: result.appointmentId,
+        customerPhone: phoneToUse,
+        customerName: customer_name,
+        serviceName: service.name,
+        date,
+        time,
+        durationMinutes: service.duration_minutes,
+      });
     }
 
     const successMessage = `✅ BOOKING CONFIRMED: Appointment successfully booked for ${customer_name} on ${date} at ${time} for ${service.name}. Your appointment is confirmed and secured.`;
@@ -1505,7 +1613,7 @@ export async function createBooking(businessConfig, params, callSid = null) {
       message: successMessage + calendarNote,
     };
   } catch (error) {
-    console.error("Error in createBooking:", error);
+    logger.error("Error in createBooking:", error);
     return { error: "Booking failed" };
   }
 }
@@ -1519,7 +1627,7 @@ export async function createBooking(businessConfig, params, callSid = null) {
 export async function updateBooking(businessConfig, params, callSid = null) {
   try {
     const timestamp = getShortTimestamp();
-    console.log(
+    logger.info(
       `[${timestamp}] 📝 UPDATE_BOOKING: Booking reference ${
         params.booking_reference || "not specified"
       }`
@@ -1539,13 +1647,13 @@ export async function updateBooking(businessConfig, params, callSid = null) {
     const business = businessConfig.business;
 
     if (!isGoogleCalendarConnected(businessConfig)) {
-      console.error("❌ No Google Calendar connected for business");
+      logger.error("❌ No Google Calendar connected for business");
       return { error: "Calendar not connected" };
     }
 
     // Get session data to find the specific booking
-    const session = getCallSession(callSid);
-    console.log("📋 Session data:", session);
+    const session = await getCallSession(callSid);
+    logger.debug("📋 Session data:", session);
 
     // CRITICAL: Use booking reference to identify the exact booking
     let targetBooking = null;
@@ -1558,7 +1666,7 @@ export async function updateBooking(businessConfig, params, callSid = null) {
       );
 
       if (!targetBooking) {
-        console.error(
+        logger.error(
           `❌ Booking reference ${booking_reference} not found in session`
         );
         return {
@@ -1567,7 +1675,7 @@ export async function updateBooking(businessConfig, params, callSid = null) {
       }
 
       if (!targetBooking.appointmentId) {
-        console.error(
+        logger.error(
           `❌ Booking reference ${booking_reference} has no appointment ID`
         );
         return {
@@ -1575,7 +1683,7 @@ export async function updateBooking(businessConfig, params, callSid = null) {
         };
       }
 
-      console.log("🎯 Found target booking by reference:", {
+      logger.info("🎯 Found target booking by reference:", {
         reference: targetBooking.bookingReference,
         appointmentId: targetBooking.appointmentId,
         service: targetBooking.serviceName,
@@ -1602,7 +1710,7 @@ export async function updateBooking(businessConfig, params, callSid = null) {
       );
 
       if (!targetBooking) {
-        console.error(
+        logger.error(
           `❌ No booking found for ${current_date} at ${current_time}`
         );
         return {
@@ -1610,7 +1718,7 @@ export async function updateBooking(businessConfig, params, callSid = null) {
         };
       }
 
-      console.log("🎯 Found target booking by date/time:", {
+      logger.info("🎯 Found target booking by date/time:", {
         reference: targetBooking.bookingReference,
         appointmentId: targetBooking.appointmentId,
         service: targetBooking.serviceName,
@@ -1626,7 +1734,7 @@ export async function updateBooking(businessConfig, params, callSid = null) {
 
     // If we still don't have current booking details, something went wrong
     if (!currentDateToUse || !currentTimeToUse) {
-      console.log(
+      logger.info(
         "❌ No target booking found - cannot update without booking reference"
       );
       return {
@@ -1637,7 +1745,7 @@ export async function updateBooking(businessConfig, params, callSid = null) {
       };
     }
 
-    console.log("🔄 Using customer info:", {
+    logger.info("🔄 Using customer info:", {
       customerName: customerNameToUse,
       currentDate: currentDateToUse,
       currentTime: currentTimeToUse,
@@ -1655,21 +1763,21 @@ export async function updateBooking(businessConfig, params, callSid = null) {
 
       // If they checked availability within the last 10 minutes and it's a different date
       if (timeDiffMinutes <= 10 && checkedDate !== currentDateToUse) {
-        console.log(
+        logger.info(
           `🎯 CONTEXT AWARENESS: User checked availability for ${checkedDate} ${timeDiffMinutes.toFixed(
             1
           )} minutes ago`
         );
-        console.log(
+        logger.info(
           `📅 Current booking date: ${currentDateToUse}, Checked date: ${checkedDate}`
         );
-        console.log(
+        logger.info(
           `💡 User likely wants to move to the checked date (${checkedDate}) at ${new_time}`
         );
 
         // Log this insight but don't automatically change the behavior
         // The AI should handle this based on the improved instructions
-        console.log(
+        logger.info(
           `🤖 AI should consider suggesting: new_date: "${checkedDate}", new_time: "${new_time}"`
         );
       }
@@ -1679,14 +1787,14 @@ export async function updateBooking(businessConfig, params, callSid = null) {
     const callerPhone = session?.callerPhone;
 
     if (!callerPhone) {
-      console.error("❌ No caller phone available for verification");
+      logger.error("❌ No caller phone available for verification");
       return { error: "Phone verification required for updates" };
     }
 
     // Enhanced phone verification message for different numbers
-    console.log(`📞 Caller phone: ${callerPhone}`);
-    console.log(`👤 Customer: ${customerNameToUse}`);
-    console.log(`📅 Booking: ${currentDateToUse} at ${currentTimeToUse}`);
+    logger.info(`📞 Caller phone: ${callerPhone}`);
+    logger.info(`👤 Customer: ${customerNameToUse}`);
+    logger.info(`📅 Booking: ${currentDateToUse} at ${currentTimeToUse}`);
 
     // Handle service lookup and validation if new_service_id is provided
     let validatedServiceId = new_service_id;
@@ -1703,14 +1811,14 @@ export async function updateBooking(businessConfig, params, callSid = null) {
         );
         if (serviceDetails) {
           validatedServiceId = serviceDetails.id; // Use the actual UUID
-          console.log(
+          logger.info(
             `📋 Found service by name '${new_service_id}' -> ID: ${validatedServiceId}`
           );
         }
       }
 
       if (serviceDetails) {
-        console.log(
+        logger.info(
           "📋 Updating to service:",
           serviceDetails.name,
           "(Duration:",
@@ -1718,8 +1826,8 @@ export async function updateBooking(businessConfig, params, callSid = null) {
           "minutes)"
         );
       } else {
-        console.error("❌ Service not found with ID/Name:", new_service_id);
-        console.error(
+        logger.error("❌ Service not found with ID/Name:", new_service_id);
+        logger.error(
           "📋 Available services:",
           businessConfig.services.map((s) => `${s.name} (${s.id})`)
         );
@@ -1747,20 +1855,17 @@ export async function updateBooking(businessConfig, params, callSid = null) {
     // For existing bookings, also include appointment_id for precise identification
     if (targetBooking.type === "existing" && targetBooking.originalBookingId) {
       requestBody.appointment_id = targetBooking.originalBookingId;
-      console.log(
+      logger.info(
         `🎯 Using appointment_id + date/time for existing booking: ${targetBooking.originalBookingId} (${currentDateToUse} at ${currentTimeToUse})`
       );
     } else {
-      console.log(
+      logger.info(
         `📅 Using date/time for session booking: ${currentDateToUse} at ${currentTimeToUse}`
       );
     }
 
     // Update session with new booking details if provided
     if (callSid && (new_date || new_time || validatedServiceId)) {
-      const session = getCallSession(callSid);
-      const bookings = session.bookings || [];
-
       // Add this update to the bookings array
       const updateBooking = {
         customerName: customerNameToUse,
@@ -1773,16 +1878,16 @@ export async function updateBooking(businessConfig, params, callSid = null) {
         type: "update",
       };
 
-      bookings.push(updateBooking);
-
-      const sessionUpdate = {
-        bookings: bookings,
-      };
+      const sessionUpdate = {};
       if (new_date) sessionUpdate.lastBookingDate = new_date;
       if (new_time) sessionUpdate.lastBookingTime = new_time;
       if (validatedServiceId) sessionUpdate.lastServiceId = validatedServiceId;
       if (serviceDetails?.name) sessionUpdate.lastServiceName = serviceDetails.name;
-      setCallSession(callSid, sessionUpdate);
+      await updateCallSession(callSid, (session) => ({
+        ...session,
+        ...sessionUpdate,
+        bookings: [...(session.bookings || []), updateBooking],
+      }));
     }
 
     // Only include new values if they are defined
@@ -1791,79 +1896,106 @@ export async function updateBooking(businessConfig, params, callSid = null) {
     if (validatedServiceId !== undefined)
       requestBody.new_service_id = validatedServiceId;
 
-    console.log(
+    logger.debug(
       "📦 Update request body:",
       JSON.stringify(requestBody, null, 2)
     );
 
 
     // Call the internal Next.js API to update the booking
-    const response = await fetch(
-      `${config.nextjs.siteUrl}/api/voice/update-booking`,
-      {
-        method: "POST",
-        headers: {
-          "Content-Type": "application/json",
-          "x-internal-secret": config.nextjs.internalApiSecret,
-        },
-        body: JSON.stringify(requestBody),
-      }
-    );
+    const response = await isSandboxCall(callSid)
+      ? sandboxApiResponse({
+          booking: {
+            id: targetBooking.originalBookingId || `sandbox-${Date.now()}`,
+            appointment_date: new_date || currentDateToUse,
+            start_time: new_time || currentTimeToUse,
+            service_name: serviceDetails?.name || targetBooking.serviceName,
+          },
+        })
+      : await fetch(`${config.nextjs.siteUrl}/api/voice/update-booking`, {
+          method: "POST",
+          headers: {
+            "Content-Type": "application/json",
+            "x-internal-secret": config.nextjs.internalApiSecret,
+          },
+          body: JSON.stringify(requestBody),
+        });
 
     if (!response.ok) {
       const errorText = await response.text();
-      console.error("❌ Update booking API error:", response.status, errorText);
+      logger.error("❌ Update booking API error:", response.status, errorText);
       return {
         error: `Failed to update booking: ${errorText}`,
       };
     }
 
     const result = await response.json();
-    console.log("✅ Booking updated successfully:", result);
+    logger.info("✅ Booking updated successfully:", result);
 
     // Update the booking in the session with final details
     if (callSid && result.booking) {
-      const session = getCallSession(callSid);
-      const bookings = session.bookings || [];
-
-      // Update the most recent update booking with final details
-      if (bookings.length > 0) {
-        const lastBooking = bookings[bookings.length - 1];
-        if (lastBooking.type === "update") {
-          lastBooking.finalDate = result.booking.appointment_date;
-          lastBooking.finalTime = result.booking.start_time;
-          lastBooking.appointmentId = result.booking.id;
-          lastBooking.serviceName = result.booking.service_name;
+      await updateCallSession(callSid, (session) => {
+        const bookings = session.bookings || [];
+
+        // Update the most recent update booking with final details
+        if (bookings.length > 0) {
+          const lastBooking = bookings[bookings.length - 1];
+          if (lastBooking.type === "update") {
+            lastBooking.finalDate = result.booking.appointment_date;
+            lastBooking.finalTime = result.booking.start_time;
+            lastBooking.appointmentId = result.booking.id;
+            lastBooking.serviceName = result.booking.service_name;
+          }
         }
-      }
 
-      // Mark any existing bookings with the same original date/time as updated
-      // This prevents the AI from trying to update the same booking again
-      for (const booking of bookings) {
-        if (
-          booking.type === "create" &&
-          booking.date === currentDateToUse &&
-          booking.time === currentTimeToUse
-        ) {
-          booking.updatedTo = {
-            date: result.booking.appointment_date,
-            time: result.booking.start_time,
-            appointmentId: result.booking.id,
-          };
-          console.log(`🔄 Marked original booking as updated:`, {
-            originalDate: booking.date,
-            originalTime: booking.time,
-            newDate: result.booking.appointment_date,
-            newTime: result.booking.start_time,
-          });
+        // Mark any existing bookings with the same original date/time as updated
+        // This prevents the AI from trying to update the same booking again
+        for (const booking of bookings) {
+          if (
+            booking.type === "create" &&
+            booking.date === currentDateToUse &&
+            booking.time === currentTimeToUse
+          ) {
+            booking.updatedTo = {
+              date: result.booking.appointment_date,
+              time: result.booking.start_time,
+              appointmentId: result.booking.id,
+            };
+            logger.info(`🔄 Marked original booking as updated:`, {
+              originalDate: booking.date,
+              originalTime: booking.time,
+              newDate: result.booking.appointment_date,
+              newTime: result.booking.start_time,
+            });
+          }
         }
-      }
 
-      setCallSession(callSid, { bookings: bookings });
+        return { ...session, bookings: bookings };
+      });
+
+      // A move can give the appointment a new ID - the old one's confirmation no longer applies
+      const previousAppointmentId =
+        targetBooking.appointmentId || targetBooking.originalBookingId;
+      if (previousAppointmentId && previousAppointmentId !== result.booking.id) {
+        await cancelBookingConfirmations(previousAppointmentId).catch((error) =>
+          logger.error("❌ Failed to cancel outdated SMS confirmation:", error)
+        );
+      }
+      await queueBookingConfirmation(callSid, {
+        businessId: business.id,
+        appointmentId: result.booking.id,
+        customerPhone: callerPhone,
+        customerName: customerNameToUse,
+        serviceName: result.booking.service_name || targetBooking.serviceName,
+        date: result.booking.appointment_date,
+        time: result.booking.start_time,
+        durationMinutes:
+          serviceDetails?.duration_minutes || targetBooking.serviceDuration,
+      });
     }
 
     // SMS will be sent at the end of the call, not immediately
-    console.log("📝 Updated booking will receive SMS confirmation at call end");
+    logger.info("📝 Updated booking will receive SMS confirmation at call end");
 
     return {
       success: true,
@@ -1871,7 +2003,7 @@ export async function updateBooking(businessConfig, params, callSid = null) {
       booking: result.booking,
     };
   } catch (error) {
-    console.error("❌ Error updating booking:", error);
+    logger.error("❌ Error updating booking:", error);
     return {
       error: `Failed to update booking: ${error.message}`,
     };
@@ -1887,7 +2019,7 @@ export async function updateBooking(businessConfig, params, callSid = null) {
 export async function cancelBooking(businessConfig, params, callSid = null) {
   try {
     const timestamp = getShortTimestamp();
-    console.log(
+    logger.info(
       `[${timestamp}] ❌ CANCEL_BOOKING: ${params.customer_name} - ${params.date} ${params.time}`
     );
 
@@ -1895,13 +2027,13 @@ export async function cancelBooking(businessConfig, params, callSid = null) {
     const business = businessConfig.business;
 
     if (!isGoogleCalendarConnected(businessConfig)) {
-      console.error("❌ No Google Calendar connected for business");
+      logger.error("❌ No Google Calendar connected for business");
       return { error: "Calendar not connected" };
     }
 
     // Get session data to fill in missing customer information
-    const session = getCallSession(callSid);
-    console.log("📋 Session data for cancellation:", session);
+    const session = await getCallSession(callSid);
+    logger.debug("📋 Session data for cancellation:", session);
 
     // Use session data as fallback for missing information
     const customerNameToUse = customer_name || session.customerName;
@@ -1909,24 +2041,32 @@ export async function cancelBooking(businessConfig, params, callSid = null) {
     const timeToUse = time || session.lastBookingTime;
     const callerPhone = session?.callerPhone;
 
-    console.log("🔄 Using booking info for cancellation:", {
+    logger.info("🔄 Using booking info for cancellation:", {
       customerName: customerNameToUse,
       date: dateToUse,
       time: timeToUse,
     });
 
     if (!callerPhone) {
-      console.error("❌ No caller phone available for verification");
+      logger.error("❌ No caller phone available for verification");
       return { error: "Phone verification required for cancellations" };
     }
 
     // Enhanced phone verification message for different numbers
-    console.log(`📞 Caller phone: ${callerPhone}`);
-    console.log(`👤 Customer: ${customerNameToUse}`);
-    console.log(`📅 Booking: ${dateToUse} at ${timeToUse}`);
+    logger.info(`📞 Caller phone: ${callerPhone}`);
+    logger.info(`👤 Customer: ${customerNameToUse}`);
+    logger.info(`📅 Booking: ${dateToUse} at ${timeToUse}`);
 
     // Call the internal Next.js API to cancel the booking
-    const response = await fetch(
+    const response = await isSandboxCall(callSid)
+      ? sandboxApiResponse({
+          booking: {
+            id: `sandbox-${Date.now()}`,
+            appointment_date: dateToUse,
+            start_time: timeToUse,
+          },
+        })
+      : await fetch(
       `${config.nextjs.siteUrl}/api/voice/cancel-booking`,
       {
         method: "POST",
@@ -1948,20 +2088,17 @@ export async function cancelBooking(businessConfig, params, callSid = null) {
 
     if (!response.ok) {
       const errorText = await response.text();
-      console.error("❌ Cancel booking API error:", response.status, errorText);
+      logger.error("❌ Cancel booking API error:", response.status, errorText);
       return {
         error: `Failed to cancel booking: ${errorText}`,
       };
     }
 
     const result = await response.json();
-    console.log("✅ Booking cancelled successfully:", result);
+    logger.info("✅ Booking cancelled successfully:", result);
 
     // Track the cancellation in the bookings array
     if (callSid) {
-      const session = getCallSession(callSid);
-      const bookings = session.bookings || [];
-
       const cancellation = {
         customerName: customerNameToUse,
         date: dateToUse,
@@ -1971,13 +2108,18 @@ export async function cancelBooking(businessConfig, params, callSid = null) {
         appointmentId: result.booking?.id,
       };
 
-      bookings.push(cancellation);
-
-      setCallSession(callSid, {
-        bookings: bookings,
-        bookingCancelled: true,
-      });
-      console.log("📝 Tracked cancellation in session - no SMS will be sent");
+      await updateCallSession(callSid, (session) => ({
+        ...session,
+        bookings: [...(session.bookings || []), cancellation],
+      }));
+      logger.info("📝 Tracked cancellation in session");
+
+      // The cancelled appointment must not get a confirmation text
+      if (result.booking?.id && !(await isSandboxCall(callSid))) {
+        await cancelBookingConfirmations(result.booking.id).catch((error) =>
+          logger.error("❌ Failed to cancel SMS confirmation:", error)
+        );
+      }
     }
 
     return {
@@ -1986,7 +2128,7 @@ export async function cancelBooking(businessConfig, params, callSid = null) {
       booking: result.booking,
     };
   } catch (error) {
-    console.error("❌ Error cancelling booking:", error);
+    logger.error("❌ Error cancelling booking:", error);
     return {
       error: `Failed to cancel booking: ${error.message}`,
     };
@@ -1995,371 +2137,212 @@ export async function cancelBooking(businessConfig, params, callSid = null) {
 
 /**
  * End the current Twilio call
+ * Several paths can ask for a hang-up (end_call, the farewell and silence detectors, the minute
+ * budget, a drain) - only the first one hangs up. SMS confirmations, the transcript and the
+ * session are handled by the call finalizer once the stream stops.
  * @param {string} callSid - The Twilio call SID to terminate
  * @param {Object} params - Parameters including reason for ending the call
- * @param {Object} businessConfig - The business configuration for SMS sending
  * @returns {Object} Result of call termination or error
  */
-export async function endCall(callSid, params, businessConfig = null) {
-  let smsSuccess = false; // Declare at function level to avoid scope issues
-
+export async function endCall(callSid, params) {
+  let claimedLifecycle = null;
   try {
-    console.log(
+    logger.debug(
       "📞 endCall called with params:",
       JSON.stringify(params, null, 2)
     );
-    console.log("📞 Call SID:", callSid);
+    logger.info("📞 Call SID:", callSid);
 
     const { reason } = params;
 
     if (!callSid) {
-      console.error("❌ No callSid available to end call");
+      logger.error("❌ No callSid available to end call");
       return { error: "Call ID not available" };
     }
 
-    // Get session data before clearing it
-    const session = getCallSession(callSid);
-    console.log("📋 Session data before ending call:", session);
-
-    // Send consolidated SMS with all bookings made during the call
-    if (
-      session.bookings &&
-      session.bookings.length > 0 &&
-      session.callerPhone &&
-      businessConfig &&
-      !session.bookingCancelled
-    ) {
-      try {
-        // Track booking evolution: group by appointment chains
-        const bookingChains = new Map(); // appointmentId -> array of booking states
-        const cancelledAppointments = new Set(); // Track cancelled appointment IDs
-        const finalBookings = [];
-
-        // First pass: track cancellations and group bookings by appointment ID
-        for (const booking of session.bookings) {
-          if (booking.type === "cancellation") {
-            // Track cancelled appointments
-            if (booking.appointmentId) {
-              cancelledAppointments.add(booking.appointmentId);
-              console.log(
-                `❌ Appointment ${booking.appointmentId} was cancelled - will not send SMS`
-              );
-            }
-            continue;
-          }
-
-          // Skip original bookings that have been moved (have updatedTo field)
-          if (booking.type === "create" && booking.updatedTo) {
-            console.log(
-              `🔄 Skipping original booking that was moved: ${booking.appointmentId} (${booking.date} at ${booking.time}) -> moved to (${booking.updatedTo.date} at ${booking.updatedTo.time})`
-            );
-            continue;
-          }
-
-          if (booking.type === "create" && booking.appointmentId) {
-            // New booking created
-            bookingChains.set(booking.appointmentId, [booking]);
-          } else if (booking.type === "update") {
-            // Find which appointment this update belongs to
-            let targetAppointmentId = booking.appointmentId;
-
-            // If no appointmentId, this is an intermediate update - find the target appointment
-            if (!targetAppointmentId) {
-              // Look for the most recent booking that could be updated
-              // Try to match by service first, then by most recent
-              let targetBooking = null;
-
-              // If the update specifies dates/times, try to match existing appointments
-              if (booking.currentDate && booking.currentTime) {
-                for (
-                  let i = session.bookings.indexOf(booking) - 1;
-                  i >= 0;
-                  i--
-                ) {
-                  const prevBooking = session.bookings[i];
-                  if (
-                    prevBooking.appointmentId &&
-                    prevBooking.type === "create" &&
-                    prevBooking.date === booking.currentDate &&
-                    prevBooking.time === booking.currentTime
-                  ) {
-                    targetBooking = prevBooking;
-                    break;
-                  }
-                }
-              }
-
-              // If no exact match, find the most recent create booking
-              if (!targetBooking) {
-                for (
-                  let i = session.bookings.indexOf(booking) - 1;
-                  i >= 0;
-                  i--
-                ) {
-                  const prevBooking = session.bookings[i];
-                  if (
-                    prevBooking.appointmentId &&
-                    prevBooking.type === "create"
-                  ) {
-                    targetBooking = prevBooking;
-                    break;
-                  }
-                }
-              }
-
-              if (targetBooking) {
-                targetAppointmentId = targetBooking.appointmentId;
-                console.log(
-                  `🔗 Linked update to appointment ${targetAppointmentId} based on context`
-                );
-              }
-            }
-
-            if (targetAppointmentId) {
-              if (!bookingChains.has(targetAppointmentId)) {
-                bookingChains.set(targetAppointmentId, []);
-              }
-              bookingChains.get(targetAppointmentId).push(booking);
-            } else {
-              console.warn(
-                "⚠️ Could not link update to any appointment:",
-                booking
-              );
-            }
-          }
-        }
-
-        // Second pass: determine final state for each booking chain
-        for (const [appointmentId, chain] of bookingChains) {
-          if (chain.length === 0) continue;
+    const activeCall = getActiveCall(callSid);
+    if (activeCall?.lifecycle && !activeCall.lifecycle.beginEnding(reason)) {
+      logger.info(`📞 Call ${callSid} is already ending - ignoring "${reason}"`);
+      return {
+        success: true,
+        call_ended: true,
+        callSid: callSid,
+        reason: activeCall.lifecycle.endReason,
+      };
+    }
+    claimedLifecycle = activeCall?.lifecycle || null;
 
-          // Skip cancelled appointments - they should not receive SMS confirmations
-          if (cancelledAppointments.has(appointmentId)) {
-            console.log(
-              `🚫 Skipping SMS for cancelled appointment ${appointmentId}`
-            );
-            continue;
-          }
+    // Test calls have no carrier call or customer to text - just close the browser stream
+    if ((await getCallSession(callSid)).sandbox) {
+      logger.info(`🧪 SANDBOX: Ending test call ${callSid} - ${reason}`);
+      activeCall?.hangUp?.();
+      return {
+        success: true,
+        sandbox: true,
+        message: "Test call ended. No SMS confirmations were sent.",
+      };
+    }
 
-          // Find the final state by looking at the last booking with complete info
-          let finalBooking = null;
-
-          // Start with the create booking
-          const createBooking = chain.find((b) => b.type === "create");
-          if (createBooking) {
-            finalBooking = {
-              appointmentId: createBooking.appointmentId,
-              serviceName: createBooking.serviceName,
-              date: createBooking.date,
-              time: createBooking.time,
-              type: "create",
-            };
-          }
+    // Initialize Twilio client
+    const twilio = (await import("twilio")).default(
+      config.twilio.accountSid,
+      config.twilio.authToken
+    );
 
-          // Apply updates in order
-          const updates = chain
-            .filter((b) => b.type === "update")
-            .sort((a, b) => {
-              // Sort by order in the bookings array (later updates override earlier ones)
-              return session.bookings.indexOf(a) - session.bookings.indexOf(b);
-            });
+    logger.info(`📞 Attempting to end call with SID: ${callSid}`);
+    logger.info(`📝 Reason: ${reason}`);
 
-          for (const update of updates) {
-            if (finalBooking) {
-              // Update the final booking with new information
-              if (update.finalDate) finalBooking.date = update.finalDate;
-              if (update.finalTime) finalBooking.time = update.finalTime;
-              if (update.newDate && !update.finalDate)
-                finalBooking.date = update.newDate;
-              if (update.newTime && !update.finalTime)
-                finalBooking.time = update.newTime;
-              if (update.serviceName)
-                finalBooking.serviceName = update.serviceName;
-              if (update.appointmentId)
-                finalBooking.appointmentId = update.appointmentId;
-
-              console.log(
-                `📝 Applied update to appointment ${appointmentId}:`,
-                {
-                  finalDate: update.finalDate,
-                  finalTime: update.finalTime,
-                  newDate: update.newDate,
-                  newTime: update.newTime,
-                  resultingDate: finalBooking.date,
-                  resultingTime: finalBooking.time,
-                }
-              );
-            } else if (updates.length > 0) {
-              // If there's no create booking but there are updates, create finalBooking from the first update
-              // This handles the case where we're updating an existing appointment that wasn't created in this call
-              const firstUpdate = updates[0];
-              finalBooking = {
-                appointmentId: firstUpdate.appointmentId,
-                serviceName: firstUpdate.serviceName,
-                date: firstUpdate.finalDate || firstUpdate.newDate,
-                time: firstUpdate.finalTime || firstUpdate.newTime,
-                type: "update",
-              };
+    // Update the call to completed status
+    const call = await twilio.calls(callSid).update({
+      status: "completed",
+    });
 
-              console.log(
-                `📝 Created finalBooking from update for existing appointment ${appointmentId}:`,
-                {
-                  date: finalBooking.date,
-                  time: finalBooking.time,
-                  serviceName: finalBooking.serviceName,
-                }
-              );
+    logger.info(`✅ Call ended successfully:`, call.status);
 
-              // Apply any remaining updates
-              for (let i = 1; i < updates.length; i++) {
-                const laterUpdate = updates[i];
-                if (laterUpdate.finalDate)
-                  finalBooking.date = laterUpdate.finalDate;
-                if (laterUpdate.finalTime)
-                  finalBooking.time = laterUpdate.finalTime;
-                if (laterUpdate.newDate && !laterUpdate.finalDate)
-                  finalBooking.date = laterUpdate.newDate;
-                if (laterUpdate.newTime && !laterUpdate.finalTime)
-                  finalBooking.time = laterUpdate.newTime;
-                if (laterUpdate.serviceName)
-                  finalBooking.serviceName = laterUpdate.serviceName;
-                if (laterUpdate.appointmentId)
-                  finalBooking.appointmentId = laterUpdate.appointmentId;
-              }
-              break; // Exit the loop since we've processed all updates
-            }
-          }
+    return {
+      success: true,
+      call_ended: true,
+      callSid: callSid,
+      status: call.status,
+      reason: reason,
+    };
+  } catch (error) {
+    logger.error("❌ Error ending call:", error);
+    // The call is still up, so a later hang-up (or the budget or silence timers) must be able to try
+    claimedLifecycle?.cancelEnding();
+    return { error: "Failed to end call" };
+  }
+}
 
-          if (finalBooking && finalBooking.appointmentId) {
-            finalBookings.push(finalBooking);
-          }
-        }
+// Urgency levels accepted by take_message
+const MESSAGE_URGENCIES = ["low", "normal", "urgent"];
 
-        if (finalBookings.length > 0) {
-          // Deduplicate final bookings by appointmentId and content
-          const uniqueBookings = [];
-          const seenAppointmentIds = new Set();
-          const seenContent = new Set();
-
-          for (const booking of finalBookings) {
-            const contentKey = `${booking.date}-${booking.time}-${booking.serviceName}`;
-
-            // Skip if we've already seen this appointmentId or exact content
-            if (
-              booking.appointmentId &&
-              seenAppointmentIds.has(booking.appointmentId)
-            ) {
-              console.log(
-                `🔄 Skipping duplicate appointmentId: ${booking.appointmentId}`
-              );
-              continue;
-            }
+/**
+ * Take a message for the business, save it against the call and text it to the team
+ * @param {Object} businessConfig - The business configuration
+ * @param {Object} params - caller_name, callback_number, urgency, message
+ * @param {string} callSid - The Twilio call SID
+ * @returns {Object} Result for the agent
+ */
+export async function takeMessage(businessConfig, params, callSid) {
+  try {
+    const { caller_name, callback_number, message } = params;
+    const urgency = MESSAGE_URGENCIES.includes(params.urgency)
+      ? params.urgency
+      : "normal";
+    const session = await getCallSession(callSid);
+    const callbackNumber = callback_number || session.callerPhone || null;
+
+    if (!message) {
+      return { error: "Please ask the caller what message they'd like to leave." };
+    }
 
-            if (seenContent.has(contentKey)) {
-              console.log(
-                `🔄 Skipping duplicate booking content: ${contentKey}`
-              );
-              continue;
-            }
+    logger.info(
+      `📝 MESSAGE: ${urgency} message from ${caller_name || "caller"} (${callbackNumber || "no number"})`
+    );
 
-            // Add to unique bookings
-            uniqueBookings.push(booking);
-            if (booking.appointmentId) {
-              seenAppointmentIds.add(booking.appointmentId);
-            }
-            seenContent.add(contentKey);
-          }
+    if (await isSandboxCall(callSid)) {
+      return {
+        success: true,
+        sandbox: true,
+        message: "This is a test call, so the message was not saved or sent.",
+      };
+    }
 
-          console.log(
-            "📱 Sending consolidated SMS confirmation for unique bookings:",
-            uniqueBookings.map(
-              (b) =>
-                `${b.appointmentId} (${b.serviceName} on ${b.date} at ${b.time})`
-            )
-          );
+    const saved = await db.createCallMessage({
+      business_id: businessConfig.business.id,
+      call_log_id: session.callLogId || null,
+      twilio_call_sid: callSid,
+      caller_name: caller_name || null,
+      callback_number: callbackNumber,
+      urgency,
+      message,
+    });
 
-          // Get customer name from session or fallback to first booking's customer name
-          const customerName =
-            session.customerName ||
-            (uniqueBookings.length > 0
-              ? uniqueBookings[0].customerName
-              : null) ||
-            "Valued Customer";
-
-          await sendConsolidatedSMSConfirmation(
-            {
-              businessId: businessConfig.business.id,
-              customerPhone: session.callerPhone,
-              customerName: customerName,
-              bookings: uniqueBookings,
-            },
-            businessConfig
-          );
-          console.log("✅ Consolidated SMS confirmation sent successfully");
+    if (caller_name && !session.customerName) {
+      await setCallSession(callSid, { customerName: caller_name });
+    }
 
-          // Mark SMS as sent in session to prevent duplicates
-          setCallSession(callSid, { smsConfirmationSent: true });
-          smsSuccess = true;
-        } else {
-          // No bookings to send SMS for, consider it successful
-          smsSuccess = true;
-        }
-      } catch (smsError) {
-        console.error(
-          "❌ Failed to send consolidated SMS confirmation:",
-          smsError
-        );
-        // Don't fail the call ending if SMS fails, but don't clear session yet
-        // This allows for potential retry in server.js disconnect handler
+    // The message is saved either way, so a failed text doesn't fail the function
+    const recipient = getNotificationPhone(businessConfig);
+    if (recipient) {
+      try {
+        await sendSMS({
+          businessId: businessConfig.business.id,
+          to: recipient,
+          message: `${urgency === "urgent" ? "URGENT message" : "Message"} from ${
+            caller_name || "a caller"
+          }${callbackNumber ? ` (${callbackNumber})` : ""}: "${message}"`,
+          type: "call_message",
+        });
+        await db.markCallMessageNotified(saved.id);
+      } catch (error) {
+        logger.error("❌ Failed to send message notification SMS:", error);
       }
-    } else if (session.bookingCancelled) {
-      console.log(
-        "🚫 Skipping SMS confirmation - booking was cancelled in this call"
-      );
-      smsSuccess = true; // No SMS needed for cancelled bookings
     } else {
-      // No bookings at all, consider SMS successful
-      smsSuccess = true;
+      logger.warn(
+        `⚠️ No notification phone for business ${businessConfig.business.id} - message saved only`
+      );
     }
 
-    // Initialize Twilio client
-    const twilio = (await import("twilio")).default(
-      config.twilio.accountSid,
-      config.twilio.authToken
-    );
+    return {
+      success: true,
+      message: "Message saved and passed on to the team.",
+    };
+  } catch (error) {
+    logger.error("❌ Error taking message:", error);
+    return { error: "Failed to save the message" };
+  }
+}
 
-    console.log(`📞 Attempting to end call with SID: ${callSid}`);
-    console.log(`📝 Reason: ${reason}`);
+/**
+ * Save a request for the business to call the customer back
+ * @param {Object} businessConfig - The business configuration
+ * @param {Object} params - customer_name, callback_number, preferred_time, message
+ * @param {string} callSid - The Twilio call SID
+ * @returns {Object} Result for the agent
+ */
+export async function requestCallback(businessConfig, params, callSid) {
+  try {
+    const { customer_name, callback_number, preferred_time, message } = params;
+    const session = await getCallSession(callSid);
+    const callbackNumber = callback_number || session.callerPhone;
 
-    // Update the call to completed status
-    const call = await twilio.calls(callSid).update({
-      status: "completed",
-    });
+    if (!callbackNumber) {
+      return {
+        error: "No callback number available. Please ask the customer for the best number to call them on.",
+      };
+    }
 
-    console.log(`✅ Call ended successfully:`, call.status);
+    logger.info(
+      `📲 CALLBACK: ${customer_name || "Caller"} on ${callbackNumber} - ${preferred_time || "any time"}`
+    );
 
-    // Only clear call session if SMS was successful or not needed
-    if (smsSuccess) {
-      clearCallSession(callSid);
-      console.log(
-        `🧹 Session cleared for call ${callSid} after successful SMS handling`
-      );
-    } else {
-      console.log(
-        `⚠️ Session retained for call ${callSid} due to SMS failure - may retry`
-      );
+    if (!(await isSandboxCall(callSid))) {
+      await db.createCallbackRequest({
+        business_id: businessConfig.business.id,
+        twilio_call_sid: callSid,
+        caller_phone: session.callerPhone || null,
+        customer_name: customer_name || null,
+        callback_number: callbackNumber,
+        preferred_time: preferred_time || null,
+        message: message || null,
+      });
+    }
+
+    if (customer_name && !session.customerName) {
+      await setCallSession(callSid, { customerName: customer_name });
     }
 
     return {
       success: true,
-      call_ended: true,
-      callSid: callSid,
-      status: call.status,
-      reason: reason,
+      message: `Callback request saved. The team will call ${callbackNumber}${
+        preferred_time ? ` ${preferred_time}` : " when they reopen"
+      }.`,
     };
   } catch (error) {
-    console.error("❌ Error ending call:", error);
-    return { error: "Failed to end call" };
+    logger.error("❌ Error saving callback request:", error);
+    return { error: "Failed to save the callback request" };
   }
 }
 
@@ -2372,15 +2355,15 @@ export async function endCall(callSid, params, businessConfig = null) {
  */
 export async function transferToHuman(businessConfig, params, callSid) {
   try {
-    console.log("📞 Processing human transfer request...");
-    console.log("📞 Transfer params:", JSON.stringify(params, null, 2));
-    console.log("📞 Call SID:", callSid);
+    logger.info("📞 Processing human transfer request...");
+    logger.debug("📞 Transfer params:", JSON.stringify(params, null, 2));
+    logger.info("📞 Call SID:", callSid);
 
     // Get bypass phone number from business config
     const bypassPhoneNumber = businessConfig.config?.bypass_phone_number;
 
     if (!bypassPhoneNumber) {
-      console.error("❌ No bypass phone number configured for business");
+      logger.error("❌ No bypass phone number configured for business");
       return {
         success: false,
         error: "Human transfer not available - no phone number configured",
@@ -2389,22 +2372,31 @@ export async function transferToHuman(businessConfig, params, callSid) {
       };
     }
 
-    console.log("📞 Bypass phone number found:", bypassPhoneNumber);
+    logger.info("📞 Bypass phone number found:", bypassPhoneNumber);
+
+    if (await isSandboxCall(callSid)) {
+      logger.info(`🧪 SANDBOX: Simulating transfer to ${bypassPhoneNumber}`);
+      return {
+        success: true,
+        sandbox: true,
+        message: `This is a test call, so no transfer was made. On a real call the caller would now be transferred to ${bypassPhoneNumber}.`,
+      };
+    }
 
     // Log the transfer request
-    console.log(
+    logger.info(
       `🔄 Initiating transfer from AI to human at ${bypassPhoneNumber}`
     );
 
     // Get caller information from session
-    const session = getCallSession(callSid);
+    const session = await getCallSession(callSid);
     const callerPhone = session?.callerPhone || "Unknown";
 
-    console.log(`📞 Caller: ${callerPhone} requesting human transfer`);
+    logger.info(`📞 Caller: ${callerPhone} requesting human transfer`);
 
     // Implement Twilio call transfer using REST API
     if (!config.twilio.accountSid || !config.twilio.authToken) {
-      console.error("❌ Twilio credentials not configured");
+      logger.error("❌ Twilio credentials not configured");
       return {
         success: false,
         error: "Call transfer service is not properly configured",
@@ -2428,14 +2420,14 @@ export async function transferToHuman(businessConfig, params, callSid) {
       params.reason || "Customer requested human assistance"
     )}`;
 
-    console.log(`📞 Transferring call to: ${transferUrl}`);
+    logger.info(`📞 Transferring call to: ${transferUrl}`);
 
     const call = await twilio.calls(callSid).update({
       url: transferUrl,
       method: "POST",
     });
 
-    console.log(
+    logger.info(
       `✅ Call ${callSid} successfully transferred to ${bypassPhoneNumber}`
     );
 
@@ -2449,7 +2441,7 @@ export async function transferToHuman(businessConfig, params, callSid) {
       twilio_call_sid: call.sid,
     };
   } catch (error) {
-    console.error("❌ Error processing human transfer:", error);
+    logger.error("❌ Error processing human transfer:", error);
     return {
       success: false,
       error: error.message,
@@ -2459,19 +2451,89 @@ export async function transferToHuman(businessConfig, params, callSid) {
   }
 }
 
+/**
+ * Speak a short message to the caller and hang up, without starting the AI agent
+ * @param {string} callSid - The Twilio call SID
+ * @param {string} message - Message to read to the caller
+ * @param {string} [sayLocale] - Language to read it in, e.g. "es-ES"; the carrier's default if not given
+ * @returns {Object} Result of the call update or error
+ */
+export async function sayMessageAndHangUp(callSid, message, sayLocale = null) {
+  try {
+    if (!config.twilio.accountSid || !config.twilio.authToken) {
+      logger.error("❌ Twilio credentials not configured");
+      return { success: false, error: "Twilio not configured" };
+    }
+
+    const twilioLib = (await import("twilio")).default;
+    const twilio = twilioLib(config.twilio.accountSid, config.twilio.authToken);
+
+    // Build TwiML with the twilio helper so the message is escaped correctly
+    const response = new twilioLib.twiml.VoiceResponse();
+    response.say(sayLocale ? { language: sayLocale } : {}, message);
+    response.hangup();
+
+    logger.info(`📞 Playing message and hanging up call ${callSid}`);
+    const call = await twilio.calls(callSid).update({
+      twiml: response.toString(),
+    });
+
+    return { success: true, status: call.status };
+  } catch (error) {
+    logger.error(`❌ Error playing message for call ${callSid}:`, error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Hang up a call immediately, without a message or any SMS follow-up
+ * @param {string} callSid - The Twilio call SID
+ * @returns {Object} Result of the call update or error
+ */
+export async function hangUpCall(callSid) {
+  try {
+    if (!config.twilio.accountSid || !config.twilio.authToken) {
+      logger.error("❌ Twilio credentials not configured");
+      return { success: false, error: "Twilio not configured" };
+    }
+
+    const twilio = (await import("twilio")).default(
+      config.twilio.accountSid,
+      config.twilio.authToken
+    );
+
+    logger.info(`📞 Hanging up call ${callSid}`);
+    const call = await twilio.calls(callSid).update({ status: "completed" });
+
+    return { success: true, status: call.status };
+  } catch (error) {
+    logger.error(`❌ Error hanging up call ${callSid}:`, error);
+    return { success: false, error: error.message };
+  }
+}
+
 /**
  * Send consolidated SMS confirmation for multiple bookings
  * @param {Object} params - SMS parameters
+ * @param {string} [params.language] - Language of the call the bookings were made on,
+ *   the business's primary language if not given
  * @param {Object} businessConfig - Business configuration
  * @returns {Promise<void>}
  */
 export async function sendConsolidatedSMSConfirmation(params, businessConfig) {
   const { businessId, customerPhone, customerName, bookings } = params;
+  const primaryLanguage = getPrimaryLanguage(businessConfig);
+  const language = params.language || primaryLanguage;
+  const sms = getCallLanguage(language).sms;
+  const businessName = businessConfig?.business?.name || "our business";
+  const businessPhone = businessConfig?.business?.phone_number || "";
 
-  // Get the template from dashboard configuration
+  // Get the template from dashboard configuration; the main template is in the business's own language
   const template =
-    businessConfig?.config?.sms_confirmation_template ||
-    `Hi {customer_name}, your appointment at {business_name} is confirmed for {date} at {time} for {service_name}. Duration: {duration} mins. Questions? Call {business_phone}`;
+    businessConfig?.config?.sms_confirmation_templates?.[language] ||
+    (language === primaryLanguage &&
+      businessConfig?.config?.sms_confirmation_template) ||
+    sms.single;
 
   // For multiple bookings, create a consolidated message using the template structure
   let message;
@@ -2489,25 +2551,21 @@ export async function sendConsolidatedSMSConfirmation(params, businessConfig) {
       booking.lastServiceDuration ||
       "";
 
-    message = template
-      .replace(/{customer_name}/g, customerName)
-      .replace(
-        /{business_name}/g,
-        businessConfig?.business?.name || "our business"
-      )
-      .replace(/{date}/g, date)
-      .replace(/{time}/g, time)
-      .replace(/{service_name}/g, serviceName)
-      .replace(/{duration}/g, duration ? `${duration}` : "")
-      .replace(
-        /{business_phone}/g,
-        businessConfig?.business?.phone_number || ""
-      );
+    message = fillTemplate(template, {
+      customer_name: customerName,
+      business_name: businessName,
+      date,
+      time,
+      service_name: serviceName,
+      duration,
+      business_phone: businessPhone,
+    });
   } else {
     // Multiple bookings - adapt template for consolidated format
-    message = `Hi ${customerName}, your appointments at ${
-      businessConfig?.business?.name || "our business"
-    } are confirmed:\n\n`;
+    message = `${fillTemplate(sms.intro, {
+      customer_name: customerName,
+      business_name: businessName,
+    })}\n\n`;
 
     bookings.forEach((booking, index) => {
       const date = booking.finalDate || booking.date;
@@ -2516,19 +2574,49 @@ export async function sendConsolidatedSMSConfirmation(params, businessConfig) {
         booking.serviceName || booking.service_name || "your service";
       const duration = booking.serviceDuration || booking.duration || "";
 
-      message += `${index + 1}. ${serviceName} on ${date} at ${time}`;
+      message += `${index + 1}. ${fillTemplate(sms.line, {
+        service_name: serviceName,
+        date,
+        time,
+      })}`;
       if (duration) {
-        message += ` (${duration} mins)`;
+        message += fillTemplate(sms.duration, { duration });
       }
       message += `\n`;
     });
 
-    message += `\nQuestions? Call ${
-      businessConfig?.business?.phone_number || ""
-    }`;
+    message += `\n${fillTemplate(sms.footer, { business_phone: businessPhone })}`;
   }
 
-  // Call the SMS API with the first booking's appointment ID for tracking
+  // Send with the first booking's appointment ID for tracking
+  try {
+    await sendSMS({
+      businessId,
+      to: customerPhone,
+      message,
+      type: "confirmation",
+      appointmentId: bookings[0]?.appointmentId,
+    });
+  } catch (error) {
+    recordSmsConfirmation(false);
+    throw new Error(`Consolidated SMS API error: ${error.message}`);
+  }
+
+  recordSmsConfirmation(true);
+  logger.info("✅ Consolidated SMS sent successfully");
+}
+
+/**
+ * Send an SMS through the dashboard's SMS API
+ * @param {Object} params - SMS parameters
+ * @param {string} params.businessId - Business sending the message
+ * @param {string} params.to - Recipient phone number
+ * @param {string} params.message - Message text
+ * @param {string} params.type - Message type, e.g. "confirmation"
+ * @param {string} [params.appointmentId] - Appointment the message is about
+ * @returns {Promise<void>}
+ */
+export async function sendSMS({ businessId, to, message, type, appointmentId }) {
   const baseUrl = config.nextjs.siteUrl || "http://localhost:3000";
   const response = await fetch(`${baseUrl}/api/sms/send`, {
     method: "POST",
@@ -2537,21 +2625,17 @@ export async function sendConsolidatedSMSConfirmation(params, businessConfig) {
     },
     body: JSON.stringify({
       businessId,
-      customerPhone,
+      customerPhone: to,
       message,
-      type: "confirmation",
-      appointmentId: bookings[0]?.appointmentId,
+      type,
+      appointmentId,
     }),
   });
 
   if (!response.ok) {
     const errorText = await response.text();
-    throw new Error(
-      `Consolidated SMS API error: ${response.status} ${errorText}`
-    );
+    throw new Error(`${response.status} ${errorText}`);
   }
-
-  console.log("✅ Consolidated SMS sent successfully");
 }
 
 /**
@@ -2563,7 +2647,7 @@ export async function sendConsolidatedSMSConfirmation(params, businessConfig) {
  */
 export async function checkBusinessStatus(businessConfig, params = {}, callSid = null) {
   const timestamp = getShortTimestamp();
-  console.log(`[${timestamp}] 🏢 CHECK_BUSINESS_STATUS called`);
+  logger.info(`[${timestamp}] 🏢 CHECK_BUSINESS_STATUS called`);
 
   try {
     const businessInfo = businessConfig.business;
@@ -2578,15 +2662,15 @@ export async function checkBusinessStatus(businessConfig, params = {}, callSid =
     const currentTime = businessTime.toTimeString().slice(0, 5); // HH:MM format
     const currentDate = businessTime.toISOString().split('T')[0]; // YYYY-MM-DD format
     
-    console.log(`🕐 Current business time: ${currentTime}, Current date: ${currentDate}`);
-    console.log(`📅 Checking status for date: ${targetDate}`);
+    logger.info(`🕐 Current business time: ${currentTime}, Current date: ${currentDate}`);
+    logger.info(`📅 Checking status for date: ${targetDate}`);
 
     // Parse the target date
     let parsedDate;
     try {
       parsedDate = parseISODate(targetDate);
     } catch (error) {
-      console.error(`❌ Invalid date format: ${targetDate}`);
+      logger.error(`❌ Invalid date format: ${targetDate}`);
       return { 
         error: `Invalid date format: ${targetDate}`,
         isOpen: false 
@@ -2598,7 +2682,7 @@ export async function checkBusinessStatus(businessConfig, params = {}, callSid =
     const isToday = targetDate === currentDate;
     
     // Debug: Log the business configuration for this day
-    console.log(`🔍 DEBUG: Business config for ${dayName}:`, businessConfig.business?.business_hours?.[dayName.toLowerCase()]);
+    logger.debug(`🔍 DEBUG: Business config for ${dayName}:`, businessConfig.business?.business_hours?.[dayName.toLowerCase()]);
     
     const businessHoursCheck = isWithinBusinessHours(
       targetDate,
@@ -2607,7 +2691,7 @@ export async function checkBusinessStatus(businessConfig, params = {}, callSid =
     );
     
     if (!businessHoursCheck.isWithin && businessHoursCheck.message.includes("closed")) {
-      console.log(`📅 Business is closed on ${dayName}`);
+      logger.info(`📅 Business is closed on ${dayName}`);
       return {
         isOpen: false,
         message: `We are closed on ${dayName}s`,
@@ -2631,7 +2715,7 @@ export async function checkBusinessStatus(businessConfig, params = {}, callSid =
       const todayHours = businessHours?.[dayName.toLowerCase()];
       
       if (!currentTimeCheck.isWithin) {
-        console.log(`🕐 Business is closed right now (outside business hours)`);
+        logger.info(`🕐 Business is closed right now (outside business hours)`);
         return {
           isOpen: false,
           message: currentTimeCheck.message,
@@ -2649,7 +2733,7 @@ export async function checkBusinessStatus(businessConfig, params = {}, callSid =
     const businessHours = businessConfig.business?.business_hours;
     const todayHours = businessHours?.[dayName.toLowerCase()];
     
-    console.log(`✅ Business is open on ${dayName}`);
+    logger.info(`✅ Business is open on ${dayName}`);
     return {
       isOpen: true,
       message: `We are open on ${dayName}s`,
@@ -2663,7 +2747,7 @@ export async function checkBusinessStatus(businessConfig, params = {}, callSid =
     };
 
   } catch (error) {
-    console.error("❌ Error checking business status:", error);
+    logger.error("❌ Error checking business status:", error);
     return {
       error: "Unable to check business status",
       isOpen: false
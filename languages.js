@@ -0,0 +1,436 @@
+import { logger } from "./logger.js";
+
+/**
+ * Languages a call can be held in, with the text the caller hears or reads in each
+ * A business answers in its agent_language and may offer more through
+ * business_config.supported_languages; the agent switches with set_call_language. Languages the
+ * business's voice agent provider has no voice for aren't offered. Deepgram can't change its
+ * transcription language mid-call, so after a switch the caller is still transcribed in the
+ * language the call started in - only the prompt and voice change.
+ *
+ * Text configured on the business (ai_greeting, recording_consent_message, reminder_greeting,
+ * sms_confirmation_template) is taken to be in its agent_language, so other languages use the
+ * text below unless the business sets its own, e.g. sms_confirmation_templates.es.
+ * sayLocale is the carrier's text-to-speech language, for messages read out without the agent.
+ * farewell is what the agent's goodbye must include - hearing it hangs the call up.
+ */
+const CALL_LANGUAGES = {
+  en: {
+    name: "English",
+    nativeName: "English",
+    greeting: "Thank you for calling, how can I help you today?",
+    offer: "To continue in English, just say English.",
+    recordingNotice:
+      "Just so you know, this call is recorded for quality and training purposes.",
+    reconnecting: "Sorry, bear with me for just a moment.",
+    reconnected: "Sorry about that, I'm back. Where were we?",
+    unavailable:
+      "Sorry, we're having technical difficulties. Please call back in a few minutes.",
+    budgetWarning:
+      "Just so you know, we only have about a minute left on this call, so let's wrap things up shortly.",
+    budgetLimit:
+      "I'm sorry, but we've reached the time limit for this call. Anything we've booked is confirmed and you'll get a text shortly. Thank you for calling, goodbye!",
+    silenceGoodbye: "I notice you've been quiet for a while. Thank you for calling! Goodbye!",
+    shutdownGoodbye:
+      "I'm sorry, but I need to end our call now. Anything we've booked is confirmed and you'll get a text shortly. Thank you for calling, goodbye!",
+    reminderGreeting:
+      "Hi {customer_name}, this is {business_name} calling to remind you about your {service_name} appointment tomorrow at {appointment_time}. Can you still make it?",
+    farewell: "have a great day",
+    sayLocale: "en-GB",
+    sms: {
+      single:
+        "Hi {customer_name}, your appointment at {business_name} is confirmed for {date} at {time} for {service_name}. Duration: {duration} mins. Questions? Call {business_phone}",
+      intro: "Hi {customer_name}, your appointments at {business_name} are confirmed:",
+      line: "{service_name} on {date} at {time}",
+      duration: " ({duration} mins)",
+      footer: "Questions? Call {business_phone}",
+    },
+  },
+  es: {
+    name: "Spanish",
+    nativeName: "español",
+    greeting: "Gracias por llamar, ¿en qué puedo ayudarle hoy?",
+    offer: "Para continuar en español, diga español.",
+    recordingNotice:
+      "Le informamos de que esta llamada se graba con fines de calidad y formación.",
+    reconnecting: "Disculpe, un momento por favor.",
+    reconnected: "Disculpe, ya estoy de vuelta. ¿Por dónde íbamos?",
+    unavailable:
+      "Lo sentimos, tenemos problemas técnicos. Por favor, vuelva a llamar en unos minutos.",
+    budgetWarning:
+      "Le informo de que nos queda aproximadamente un minuto de llamada, así que vayamos terminando.",
+    budgetLimit:
+      "Lo siento, hemos alcanzado el tiempo máximo de esta llamada. Todo lo que hemos reservado está confirmado y recibirá un mensaje en breve. Gracias por llamar, ¡adiós!",
+    silenceGoodbye: "Veo que lleva un rato sin hablar. ¡Gracias por llamar! ¡Adiós!",
+    shutdownGoodbye:
+      "Lo siento, pero tengo que terminar la llamada ahora. Todo lo que hemos reservado está confirmado y recibirá un mensaje en breve. Gracias por llamar, ¡adiós!",
+    reminderGreeting:
+      "Hola {customer_name}, le llamamos de {business_name} para recordarle su cita de {service_name} mañana a las {appointment_time}. ¿Podrá venir?",
+    farewell: "que tenga un buen día",
+    sayLocale: "es-ES",
+    sms: {
+      single:
+        "Hola {customer_name}, su cita en {business_name} está confirmada para el {date} a las {time} para {service_name}. Duración: {duration} min. ¿Preguntas? Llame al {business_phone}",
+      intro: "Hola {customer_name}, sus citas en {business_name} están confirmadas:",
+      line: "{service_name} el {date} a las {time}",
+      duration: " ({duration} min)",
+      footer: "¿Preguntas? Llame al {business_phone}",
+    },
+  },
+  pl: {
+    name: "Polish",
+    nativeName: "polski",
+    greeting: "Dziękujemy za telefon, w czym mogę dziś pomóc?",
+    offer: "Aby kontynuować po polsku, proszę powiedzieć: po polsku.",
+    recordingNotice:
+      "Informujemy, że ta rozmowa jest nagrywana w celach szkoleniowych i kontroli jakości.",
+    reconnecting: "Przepraszam, proszę chwilę poczekać.",
+    reconnected: "Przepraszam, już jestem. Na czym skończyliśmy?",
+    unavailable:
+      "Przepraszamy, mamy problemy techniczne. Prosimy zadzwonić ponownie za kilka minut.",
+    budgetWarning: "Informuję, że zostało nam około minuty rozmowy, więc powoli kończmy.",
+    budgetLimit:
+      "Przepraszam, osiągnęliśmy limit czasu tej rozmowy. Wszystko, co zarezerwowaliśmy, jest potwierdzone i wkrótce otrzymasz SMS. Dziękujemy za telefon, do widzenia!",
+    silenceGoodbye: "Od dłuższej chwili nic nie słyszę. Dziękujemy za telefon! Do widzenia!",
+    shutdownGoodbye:
+      "Przepraszam, ale muszę teraz zakończyć rozmowę. Wszystko, co zarezerwowaliśmy, jest potwierdzone i wkrótce otrzymasz SMS. Dziękujemy za telefon, do widzenia!",
+    reminderGreeting:
+      "Dzień dobry {customer_name}, tu {business_name}. Dzwonimy, aby przypomnieć o jutrzejszej wizycie: {service_name} o {appointment_time}. Czy termin jest nadal aktualny?",
+    farewell: "miłego dnia",
+    sayLocale: "pl-PL",
+    sms: {
+      single:
+        "Dzień dobry {customer_name}, Twoja wizyta w {business_name} jest potwierdzona na {date} o {time}: {service_name}. Czas trwania: {duration} min. Pytania? Zadzwoń pod {business_phone}",
+      intro: "Dzień dobry {customer_name}, Twoje wizyty w {business_name} są potwierdzone:",
+      line: "{service_name} {date} o {time}",
+      duration: " ({duration} min)",
+      footer: "Pytania? Zadzwoń pod {business_phone}",
+    },
+  },
+  fr: {
+    name: "French",
+    nativeName: "français",
+    greeting: "Merci de votre appel, comment puis-je vous aider aujourd'hui ?",
+    offer: "Pour continuer en français, dites français.",
+    recordingNotice:
+      "Nous vous informons que cet appel est enregistré à des fins de qualité et de formation.",
+    reconnecting: "Excusez-moi, un instant s'il vous plaît.",
+    reconnected: "Désolé, je suis de retour. Où en étions-nous ?",
+    unavailable:
+      "Désolé, nous rencontrons des difficultés techniques. Merci de rappeler dans quelques minutes.",
+    budgetWarning:
+      "Pour information, il nous reste environ une minute d'appel, nous allons donc bientôt conclure.",
+    budgetLimit:
+      "Je suis désolé, nous avons atteint la durée maximale de cet appel. Tout ce que nous avons réservé est confirmé et vous recevrez un SMS sous peu. Merci de votre appel, au revoir !",
+    silenceGoodbye: "Je ne vous entends plus depuis un moment. Merci de votre appel ! Au revoir !",
+    shutdownGoodbye:
+      "Je suis désolé, mais je dois mettre fin à notre appel maintenant. Tout ce que nous avons réservé est confirmé et vous recevrez un SMS sous peu. Merci de votre appel, au revoir !",
+    reminderGreeting:
+      "Bonjour {customer_name}, ici {business_name}. Nous vous appelons pour vous rappeler votre rendez-vous {service_name} demain à {appointment_time}. Pourrez-vous venir ?",
+    farewell: "bonne journée",
+    sayLocale: "fr-FR",
+    sms: {
+      single:
+        "Bonjour {customer_name}, votre rendez-vous chez {business_name} est confirmé le {date} à {time} pour {service_name}. Durée : {duration} min. Des questions ? Appelez le {business_phone}",
+      intro: "Bonjour {customer_name}, vos rendez-vous chez {business_name} sont confirmés :",
+      line: "{service_name} le {date} à {time}",
+      duration: " ({duration} min)",
+      footer: "Des questions ? Appelez le {business_phone}",
+    },
+  },
+  de: {
+    name: "German",
+    nativeName: "Deutsch",
+    greeting: "Vielen Dank für Ihren Anruf, wie kann ich Ihnen heute helfen?",
+    offer: "Um auf Deutsch weiterzusprechen, sagen Sie einfach Deutsch.",
+    recordingNotice:
+      "Zu Ihrer Information: Dieser Anruf wird zu Qualitäts- und Schulungszwecken aufgezeichnet.",
+    reconnecting: "Entschuldigung, einen Moment bitte.",
+    reconnected: "Entschuldigung, ich bin wieder da. Wo waren wir stehen geblieben?",
+    unavailable:
+      "Entschuldigung, wir haben technische Probleme. Bitte rufen Sie in ein paar Minuten wieder an.",
+    budgetWarning:
+      "Nur zur Info: Wir haben noch etwa eine Minute für dieses Gespräch, lassen Sie uns also langsam zum Ende kommen.",
+    budgetLimit:
+      "Es tut mir leid, aber wir haben die Zeitgrenze für dieses Gespräch erreicht. Alles, was wir gebucht haben, ist bestätigt, und Sie erhalten in Kürze eine SMS. Vielen Dank für Ihren Anruf, auf Wiederhören!",
+    silenceGoodbye:
+      "Ich höre schon eine Weile nichts mehr von Ihnen. Vielen Dank für Ihren Anruf! Auf Wiederhören!",
+    shutdownGoodbye:
+      "Es tut mir leid, aber ich muss unser Gespräch jetzt beenden. Alles, was wir gebucht haben, ist bestätigt, und Sie erhalten in Kürze eine SMS. Vielen Dank für Ihren Anruf, auf Wiederhören!",
+    reminderGreeting:
+      "Hallo {customer_name}, hier ist {business_name}. Wir rufen an, um Sie an Ihren Termin für {service_name} morgen um {appointment_time} zu erinnern. Passt es Ihnen noch?",
+    farewell: "schönen tag",
+    sayLocale: "de-DE",
+    sms: {
+      single:
+        "Hallo {customer_name}, Ihr Termin bei {business_name} ist am {date} um {time} für {service_name} bestätigt. Dauer: {duration} Min. Fragen? Rufen Sie {business_phone} an",
+      intro: "Hallo {customer_name}, Ihre Termine bei {business_name} sind bestätigt:",
+      line: "{service_name} am {date} um {time}",
+      duration: " ({duration} Min.)",
+      footer: "Fragen? Rufen Sie {business_phone} an",
+    },
+  },
+  it: {
+    name: "Italian",
+    nativeName: "italiano",
+    greeting: "Grazie per aver chiamato, come posso aiutarla oggi?",
+    offer: "Per continuare in italiano, dica italiano.",
+    recordingNotice:
+      "La informiamo che questa chiamata viene registrata per fini di qualità e formazione.",
+    reconnecting: "Mi scusi, un attimo per favore.",
+    reconnected: "Mi scusi, eccomi di nuovo. Dove eravamo rimasti?",
+    unavailable:
+      "Ci scusi, abbiamo dei problemi tecnici. La preghiamo di richiamare tra qualche minuto.",
+    budgetWarning:
+      "Le segnalo che ci resta circa un minuto di chiamata, quindi concludiamo a breve.",
+    budgetLimit:
+      "Mi dispiace, abbiamo raggiunto il tempo massimo per questa chiamata. Tutto ciò che abbiamo prenotato è confermato e riceverà a breve un SMS. Grazie per aver chiamato, arrivederci!",
+    silenceGoodbye: "Non la sento da un po'. Grazie per aver chiamato! Arrivederci!",
+    shutdownGoodbye:
+      "Mi dispiace, ma devo terminare la chiamata adesso. Tutto ciò che abbiamo prenotato è confermato e riceverà a breve un SMS. Grazie per aver chiamato, arrivederci!",
+    reminderGreeting:
+      "Buongiorno {customer_name}, la chiamiamo da {business_name} per ricordarle il suo appuntamento per {service_name} domani alle {appointment_time}. Riesce ancora a venire?",
+    farewell: "buona giornata",
+    sayLocale: "it-IT",
+    sms: {
+      single:
+        "Ciao {customer_name}, il tuo appuntamento presso {business_name} è confermato per il {date} alle {time} per {service_name}. Durata: {duration} min. Domande? Chiama il {business_phone}",
+      intro: "Ciao {customer_name}, i tuoi appuntamenti presso {business_name} sono confermati:",
+      line: "{service_name} il {date} alle {time}",
+      duration: " ({duration} min)",
+      footer: "Domande? Chiama il {business_phone}",
+    },
+  },
+  pt: {
+    name: "Portuguese",
+    nativeName: "português",
+    greeting: "Obrigado por ligar, como posso ajudar hoje?",
+    offer: "Para continuar em português, diga português.",
+    recordingNotice:
+      "Informamos que esta chamada é gravada para fins de qualidade e formação.",
+    reconnecting: "Desculpe, um momento por favor.",
+    reconnected: "Desculpe, já estou de volta. Onde é que estávamos?",
+    unavailable:
+      "Desculpe, estamos com dificuldades técnicas. Por favor, volte a ligar dentro de alguns minutos.",
+    budgetWarning:
+      "Só para saber, resta-nos cerca de um minuto nesta chamada, por isso vamos terminar em breve.",
+    budgetLimit:
+      "Lamento, mas atingimos o limite de tempo desta chamada. Tudo o que marcámos está confirmado e vai receber uma mensagem em breve. Obrigado por ligar, adeus!",
+    silenceGoodbye: "Reparo que está em silêncio há algum tempo. Obrigado por ligar! Adeus!",
+    shutdownGoodbye:
+      "Lamento, mas tenho de terminar a chamada agora. Tudo o que marcámos está confirmado e vai receber uma mensagem em breve. Obrigado por ligar, adeus!",
+    reminderGreeting:
+      "Olá {customer_name}, fala {business_name} para lembrar a sua marcação de {service_name} amanhã às {appointment_time}. Ainda pode vir?",
+    farewell: "tenha um bom dia",
+    sayLocale: "pt-PT",
+    sms: {
+      single:
+        "Olá {customer_name}, a sua marcação em {business_name} está confirmada para {date} às {time} para {service_name}. Duração: {duration} min. Dúvidas? Ligue para {business_phone}",
+      intro: "Olá {customer_name}, as suas marcações em {business_name} estão confirmadas:",
+      line: "{service_name} a {date} às {time}",
+      duration: " ({duration} min)",
+      footer: "Dúvidas? Ligue para {business_phone}",
+    },
+  },
+  nl: {
+    name: "Dutch",
+    nativeName: "Nederlands",
+    greeting: "Bedankt voor uw telefoontje, waarmee kan ik u vandaag helpen?",
+    offer: "Om in het Nederlands verder te gaan, zeg Nederlands.",
+    recordingNotice:
+      "Ter informatie: dit gesprek wordt opgenomen voor kwaliteits- en trainingsdoeleinden.",
+    reconnecting: "Sorry, een ogenblikje alstublieft.",
+    reconnected: "Sorry, ik ben er weer. Waar waren we gebleven?",
+    unavailable:
+      "Sorry, we hebben technische problemen. Bel over een paar minuten terug.",
+    budgetWarning:
+      "Even ter info: we hebben nog ongeveer een minuut voor dit gesprek, dus laten we het zo afronden.",
+    budgetLimit:
+      "Het spijt me, maar we hebben de tijdslimiet voor dit gesprek bereikt. Alles wat we hebben geboekt is bevestigd en u ontvangt zo een sms. Bedankt voor uw telefoontje, tot ziens!",
+    silenceGoodbye: "Ik hoor u al een tijdje niet meer. Bedankt voor uw telefoontje! Tot ziens!",
+    shutdownGoodbye:
+      "Het spijt me, maar ik moet ons gesprek nu beëindigen. Alles wat we hebben geboekt is bevestigd en u ontvangt zo een sms. Bedankt voor uw telefoontje, tot ziens!",
+    reminderGreeting:
+      "Hallo {customer_name}, u spreekt met {business_name}. We bellen om u te herinneren aan uw afspraak voor {service_name} morgen om {appointment_time}. Kunt u nog komen?",
+    farewell: "fijne dag",
+    sayLocale: "nl-NL",
+    sms: {
+      single:
+        "Hallo {customer_name}, uw afspraak bij {business_name} is bevestigd op {date} om {time} voor {service_name}. Duur: {duration} min. Vragen? Bel {business_phone}",
+      intro: "Hallo {customer_name}, uw afspraken bij {business_name} zijn bevestigd:",
+      line: "{service_name} op {date} om {time}",
+      duration: " ({duration} min)",
+      footer: "Vragen? Bel {business_phone}",
+    },
+  },
+};
+
+export const DEFAULT_CALL_LANGUAGE = "en";
+
+// Caller number prefixes that suggest a language, longest match wins
+const PHONE_PREFIX_LANGUAGES = [
+  ["+34", "es"],
+  ["+52", "es"],
+  ["+54", "es"],
+  ["+56", "es"],
+  ["+57", "es"],
+  ["+51", "es"],
+  ["+58", "es"],
+  ["+48", "pl"],
+  ["+33", "fr"],
+  ["+49", "de"],
+  ["+43", "de"],
+  ["+39", "it"],
+  ["+351", "pt"],
+  ["+55", "pt"],
+  ["+31", "nl"],
+  ["+44", "en"],
+  ["+353", "en"],
+  ["+1", "en"],
+].sort(([a], [b]) => b.length - a.length);
+
+/**
+ * Check whether calls can be held in a language
+ * @param {string} language - ISO 639-1 code
+ * @returns {boolean} True if the language has call text
+ */
+export function isCallLanguage(language) {
+  return Object.prototype.hasOwnProperty.call(CALL_LANGUAGES, language);
+}
+
+/**
+ * Get the caller-facing text for a language
+ * @param {string} language - ISO 639-1 code
+ * @returns {Object} Language text, English if the language is unknown
+ */
+export function getCallLanguage(language) {
+  return CALL_LANGUAGES[language] || CALL_LANGUAGES[DEFAULT_CALL_LANGUAGE];
+}
+
+/**
+ * Get the business's own language - the one its configured greeting and templates are in
+ * @param {Object} businessConfig - Business configuration
+ * @returns {string} ISO 639-1 code
+ */
+export function getPrimaryLanguage(businessConfig) {
+  const configured = businessConfig?.config?.agent_language;
+  return isCallLanguage(configured) ? configured : DEFAULT_CALL_LANGUAGE;
+}
+
+/**
+ * Get the languages a business takes calls in
+ * @param {Object} businessConfig - Business configuration
+ * @returns {Array<string>} ISO 639-1 codes, the business's primary language first
+ */
+export function resolveCallLanguages(businessConfig) {
+  const languages = [getPrimaryLanguage(businessConfig)];
+  const configured = businessConfig?.config?.supported_languages;
+
+  (Array.isArray(configured) ? configured : []).forEach((language) => {
+    if (!isCallLanguage(language)) {
+      logger.warn(`⚠️ LANGUAGES: Ignoring unsupported language '${language}'`);
+    } else if (!languages.includes(language)) {
+      languages.push(language);
+    }
+  });
+
+  return languages;
+}
+
+/**
+ * Guess which of a business's languages to greet a caller in from their number
+ * @param {string} callerPhone - Caller's number in E.164 format
+ * @param {Array<string>} languages - Languages from resolveCallLanguages
+ * @returns {string} ISO 639-1 code, the primary language if the number doesn't suggest another
+ */
+export function detectCallerLanguage(callerPhone, languages) {
+  const match = PHONE_PREFIX_LANGUAGES.find(([prefix]) =>
+    callerPhone?.startsWith(prefix)
+  );
+  return match && languages.includes(match[1]) ? match[1] : languages[0];
+}
+
+/**
+ * Build the greeting's offer of the business's other languages
+ * Each offer is in its own language so the caller understands the one they want.
+ * @param {string} language - Language the greeting is in
+ * @param {Array<string>} languages - Languages from resolveCallLanguages
+ * @returns {string} Offers to append to the greeting, empty for a single-language business
+ */
+export function getLanguageOffer(language, languages) {
+  return languages
+    .filter((other) => other !== language)
+    .map((other) => CALL_LANGUAGES[other].offer)
+    .join(" ");
+}
+
+/**
+ * Build the system prompt section telling the agent which language to speak
+ * @param {string} language - Language the call is in
+ * @param {Array<string>} languages - Languages from resolveCallLanguages
+ * @returns {string} Prompt section, empty for an English call at a single-language business
+ */
+export function getLanguagePromptSection(language, languages) {
+  const { name, nativeName, farewell } = getCallLanguage(language);
+  const others = languages.filter((other) => other !== language);
+  if (language === DEFAULT_CALL_LANGUAGE && others.length === 0) {
+    return "";
+  }
+
+  let section = `\n\n🌍 CALL LANGUAGE: ${name.toUpperCase()} (${nativeName})
+- Speak ONLY ${name} with the caller, whatever language these instructions are written in
+- Example phrases in these instructions and in function descriptions are in English - say them in natural ${name}
+- The dates above are already written in ${name}; use the same style for any other date
+- Keep passing dates and times to functions in the formats the functions ask for
+- Your farewell must include "${farewell}" - the call only hangs up once it hears those words`;
+
+  if (others.length > 0) {
+    const otherNames = others.map((other) => CALL_LANGUAGES[other].name).join(", ");
+    section += `
+- This business also serves callers in: ${otherNames}
+- If the caller speaks one of those languages or asks for it, IMMEDIATELY call set_call_language, then carry on in that language
+- If you can't tell which language the caller prefers, ask them briefly in ${name}`;
+  }
+
+  return section;
+}
+
+/**
+ * Build the instructions that move a call already under way to another language
+ * For providers that add to the agent's prompt rather than replace it.
+ * @param {string} language - Language the call is switching to
+ * @returns {string} Instructions
+ */
+export function getLanguageSwitchInstructions(language) {
+  const { name, nativeName, farewell } = getCallLanguage(language);
+  return `🌍 CALL LANGUAGE CHANGED: ${name.toUpperCase()} (${nativeName})
+- This replaces any earlier call language instruction
+- From now on speak ONLY ${name} with the caller, including the example phrases given in English and every date and time
+- Your farewell must include "${farewell}" - the call only hangs up once it hears those words`;
+}
+
+/**
+ * Check whether the agent said the farewell that ends a call
+ * The agent can slip back into another of the call's languages, so each one's farewell counts.
+ * @param {string} text - What the agent said
+ * @param {Array<string>} languages - Languages the call can be in
+ * @returns {boolean} True if the text includes a farewell
+ */
+export function isFarewell(text, languages) {
+  const lowerText = text.toLowerCase();
+  return languages.some((language) =>
+    lowerText.includes(getCallLanguage(language).farewell)
+  );
+}
+
+/**
+ * Fill {placeholders} in call text
+ * @param {string} template - Text with {name} placeholders
+ * @param {Object} values - Placeholder values by name
+ * @returns {string} Filled text; unknown placeholders are left as they are
+ */
+export function fillTemplate(template, values) {
+  return template.replace(/{(\w+)}/g, (placeholder, key) =>
+    Object.prototype.hasOwnProperty.call(values, key) ? `${values[key]}` : placeholder
+  );
+}
@@ -0,0 +1,173 @@
+import { AsyncLocalStorage } from "async_hooks";
+import { inspect } from "util";
+import { getConfig } from "./config.js";
+
+const config = getConfig();
+
+const LEVELS = { error: 0, warn: 1, info: 2, debug: 3 };
+
+// Per-call fields (callSid, businessId) attached to every line logged while handling that call
+const logContext = new AsyncLocalStorage();
+
+// Object keys whose values are personal data or secrets
+const REDACTED_KEYS =
+  /phone|callback_number|email|customer_?name|caller_?name|first_name|last_name|token|secret|authorization|api_?key/i;
+// Phone numbers: international (+447700900123) or national (07700 900123) format
+const PHONE_PATTERN = /(?<![\w.:-])(?:\+\d|0\d)[\d\s()-]{6,}\d(?![\w.])/g;
+const EMAIL_PATTERN = /[\w.+-]+@[\w-]+\.[\w.-]+/g;
+
+const activeLevel = LEVELS[config.logging.level] ?? LEVELS.info;
+
+/**
+ * Mask a phone number, keeping the last few digits so calls can still be told apart
+ * @param {string} phone - Phone number
+ * @returns {string} Masked number
+ */
+function maskPhone(phone) {
+  const digits = phone.replace(/\D/g, "");
+  return digits.length > 4 ? `***${digits.slice(-3)}` : "***";
+}
+
+/**
+ * Redact personal data from a string
+ * @param {string} text - Text to redact
+ * @returns {string} Text with phone numbers and email addresses masked
+ */
+function redactString(text) {
+  return text
+    .replace(PHONE_PATTERN, maskPhone)
+    .replace(EMAIL_PATTERN, "[email]");
+}
+
+/**
+ * Recursively redact a value before it is logged
+ * @param {*} value - Value to redact
+ * @param {number} depth - Current nesting depth
+ * @returns {*} Redacted copy
+ */
+function redact(value, depth = 0) {
+  if (typeof value === "string") return redactString(value);
+  if (value === null || typeof value !== "object") return value;
+  if (depth > 6) return "[Object]";
+  if (Buffer.isBuffer(value)) return `[Buffer ${value.length} bytes]`;
+  if (value instanceof Error) {
+    return { message: redactString(value.message), stack: value.stack && redactString(value.stack) };
+  }
+  if (value instanceof Date) return value.toISOString();
+  if (Array.isArray(value)) return value.map((item) => redact(item, depth + 1));
+
+  const result = {};
+  for (const [key, item] of Object.entries(value)) {
+    if (REDACTED_KEYS.test(key) && item !== null && item !== undefined && item !== "") {
+      result[key] =
+        typeof item === "string" && /phone|number/i.test(key)
+          ? maskPhone(item)
+          : "[redacted]";
+    } else {
+      result[key] = redact(item, depth + 1);
+    }
+  }
+  return result;
+}
+
+/**
+ * Turn console-style arguments into a message and structured data
+ * Strings and numbers join the message; objects and errors become fields.
+ * @param {Array} args - Logged arguments
+ * @returns {Object} { msg, data, err }
+ */
+function formatArgs(args) {
+  const words = [];
+  const data = [];
+  let err;
+
+  for (const arg of args) {
+    if (arg instanceof Error) {
+      err = redact(arg);
+    } else if (arg !== null && typeof arg === "object") {
+      data.push(redact(arg));
+    } else {
+      words.push(String(arg));
+    }
+  }
+
+  return {
+    msg: redactString(words.join(" ")),
+    data: data.length === 0 ? undefined : data.length === 1 ? data[0] : data,
+    err,
+  };
+}
+
+/**
+ * Write one log line
+ * @param {string} level - Log level
+ * @param {Object} bindings - Fields bound to the logger
+ * @param {Array} args - Logged arguments
+ */
+function write(level, bindings, args) {
+  if (LEVELS[level] > activeLevel) return;
+
+  const { msg, data, err } = formatArgs(args);
+  const entry = {
+    time: new Date().toISOString(),
+    level,
+    ...bindings,
+    ...logContext.getStore(),
+    msg,
+    ...(data !== undefined ? { data } : {}),
+    ...(err ? { err } : {}),
+  };
+
+  const stream = LEVELS[level] <= LEVELS.warn ? process.stderr : process.stdout;
+  if (config.logging.format === "pretty") {
+    const context = [entry.callSid, entry.module].filter(Boolean).join(" ");
+    stream.write(
+      `${entry.time} ${level.toUpperCase().padEnd(5)} ${context ? `[${context}] ` : ""}${msg}${
+        data !== undefined ? ` ${inspect(data, { depth: 4, breakLength: Infinity })}` : ""
+      }${err ? `\n${err.stack || err.message}` : ""}\n`
+    );
+  } else {
+    stream.write(`${JSON.stringify(entry)}\n`);
+  }
+}
+
+/**
+ * Create a logger, optionally with fields added to every line (e.g. { module: "reminders" })
+ * Methods take console-style arguments.
+ * @param {Object} bindings - Fields for every line
+ * @returns {Object} Logger with error, warn, info, debug and child
+ */
+export function createLogger(bindings = {}) {
+  return {
+    error: (...args) => write("error", bindings, args),
+    warn: (...args) => write("warn", bindings, args),
+    info: (...args) => write("info", bindings, args),
+    debug: (...args) => write("debug", bindings, args),
+    child: (extra) => createLogger({ ...bindings, ...extra }),
+  };
+}
+
+export const logger = createLogger();
+
+/**
+ * Run a function with per-call log context
+ * Everything it starts - timers, sockets, promises - logs with the same context. The context
+ * object is shared, so fields added later (e.g. the callSid once the stream starts) apply too.
+ * @param {Object} context - Mutable context object, e.g. { callSid, businessId }
+ * @param {Function} fn - Function to run
+ * @returns {*} The function's return value
+ */
+export function runWithLogContext(context, fn) {
+  return logContext.run(context, fn);
+}
+
+/**
+ * Wrap an event handler so it runs with per-call log context
+ * Needed for socket events, which otherwise run in the context the socket was created in.
+ * @param {Object} context - Mutable context object, e.g. { callSid, businessId }
+ * @param {Function} handler - Event handler
+ * @returns {Function} Wrapped handler
+ */
+export function bindLogContext(context, handler) {
+  return (...args) => logContext.run(context, () => handler(...args));
+}
@@ -1,3 +1,5 @@
+import { logger } from '../logger.js';
+
 /**
  * Audio streaming manager - handles all audio-related state and operations
  * Separated for better modularity and testability
@@ -8,10 +10,19 @@ export class AudioStreamManager {
     this.isStreamingAudio = false;
     this.audioStreamTimeout = null;
     this.pacer = null;
-    this.streamSid = null;
-    this.twilioWsRef = null;
+    this.transport = null;
     this.FRAME_SIZE = 960;
-    this.SILENCE_PAYLOAD = Buffer.alloc(this.FRAME_SIZE, 0xff).toString("base64");
+    this.SILENCE_FRAME = Buffer.alloc(this.FRAME_SIZE, 0xff);
+
+    // Playback tracking via Twilio mark events
+    this.markCounter = 0;
+    this.pendingMarkName = null;
+    this.utteranceEnding = false;
+    this.playbackActive = false;
+    this.playbackFallbackTimeout = null;
+    this.playbackCompleteCallbacks = [];
+    this.BYTES_PER_MS = 8; // 8kHz μ-law, one byte per sample
+    this.MARK_FALLBACK_GRACE_MS = 2000; // Extra wait for a mark before assuming playback ended
   }
   
   resetBuffer() {
@@ -22,9 +33,8 @@ export class AudioStreamManager {
     this.isStreamingAudio = isStreaming;
   }
   
-  setStreamReferences(streamSid, twilioWs) {
-    this.streamSid = streamSid;
-    this.twilioWsRef = twilioWs;
+  setTransport(transport) {
+    this.transport = transport;
   }
   
   appendToBuffer(data) {
@@ -35,6 +45,156 @@ export class AudioStreamManager {
     return this.audioBuffer.length;
   }
   
+  setStreamTimeout(callback, timeoutMs) {
+    this.clearStreamTimeout();
+    this.audioStreamTimeout = setTimeout(callback, timeoutMs);
+  }
+
+  clearStreamTimeout() {
+    if (this.audioStreamTimeout) {
+      clearTimeout(this.audioStreamTimeout);
+      this.audioStreamTimeout = null;
+    }
+  }
+
+  /**
+   * Agent audio has started reaching the caller
+   */
+  startPlayback() {
+    this.playbackActive = true;
+    this._clearPlaybackFallback();
+  }
+
+  isPlaybackActive() {
+    return this.playbackActive;
+  }
+
+  /**
+   * The agent finished sending an utterance - the pacer sends a mark once it has drained
+   * Falls back to an estimate of the remaining playback time if the mark never comes back.
+   */
+  endUtterance() {
+    this.utteranceEnding = true;
+
+    // Remaining buffered audio plus Twilio's own buffer, with some slack
+    const expectedPlaybackMs =
+      Math.ceil(this.audioBuffer.length / this.BYTES_PER_MS) +
+      this.MARK_FALLBACK_GRACE_MS;
+    this._clearPlaybackFallback();
+    this.playbackFallbackTimeout = setTimeout(() => {
+      logger.warn(
+        `⚠️ PLAYBACK: No mark received after ${expectedPlaybackMs}ms - assuming playback finished`
+      );
+      this.completePlayback();
+    }, expectedPlaybackMs);
+  }
+
+  /**
+   * Take the end of the current utterance for the pacer to send
+   * Returns the padded final frame (or null) and the mark name to follow it.
+   * @returns {Object|null} { frame, markName } or null if the utterance is still draining
+   */
+  takeUtteranceEnd() {
+    if (!this.utteranceEnding || this.audioBuffer.length >= this.FRAME_SIZE) {
+      return null;
+    }
+
+    let frame = null;
+    if (this.audioBuffer.length > 0) {
+      // Pad the tail with μ-law silence so it isn't held back for the next utterance
+      frame = Buffer.alloc(this.FRAME_SIZE, 0xff);
+      this.audioBuffer.copy(frame);
+      this.resetBuffer();
+    }
+
+    this.utteranceEnding = false;
+    this.markCounter++;
+    this.pendingMarkName = `utterance-${this.markCounter}`;
+    return { frame, markName: this.pendingMarkName };
+  }
+
+  /**
+   * Handle a mark echoed back by Twilio
+   * @param {string} markName - Name of the mark that finished playing
+   * @returns {boolean} True if this mark completed the latest utterance
+   */
+  handleMark(markName) {
+    // Marks from cleared or superseded utterances are stale
+    if (!markName || markName !== this.pendingMarkName) {
+      return false;
+    }
+
+    this.pendingMarkName = null;
+
+    // More agent audio is already queued behind this mark
+    if (this.isStreamingAudio || this.audioBuffer.length > 0 || this.utteranceEnding) {
+      return false;
+    }
+
+    this.completePlayback();
+    return true;
+  }
+
+  /**
+   * Mark playback as finished and run anything waiting on it
+   */
+  completePlayback() {
+    this.playbackActive = false;
+    this.pendingMarkName = null;
+    this.utteranceEnding = false;
+    this._clearPlaybackFallback();
+
+    const callbacks = this.playbackCompleteCallbacks;
+    this.playbackCompleteCallbacks = [];
+    callbacks.forEach((entry) => entry.run());
+  }
+
+  /**
+   * Run a callback once the agent's current speech has finished playing to the caller
+   * @param {Function} callback - Called once playback completes
+   * @param {number} [fallbackMs] - Run anyway after this long, for speech that may never start
+   */
+  onPlaybackComplete(callback, fallbackMs = null) {
+    let done = false;
+    const entry = {
+      run: () => {
+        if (done) return;
+        done = true;
+        clearTimeout(entry.fallback);
+        callback();
+      },
+    };
+    if (fallbackMs !== null) {
+      entry.fallback = setTimeout(() => {
+        this.playbackCompleteCallbacks = this.playbackCompleteCallbacks.filter(
+          (pending) => pending !== entry
+        );
+        entry.run();
+      }, fallbackMs);
+    }
+    this.playbackCompleteCallbacks.push(entry);
+  }
+
+  /**
+   * Barge-in: drop queued audio and forget outstanding marks
+   * Twilio echoes cleared marks back immediately, so they must not count as playback.
+   */
+  clearPlayback() {
+    this.resetBuffer();
+    this.isStreamingAudio = false;
+    this.utteranceEnding = false;
+    this.pendingMarkName = null;
+    this.playbackActive = false;
+    this._clearPlaybackFallback();
+  }
+
+  _clearPlaybackFallback() {
+    if (this.playbackFallbackTimeout) {
+      clearTimeout(this.playbackFallbackTimeout);
+      this.playbackFallbackTimeout = null;
+    }
+  }
+
   extractFrame() {
     if (this.audioBuffer.length >= this.FRAME_SIZE) {
       const frame = this.audioBuffer.subarray(0, this.FRAME_SIZE);
@@ -45,17 +205,19 @@ export class AudioStreamManager {
   }
   
   cleanup() {
-    if (this.audioStreamTimeout) {
-      clearTimeout(this.audioStreamTimeout);
-      this.audioStreamTimeout = null;
-    }
+    this.clearStreamTimeout();
+    this._clearPlaybackFallback();
+    this.playbackCompleteCallbacks.forEach((entry) => clearTimeout(entry.fallback));
+    this.playbackCompleteCallbacks = [];
+    this.pendingMarkName = null;
+    this.utteranceEnding = false;
+    this.playbackActive = false;
     if (this.pacer) {
       clearInterval(this.pacer);
       this.pacer = null;
     }
     this.resetBuffer();
     this.isStreamingAudio = false;
-    this.streamSid = null;
-    this.twilioWsRef = null;
+    this.transport = null;
   }
 }
\ No newline at end of file
@@ -0,0 +1,125 @@
+import { logger } from '../logger.js';
+
+/**
+ * Call lifecycle - tracks where a call is between the carrier's start event and teardown
+ * Every end-of-call path (hang-up, media stop, socket close, drain) funnels into finalize,
+ * which runs the call's finalizer exactly once however many of them fire.
+ */
+export const CALL_STATES = {
+  CONNECTING: "connecting", // Socket open, waiting for the start event and checks
+  ACTIVE: "active", // Accepted and talking to the agent
+  REJECTED: "rejected", // Turned away before the agent started
+  ENDING: "ending", // Hang-up requested, waiting for the carrier to stop the stream
+  FINALIZING: "finalizing", // Finalizer running
+  FINALIZED: "finalized", // Torn down - nothing more happens for this call
+};
+
+const ALLOWED_TRANSITIONS = {
+  [CALL_STATES.CONNECTING]: [CALL_STATES.ACTIVE, CALL_STATES.REJECTED, CALL_STATES.FINALIZING],
+  [CALL_STATES.ACTIVE]: [CALL_STATES.ENDING, CALL_STATES.FINALIZING],
+  [CALL_STATES.REJECTED]: [CALL_STATES.ENDING, CALL_STATES.FINALIZING],
+  [CALL_STATES.ENDING]: [CALL_STATES.FINALIZING],
+  [CALL_STATES.FINALIZING]: [CALL_STATES.FINALIZED],
+  [CALL_STATES.FINALIZED]: [],
+};
+
+export class CallLifecycle {
+  /**
+   * @param {Function} finalizer - async (lifecycle) => void, the one-time teardown for the call
+   */
+  constructor(finalizer) {
+    this.finalizer = finalizer;
+    this.state = CALL_STATES.CONNECTING;
+    this.accepted = false;
+    this.endReason = null;
+    this.beforeEnding = null; // State and reason to go back to if the hang-up fails
+    this.finalizePromise = null;
+  }
+
+  getState() {
+    return this.state;
+  }
+
+  /**
+   * Whether the call passed its start checks - only accepted calls are logged and billed
+   */
+  wasAccepted() {
+    return this.accepted;
+  }
+
+  isEnding() {
+    return [CALL_STATES.ENDING, CALL_STATES.FINALIZING, CALL_STATES.FINALIZED].includes(this.state);
+  }
+
+  transition(nextState, reason = null) {
+    if (!ALLOWED_TRANSITIONS[this.state].includes(nextState)) {
+      logger.debug(`🔁 LIFECYCLE: Ignoring ${this.state} -> ${nextState}`);
+      return false;
+    }
+    logger.info(`🔁 LIFECYCLE: ${this.state} -> ${nextState}${reason ? ` (${reason})` : ""}`);
+    this.state = nextState;
+    if (reason && !this.endReason && nextState !== CALL_STATES.ACTIVE) {
+      this.endReason = reason;
+    }
+    return true;
+  }
+
+  accept() {
+    this.accepted = this.transition(CALL_STATES.ACTIVE);
+    return this.accepted;
+  }
+
+  reject(reason) {
+    return this.transition(CALL_STATES.REJECTED, reason);
+  }
+
+  /**
+   * Claim the hang-up for this call
+   * @param {string} reason - Why the call is ending
+   * @returns {boolean} True for the first caller only, so the call is hung up once
+   */
+  beginEnding(reason) {
+    const beforeEnding = { state: this.state, endReason: this.endReason };
+    if (!this.transition(CALL_STATES.ENDING, reason)) {
+      return false;
+    }
+    this.beforeEnding = beforeEnding;
+    return true;
+  }
+
+  /**
+   * Give up a hang-up claimed with beginEnding that didn't happen, so another path can try
+   * @returns {boolean} True if the call went back to where it was before ending
+   */
+  cancelEnding() {
+    if (this.state !== CALL_STATES.ENDING || !this.beforeEnding) {
+      return false;
+    }
+    logger.info(`🔁 LIFECYCLE: ${this.state} -> ${this.beforeEnding.state} (hang-up failed)`);
+    this.state = this.beforeEnding.state;
+    this.endReason = this.beforeEnding.endReason;
+    this.beforeEnding = null;
+    return true;
+  }
+
+  /**
+   * Run the finalizer, once
+   * Later calls return the same promise, so every path can await the teardown finishing.
+   * @param {string} reason - What ended the call, if nothing claimed the hang-up first
+   * @returns {Promise<void>}
+   */
+  finalize(reason) {
+    if (!this.finalizePromise) {
+      this.transition(CALL_STATES.FINALIZING, reason);
+      this.finalizePromise = (async () => {
+        try {
+          await this.finalizer(this);
+        } catch (error) {
+          logger.error("❌ LIFECYCLE: Finalizer failed:", error);
+        }
+        this.transition(CALL_STATES.FINALIZED);
+      })();
+    }
+    return this.finalizePromise;
+  }
+}
@@ -0,0 +1,85 @@
+import { decodeMulaw, encodeWav } from '../audioCodec.js';
+
+/**
+ * Call recorder - collects caller and agent audio for a two-channel WAV
+ * Caller audio is placed by Twilio's media timestamps and agent audio by when the
+ * pacer sent it, both relative to the start of the stream, so the channels line up.
+ */
+export class CallRecorder {
+  constructor(callSid, startedAt = Date.now()) {
+    this.callSid = callSid;
+    this.startedAt = startedAt;
+    this.inboundChunks = [];
+    this.outboundChunks = [];
+    this.outboundCursor = 0;
+    this.finished = false;
+    this.SAMPLE_RATE = 8000;
+    this.SAMPLES_PER_MS = 8;
+  }
+
+  /**
+   * Add caller audio from a Twilio media event
+   * @param {Buffer} mulaw - μ-law audio
+   * @param {number} timestampMs - media.timestamp (milliseconds since the stream started)
+   */
+  addInbound(mulaw, timestampMs) {
+    if (this.finished || !mulaw?.length) return;
+    const offset = Number.isFinite(timestampMs)
+      ? Math.round(timestampMs * this.SAMPLES_PER_MS)
+      : this._elapsedSamples();
+    this.inboundChunks.push({ offset, audio: Buffer.from(mulaw) });
+  }
+
+  /**
+   * Add agent audio as the pacer sends it to Twilio
+   * @param {Buffer} mulaw - μ-law audio
+   */
+  addOutbound(mulaw) {
+    if (this.finished || !mulaw?.length) return;
+    // Frames are contiguous while the agent speaks; gaps between utterances stay silent
+    const offset = Math.max(this._elapsedSamples(), this.outboundCursor);
+    this.outboundChunks.push({ offset, audio: Buffer.from(mulaw) });
+    this.outboundCursor = offset + mulaw.length;
+  }
+
+  hasAudio() {
+    return this.inboundChunks.length > 0 || this.outboundChunks.length > 0;
+  }
+
+  getDurationMs() {
+    return Math.round(this._totalSamples() / this.SAMPLES_PER_MS);
+  }
+
+  /**
+   * Stop recording and build the WAV (left: caller, right: agent)
+   * @returns {Buffer} 16-bit PCM stereo WAV
+   */
+  finish() {
+    this.finished = true;
+    const totalSamples = this._totalSamples();
+    const caller = this._renderChannel(this.inboundChunks, totalSamples);
+    const agent = this._renderChannel(this.outboundChunks, totalSamples);
+
+    this.inboundChunks = [];
+    this.outboundChunks = [];
+    return encodeWav([caller, agent], this.SAMPLE_RATE);
+  }
+
+  _elapsedSamples() {
+    return Math.max(0, (Date.now() - this.startedAt) * this.SAMPLES_PER_MS);
+  }
+
+  _totalSamples() {
+    const end = (chunks) =>
+      chunks.reduce((max, chunk) => Math.max(max, chunk.offset + chunk.audio.length), 0);
+    return Math.max(end(this.inboundChunks), end(this.outboundChunks));
+  }
+
+  _renderChannel(chunks, totalSamples) {
+    const samples = new Int16Array(totalSamples);
+    for (const chunk of chunks) {
+      samples.set(decodeMulaw(chunk.audio), chunk.offset);
+    }
+    return samples;
+  }
+}
@@ -1,6 +1,10 @@
 import { AudioStreamManager } from './AudioStreamManager.js';
 import { SilenceDetectionManager } from './SilenceDetectionManager.js';
 import { TranscriptManager } from './TranscriptManager.js';
+import { MinuteBudgetManager } from './MinuteBudgetManager.js';
+import { DtmfManager } from './DtmfManager.js';
+import { CallRecorder } from './CallRecorder.js';
+import { logger } from '../logger.js';
 
 /**
  * ConnectionState class - orchestrates all connection-specific managers
@@ -13,6 +17,9 @@ export class ConnectionState {
     this.audioManager = new AudioStreamManager();
     this.silenceManager = new SilenceDetectionManager();
     this.transcriptManager = new TranscriptManager(callSid);
+    this.budgetManager = new MinuteBudgetManager();
+    this.dtmfManager = new DtmfManager();
+    this.recorder = null; // Only set when the business has recording enabled
     this.createdAt = new Date().toISOString();
   }
   
@@ -46,6 +53,23 @@ export class ConnectionState {
     return this.transcriptManager;
   }
   
+  getBudgetManager() {
+    return this.budgetManager;
+  }
+  
+  getDtmfManager() {
+    return this.dtmfManager;
+  }
+  
+  startRecording(startedAt) {
+    this.recorder = new CallRecorder(this.callSid, startedAt);
+    return this.recorder;
+  }
+  
+  getRecorder() {
+    return this.recorder;
+  }
+  
   // State inspection methods
   isAudioStreaming() {
     return this.audioManager.isStreamingAudio;
@@ -59,12 +83,18 @@ export class ConnectionState {
     return this.transcriptManager.getEntryCount();
   }
   
+  getMinutesRemaining() {
+    return this.budgetManager.minutesRemaining;
+  }
+  
   // Complete cleanup of all managers
   cleanup() {
-    console.log(`🧹 CLEANUP: Cleaning up connection state for call ${this.callSid}`);
+    logger.info(`🧹 CLEANUP: Cleaning up connection state for call ${this.callSid}`);
     this.audioManager.cleanup();
     this.silenceManager.cleanup();
     this.transcriptManager.clear();
+    this.budgetManager.cleanup();
+    this.dtmfManager.cleanup();
   }
   
   // Debug information
@@ -75,7 +105,11 @@ export class ConnectionState {
       audioStreaming: this.isAudioStreaming(),
       silenceTimerPaused: this.isSilenceTimerPaused(),
       transcriptEntries: this.getTranscriptCount(),
-      silenceDuration: this.silenceManager.getSilenceDuration()
+      silenceDuration: this.silenceManager.getSilenceDuration(),
+      minutesRemaining: this.getMinutesRemaining(),
+      callTimeRemainingMs: this.budgetManager.getTimeRemainingMs(),
+      bookingConfirmationPending: this.dtmfManager.isConfirmationPending(),
+      recording: !!this.recorder
     };
   }
 }
\ No newline at end of file
@@ -0,0 +1,119 @@
+import { logger } from '../logger.js';
+
+/**
+ * Keypad actions a business can map digits to (business_config.dtmf_shortcuts)
+ */
+export const DTMF_ACTIONS = {
+  TRANSFER_TO_HUMAN: "transfer_to_human",
+  CONFIRM_BOOKING: "confirm_booking",
+};
+
+// Agent questions that a "press to confirm" digit can answer
+const CONFIRMATION_QUESTION_PATTERN = /\b(confirm|book|go ahead|shall i|would you like)\b/i;
+
+/**
+ * DTMF manager - maps keypad shortcuts and buffers digit sequences
+ * Single mapped digits fire immediately; anything else is collected until the caller
+ * pauses or presses # and then forwarded to the agent as one entry.
+ */
+export class DtmfManager {
+  constructor() {
+    this.shortcuts = {};
+    this.digitBuffer = "";
+    this.flushTimeout = null;
+    this.confirmationPending = false;
+    this.DIGIT_GAP_MS = 1500; // Pause that ends a digit sequence
+  }
+
+  /**
+   * Load the business's digit -> action mapping
+   * @param {Object} shortcuts - e.g. { "0": "transfer_to_human", "1": "confirm_booking" }
+   */
+  configure(shortcuts) {
+    const validActions = Object.values(DTMF_ACTIONS);
+    this.shortcuts = {};
+
+    for (const [digit, action] of Object.entries(shortcuts || {})) {
+      if (validActions.includes(action)) {
+        this.shortcuts[digit] = action;
+      } else {
+        logger.warn(`⚠️ DTMF: Ignoring unknown action '${action}' for digit ${digit}`);
+      }
+    }
+  }
+
+  getShortcuts() {
+    return { ...this.shortcuts };
+  }
+
+  /**
+   * Handle a keypad press
+   * @param {string} digit - The digit pressed (0-9, * or #)
+   * @param {Function} onAction - Called with (action, digit) for a mapped shortcut
+   * @param {Function} onSequence - Called with the buffered digits once the caller stops typing
+   */
+  handleDigit(digit, onAction, onSequence) {
+    const action = this.shortcuts[digit];
+
+    // Shortcuts only apply to a lone press, not as part of a longer number
+    if (action && !this.digitBuffer) {
+      if (action !== DTMF_ACTIONS.CONFIRM_BOOKING || this.confirmationPending) {
+        this.confirmationPending = false;
+        onAction(action, digit);
+        return;
+      }
+    }
+
+    if (digit === "#") {
+      this._flush(onSequence);
+      return;
+    }
+
+    this.digitBuffer += digit;
+    this._clearTimeout();
+    this.flushTimeout = setTimeout(
+      () => this._flush(onSequence),
+      this.DIGIT_GAP_MS
+    );
+  }
+
+  /**
+   * Track whether the agent is waiting on a yes/no booking confirmation
+   * @param {string} role - "user" or "assistant"
+   * @param {string} text - What was said
+   */
+  noteConversationTurn(role, text) {
+    if (role === "assistant") {
+      this.confirmationPending =
+        !!text && text.includes("?") && CONFIRMATION_QUESTION_PATTERN.test(text);
+    } else if (role === "user") {
+      this.confirmationPending = false;
+    }
+  }
+
+  isConfirmationPending() {
+    return this.confirmationPending;
+  }
+
+  _flush(onSequence) {
+    this._clearTimeout();
+    const digits = this.digitBuffer;
+    this.digitBuffer = "";
+    if (digits) {
+      onSequence(digits);
+    }
+  }
+
+  _clearTimeout() {
+    if (this.flushTimeout) {
+      clearTimeout(this.flushTimeout);
+      this.flushTimeout = null;
+    }
+  }
+
+  cleanup() {
+    this._clearTimeout();
+    this.digitBuffer = "";
+    this.confirmationPending = false;
+  }
+}
@@ -0,0 +1,113 @@
+import { logger } from '../logger.js';
+
+/**
+ * Minute budget manager - enforces the business's remaining call minutes mid-call
+ * Separated for better modularity and testability
+ */
+export const OVERAGE_POLICIES = {
+  HARD_STOP: "hard_stop", // End the call when the remaining minutes run out
+  SOFT_OVERAGE: "soft_overage", // Allow a fixed number of extra minutes before ending
+};
+
+// setTimeout fires immediately for longer delays (about 24.8 days), far beyond any call
+const MAX_TIMER_DELAY_MS = 2 ** 31 - 1;
+
+export class MinuteBudgetManager {
+  constructor() {
+    this.minutesRemaining = null;
+    this.overagePolicy = OVERAGE_POLICIES.HARD_STOP;
+    this.overageMinutes = 0;
+    this.callStartedAt = null;
+    this.warningTimeout = null;
+    this.limitTimeout = null;
+    this.warningSent = false;
+    this.limitReached = false;
+    this.WARNING_LEAD_MS = 60000; // Warn the caller one minute before the limit
+    this.FAREWELL_GRACE_MS = 10000; // Leave time for the farewell before the limit
+  }
+
+  configure({
+    minutesRemaining,
+    overagePolicy,
+    overageMinutes,
+    callStartedAt = Date.now(),
+  }) {
+    this.minutesRemaining =
+      typeof minutesRemaining === "number" ? minutesRemaining : null;
+    this.overagePolicy = Object.values(OVERAGE_POLICIES).includes(overagePolicy)
+      ? overagePolicy
+      : OVERAGE_POLICIES.HARD_STOP;
+    this.overageMinutes =
+      this.overagePolicy === OVERAGE_POLICIES.SOFT_OVERAGE
+        ? Math.max(0, Number(overageMinutes) || 0)
+        : 0;
+    this.callStartedAt = callStartedAt;
+  }
+
+  hasBudget() {
+    return this.minutesRemaining !== null;
+  }
+
+  getCallLimitMs() {
+    if (!this.hasBudget()) return null;
+    return (this.minutesRemaining + this.overageMinutes) * 60 * 1000;
+  }
+
+  getElapsedMs() {
+    return this.callStartedAt ? Date.now() - this.callStartedAt : 0;
+  }
+
+  getTimeRemainingMs() {
+    const limitMs = this.getCallLimitMs();
+    return limitMs === null ? null : Math.max(0, limitMs - this.getElapsedMs());
+  }
+
+  start(onWarning, onLimitReached) {
+    this._clearTimeouts();
+    if (!this.hasBudget()) return;
+
+    const timeRemainingMs = this.getTimeRemainingMs();
+    const limitInMs = Math.max(0, timeRemainingMs - this.FAREWELL_GRACE_MS);
+    const warningInMs = limitInMs - this.WARNING_LEAD_MS;
+
+    logger.info(
+      `⏳ BUDGET: ${Math.round(timeRemainingMs / 1000)}s of call time available (${this.overagePolicy})`
+    );
+
+    if (limitInMs > MAX_TIMER_DELAY_MS) {
+      // No call runs out a budget this large, so there is nothing to enforce
+      return;
+    }
+
+    if (warningInMs > 0) {
+      this.warningTimeout = setTimeout(() => {
+        this.warningSent = true;
+        onWarning(this.getTimeRemainingMs());
+      }, warningInMs);
+    }
+
+    this.limitTimeout = setTimeout(() => {
+      this.limitReached = true;
+      onLimitReached();
+    }, limitInMs);
+  }
+
+  isLimitReached() {
+    return this.limitReached;
+  }
+
+  _clearTimeouts() {
+    if (this.warningTimeout) {
+      clearTimeout(this.warningTimeout);
+      this.warningTimeout = null;
+    }
+    if (this.limitTimeout) {
+      clearTimeout(this.limitTimeout);
+      this.limitTimeout = null;
+    }
+  }
+
+  cleanup() {
+    this._clearTimeouts();
+  }
+}
@@ -1,3 +1,5 @@
+import { logger } from '../logger.js';
+
 /**
  * Silence detection manager - handles silence timeout logic
  * Separated for better modularity and testability
@@ -12,29 +14,29 @@ export class SilenceDetectionManager {
   }
   
   pauseTimer(reason, timestamp = new Date().toISOString()) {
-    console.log(`[${timestamp}] ⏸️ SILENCE: Pausing timer - ${reason}`);
+    logger.info(`[${timestamp}] ⏸️ SILENCE: Pausing timer - ${reason}`);
     this.silenceTimerPaused = true;
     this._clearTimeout();
   }
   
   resumeTimer(reason, timestamp = new Date().toISOString()) {
-    console.log(`[${timestamp}] ▶️ SILENCE: Resuming timer - ${reason}`);
+    logger.info(`[${timestamp}] ▶️ SILENCE: Resuming timer - ${reason}`);
     this.silenceTimerPaused = false;
   }
   
   startTracking(timestamp = new Date().toISOString()) {
     if (this.silenceTimerPaused) {
-      console.log(`[${timestamp}] ⏸️ SILENCE: Timer paused, not starting tracking`);
+      logger.info(`[${timestamp}] ⏸️ SILENCE: Timer paused, not starting tracking`);
       return;
     }
     
     this.silenceStartTime = Date.now();
-    console.log(`[${timestamp}] 🔇 SILENCE: Started tracking`);
+    logger.info(`[${timestamp}] 🔇 SILENCE: Started tracking`);
   }
   
   stopTracking(timestamp = new Date().toISOString()) {
     if (this.silenceStartTime) {
-      console.log(`[${timestamp}] 🔊 SILENCE: Stopped tracking`);
+      logger.info(`[${timestamp}] 🔊 SILENCE: Stopped tracking`);
       this.silenceStartTime = null;
       this._clearTimeout();
     }
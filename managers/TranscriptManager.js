@@ -1,3 +1,5 @@
+import { logger } from '../logger.js';
+
 /**
  * Transcript manager - handles conversation transcript tracking
  * Separated for better modularity and testability
@@ -21,13 +23,13 @@ export class TranscriptManager {
     });
     
     if (isDuplicate) {
-      console.log(`📝 TRANSCRIPT: Skipping duplicate ${speaker}: ${text}`);
+      logger.info(`📝 TRANSCRIPT: Skipping duplicate ${speaker}: ${text}`);
       return null;
     }
     
     const entry = { speaker, text, timestamp };
     this.conversationTranscript.push(entry);
-    console.log(`📝 TRANSCRIPT: Added ${speaker}: ${text}`);
+    logger.info(`📝 TRANSCRIPT: Added ${speaker}: ${text}`);
     return entry;
   }
   
@@ -0,0 +1,185 @@
+import client from "prom-client";
+
+/**
+ * Prometheus metrics for calls, function calls, SMS and audio health
+ * Exposed in text format on the /metrics endpoint.
+ */
+const register = new client.Registry();
+client.collectDefaultMetrics({ register, prefix: "vocalenda_" });
+
+// Set by the call registry, which imports this module rather than the other way round
+let listActiveCalls = () => [];
+
+new client.Gauge({
+  name: "vocalenda_active_calls",
+  help: "Calls currently handled by this instance",
+  registers: [register],
+  collect() {
+    this.set(listActiveCalls().length);
+  },
+});
+
+new client.Gauge({
+  name: "vocalenda_active_calls_by_business",
+  help: "Calls currently handled by this instance, per business",
+  labelNames: ["business_id"],
+  registers: [register],
+  collect() {
+    this.reset();
+    for (const call of listActiveCalls()) {
+      this.inc({ business_id: call.businessId });
+    }
+  },
+});
+
+const callsTotal = new client.Counter({
+  name: "vocalenda_calls_total",
+  help: "Calls accepted and handed to the AI agent, per business",
+  labelNames: ["business_id"],
+  registers: [register],
+});
+
+const callsRejectedTotal = new client.Counter({
+  name: "vocalenda_calls_rejected_total",
+  help: "Calls rejected before the AI agent started, by reason",
+  labelNames: ["reason"],
+  registers: [register],
+});
+
+const deepgramInitFailuresTotal = new client.Counter({
+  name: "vocalenda_deepgram_init_failures_total",
+  help: "Failed Deepgram agent initialisations",
+  registers: [register],
+});
+
+const voiceAgentReconnectsTotal = new client.Counter({
+  name: "vocalenda_voice_agent_reconnects_total",
+  help: "Attempts to reconnect a voice agent that dropped mid-call, by outcome",
+  labelNames: ["outcome"],
+  registers: [register],
+});
+
+const functionCallsTotal = new client.Counter({
+  name: "vocalenda_function_calls_total",
+  help: "Agent function calls handled, by function and outcome",
+  labelNames: ["function_name", "outcome"],
+  registers: [register],
+});
+
+const functionCallDuration = new client.Histogram({
+  name: "vocalenda_function_call_duration_seconds",
+  help: "Time taken to execute agent function calls",
+  labelNames: ["function_name"],
+  buckets: [0.05, 0.1, 0.25, 0.5, 1, 2, 5, 10, 20],
+  registers: [register],
+});
+
+const smsConfirmationsTotal = new client.Counter({
+  name: "vocalenda_sms_confirmations_total",
+  help: "Booking confirmation SMS attempts, by status",
+  labelNames: ["status"],
+  registers: [register],
+});
+
+const audioAnomaliesTotal = new client.Counter({
+  name: "vocalenda_audio_anomalies_total",
+  help: "Unexpected audio frames from Twilio or Deepgram, by type",
+  labelNames: ["type"],
+  registers: [register],
+});
+
+// Rejection reasons used by the start handler
+export const REJECTION_REASONS = {
+  NO_CONFIG: "no_config",
+  NO_CALENDAR: "no_calendar",
+  NO_MINUTES: "no_minutes",
+  UNAUTHORIZED: "unauthorized",
+  OVERFLOW: "overflow",
+  BLOCKED: "blocked",
+  RATE_LIMITED: "rate_limited",
+};
+
+// Audio anomaly types reported by the media and TTS paths
+export const AUDIO_ANOMALIES = {
+  TWILIO_EMPTY_BUFFER: "twilio_empty_buffer",
+  TWILIO_UNEXPECTED_BUFFER_SIZE: "twilio_unexpected_buffer_size",
+  AGENT_EMPTY_BUFFER: "agent_empty_buffer",
+  AGENT_TINY_BUFFER: "agent_tiny_buffer",
+  TTS_TINY_CHUNK: "tts_tiny_chunk",
+  TTS_INVALID_BASE64: "tts_invalid_base64",
+};
+
+// Functions offered to the agent (getAvailableFunctions in utils.js). Any other name the model
+// invents is counted as "unknown", so the function_name label can't grow without bound.
+const FUNCTION_NAMES = new Set([
+  "get_services",
+  "get_staff_members",
+  "get_current_time",
+  "check_business_status",
+  "get_day_of_week",
+  "get_available_slots",
+  "create_booking",
+  "update_booking",
+  "cancel_booking",
+  "lookup_customer",
+  "select_booking",
+  "list_current_bookings",
+  "confirm_appointment",
+  "take_message",
+  "request_callback",
+  "transfer_to_human",
+  "end_call",
+  "set_call_language",
+]);
+
+/**
+ * Set where the active call gauges read the calls this instance is handling
+ * @param {Function} listCalls - Returns the registered calls
+ */
+export function trackActiveCalls(listCalls) {
+  listActiveCalls = listCalls;
+}
+
+export function recordCallStarted(businessId) {
+  callsTotal.inc({ business_id: businessId || "unknown" });
+}
+
+export function recordCallRejected(reason) {
+  callsRejectedTotal.inc({ reason });
+}
+
+export function recordDeepgramInitFailure() {
+  deepgramInitFailuresTotal.inc();
+}
+
+export function recordVoiceAgentReconnect(success) {
+  voiceAgentReconnectsTotal.inc({ outcome: success ? "success" : "failure" });
+}
+
+/**
+ * Record a completed function call
+ * @param {string} functionName - Name of the function the agent called
+ * @param {number} durationMs - Execution time in milliseconds
+ * @param {string} outcome - "success" or "error"
+ */
+export function observeFunctionCall(functionName, durationMs, outcome) {
+  const name = FUNCTION_NAMES.has(functionName) ? functionName : "unknown";
+  functionCallsTotal.inc({ function_name: name, outcome });
+  functionCallDuration.observe({ function_name: name }, durationMs / 1000);
+}
+
+export function recordSmsConfirmation(success) {
+  smsConfirmationsTotal.inc({ status: success ? "success" : "failure" });
+}
+
+export function recordAudioAnomaly(type) {
+  audioAnomaliesTotal.inc({ type });
+}
+
+export function getMetricsContentType() {
+  return register.contentType;
+}
+
+export async function renderMetrics() {
+  return register.metrics();
+}
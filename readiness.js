@@ -0,0 +1,117 @@
+import { getConfig, validateConfig } from "./config.js";
+import { supabase } from "./database.js";
+import { logger } from "./logger.js";
+
+const config = getConfig();
+
+// Cached result so load balancer probes don't hammer downstream services
+let cachedReadiness = null;
+let cachedAt = 0;
+let pendingCheck = null;
+
+/**
+ * Run a single dependency check and time it
+ * @param {Function} check - Async function that throws when the dependency is unhealthy
+ * @returns {Promise<Object>} { status, latencyMs, error? }
+ */
+async function runCheck(check) {
+  const startedAt = Date.now();
+  try {
+    await check();
+    return { status: "ok", latencyMs: Date.now() - startedAt };
+  } catch (error) {
+    return {
+      status: "fail",
+      latencyMs: Date.now() - startedAt,
+      error: error.message,
+    };
+  }
+}
+
+/**
+ * Cheap Supabase query - every booking and call log depends on it
+ */
+async function checkSupabase() {
+  const { error } = await supabase
+    .from("businesses")
+    .select("id", { head: true })
+    .limit(1)
+    .abortSignal(AbortSignal.timeout(config.readiness.checkTimeoutMs));
+
+  if (error) {
+    throw new Error(error.message || "Supabase query failed");
+  }
+}
+
+/**
+ * Reach the Next.js internal API used for availability, bookings and SMS
+ */
+async function checkNextjsApi() {
+  const response = await fetch(config.nextjs.siteUrl, {
+    method: "HEAD",
+    signal: AbortSignal.timeout(config.readiness.checkTimeoutMs),
+  });
+
+  // Any non-5xx answer means the app is up and routing requests
+  if (response.status >= 500) {
+    throw new Error(`Next.js API responded with ${response.status}`);
+  }
+}
+
+/**
+ * Required environment configuration is present
+ */
+async function checkConfig() {
+  validateConfig();
+}
+
+/**
+ * Check every downstream dependency the call pipeline needs
+ * @returns {Promise<Object>} { ready, checkedAt, checks }
+ */
+async function checkDependencies() {
+  const [supabaseCheck, nextjsCheck, configCheck] = await Promise.all([
+    runCheck(checkSupabase),
+    runCheck(checkNextjsApi),
+    runCheck(checkConfig),
+  ]);
+
+  const checks = {
+    supabase: supabaseCheck,
+    nextjs: nextjsCheck,
+    config: configCheck,
+  };
+
+  const ready = Object.values(checks).every((check) => check.status === "ok");
+  if (!ready) {
+    logger.warn("⚠️ READINESS: Instance not ready:", checks);
+  }
+
+  return { ready, checkedAt: new Date().toISOString(), checks };
+}
+
+/**
+ * Get readiness, reusing a recent result when available
+ * @returns {Promise<Object>} { ready, checkedAt, checks, cached }
+ */
+export async function getReadiness() {
+  if (cachedReadiness && Date.now() - cachedAt < config.readiness.cacheMs) {
+    return { ...cachedReadiness, cached: true };
+  }
+
+  // Share one in-flight check between concurrent probes
+  if (!pendingCheck) {
+    pendingCheck = checkDependencies()
+      .then((result) => {
+        cachedReadiness = result;
+        cachedAt = Date.now();
+        return result;
+      })
+      .finally(() => {
+        pendingCheck = null;
+      });
+  }
+
+  const result = await pendingCheck;
+  return { ...result, cached: false };
+}
@@ -0,0 +1,62 @@
+import { mkdir, writeFile } from "fs/promises";
+import { dirname, join, resolve } from "path";
+import { getConfig } from "./config.js";
+import { supabase } from "./database.js";
+
+const config = getConfig();
+
+/**
+ * Storage backends for call recordings
+ * Each adapter saves a file under a key and returns the URL stored on the call log.
+ */
+const storageAdapters = {
+  local: {
+    async save(key, data) {
+      const filePath = resolve(join(config.recordings.localDir, key));
+      await mkdir(dirname(filePath), { recursive: true });
+      await writeFile(filePath, data);
+      return `file://${filePath}`;
+    },
+  },
+
+  supabase: {
+    async save(key, data) {
+      const bucket = config.recordings.bucket;
+      const { error } = await supabase.storage
+        .from(bucket)
+        .upload(key, data, { contentType: "audio/wav", upsert: true });
+
+      if (error) {
+        throw new Error(`Failed to upload recording: ${error.message}`);
+      }
+
+      // Private bucket - readable with the service role key from the dashboard
+      return `${config.supabase.url}/storage/v1/object/authenticated/${bucket}/${key}`;
+    },
+  },
+};
+
+/**
+ * Register an additional storage backend
+ * @param {string} name - Name used in RECORDING_STORAGE
+ * @param {Object} adapter - Object with async save(key, data) returning a URL
+ */
+export function registerRecordingStorage(name, adapter) {
+  storageAdapters[name] = adapter;
+}
+
+/**
+ * Save a call recording with the configured storage backend
+ * @param {string} businessId - Business the call belongs to
+ * @param {string} callSid - The Twilio call SID
+ * @param {Buffer} wav - Recording contents
+ * @returns {Promise<string>} URL of the saved recording
+ */
+export async function saveRecording(businessId, callSid, wav) {
+  const adapter = storageAdapters[config.recordings.storage];
+  if (!adapter) {
+    throw new Error(`Unknown recording storage '${config.recordings.storage}'`);
+  }
+
+  return adapter.save(`${businessId}/${callSid}.wav`, wav);
+}
@@ -0,0 +1,461 @@
+import express from "express";
+import twilio from "twilio";
+import { getConfig } from "./config.js";
+import { db } from "./database.js";
+import {
+  loadBusinessConfig,
+  isGoogleCalendarConnected,
+} from "./businessConfig.js";
+import { canMakeCall } from "./subscription-utils.js";
+import { checkCallCapacity } from "./callRegistry.js";
+import { verifyTwilioWebhook } from "./streamAuth.js";
+import {
+  convert24to12Hour,
+  getDateTimeInTimezone,
+  UK_TIMEZONE,
+} from "./dateUtils.js";
+import { logger, runWithLogContext } from "./logger.js";
+import {
+  DEFAULT_CALL_LANGUAGE,
+  getCallLanguage,
+  getPrimaryLanguage,
+} from "./languages.js";
+
+const config = getConfig();
+
+// Custom stream parameter that marks a media stream as an outbound reminder call
+export const REMINDER_CALL_DIRECTION = "outbound_reminder";
+
+// Values written to bookings.reminder_status
+export const REMINDER_STATUSES = {
+  CALLING: "calling",
+  CONFIRMED: "confirmed",
+  RESCHEDULED: "rescheduled",
+  CANCELLED: "cancelled",
+  NO_ANSWER: "no_answer",
+  NO_DECISION: "no_decision", // Answered, but the customer didn't confirm, move or cancel
+  FAILED: "failed",
+};
+
+// Space out call placement so a sweep doesn't burst the carrier or the agent
+const CALL_PLACEMENT_GAP_MS = 2000;
+// Twilio gives up ringing after a minute; a call whose stream and status callback both went to
+// another instance stops counting as ringing here after this
+const RINGING_EXPIRY_MS = 2 * 60 * 1000;
+
+// Reminder calls placed from this instance that haven't been answered or finished yet, by call SID
+const ringingCalls = new Map();
+
+let sweepInterval = null;
+let sweepInProgress = false;
+
+/**
+ * Normalize a bookings row into the details a reminder call needs
+ * @param {Object} booking - Row from the bookings table
+ * @param {Object} businessConfig - Business configuration
+ * @returns {Object} Reminder details (bookingId, customerName, customerPhone, serviceName, date, time)
+ */
+function toReminder(booking, businessConfig) {
+  const timezone = businessConfig.business?.timezone || UK_TIMEZONE;
+  const startsAt = String(booking.start_time || "");
+
+  // start_time is a timestamp on some rows and a bare HH:MM:SS time alongside appointment_date on others
+  const local = startsAt.includes("T")
+    ? getDateTimeInTimezone(new Date(startsAt), timezone)
+    : { date: booking.appointment_date, time: startsAt.slice(0, 5) };
+
+  const service = businessConfig.services?.find(
+    (s) => s.id === booking.service_id
+  );
+
+  return {
+    bookingId: booking.id,
+    customerName: booking.customer_name || null,
+    customerPhone: booking.customer_phone || null,
+    serviceName: booking.service_name || service?.name || "appointment",
+    date: booking.appointment_date || local.date,
+    time: local.time,
+  };
+}
+
+/**
+ * Load the booking an outbound reminder stream was started for
+ * @param {Object} businessConfig - Business configuration
+ * @param {string} bookingId - Booking ID from the stream parameters
+ * @returns {Promise<Object|null>} Reminder details, or null if the booking isn't this business's
+ */
+export async function loadReminderBooking(businessConfig, bookingId) {
+  try {
+    const booking = await db.getBooking(businessConfig.business.id, bookingId);
+    if (!booking) {
+      logger.warn(`⏰ REMINDER: Booking ${bookingId} not found for business`);
+      return null;
+    }
+    return toReminder(booking, businessConfig);
+  } catch (error) {
+    logger.error(`❌ REMINDER: Failed to load booking ${bookingId}:`, error);
+    return null;
+  }
+}
+
+/**
+ * Build the opening line for a reminder call
+ * @param {Object} businessConfig - Business configuration
+ * @param {Object} reminder - Reminder details from loadReminderBooking
+ * @param {string} [language] - Language the call is in, if not the business's own
+ * @returns {string} Greeting with variables replaced
+ */
+export function getReminderGreeting(businessConfig, reminder, language = null) {
+  // reminder_greeting is in the business's own language; other languages use the built-in one
+  const callLanguage = language || getPrimaryLanguage(businessConfig);
+  const template =
+    (callLanguage === getPrimaryLanguage(businessConfig) &&
+      businessConfig.config?.reminder_greeting) ||
+    getCallLanguage(callLanguage).reminderGreeting;
+
+  // 12-hour times are for English; other languages say the 24-hour time
+  let appointmentTime = reminder.time;
+  if (callLanguage === DEFAULT_CALL_LANGUAGE) {
+    try {
+      appointmentTime = convert24to12Hour(reminder.time);
+    } catch {
+      // Keep the stored format if it isn't HH:MM
+    }
+  }
+
+  return template
+    .replace(/{customer_name}/g, reminder.customerName || "")
+    .replace(/{business_name}/g, businessConfig.business?.name || "our business")
+    .replace(/{service_name}/g, reminder.serviceName)
+    .replace(/{appointment_time}/g, appointmentTime)
+    .replace(/\s+,/g, ",") // No customer name leaves "Hi ,"
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+/**
+ * Write a reminder call's outcome back to its booking
+ * @param {string} bookingId - The booking the reminder was for
+ * @param {string} status - One of REMINDER_STATUSES
+ * @param {string|null} expectedStatus - Only update if the reminder is still in this state
+ * @returns {Promise<boolean>} True if the booking was updated
+ */
+export async function recordReminderOutcome(
+  bookingId,
+  status,
+  expectedStatus = null
+) {
+  try {
+    const updated = await db.updateBookingReminder(
+      bookingId,
+      { reminder_status: status, reminder_completed_at: new Date().toISOString() },
+      expectedStatus
+    );
+    if (updated) {
+      logger.info(`⏰ REMINDER: Booking ${bookingId} marked ${status}`);
+    }
+    return !!updated;
+  } catch (error) {
+    logger.error(
+      `❌ REMINDER: Failed to record outcome for booking ${bookingId}:`,
+      error
+    );
+    return false;
+  }
+}
+
+/**
+ * Count the reminder calls placed from this instance that are still ringing
+ * They aren't registered until answered, so the concurrency limits have to count them separately.
+ * @param {string} [businessId] - Only count calls for this business
+ * @returns {number} Number of ringing calls
+ */
+function countRingingCalls(businessId = null) {
+  let count = 0;
+  for (const [callSid, call] of ringingCalls) {
+    if (Date.now() - call.placedAt > RINGING_EXPIRY_MS) {
+      ringingCalls.delete(callSid);
+    } else if (!businessId || call.businessId === businessId) {
+      count++;
+    }
+  }
+  return count;
+}
+
+/**
+ * Stop counting a reminder call as ringing, once it is registered or has finished
+ * @param {string} callSid - Twilio call SID
+ */
+export function clearRingingReminderCall(callSid) {
+  ringingCalls.delete(callSid);
+}
+
+/**
+ * Place a reminder call through Twilio, streaming it back to this server
+ * @param {Object} businessConfig - Business configuration
+ * @param {Object} reminder - Reminder details
+ * @returns {Promise<Object>} { success, callSid } or { error }
+ */
+export async function placeReminderCall(businessConfig, reminder) {
+  const business = businessConfig.business;
+
+  // Claim the booking first so two instances can't both call the customer
+  try {
+    const claimed = await db.claimBookingReminder(reminder.bookingId, {
+      reminder_status: REMINDER_STATUSES.CALLING,
+      reminder_called_at: new Date().toISOString(),
+    });
+    if (!claimed) {
+      logger.info(`⏰ REMINDER: Booking ${reminder.bookingId} already claimed - skipping`);
+      return { error: "Reminder already claimed" };
+    }
+  } catch (error) {
+    logger.error(
+      `❌ REMINDER: Failed to claim booking ${reminder.bookingId}:`,
+      error
+    );
+    return { error: error.message };
+  }
+
+  try {
+    const client = twilio(config.twilio.accountSid, config.twilio.authToken);
+
+    // Same custom parameters the inbound TwiML sends, plus the booking being confirmed
+    const response = new twilio.twiml.VoiceResponse();
+    const stream = response
+      .connect()
+      .stream({ url: new URL("/twilio", config.websocket.publicUrl).toString() });
+    const parameters = {
+      business_id: business.id,
+      caller_phone: reminder.customerPhone,
+      business_phone: business.phone_number,
+      timezone: business.timezone || UK_TIMEZONE,
+      call_direction: REMINDER_CALL_DIRECTION,
+      booking_id: reminder.bookingId,
+      stream_token: businessConfig.config?.stream_auth_token,
+    };
+    Object.entries(parameters).forEach(([name, value]) => {
+      if (value) stream.parameter({ name, value });
+    });
+
+    const statusCallback = new URL(
+      `/reminders/status?booking_id=${encodeURIComponent(reminder.bookingId)}`,
+      config.websocket.publicUrl.replace(/^ws/, "http")
+    ).toString();
+
+    const call = await client.calls.create({
+      to: reminder.customerPhone,
+      from: business.phone_number,
+      twiml: response.toString(),
+      statusCallback,
+      statusCallbackEvent: ["completed"],
+    });
+
+    ringingCalls.set(call.sid, { businessId: business.id, placedAt: Date.now() });
+    await db.updateBookingReminder(reminder.bookingId, { reminder_call_sid: call.sid });
+
+    logger.info(
+      `⏰ REMINDER: Calling ${reminder.customerPhone} about booking ${reminder.bookingId} (${call.sid})`
+    );
+    return { success: true, callSid: call.sid };
+  } catch (error) {
+    logger.error(
+      `❌ REMINDER: Failed to place call for booking ${reminder.bookingId}:`,
+      error
+    );
+    await recordReminderOutcome(
+      reminder.bookingId,
+      REMINDER_STATUSES.FAILED,
+      REMINDER_STATUSES.CALLING
+    );
+    return { error: error.message };
+  }
+}
+
+/**
+ * Call every customer of one business with a booking tomorrow that hasn't been reminded yet
+ * @param {string} businessId - Business to process
+ * @returns {Promise<number>} Number of calls placed
+ */
+async function sweepBusiness(businessId) {
+  const businessConfig = await loadBusinessConfig(businessId);
+  if (!businessConfig?.business?.phone_number) {
+    logger.warn(`⏰ REMINDER: Skipping business ${businessId} - no phone number`);
+    return 0;
+  }
+
+  // The agent can't move or cancel bookings without the calendar
+  if (!isGoogleCalendarConnected(businessConfig)) {
+    logger.warn(`⏰ REMINDER: Skipping business ${businessId} - calendar not connected`);
+    return 0;
+  }
+
+  const timezone = businessConfig.business.timezone || UK_TIMEZONE;
+  const now = getDateTimeInTimezone(new Date(), timezone);
+  if (
+    now.hour < config.reminders.callStartHour ||
+    now.hour >= config.reminders.callEndHour
+  ) {
+    return 0;
+  }
+
+  const tomorrow = getDateTimeInTimezone(
+    new Date(Date.now() + 24 * 60 * 60 * 1000),
+    timezone
+  ).date;
+  const bookings = await db.getBookings(
+    businessId,
+    `${tomorrow}T00:00:00`,
+    `${tomorrow}T23:59:59`
+  );
+  const due = bookings.filter(
+    (b) => !b.reminder_status && b.status !== "cancelled" && b.customer_phone
+  );
+  if (due.length === 0) {
+    return 0;
+  }
+
+  // Reminder calls use the business's minutes like any other call
+  const subscriptionCheck = await canMakeCall(businessId);
+  if (!subscriptionCheck.allowed) {
+    logger.warn(
+      `⏰ REMINDER: Skipping business ${businessId} - ${subscriptionCheck.reason}`
+    );
+    return 0;
+  }
+
+  let placed = 0;
+  for (const booking of due) {
+    // Leave room for inbound callers; the rest are picked up by the next sweep
+    const capacity = checkCallCapacity(businessId, {
+      maxPerBusiness: Number(businessConfig.config?.max_concurrent_calls) || null,
+      maxPerInstance: config.calls.maxConcurrent,
+      pendingOnInstance: countRingingCalls(),
+      pendingForBusiness: countRingingCalls(businessId),
+    });
+    if (!capacity.allowed) {
+      logger.info(
+        `⏰ REMINDER: ${capacity.limit} call limit reached - deferring ${due.length - placed} reminder(s) for ${businessId}`
+      );
+      break;
+    }
+
+    const result = await placeReminderCall(
+      businessConfig,
+      toReminder(booking, businessConfig)
+    );
+    if (result.success) {
+      placed++;
+    }
+    await new Promise((resolve) => setTimeout(resolve, CALL_PLACEMENT_GAP_MS));
+  }
+
+  return placed;
+}
+
+/**
+ * Place reminder calls for tomorrow's bookings across all opted-in businesses
+ * @returns {Promise<number>} Number of calls placed
+ */
+export async function runReminderSweep() {
+  if (sweepInProgress) {
+    logger.info("⏰ REMINDER: Previous sweep still running, skipping");
+    return 0;
+  }
+
+  sweepInProgress = true;
+  let placed = 0;
+  try {
+    const businessIds = await db.getReminderCallBusinessIds();
+    for (const businessId of businessIds) {
+      try {
+        placed += await runWithLogContext({ businessId }, () =>
+          sweepBusiness(businessId)
+        );
+      } catch (error) {
+        logger.error(`❌ REMINDER: Sweep failed for business ${businessId}:`, error);
+      }
+    }
+    if (placed > 0) {
+      logger.info(`⏰ REMINDER: Sweep placed ${placed} call(s)`);
+    }
+  } catch (error) {
+    logger.error("❌ REMINDER: Sweep failed:", error);
+  } finally {
+    sweepInProgress = false;
+  }
+  return placed;
+}
+
+/**
+ * Start sweeping for reminder calls on an interval, if enabled
+ */
+export function startReminderScheduler() {
+  if (!config.reminders.enabled || sweepInterval) {
+    return;
+  }
+
+  if (!config.websocket.publicUrl) {
+    logger.error(
+      "❌ REMINDER: PUBLIC_WS_URL is required for reminder calls - scheduler not started"
+    );
+    return;
+  }
+
+  logger.info(
+    `⏰ REMINDER: Scheduler started, sweeping every ${config.reminders.sweepIntervalMs}ms`
+  );
+  sweepInterval = setInterval(runReminderSweep, config.reminders.sweepIntervalMs);
+  runReminderSweep();
+}
+
+/**
+ * Stop placing new reminder calls (calls already in progress are unaffected)
+ */
+export function stopReminderScheduler() {
+  if (sweepInterval) {
+    clearInterval(sweepInterval);
+    sweepInterval = null;
+    logger.info("⏰ REMINDER: Scheduler stopped");
+  }
+}
+
+/**
+ * Map a final Twilio call status to a reminder outcome
+ * A completed call only counts if the agent didn't already record an outcome.
+ */
+const CALL_STATUS_OUTCOMES = {
+  completed: REMINDER_STATUSES.NO_DECISION,
+  busy: REMINDER_STATUSES.NO_ANSWER,
+  "no-answer": REMINDER_STATUSES.NO_ANSWER,
+  failed: REMINDER_STATUSES.FAILED,
+  canceled: REMINDER_STATUSES.FAILED,
+};
+
+/**
+ * Create the router for Twilio reminder-call webhooks (mounted at /reminders)
+ * @returns {express.Router} Router handling call status callbacks
+ */
+export function createReminderRouter() {
+  const router = express.Router();
+  router.use(express.urlencoded({ extended: false }));
+
+  // Final status of a reminder call
+  router.post("/status", async (req, res) => {
+    if (!verifyTwilioWebhook(req)) {
+      return res.sendStatus(403);
+    }
+
+    clearRingingReminderCall(req.body?.CallSid);
+
+    const bookingId = req.query.booking_id;
+    const outcome = CALL_STATUS_OUTCOMES[req.body?.CallStatus];
+    if (bookingId && outcome) {
+      await recordReminderOutcome(bookingId, outcome, REMINDER_STATUSES.CALLING);
+    }
+
+    res.sendStatus(204);
+  });
+
+  return router;
+}
@@ -1,4 +1,4 @@
-import WebSocket, { WebSocketServer } from "ws";
+import { WebSocketServer } from "ws";
 import express from "express";
 import { createServer } from "http";
 import { validateConfig } from "./config.js";
@@ -7,534 +7,986 @@ import {
   isGoogleCalendarConnected,
 } from "./businessConfig.js";
 import {
-  initializeDeepgram,
-  handleDeepgramMessage,
+  initializeVoiceAgent,
+  attachVoiceAgent,
   cleanupAudioSystem,
-  closeDeepgramConnection,
+  closeVoiceAgent,
   saveConversationTranscript,
-} from "./deepgram.js";
+  startMinuteBudgetEnforcement,
+  handleDtmfDigit,
+  handlePlaybackMark,
+  playAudioClip,
+  saveCallRecording,
+  reconnectVoiceAgent,
+} from "./voiceAgent.js";
 import {
   clearCallSession,
-  getCallSession,
   setCallSession,
   endCall,
-  sendConsolidatedSMSConfirmation,
+  sayMessageAndHangUp,
+  hangUpCall,
+  transferToHuman,
+  storeReminderBooking,
 } from "./functionHandlers.js";
 import { db, supabase } from "./database.js";
+import { canMakeCall, recordCallUsage } from "./subscription-utils.js";
+import { verifyStreamToken } from "./streamAuth.js";
+import { getTransportForRequest } from "./transports/index.js";
+import {
+  registerCall,
+  unregisterCall,
+  getActiveCallCount,
+  checkCallCapacity,
+} from "./callRegistry.js";
+import { loadMulawClip } from "./audioClips.js";
+import { ConnectionState } from "./managers/ConnectionState.js";
+import { CallLifecycle } from "./managers/CallLifecycle.js";
+import { createAdminRouter } from "./adminRoutes.js";
+import {
+  createReminderRouter,
+  startReminderScheduler,
+  stopReminderScheduler,
+  clearRingingReminderCall,
+  loadReminderBooking,
+  REMINDER_CALL_DIRECTION,
+} from "./reminderCalls.js";
+import { getReadiness } from "./readiness.js";
+import {
+  releaseBookingConfirmations,
+  startSmsOutboxDispatcher,
+  stopSmsOutboxDispatcher,
+} from "./smsOutbox.js";
+import { screenCaller } from "./callerScreening.js";
+import {
+  isAfterHours,
+  startAfterHoursDigestScheduler,
+  stopAfterHoursDigestScheduler,
+} from "./afterHours.js";
+import {
+  renderMetrics,
+  getMetricsContentType,
+  recordCallStarted,
+  recordCallRejected,
+  recordDeepgramInitFailure,
+  recordAudioAnomaly,
+  REJECTION_REASONS,
+  AUDIO_ANOMALIES,
+} from "./metrics.js";
+import { logger, bindLogContext } from "./logger.js";
+import { getCallLanguage } from "./languages.js";
 
 // Validate configuration on startup
 const config = validateConfig();
 
+// Spoken to callers when the business can't take AI calls (no active subscription or minutes left)
+const DEFAULT_SERVICE_UNAVAILABLE_MESSAGE =
+  "Sorry, we're unable to take your call right now. Please try again later. Goodbye.";
+
+// Spoken when every line is busy and no overflow clip is configured
+const DEFAULT_OVERFLOW_MESSAGE =
+  "Sorry, all of our lines are busy right now. Please call back in a few minutes. Goodbye.";
+
+// Spoken to blocked callers when the business chooses a message over an immediate hangup
+const DEFAULT_BLOCKED_CALLER_MESSAGE =
+  "Sorry, we're unable to take your call. Goodbye.";
+
 // Create Express app and HTTP server
 const app = express();
 const server = createServer(app);
 
+// Drain state - set on SIGTERM/SIGINT so live calls can finish before exit
+let draining = false;
+
+// Active media stream connections, used to wait for calls to finish while draining
+const activeConnections = new Map();
+
 // Create WebSocket server attached to HTTP server
-const wss = new WebSocketServer({ server });
+// The URL path picks the carrier transport, which must accept the upgrade
+// (e.g. a valid Twilio signature) before any call state is created
+const wss = new WebSocketServer({
+  server,
+  verifyClient: ({ req }, done) => {
+    const Transport = getTransportForRequest(req);
+    if (draining) {
+      logger.warn("🚧 Rejecting WebSocket upgrade - server is draining");
+      done(false, 503, "Service Unavailable");
+    } else if (!Transport) {
+      logger.warn(`🚫 Rejecting WebSocket upgrade - no transport for ${req.url}`);
+      done(false, 404, "Not Found");
+    } else if (Transport.verifyUpgrade(req)) {
+      done(true);
+    } else {
+      done(false, 403, "Forbidden");
+    }
+  },
+});
 
 // Basic health check endpoint
 app.get("/health", (req, res) => {
+  if (draining) {
+    return res.status(503).json({
+      status: "draining",
+      activeCalls: getActiveCallCount(),
+      timestamp: new Date().toISOString(),
+    });
+  }
   res.json({ status: "ok", timestamp: new Date().toISOString() });
 });
 
+// Readiness check - only route calls here when bookings can actually be made
+app.get("/ready", async (req, res) => {
+  if (draining) {
+    return res.status(503).json({
+      ready: false,
+      status: "draining",
+      timestamp: new Date().toISOString(),
+    });
+  }
+
+  const readiness = await getReadiness();
+  res.status(readiness.ready ? 200 : 503).json({
+    ...readiness,
+    status: readiness.ready ? "ready" : "not_ready",
+  });
+});
+
+// Prometheus metrics endpoint
+app.get("/metrics", async (req, res) => {
+  try {
+    res.set("Content-Type", getMetricsContentType());
+    res.send(await renderMetrics());
+  } catch (error) {
+    logger.error("❌ Failed to render metrics:", error);
+    res.status(500).send("Failed to render metrics");
+  }
+});
+
+// Authenticated admin API for inspecting and ending live calls
+app.use("/admin", createAdminRouter());
+
+// Twilio status callbacks for outbound reminder calls
+app.use("/reminders", createReminderRouter());
+
 // Start the HTTP server
 server.listen(config.websocket.port, () => {
-  console.log(
+  logger.info(
     `HTTP server with WebSocket support running on port ${config.websocket.port}`
   );
+  startReminderScheduler();
+  startAfterHoursDigestScheduler();
+  startSmsOutboxDispatcher();
 });
 
 // Handle WebSocket connections
-wss.on("connection", async (ws) => {
-  console.log("New WebSocket connection established");
+wss.on("connection", async (ws, req) => {
+  const Transport = getTransportForRequest(req);
+  const transport = new Transport(ws, req);
+
+  // Attached to every log line for this connection; the call fields are filled in on start
+  const logContext = { carrier: Transport.carrier };
 
-  let deepgramWs = null;
+  logger.info(
+    `New WebSocket connection established (${Transport.carrier} transport)`
+  );
+
+  let voiceAgent = null;
   let businessId = null;
   let callSid = null;
+  let callStartedAt = null; // Measured here, billed when the call log's start time can't be read
   let businessConfig = null;
-  let transcriptSaved = false;
-  let smsConfirmationSent = false; // Track if SMS confirmations have been sent
-  let deepgramReady = false; // Track if Deepgram is ready to receive audio
-  let expectingFunctionCall = false;
-  let functionCallTimeout = null;
+  let callLogId = null;
+  let sandbox = false; // Browser test calls: no billing, call logs, real bookings or SMS
+  let overflowPlayback = null; // Connection state playing the overflow clip, if any
+  let agentReady = false; // Track if the voice agent is ready to receive audio
+
+  // Register the connection so a drain can wait for its close handler to finish
+  let markConnectionClosed;
+  activeConnections.set(ws, {
+    getCallSid: () => callSid,
+    getBusinessConfig: () => businessConfig,
+    getVoiceAgent: () => voiceAgent,
+    closed: new Promise((resolve) => {
+      markConnectionClosed = resolve;
+    }),
+  });
 
-  ws.on("message", async (message) => {
+  /**
+   * Tear the call down: log completion, save the transcript and recording, send SMS
+   * confirmations, record usage and drop the session. Runs once per call, from whichever of
+   * the stop event, the socket closing or a drain gets there first.
+   */
+  const finalizeCall = async (lifecycle) => {
+    if (!callSid) return;
+
+    if (lifecycle.wasAccepted() && !sandbox) {
+      const endTime = new Date().toISOString();
+      let duration = Math.round((Date.parse(endTime) - callStartedAt) / 1000);
+      try {
+        logger.info(`📞 Logging call completion: ${callSid} (${lifecycle.endReason})`);
+        duration = (await getCallDurationSeconds(callSid, endTime)) ?? duration;
+        await db.updateCallStatus(callSid, "completed", endTime, duration);
+        logger.info(`✅ Call completion logged: ${callSid}`);
+      } catch (error) {
+        logger.error("❌ Failed to log call completion:", error);
+      }
+
+      try {
+        await saveConversationTranscript(callSid, voiceAgent);
+      } catch (error) {
+        logger.error(`❌ Failed to save transcript for call ${callSid}:`, error);
+      }
+      await saveCallRecording(callSid, businessId, voiceAgent);
+
+      // Send the call's confirmations now rather than after the hold period, including any
+      // the outbox couldn't take during the call
+      await releaseBookingConfirmations(callSid).catch((error) =>
+        logger.error(`❌ Failed to release SMS confirmations for call ${callSid}:`, error)
+      );
+
+      try {
+        await recordCallUsage({
+          businessId,
+          subscriptionId: businessConfig?.business?.subscription_id || null,
+          callLogId,
+          durationSeconds: duration,
+        });
+      } catch (error) {
+        logger.error(`❌ Failed to record usage for call ${callSid}:`, error);
+      }
+    }
+
+    await clearCallSession(callSid);
+    unregisterCall(callSid);
+  };
+  const lifecycle = new CallLifecycle(finalizeCall);
+
+  ws.on("message", bindLogContext(logContext, async (message, isBinary) => {
     try {
-      const data = JSON.parse(message.toString());
+      const event = transport.parseMessage(message, isBinary);
 
-      switch (data.event) {
+      switch (event.type) {
         case "connected":
-          console.log("Twilio connected:", data);
+          logger.info("Media stream connected:", event.raw);
           break;
 
         case "start": {
-          console.log("Media stream started:", data);
+          logger.info("Media stream started:", event.raw);
+          callStartedAt = Date.now();
 
-          // Extract parameters from Twilio
-          const customParameters = data.start?.customParameters || {};
+          // Extract call parameters passed by the carrier
+          const customParameters = event.parameters || {};
           businessId = customParameters.business_id;
-          callSid = customParameters.call_sid;
+          callSid = event.callSid;
+          logContext.callSid = callSid;
+          logContext.businessId = businessId;
           const callerPhone = customParameters.caller_phone;
           const businessPhone = customParameters.business_phone;
           const timezone = customParameters.timezone || "UTC";
 
           if (!businessId) {
-            console.error("No business_id provided");
+            logger.error("No business_id provided");
+            lifecycle.reject("no business_id");
             ws.close();
             return;
           }
 
+          // Test calls are simulated end to end; the session flag is what function handlers check
+          sandbox = !!event.sandbox;
+          if (sandbox) {
+            logger.info(`🧪 Sandbox test call ${callSid} for business ${businessId}`);
+            await setCallSession(callSid, { sandbox: true });
+          }
+
+          // Check the optional per-business shared token before touching any business data
+          // (test calls were already authenticated by their upgrade token)
+          const tokenValid =
+            sandbox ||
+            (await verifyStreamToken(businessId, customParameters.stream_token));
+          if (!tokenValid) {
+            logger.warn(
+              `🔒 Rejecting stream for business ${businessId} - invalid stream token`
+            );
+            recordCallRejected(REJECTION_REASONS.UNAUTHORIZED);
+            lifecycle.reject("invalid stream token");
+            businessId = null;
+            callSid = null;
+            ws.close(1008, "Unauthorized");
+            return;
+          }
+
           // Load business configuration
           businessConfig = await loadBusinessConfig(businessId);
 
           if (!businessConfig) {
-            console.error("Failed to load business configuration");
+            logger.error("Failed to load business configuration");
+            recordCallRejected(REJECTION_REASONS.NO_CONFIG);
+            lifecycle.reject("no business configuration");
             ws.close();
             return;
           }
 
+          // Turn away blocklisted and nuisance callers before they use any AI minutes
+          // (reminder calls were placed by us, and test calls have no caller number)
+          const isReminderCall =
+            customParameters.call_direction === REMINDER_CALL_DIRECTION;
+          if (!sandbox && !isReminderCall) {
+            const screening = await screenCaller(businessConfig, callerPhone);
+            if (!screening.allowed) {
+              lifecycle.reject(screening.reason);
+              await handleBlockedCall(
+                ws,
+                businessConfig,
+                { businessId, callerPhone, businessPhone, callSid },
+                screening
+              );
+              return;
+            }
+          }
+
           // Check if Google Calendar is connected
           if (!isGoogleCalendarConnected(businessConfig)) {
-            console.log(
+            logger.info(
               `📅 No Google Calendar connected for business ${businessId}`
             );
-            console.log(
+            logger.info(
               `📞 Rejecting call ${callSid} - Google Calendar required`
             );
 
+            recordCallRejected(REJECTION_REASONS.NO_CALENDAR);
+            lifecycle.reject("no calendar connected");
+
             // Log the call as rejected due to no calendar
-            try {
-              if (callSid && callerPhone && businessPhone) {
-                await db.logIncomingCall(
-                  businessId,
-                  callerPhone,
-                  businessPhone,
-                  callSid
-                );
-                await db.updateCallStatus(callSid, "failed");
-
-                // Update ai_summary with rejection reason
-                const { error: summaryError } = await supabase
-                  .from("call_logs")
-                  .update({
-                    ai_summary: "Call rejected - Google Calendar not connected",
-                  })
-                  .eq("twilio_call_sid", callSid);
-
-                if (summaryError) {
-                  console.error(
-                    "❌ Failed to update call summary:",
-                    summaryError
-                  );
-                }
-
-                console.log(`📞 Call logged as rejected: ${callSid}`);
-              }
-            } catch (error) {
-              console.error("❌ Failed to log rejected call:", error);
-            }
+            await logRejectedCall(
+              { businessId, callerPhone, businessPhone, callSid },
+              "Call rejected - Google Calendar not connected"
+            );
 
             // Close the connection immediately
             ws.close();
             return;
           }
 
-          console.log(
+          logger.info(
             `📅 Google Calendar connected for business ${businessId}`
           );
-          console.log(`📞 Proceeding with call ${callSid}`);
+
+          // Check subscription status and remaining minutes before spending any AI time
+          // Test calls don't use the business's minutes
+          const subscriptionCheck = sandbox
+            ? { allowed: true, reason: "sandbox test call", minutesRemaining: null }
+            : await canMakeCall(businessId);
+          if (!subscriptionCheck.allowed) {
+            logger.info(
+              `💳 Rejecting call ${callSid} - ${subscriptionCheck.reason}`
+            );
+
+            recordCallRejected(REJECTION_REASONS.NO_MINUTES);
+            lifecycle.reject(subscriptionCheck.reason);
+            await logRejectedCall(
+              { businessId, callerPhone, businessPhone, callSid },
+              `Call rejected - ${subscriptionCheck.reason}`
+            );
+
+            // Tell the caller politely instead of dropping the line
+            if (callSid) {
+              await sayMessageAndHangUp(
+                callSid,
+                businessConfig.config?.service_unavailable_message ||
+                  DEFAULT_SERVICE_UNAVAILABLE_MESSAGE
+              );
+            }
+
+            ws.close();
+            return;
+          }
+
+          logger.info(
+            `💳 Subscription check passed for business ${businessId}: ${subscriptionCheck.reason}`
+          );
+          // Outbound reminder calls carry the booking they're about
+          let reminder = null;
+          if (isReminderCall && customParameters.booking_id) {
+            reminder = await loadReminderBooking(
+              businessConfig,
+              customParameters.booking_id
+            );
+            if (reminder) {
+              await storeReminderBooking(callSid, reminder);
+            }
+          }
+
+          // Calls while the business is closed get the after-hours greeting, prompt and functions
+          const afterHours = !isReminderCall && isAfterHours(businessConfig);
+          if (afterHours) {
+            logger.info(`🌙 Business ${businessId} is closed - call ${callSid} in after-hours mode`);
+          }
+
+          // Check the concurrency limits and register in the same tick so the slot can't be double-booked
+          const capacity = checkCallCapacity(businessId, {
+            maxPerBusiness: Number(businessConfig.config?.max_concurrent_calls) || null,
+            maxPerInstance: config.calls.maxConcurrent,
+          });
+          if (!capacity.allowed) {
+            lifecycle.reject(`${capacity.limit} concurrent call limit reached`);
+            logger.info(
+              `🚦 Rejecting call ${callSid} - ${capacity.limit} concurrent call limit reached`
+            );
+            overflowPlayback = await handleOverflowCall(
+              ws,
+              transport,
+              businessConfig,
+              { businessId, callerPhone, businessPhone, callSid, sandbox },
+              capacity.limit
+            );
+            return;
+          }
+
+          // The caller may have hung up while the checks above were running
+          if (!lifecycle.accept()) {
+            logger.info(`📞 Call ${callSid} ended before it could be accepted`);
+            return;
+          }
+          logger.info(`📞 Proceeding with call ${callSid}`);
+          recordCallStarted(businessId);
+
+          registerCall(callSid, {
+            businessId,
+            callerPhone,
+            startedAt: callStartedAt,
+            getBusinessConfig: () => businessConfig,
+            getVoiceAgent: () => voiceAgent,
+            sandbox,
+            lifecycle,
+            // Hang-up for calls with no carrier call to end (sandbox test calls)
+            hangUp: () => ws.close(1000, "Call ended"),
+          });
+          if (isReminderCall) {
+            // Registered now, so the reminder sweep stops counting it as ringing
+            clearRingingReminderCall(callSid);
+          }
 
           // Log the incoming call to database
           try {
             if (callSid && callerPhone && businessPhone) {
-              console.log(`📞 Logging incoming call: ${callSid}`);
-              await db.logIncomingCall(
+              logger.info(`📞 Logging incoming call: ${callSid}`);
+              const callLog = await db.logIncomingCall(
                 businessId,
                 callerPhone,
                 businessPhone,
                 callSid
               );
-              console.log(`✅ Call logged successfully: ${callSid}`);
+              callLogId = callLog?.id || null;
+              await setCallSession(callSid, { callLogId });
+              logger.info(`✅ Call logged successfully: ${callSid}`);
 
               // Update call status to in_progress
               await db.updateCallStatus(callSid, "in_progress");
-              console.log(`📞 Call status updated to in_progress: ${callSid}`);
+              logger.info(`📞 Call status updated to in_progress: ${callSid}`);
+
+              // Included in the business's next after-hours digest
+              if (afterHours) {
+                await db.markCallAfterHours(callSid);
+              }
 
               // Transcript tracking is now handled by ConnectionState
             }
           } catch (error) {
-            console.error("❌ Failed to log call:", error);
+            logger.error("❌ Failed to log call:", error);
             // Continue with call even if logging fails
           }
 
-          // Initialize Deepgram connection with proper error handling
+          // Connect the business's voice agent with proper error handling
           try {
-            console.log("🔄 Initializing Deepgram connection...");
-            deepgramWs = await initializeDeepgram(businessConfig, {
+            logger.info("🔄 Initializing voice agent...");
+            voiceAgent = await initializeVoiceAgent(businessConfig, {
               businessId,
               callSid: callSid || "",
               callerPhone,
               businessPhone,
               timezone: businessConfig.business?.timezone || timezone || "UTC",
+              minutesRemaining: subscriptionCheck.minutesRemaining,
+              callStartedAt,
+              reminder,
+              afterHours,
             });
-            console.log("✅ Deepgram connection initialized successfully");
-            console.log("Final readyState:", deepgramWs.readyState);
+            logger.info("✅ Voice agent initialized successfully");
 
-            // Enable KeepAlive messages now that Twilio connection is active
-            deepgramWs.setTwilioConnectionActive(true);
+            // Enforce the remaining minutes for the rest of the call
+            startMinuteBudgetEnforcement(voiceAgent, callSid);
           } catch (error) {
-            console.error("❌ Failed to initialize Deepgram:", error);
+            logger.error("❌ Failed to initialize voice agent:", error);
+            recordDeepgramInitFailure();
             ws.close();
             return;
           }
 
-          // Use the centralized Deepgram message handler
-          deepgramWs.on("message", async (deepgramMessage) => {
-            await handleDeepgramMessage(
-              deepgramMessage,
-              ws,
-              deepgramWs,
-              businessConfig,
-              data.start?.streamSid,
-              {
-                expectingFunctionCall,
-                functionCallTimeout,
-                deepgramReady,
-                callSid,
-                callerPhone,
-                setExpectingFunctionCall: (value) => {
-                  expectingFunctionCall = value;
-                },
-                setFunctionCallTimeout: (value) => {
-                  functionCallTimeout = value;
-                },
-                setDeepgramReady: (value) => {
-                  deepgramReady = value;
-                },
-              }
-            );
-          });
-
-          deepgramWs.on("error", (error) => {
-            console.error("Deepgram WebSocket error:", error);
-            // Don't close the Twilio connection on Deepgram errors
-            // Just log and continue
+          // Agent audio goes to the pacer; speech, barge-in and function events drive the call.
+          // Attached before anything else is awaited so the greeting's first events aren't missed.
+          attachVoiceAgent(voiceAgent, transport, businessConfig, {
+            callSid,
+            callerPhone,
           });
+          agentReady = true;
+
+          voiceAgent.on(
+            "close",
+            bindLogContext(logContext, async ({ code, reason, requested }) => {
+              logger.info(`Voice agent closed. Code: ${code}, Reason: ${reason}`);
+              // Clean up audio system when the agent closes
+              cleanupAudioSystem(voiceAgent);
+              if (requested || lifecycle.isEnding() || !transport.isOpen()) {
+                return;
+              }
 
-          deepgramWs.on("close", (code, reason) => {
-            console.log(
-              `Deepgram WebSocket closed. Code: ${code}, Reason: ${reason}`
-            );
-            // Clean up audio system when Deepgram closes
-            cleanupAudioSystem(deepgramWs);
-            // Only close Twilio connection if it's an unexpected close
-            if (code !== 1000 && code !== 1001) {
-              console.error(
-                "🚨 Unexpected Deepgram close - this may cause issues"
+              // Dropped mid-call: reconnect with the conversation so far rather than leave dead air
+              logger.error("🚨 Unexpected voice agent close - reconnecting");
+              agentReady = false;
+              const reconnected = await reconnectVoiceAgent(
+                voiceAgent,
+                businessConfig,
+                transport,
+                () => !lifecycle.isEnding() && transport.isOpen()
               );
-            }
+              if (reconnected) {
+                agentReady = true;
+                return;
+              }
+              if (lifecycle.isEnding() || !transport.isOpen()) {
+                return;
+              }
+
+              logger.error(`🚨 Voice agent could not be reconnected - ending call ${callSid}`);
+              await handleAgentLost(ws, voiceAgent, businessConfig, callSid);
+            })
+          );
+
+          // Booking texts go out in the call's language
+          await setCallSession(callSid, {
+            language: voiceAgent.callContext.language,
           });
+          if (!sandbox) {
+            await db.updateCallAgentSettings(callSid, voiceAgent.agentSettings);
+            await db.updateCallLanguage(callSid, voiceAgent.callContext.language);
+          }
 
           break;
         }
 
-        case "media":
-          // Forward audio to Deepgram only when connection is ready
-          if (
-            deepgramWs &&
-            deepgramWs.readyState === WebSocket.OPEN &&
-            deepgramReady
-          ) {
+        case "media": {
+          // Record caller audio even before the agent is ready so the channels stay aligned
+          const recorder = voiceAgent?.connectionState?.recorder;
+          if (recorder && event.audio) {
+            recorder.addInbound(event.audio, event.timestamp);
+          }
+
+          // Forward audio to the agent only when it is ready
+          if (voiceAgent?.isOpen() && agentReady) {
             // Validate incoming audio data
-            if (!data.media?.payload) {
-              console.warn("⚠️ Received media event without payload");
+            if (!event.audio) {
+              logger.warn("⚠️ Received media event without payload");
               return;
             }
 
             try {
-              // Convert base64 to buffer and validate
-              const audioBuffer = Buffer.from(data.media.payload, "base64");
+              const audioBuffer = event.audio;
 
               if (audioBuffer.length === 0) {
-                console.warn("⚠️ Received empty audio buffer from Twilio");
+                recordAudioAnomaly(AUDIO_ANOMALIES.TWILIO_EMPTY_BUFFER);
+                logger.warn("⚠️ Received empty audio buffer from carrier");
                 return;
               }
 
-              // Validate buffer size (Twilio sends 160 bytes for 8kHz mulaw)
-              if (audioBuffer.length !== 160) {
-                console.warn(
-                  `⚠️ Unexpected audio buffer size: ${audioBuffer.length} bytes (expected 160)`
+              // Validate buffer size against the carrier's frame size (Twilio sends 160 bytes)
+              if (
+                transport.expectedFrameSize &&
+                audioBuffer.length !== transport.expectedFrameSize
+              ) {
+                recordAudioAnomaly(AUDIO_ANOMALIES.TWILIO_UNEXPECTED_BUFFER_SIZE);
+                logger.warn(
+                  `⚠️ Unexpected audio buffer size: ${audioBuffer.length} bytes (expected ${transport.expectedFrameSize})`
                 );
               }
 
-              deepgramWs.send(audioBuffer);
+              voiceAgent.sendAudio(audioBuffer);
             } catch (error) {
-              console.error("❌ Error processing audio from Twilio:", error);
+              logger.error("❌ Error processing audio from carrier:", error);
             }
           } else {
-            console.log(
-              `⚠️ Cannot forward audio - deepgramWs ready: ${
-                !!deepgramWs && deepgramWs.readyState === WebSocket.OPEN
-              }, isReady: ${deepgramReady}`
+            logger.info(
+              `⚠️ Cannot forward audio - agent open: ${!!voiceAgent?.isOpen()}, isReady: ${agentReady}`
             );
           }
           break;
+        }
 
-        case "stop": {
-          console.log("Media stream stopped");
-          // Log call completion
-          try {
-            if (callSid) {
-              const endTime = new Date().toISOString();
-              console.log(`📞 Logging call completion: ${callSid}`);
-              await db.updateCallStatus(callSid, "completed", endTime);
-              console.log(`✅ Call completion logged: ${callSid}`);
-
-              // Send SMS confirmations for any pending bookings before call ends
-              if (!smsConfirmationSent) {
-                try {
-                  const session = getCallSession(callSid);
-                  if (
-                    session &&
-                    session.bookings &&
-                    session.bookings.length > 0 &&
-                    session.callerPhone &&
-                    !session.bookingCancelled &&
-                    businessConfig
-                  ) {
-                    console.log(
-                      `📱 Media stream stopped - sending SMS confirmations for ${callSid}`
-                    );
-                    await endCall(
-                      callSid,
-                      { reason: "media stream stopped" },
-                      businessConfig
-                    );
-                    smsConfirmationSent = true;
-                    console.log(
-                      `✅ SMS confirmations sent on media stop: ${callSid}`
-                    );
-                  }
-                } catch (smsError) {
-                  console.error(
-                    `❌ Error sending SMS confirmations on media stop ${callSid}:`,
-                    smsError
-                  );
-                }
-              }
-
-              // Save conversation transcript
-              await saveConversationTranscript(callSid, deepgramWs);
-              transcriptSaved = true;
-            }
-          } catch (error) {
-            console.error("❌ Failed to log call completion:", error);
-          }
-
-          // Close the Deepgram connection when media stream stops to prevent timeouts
-          if (deepgramWs) {
-            closeDeepgramConnection(deepgramWs);
+        case "dtmf": {
+          const digit = event.digit;
+          logger.info(`☎️ DTMF received: ${digit}`);
+          if (digit && agentReady) {
+            handleDtmfDigit(voiceAgent, digit, businessConfig, callSid);
           }
           break;
         }
-      }
-    } catch (error) {
-      console.error("Error processing WebSocket message:", error);
-    }
-  });
 
-  ws.on("close", async () => {
-    console.log("Twilio WebSocket connection closed");
-    // Log call completion if not already logged
-    try {
-      if (callSid) {
-        const endTime = new Date().toISOString();
-        console.log(`📞 Logging call completion on close: ${callSid}`);
-
-        // Get the call record to calculate duration
-        const { data: callRecord, error: fetchError } = await supabase
-          .from("call_logs")
-          .select("started_at")
-          .eq("twilio_call_sid", callSid)
-          .single();
-
-        let duration = null;
-        if (!fetchError && callRecord?.started_at) {
-          const startTime = new Date(callRecord.started_at);
-          const endTimeDate = new Date(endTime);
-          duration = Math.round(
-            (endTimeDate.getTime() - startTime.getTime()) / 1000
-          );
-          console.log(`📊 Call duration calculated: ${duration} seconds`);
-        } else {
-          console.error(
-            "❌ Failed to fetch call start time for duration calculation:",
-            fetchError
+        case "mark":
+          // Agent audio up to this mark has finished playing to the caller
+          handlePlaybackMark(
+            voiceAgent?.connectionState || overflowPlayback,
+            event.name
           );
-        }
+          break;
 
-        await db.updateCallStatus(callSid, "completed", endTime, duration);
-        console.log(`✅ Call completion logged on close: ${callSid}`);
+        case "stop": {
+          logger.info("Media stream stopped");
+          await lifecycle.finalize("media stream stopped");
 
-        // Save conversation transcript only if not already saved
-        if (!transcriptSaved) {
-          await saveConversationTranscript(callSid, deepgramWs);
+          // Close the agent when the media stream stops to prevent timeouts
+          if (voiceAgent) {
+            closeVoiceAgent(voiceAgent);
+          }
+          break;
         }
       }
     } catch (error) {
-      console.error("❌ Failed to log call completion on close:", error);
+      logger.error("Error processing WebSocket message:", error);
     }
-    // Close the Deepgram connection to prevent CLIENT_MESSAGE_TIMEOUT errors
-    if (deepgramWs) {
-      closeDeepgramConnection(deepgramWs);
+  }));
+
+  ws.on("close", bindLogContext(logContext, async () => {
+    logger.info("Media stream WebSocket connection closed");
+    // Waits for the finalizer if the stop event already started it
+    await lifecycle.finalize("connection closed");
+
+    // Close the agent to prevent CLIENT_MESSAGE_TIMEOUT errors
+    if (voiceAgent) {
+      closeVoiceAgent(voiceAgent);
     }
+    overflowPlayback?.cleanup();
 
-    // Handle SMS confirmations for abrupt disconnections before clearing session
-    if (callSid) {
-      try {
-        // Only send SMS confirmations if not already sent
-        if (!smsConfirmationSent) {
-          const session = getCallSession(callSid);
-          if (
-            session &&
-            session.bookings &&
-            session.bookings.length > 0 &&
-            session.callerPhone &&
-            !session.bookingCancelled &&
-            !session.smsConfirmationSent
-          ) {
-            console.log(
-              `📱 Call disconnected abruptly - checking for pending SMS confirmations for ${callSid}`
-            );
+    // The call is finalized - the drain can stop waiting for this connection
+    activeConnections.delete(ws);
+    markConnectionClosed();
+  }));
 
-            // Use existing businessConfig or load it if needed
-            let configToUse = businessConfig;
-            if (!configToUse) {
-              configToUse = await loadBusinessConfig(
-                session.businessId || callSid
-              );
-            }
+  ws.on("error", bindLogContext(logContext, (error) => {
+    logger.error("Media stream WebSocket error:", error);
+  }));
+});
 
-            if (configToUse) {
-              // Use the endCall function which already has the SMS confirmation logic and clears session
-              await endCall(
-                callSid,
-                { reason: "abrupt disconnect" },
-                configToUse
-              );
+// Load business configuration from Supabase
 
-              // Check if session still exists (means SMS failed and session was retained)
-              const sessionAfterEndCall = getCallSession(callSid);
-              if (sessionAfterEndCall) {
-                console.log(
-                  `⚠️ Session still exists after endCall - SMS likely failed, attempting direct SMS retry for ${callSid}`
-                );
+/**
+ * Calculate call duration from the call log's start time
+ * @param {string} callSid - The Twilio call SID
+ * @param {string} endTime - ISO timestamp of the end of the call
+ * @returns {Promise<number|null>} Duration in seconds, or null if unavailable
+ */
+async function getCallDurationSeconds(callSid, endTime) {
+  const { data: callRecord, error: fetchError } = await supabase
+    .from("call_logs")
+    .select("started_at")
+    .eq("twilio_call_sid", callSid)
+    .single();
+
+  if (fetchError || !callRecord?.started_at) {
+    logger.error(
+      "❌ Failed to fetch call start time for duration calculation:",
+      fetchError
+    );
+    return null;
+  }
+
+  const startTime = new Date(callRecord.started_at);
+  const endTimeDate = new Date(endTime);
+  const duration = Math.round(
+    (endTimeDate.getTime() - startTime.getTime()) / 1000
+  );
+  logger.info(`📊 Call duration calculated: ${duration} seconds`);
+  return duration;
+}
+
+/**
+ * Log a call that was rejected before the AI agent was started
+ * @param {Object} call - Call identifiers (businessId, callerPhone, businessPhone, callSid)
+ * @param {string} summary - Rejection reason stored as the call's ai_summary
+ * @param {string} [status] - call_logs status to record
+ */
+async function logRejectedCall(
+  { businessId, callerPhone, businessPhone, callSid },
+  summary,
+  status = "failed"
+) {
+  try {
+    if (callSid && callerPhone && businessPhone) {
+      await db.logIncomingCall(businessId, callerPhone, businessPhone, callSid);
+      await db.updateCallStatus(callSid, status);
+
+      // Update ai_summary with rejection reason
+      const { error: summaryError } = await supabase
+        .from("call_logs")
+        .update({ ai_summary: summary })
+        .eq("twilio_call_sid", callSid);
+
+      if (summaryError) {
+        logger.error("❌ Failed to update call summary:", summaryError);
+      }
 
-                // Try to send SMS directly one more time
-                try {
-                  // Prepare final bookings from session
-                  const finalBookings = [];
-                  if (sessionAfterEndCall.bookings) {
-                    for (const booking of sessionAfterEndCall.bookings) {
-                      if (booking.appointmentId) {
-                        finalBookings.push(booking);
-                      }
-                    }
-                  }
-
-                  if (finalBookings.length > 0) {
-                    // Get customer name from session or fallback to first booking's customer name
-                    const customerName =
-                      sessionAfterEndCall.customerName ||
-                      (finalBookings.length > 0
-                        ? finalBookings[0].customerName
-                        : null) ||
-                      "Valued Customer";
-
-                    await sendConsolidatedSMSConfirmation(
-                      {
-                        businessId: configToUse.business.id,
-                        customerPhone: sessionAfterEndCall.callerPhone,
-                        customerName: customerName,
-                        bookings: finalBookings,
-                      },
-                      configToUse
-                    );
-                    console.log(
-                      `✅ SMS retry successful for abrupt disconnect: ${callSid}`
-                    );
-
-                    // Mark SMS as sent to prevent further duplicates
-                    const updatedSession = getCallSession(callSid);
-                    if (updatedSession) {
-                      setCallSession(callSid, {
-                        ...updatedSession,
-                        smsConfirmationSent: true,
-                      });
-                    }
-                  }
-
-                  // Clear session after successful retry
-                  clearCallSession(callSid);
-                } catch (retryError) {
-                  console.error(
-                    `❌ SMS retry failed for abrupt disconnect ${callSid}:`,
-                    retryError
-                  );
-                  // Clear session anyway to prevent memory leaks
-                  clearCallSession(callSid);
-                }
-              }
+      logger.info(`📞 Call logged as rejected: ${callSid}`);
+    }
+  } catch (error) {
+    logger.error("❌ Failed to log rejected call:", error);
+  }
+}
+
+/**
+ * Turn away a blocklisted or rate-limited caller
+ * Hangs up straight away unless the business set blocked_caller_action to "message".
+ * @param {WebSocket} ws - Media stream WebSocket
+ * @param {Object} businessConfig - Business configuration
+ * @param {Object} call - Call identifiers (businessId, callerPhone, businessPhone, callSid)
+ * @param {Object} screening - Result from screenCaller
+ */
+async function handleBlockedCall(ws, businessConfig, call, screening) {
+  const { callSid } = call;
+  logger.info(`🚫 Rejecting call ${callSid} - ${screening.summary}`);
+
+  recordCallRejected(screening.reason);
+  await logRejectedCall(call, screening.summary, "blocked");
+
+  if (callSid) {
+    if (businessConfig.config?.blocked_caller_action === "message") {
+      await sayMessageAndHangUp(
+        callSid,
+        businessConfig.config?.blocked_caller_message ||
+          DEFAULT_BLOCKED_CALLER_MESSAGE
+      );
+    } else {
+      await hangUpCall(callSid);
+    }
+  }
+
+  ws.close();
+}
+
+/**
+ * Turn away a call that is over the concurrency limit
+ * Transfers to the bypass number when the business asks for it, otherwise plays the
+ * overflow clip through the pacer, falling back to a spoken message.
+ * @param {WebSocket} ws - Media stream WebSocket
+ * @param {Object} transport - Carrier transport for the call
+ * @param {Object} businessConfig - Business configuration
+ * @param {Object} call - Call identifiers (businessId, callerPhone, businessPhone, callSid, sandbox)
+ * @param {string} limit - Which limit was hit ("instance" or "business")
+ * @returns {Promise<ConnectionState|null>} State playing the clip, so its marks can be routed
+ */
+async function handleOverflowCall(ws, transport, businessConfig, call, limit) {
+  const { callSid } = call;
+
+  recordCallRejected(REJECTION_REASONS.OVERFLOW);
+  await logRejectedCall(
+    call,
+    `Call overflow - ${limit} concurrent call limit reached`,
+    "overflow"
+  );
 
-              smsConfirmationSent = true;
-              console.log(
-                `✅ SMS confirmations handled for abrupt disconnect: ${callSid}`
-              );
-            } else {
-              console.error(
-                `❌ Could not load business config for SMS confirmations: ${callSid}`
-              );
-              clearCallSession(callSid);
-            }
-          } else {
-            // No bookings to confirm, just clear the session
-            clearCallSession(callSid);
-          }
-        } else {
-          // SMS confirmations already sent, just clear the session
-          clearCallSession(callSid);
-        }
-      } catch (error) {
-        console.error(
-          `❌ Error handling SMS confirmations for abrupt disconnect ${callSid}:`,
-          error
-        );
-        // Still clear the session even if SMS fails
-        clearCallSession(callSid);
+  if (!callSid) {
+    ws.close();
+    return null;
+  }
+
+  if (
+    businessConfig.config?.overflow_action === "transfer" &&
+    businessConfig.config?.bypass_phone_number
+  ) {
+    const result = await transferToHuman(
+      businessConfig,
+      { reason: "All AI lines busy" },
+      callSid
+    );
+    if (result.success) {
+      return null;
+    }
+    logger.warn(`⚠️ Overflow transfer failed for ${callSid}, playing message`);
+  }
+
+  const clip = await loadMulawClip(config.calls.overflowAudioPath);
+  if (clip && transport.isOpen()) {
+    const playback = new ConnectionState(callSid);
+    playAudioClip(playback, transport, clip, () => {
+      logger.info(`🚦 Overflow message played, hanging up ${callSid}`);
+      // Test calls are never registered, so endCall has no browser stream to close
+      if (call.sandbox) {
+        ws.close(1000, "Call ended");
+        return;
       }
+      endCall(callSid, { reason: "concurrent call limit reached" });
+    });
+    return playback;
+  }
+
+  await sayMessageAndHangUp(
+    callSid,
+    businessConfig.config?.overflow_message || DEFAULT_OVERFLOW_MESSAGE
+  );
+  ws.close();
+  return null;
+}
+
+/**
+ * Hand over a call whose agent dropped and couldn't be reconnected
+ * Transfers to the business's bypass number if it has one, otherwise apologises and hangs up.
+ * @param {WebSocket} ws - Media stream WebSocket
+ * @param {Object} voiceAgent - The call's (closed) voice agent
+ * @param {Object} businessConfig - Business configuration
+ * @param {string} callSid - The call SID
+ */
+async function handleAgentLost(ws, voiceAgent, businessConfig, callSid) {
+  if (businessConfig.config?.bypass_phone_number) {
+    const result = await transferToHuman(
+      businessConfig,
+      { reason: "AI agent unavailable" },
+      callSid
+    );
+    if (result.success) {
+      return;
     }
-  });
+  }
 
-  ws.on("error", (error) => {
-    console.error("Twilio WebSocket error:", error);
+  const { unavailable, sayLocale } = getCallLanguage(
+    voiceAgent.callContext.language
+  );
+  const result = await sayMessageAndHangUp(callSid, unavailable, sayLocale);
+  if (!result.success) {
+    // Browser test calls have no carrier call to update
+    ws.close();
+  }
+}
+
+/**
+ * Wait for the given connections to finish their close handlers
+ * @param {Array<Object>} connections - Connection handles from activeConnections
+ * @param {number} timeoutMs - Maximum time to wait
+ * @returns {Promise<boolean>} True if every connection closed before the timeout
+ */
+async function waitForConnections(connections, timeoutMs) {
+  let timeout;
+  const timedOut = new Promise((resolve) => {
+    timeout = setTimeout(() => resolve(false), timeoutMs);
   });
-});
+  const allClosed = Promise.all(connections.map((c) => c.closed)).then(
+    () => true
+  );
 
-// Load business configuration from Supabase
+  const result = await Promise.race([allClosed, timedOut]);
+  clearTimeout(timeout);
+  return result;
+}
+
+/**
+ * Politely end a call that is still running when the drain deadline passes
+ * The agent says goodbye, then endCall hangs up and the call finalizer sends any pending SMS confirmations.
+ * @param {Object} connection - Connection handle from activeConnections
+ * @param {WebSocket} ws - The Twilio WebSocket for this connection
+ */
+async function wrapUpConnection(connection, ws) {
+  const callSid = connection.getCallSid();
+  const voiceAgent = connection.getVoiceAgent();
+
+  if (!callSid) {
+    // No call was ever started on this socket - nothing to wrap up
+    ws.close();
+    return;
+  }
+
+  logger.info(`🚧 DRAIN: Wrapping up call ${callSid}`);
+
+  if (voiceAgent?.isOpen()) {
+    voiceAgent.injectAgentMessage(
+      getCallLanguage(voiceAgent.callContext?.language).shutdownGoodbye
+    );
+    // Wait for the farewell to finish playing, up to 8 seconds
+    const audioManager = voiceAgent.connectionState?.audioManager;
+    await new Promise((resolve) =>
+      audioManager
+        ? audioManager.onPlaybackComplete(resolve, 8000)
+        : setTimeout(resolve, 8000)
+    );
+  }
+
+  await endCall(callSid, { reason: "server shutting down" });
+}
+
+// How long the HTTP server gets to close once every call has finished
+const SERVER_CLOSE_TIMEOUT_MS = 5000;
+
+/**
+ * Stop taking new calls, let active calls finish, then exit
+ * @param {string} signal - The signal that triggered the shutdown
+ */
+async function drainAndShutdown(signal) {
+  if (draining) {
+    logger.info(`🚧 DRAIN: Already draining, ignoring ${signal}`);
+    return;
+  }
+
+  draining = true;
+  stopReminderScheduler();
+  stopAfterHoursDigestScheduler();
+  stopSmsOutboxDispatcher();
+  logger.info(
+    `🚧 DRAIN: ${signal} received - ${activeConnections.size} active call(s), waiting up to ${config.shutdown.drainTimeoutMs}ms`
+  );
 
-// Handle graceful shutdown
-process.on("SIGTERM", () => {
-  console.log("Shutting down server...");
-  server.close(() => {
-    console.log("HTTP server closed");
-    process.exit(0);
-  });
-});
+  let finished = await waitForConnections(
+    [...activeConnections.values()],
+    config.shutdown.drainTimeoutMs
+  );
 
-process.on("SIGINT", () => {
-  console.log("Shutting down server...");
+  if (!finished) {
+    logger.info(
+      `🚧 DRAIN: Deadline reached - wrapping up ${activeConnections.size} call(s)`
+    );
+    const remaining = [...activeConnections.entries()];
+    await Promise.all(
+      remaining.map(([ws, connection]) =>
+        wrapUpConnection(connection, ws).catch((error) =>
+          logger.error("❌ DRAIN: Failed to wrap up call:", error)
+        )
+      )
+    );
+
+    finished = await waitForConnections(
+      remaining.map(([, connection]) => connection),
+      config.shutdown.wrapUpTimeoutMs
+    );
+
+    if (!finished) {
+      // Force the sockets closed so their close handlers save transcripts and send SMS
+      logger.warn(
+        `⚠️ DRAIN: ${activeConnections.size} call(s) did not hang up - terminating sockets`
+      );
+      const stuck = [...activeConnections.entries()];
+      stuck.forEach(([ws]) => ws.terminate());
+      await waitForConnections(
+        stuck.map(([, connection]) => connection),
+        config.shutdown.wrapUpTimeoutMs
+      );
+    }
+  }
+
+  logger.info("✅ DRAIN: All calls finished - shutting down server...");
   server.close(() => {
-    console.log("HTTP server closed");
+    logger.info("HTTP server closed");
     process.exit(0);
   });
-});
+  // close() waits for idle keep-alive connections (load balancer health checks) to time out
+  server.closeAllConnections();
+  setTimeout(() => {
+    logger.warn("⚠️ DRAIN: HTTP server did not close in time - exiting");
+    process.exit(0);
+  }, SERVER_CLOSE_TIMEOUT_MS).unref();
+}
+
+// Handle graceful shutdown
+process.on("SIGTERM", () => drainAndShutdown("SIGTERM"));
+process.on("SIGINT", () => drainAndShutdown("SIGINT"));
@@ -0,0 +1,212 @@
+import { getConfig } from "./config.js";
+import { supabase } from "./database.js";
+import { logger } from "./logger.js";
+
+const config = getConfig();
+
+// Postgres error code for a duplicate primary key
+const UNIQUE_VIOLATION = "23505";
+// Optimistic updates retried this many times before giving up on a contended key
+const MAX_UPDATE_ATTEMPTS = 5;
+const SWEEP_INTERVAL_MS = 5 * 60 * 1000;
+
+const memoryEntries = new Map(); // key -> { value, expiresAt }
+
+/**
+ * Read a live entry from the in-memory store, dropping it if it has expired
+ * @param {string} key - Session key
+ * @returns {Object|null} { value, expiresAt } or null
+ */
+function readMemoryEntry(key) {
+  const entry = memoryEntries.get(key);
+  if (!entry) return null;
+  if (entry.expiresAt <= Date.now()) {
+    memoryEntries.delete(key);
+    return null;
+  }
+  return entry;
+}
+
+/**
+ * Session store backends for per-call state (booking ledger, caller details, dedup claims)
+ * Values are JSON and every write sets a TTL. Each adapter implements:
+ * - get(key) -> value or null
+ * - update(key, updater, ttlMs) -> new value. updater(current or null) returns the replacement;
+ *   it must be synchronous and free of side effects, as it is re-run if another writer got in first
+ * - delete(key)
+ * - claim(key, ttlMs) -> true for the first caller only, until the key expires
+ * - sweep() -> removes expired entries
+ */
+const sessionStores = {
+  // Single instance only - sessions are lost on restart
+  memory: {
+    async get(key) {
+      const entry = readMemoryEntry(key);
+      // Hand out copies so callers can't change a session without going through update
+      return entry ? structuredClone(entry.value) : null;
+    },
+
+    async update(key, updater, ttlMs) {
+      // No await between the read and the write, so the update is atomic
+      const entry = readMemoryEntry(key);
+      const value = updater(entry ? structuredClone(entry.value) : null);
+      memoryEntries.set(key, {
+        value: structuredClone(value),
+        expiresAt: Date.now() + ttlMs,
+      });
+      return value;
+    },
+
+    async delete(key) {
+      memoryEntries.delete(key);
+    },
+
+    async claim(key, ttlMs) {
+      if (readMemoryEntry(key)) return false;
+      memoryEntries.set(key, { value: true, expiresAt: Date.now() + ttlMs });
+      return true;
+    },
+
+    async sweep() {
+      for (const key of memoryEntries.keys()) {
+        readMemoryEntry(key);
+      }
+    },
+  },
+
+  // Shared between instances and kept across restarts
+  // Table call_sessions: key text primary key, value jsonb, version integer, expires_at timestamptz
+  supabase: {
+    async get(key) {
+      const { data, error } = await supabase
+        .from("call_sessions")
+        .select("value")
+        .eq("key", key)
+        .gt("expires_at", new Date().toISOString())
+        .maybeSingle();
+
+      if (error) {
+        throw new Error(`Failed to read session ${key}: ${error.message}`);
+      }
+      return data ? data.value : null;
+    },
+
+    async update(key, updater, ttlMs) {
+      for (let attempt = 0; attempt < MAX_UPDATE_ATTEMPTS; attempt++) {
+        const { data: row, error } = await supabase
+          .from("call_sessions")
+          .select("value, version, expires_at")
+          .eq("key", key)
+          .maybeSingle();
+
+        if (error) {
+          throw new Error(`Failed to read session ${key}: ${error.message}`);
+        }
+
+        const live = row && new Date(row.expires_at).getTime() > Date.now();
+        const value = updater(live ? row.value : null);
+        const expiresAt = new Date(Date.now() + ttlMs).toISOString();
+
+        if (!row) {
+          const { error: insertError } = await supabase
+            .from("call_sessions")
+            .insert({ key, value, version: 1, expires_at: expiresAt });
+          if (!insertError) return value;
+          if (insertError.code !== UNIQUE_VIOLATION) {
+            throw new Error(`Failed to save session ${key}: ${insertError.message}`);
+          }
+        } else {
+          // Only applies if nobody else has written since we read (compare-and-swap on version)
+          const { data: updated, error: updateError } = await supabase
+            .from("call_sessions")
+            .update({ value, version: row.version + 1, expires_at: expiresAt })
+            .eq("key", key)
+            .eq("version", row.version)
+            .select("key");
+          if (updateError) {
+            throw new Error(`Failed to save session ${key}: ${updateError.message}`);
+          }
+          if (updated.length > 0) return value;
+        }
+
+        logger.debug(`🗄️ SESSION: Concurrent write to ${key}, retrying update`);
+      }
+
+      throw new Error(
+        `Failed to save session ${key}: still contended after ${MAX_UPDATE_ATTEMPTS} attempts`
+      );
+    },
+
+    async delete(key) {
+      const { error } = await supabase
+        .from("call_sessions")
+        .delete()
+        .eq("key", key);
+
+      if (error) {
+        throw new Error(`Failed to delete session ${key}: ${error.message}`);
+      }
+    },
+
+    async claim(key, ttlMs) {
+      // An expired claim no longer counts
+      await supabase
+        .from("call_sessions")
+        .delete()
+        .eq("key", key)
+        .lte("expires_at", new Date().toISOString());
+
+      const { error } = await supabase.from("call_sessions").insert({
+        key,
+        value: true,
+        version: 1,
+        expires_at: new Date(Date.now() + ttlMs).toISOString(),
+      });
+
+      if (!error) return true;
+      if (error.code === UNIQUE_VIOLATION) return false;
+      throw new Error(`Failed to claim ${key}: ${error.message}`);
+    },
+
+    async sweep() {
+      const { error } = await supabase
+        .from("call_sessions")
+        .delete()
+        .lte("expires_at", new Date().toISOString());
+
+      if (error) {
+        throw new Error(`Failed to remove expired sessions: ${error.message}`);
+      }
+    },
+  },
+};
+
+/**
+ * Register an additional session store backend (e.g. a Redis-compatible one)
+ * @param {string} name - Name used in SESSION_STORE
+ * @param {Object} adapter - Object with async get, update, delete, claim and sweep
+ */
+export function registerSessionStore(name, adapter) {
+  sessionStores[name] = adapter;
+}
+
+/**
+ * Get the configured session store backend
+ * @returns {Object} Session store adapter
+ */
+export function getSessionStore() {
+  const adapter = sessionStores[config.sessions.store];
+  if (!adapter) {
+    throw new Error(`Unknown session store '${config.sessions.store}'`);
+  }
+  return adapter;
+}
+
+// Drop expired sessions and dedup claims every 5 minutes
+setInterval(() => {
+  getSessionStore()
+    .sweep()
+    .catch((error) =>
+      logger.error("❌ SESSION: Failed to remove expired sessions:", error)
+    );
+}, SWEEP_INTERVAL_MS).unref();
@@ -0,0 +1,340 @@
+import { getConfig } from "./config.js";
+import { db } from "./database.js";
+import { loadBusinessConfig } from "./businessConfig.js";
+import { sendConsolidatedSMSConfirmation } from "./functionHandlers.js";
+import { logger } from "./logger.js";
+
+const config = getConfig();
+
+// Values written to sms_outbox.status
+export const OUTBOX_STATUSES = {
+  PENDING: "pending",
+  SENDING: "sending",
+  SENT: "sent",
+  FAILED: "failed", // Gave up after the maximum number of attempts
+  CANCELLED: "cancelled",
+};
+
+// A dispatcher that claimed entries this long ago without finishing is assumed dead
+const STALE_CLAIM_MS = 5 * 60 * 1000;
+const MAX_RETRY_DELAY_MS = 60 * 60 * 1000;
+// Writing a confirmation to the outbox is tried this many times, this far apart
+const ENQUEUE_ATTEMPTS = 3;
+const ENQUEUE_RETRY_DELAY_MS = 200;
+
+let dispatchInterval = null;
+let dispatchInProgress = false;
+
+// Confirmations the outbox couldn't take, by call SID then appointment ID; sent when the call ends
+const unqueuedConfirmations = new Map();
+
+/**
+ * Turn a confirmed booking into an sms_outbox row
+ * @param {Object} booking - Booking as passed to enqueueBookingConfirmation
+ * @returns {Object} Row, held until the hold period has passed
+ */
+function toOutboxEntry(booking) {
+  return {
+    business_id: booking.businessId,
+    call_sid: booking.callSid,
+    appointment_id: booking.appointmentId,
+    customer_phone: booking.customerPhone,
+    customer_name: booking.customerName,
+    service_name: booking.serviceName,
+    appointment_date: booking.date,
+    start_time: booking.time,
+    duration_minutes: booking.durationMinutes || null,
+    language: booking.language || null,
+    send_after: new Date(Date.now() + config.smsOutbox.holdMs).toISOString(),
+  };
+}
+
+/**
+ * Write a confirmed booking to the SMS outbox
+ * The confirmation is held until the call is finalized so every booking goes out in one text,
+ * but no longer than the hold period - if the call is never finalized it is sent anyway.
+ * @param {Object} booking - Confirmed booking
+ * @param {string} booking.businessId - Business the booking is with
+ * @param {string} booking.callSid - Call the booking was made on
+ * @param {string} booking.appointmentId - Appointment ID from the booking API
+ * @param {string} booking.customerPhone - Number to text
+ * @param {string} booking.customerName - Customer's name
+ * @param {string} booking.serviceName - Service booked
+ * @param {string} booking.date - Appointment date (YYYY-MM-DD)
+ * @param {string} booking.time - Appointment time (HH:MM)
+ * @param {number} [booking.durationMinutes] - Service duration
+ * @param {string} [booking.language] - Language the call was in, for the text's language
+ * @returns {Promise<boolean>} True if queued; false if the outbox couldn't take it, in which case
+ *   it is kept in memory and sent by releaseBookingConfirmations when the call ends
+ */
+export async function enqueueBookingConfirmation(booking) {
+  for (let attempt = 1; attempt <= ENQUEUE_ATTEMPTS; attempt++) {
+    try {
+      await db.upsertSmsOutboxEntry(toOutboxEntry(booking));
+      unqueuedConfirmations.get(booking.callSid)?.delete(booking.appointmentId);
+      logger.info(
+        `📮 OUTBOX: Queued confirmation for appointment ${booking.appointmentId} on call ${booking.callSid}`
+      );
+      return true;
+    } catch (error) {
+      logger.error(
+        `❌ OUTBOX: Attempt ${attempt} to queue confirmation for appointment ${booking.appointmentId} failed:`,
+        error
+      );
+      if (attempt < ENQUEUE_ATTEMPTS) {
+        await new Promise((resolve) => setTimeout(resolve, ENQUEUE_RETRY_DELAY_MS * attempt));
+      }
+    }
+  }
+
+  if (!unqueuedConfirmations.has(booking.callSid)) {
+    unqueuedConfirmations.set(booking.callSid, new Map());
+  }
+  unqueuedConfirmations.get(booking.callSid).set(booking.appointmentId, booking);
+  logger.warn(
+    `⚠️ OUTBOX: Holding confirmation for appointment ${booking.appointmentId} until call ${booking.callSid} ends`
+  );
+  return false;
+}
+
+/**
+ * Stop any unsent confirmation for an appointment, e.g. after it was cancelled or moved
+ * @param {string} appointmentId - Appointment ID
+ */
+export async function cancelBookingConfirmations(appointmentId) {
+  unqueuedConfirmations.forEach((held) => held.delete(appointmentId));
+
+  const cancelled = await db.cancelSmsOutboxEntries(appointmentId);
+  if (cancelled.length > 0) {
+    logger.info(
+      `📮 OUTBOX: Cancelled ${cancelled.length} confirmation(s) for appointment ${appointmentId}`
+    );
+  }
+}
+
+/**
+ * Send a finished call's confirmations now instead of waiting out the hold period
+ * Confirmations the outbox couldn't take during the call are queued again first, or sent
+ * straight away (without retries) if it still can't.
+ * @param {string} callSid - The Twilio call SID
+ * @returns {Promise<number>} Number of texts sent
+ */
+export async function releaseBookingConfirmations(callSid) {
+  const sentDirectly = await sendUnqueuedConfirmations(callSid);
+
+  const released = await db.releaseSmsOutboxEntries(callSid);
+  if (released.length === 0) return sentDirectly;
+  return sentDirectly + (await dispatchSmsOutbox({ callSid }));
+}
+
+/**
+ * Queue or send the confirmations held in memory for a call
+ * @param {string} callSid - The Twilio call SID
+ * @returns {Promise<number>} Number of texts sent directly
+ */
+async function sendUnqueuedConfirmations(callSid) {
+  const held = unqueuedConfirmations.get(callSid);
+  unqueuedConfirmations.delete(callSid);
+  if (!held || held.size === 0) return 0;
+
+  const unwritten = [];
+  for (const booking of held.values()) {
+    try {
+      await db.upsertSmsOutboxEntry(toOutboxEntry(booking));
+    } catch {
+      unwritten.push(toOutboxEntry(booking));
+    }
+  }
+
+  const groups = new Map();
+  unwritten.forEach((entry) => {
+    groups.set(entry.customer_phone, [...(groups.get(entry.customer_phone) || []), entry]);
+  });
+
+  let sent = 0;
+  for (const entries of groups.values()) {
+    try {
+      const businessConfig = await loadBusinessConfig(entries[0].business_id);
+      if (!businessConfig) {
+        throw new Error(`Business ${entries[0].business_id} not found`);
+      }
+      await sendConsolidatedSMSConfirmation(toConfirmation(entries), businessConfig);
+      sent++;
+    } catch (error) {
+      logger.error(
+        `❌ OUTBOX: Failed to send unqueued confirmations for call ${callSid}:`,
+        error
+      );
+    }
+  }
+  if (sent > 0) {
+    logger.info(`📮 OUTBOX: Sent ${sent} confirmation text(s) without the outbox for call ${callSid}`);
+  }
+  return sent;
+}
+
+/**
+ * Build one text's worth of confirmation from entries for the same call and customer
+ * @param {Array<Object>} entries - sms_outbox rows
+ * @returns {Object} Details for sendConsolidatedSMSConfirmation
+ */
+function toConfirmation(entries) {
+  const [first] = entries;
+  return {
+    businessId: first.business_id,
+    customerPhone: first.customer_phone,
+    customerName: first.customer_name || "Valued Customer",
+    language: first.language,
+    bookings: entries.map((entry) => ({
+      appointmentId: entry.appointment_id,
+      serviceName: entry.service_name,
+      date: entry.appointment_date,
+      time: entry.start_time,
+      serviceDuration: entry.duration_minutes,
+    })),
+  };
+}
+
+/**
+ * Delay before the next attempt after a failed send
+ * @param {number} attempts - Attempts made so far
+ * @returns {number} Delay in milliseconds
+ */
+function getRetryDelayMs(attempts) {
+  return Math.min(
+    config.smsOutbox.retryBaseMs * 2 ** (attempts - 1),
+    MAX_RETRY_DELAY_MS
+  );
+}
+
+/**
+ * Send one text covering a group of entries for the same call and customer
+ * @param {Array<Object>} entries - Claimed sms_outbox rows
+ * @param {Map} businessConfigs - Business configurations loaded during this dispatch
+ * @returns {Promise<boolean>} True if the text was sent
+ */
+async function sendEntries(entries, businessConfigs) {
+  const [first] = entries;
+  const ids = entries.map((entry) => entry.id);
+  const attempts = Math.max(...entries.map((entry) => entry.attempts)) + 1;
+
+  try {
+    if (!businessConfigs.has(first.business_id)) {
+      businessConfigs.set(
+        first.business_id,
+        await loadBusinessConfig(first.business_id)
+      );
+    }
+    const businessConfig = businessConfigs.get(first.business_id);
+    if (!businessConfig) {
+      throw new Error(`Business ${first.business_id} not found`);
+    }
+
+    await sendConsolidatedSMSConfirmation(toConfirmation(entries), businessConfig);
+
+    await db.updateSmsOutboxEntries(ids, {
+      status: OUTBOX_STATUSES.SENT,
+      attempts,
+      sent_at: new Date().toISOString(),
+      last_error: null,
+    });
+    return true;
+  } catch (error) {
+    const giveUp = attempts >= config.smsOutbox.maxAttempts;
+    logger.error(
+      `❌ OUTBOX: Send attempt ${attempts} failed for call ${first.call_sid}${
+        giveUp ? " - giving up" : ""
+      }:`,
+      error
+    );
+    await db.updateSmsOutboxEntries(ids, {
+      status: giveUp ? OUTBOX_STATUSES.FAILED : OUTBOX_STATUSES.PENDING,
+      attempts,
+      last_error: error.message,
+      send_after: new Date(Date.now() + getRetryDelayMs(attempts)).toISOString(),
+    });
+    return false;
+  }
+}
+
+/**
+ * Send due confirmations, retrying failures with exponential backoff
+ * Entries for the same call and number are combined into one text.
+ * @param {Object} [options]
+ * @param {string} [options.callSid] - Only send this call's entries
+ * @returns {Promise<number>} Number of texts sent
+ */
+export async function dispatchSmsOutbox({ callSid = null } = {}) {
+  let sent = 0;
+
+  try {
+    const requeued = await db.requeueStaleSmsOutboxEntries(
+      new Date(Date.now() - STALE_CLAIM_MS).toISOString()
+    );
+    if (requeued.length > 0) {
+      logger.warn(`⚠️ OUTBOX: Requeued ${requeued.length} entries left mid-send`);
+    }
+
+    const entries = await db.claimDueSmsOutboxEntries(
+      config.smsOutbox.batchSize,
+      callSid
+    );
+    const groups = new Map();
+    entries.forEach((entry) => {
+      const key = `${entry.call_sid}:${entry.customer_phone}`;
+      groups.set(key, [...(groups.get(key) || []), entry]);
+    });
+
+    const businessConfigs = new Map();
+    for (const group of groups.values()) {
+      if (await sendEntries(group, businessConfigs)) {
+        sent++;
+      }
+    }
+
+    if (sent > 0) {
+      logger.info(`📮 OUTBOX: Sent ${sent} confirmation text(s)`);
+    }
+  } catch (error) {
+    logger.error("❌ OUTBOX: Dispatch failed:", error);
+  }
+
+  return sent;
+}
+
+/**
+ * Scheduled dispatch - skipped while the previous run is still going
+ */
+async function runScheduledDispatch() {
+  if (dispatchInProgress) return;
+
+  dispatchInProgress = true;
+  try {
+    await dispatchSmsOutbox();
+  } finally {
+    dispatchInProgress = false;
+  }
+}
+
+/**
+ * Start sending due confirmations on an interval
+ * Picks up anything left over from before a restart straight away.
+ */
+export function startSmsOutboxDispatcher() {
+  if (dispatchInterval) return;
+  dispatchInterval = setInterval(
+    runScheduledDispatch,
+    config.smsOutbox.dispatchIntervalMs
+  );
+  runScheduledDispatch();
+}
+
+/**
+ * Stop the scheduled dispatch (entries stay queued for the next start)
+ */
+export function stopSmsOutboxDispatcher() {
+  if (dispatchInterval) {
+    clearInterval(dispatchInterval);
+    dispatchInterval = null;
+  }
+}
@@ -0,0 +1,162 @@
+import { createHmac, timingSafeEqual } from "crypto";
+import twilio from "twilio";
+import { getConfig } from "./config.js";
+import { supabase } from "./database.js";
+import { logger } from "./logger.js";
+
+const config = getConfig();
+
+/**
+ * Compare two secrets without leaking timing information
+ * @param {string} expected - The secret we expect
+ * @param {string} received - The secret provided by the client
+ * @returns {boolean} True if both secrets match
+ */
+export function secretsMatch(expected, received) {
+  if (typeof expected !== "string" || typeof received !== "string") {
+    return false;
+  }
+
+  const expectedBuffer = Buffer.from(expected);
+  const receivedBuffer = Buffer.from(received);
+  if (expectedBuffer.length !== receivedBuffer.length) {
+    return false;
+  }
+
+  return timingSafeEqual(expectedBuffer, receivedBuffer);
+}
+
+/**
+ * Build the URL Twilio used to open the stream, which is what it signs
+ * @param {http.IncomingMessage} req - The WebSocket upgrade request
+ * @returns {string} Full wss:// URL of the request
+ */
+function getSignedUrl(req) {
+  if (config.websocket.publicUrl) {
+    return new URL(req.url, config.websocket.publicUrl).toString();
+  }
+  return `wss://${req.headers.host}${req.url}`;
+}
+
+/**
+ * Validate the X-Twilio-Signature header on a media-stream upgrade request
+ * @param {http.IncomingMessage} req - The WebSocket upgrade request
+ * @returns {boolean} True if the request was signed by Twilio
+ */
+export function verifyTwilioUpgrade(req) {
+  if (!config.twilio.validateSignatures) {
+    return true;
+  }
+
+  const signature = req.headers["x-twilio-signature"];
+  if (!signature) {
+    logger.warn("🔒 Rejecting WebSocket upgrade - missing X-Twilio-Signature");
+    return false;
+  }
+
+  const url = getSignedUrl(req);
+  const isValid = twilio.validateRequest(
+    config.twilio.authToken,
+    signature,
+    url,
+    {}
+  );
+
+  if (!isValid) {
+    logger.warn(`🔒 Rejecting WebSocket upgrade - invalid signature for ${url}`);
+  }
+
+  return isValid;
+}
+
+/**
+ * Validate the X-Twilio-Signature header on a Twilio webhook (e.g. a call status callback)
+ * @param {express.Request} req - The webhook request, with its form body parsed
+ * @returns {boolean} True if the request was signed by Twilio
+ */
+export function verifyTwilioWebhook(req) {
+  if (!config.twilio.validateSignatures) {
+    return true;
+  }
+
+  const signature = req.headers["x-twilio-signature"];
+  if (!signature) {
+    logger.warn(`🔒 Rejecting webhook ${req.originalUrl} - missing X-Twilio-Signature`);
+    return false;
+  }
+
+  // Twilio signs the public https:// URL it called
+  const url = config.websocket.publicUrl
+    ? new URL(req.originalUrl, config.websocket.publicUrl.replace(/^ws/, "http")).toString()
+    : `https://${req.headers.host}${req.originalUrl}`;
+  const isValid = twilio.validateRequest(
+    config.twilio.authToken,
+    signature,
+    url,
+    req.body || {}
+  );
+
+  if (!isValid) {
+    logger.warn(`🔒 Rejecting webhook - invalid signature for ${url}`);
+  }
+
+  return isValid;
+}
+
+/**
+ * Check the optional per-business shared token sent in the stream's custom parameters
+ * Only the token column is read so unauthenticated streams never load the full business config.
+ * @param {string} businessId - Business ID from the custom parameters
+ * @param {string} token - Token from the custom parameters
+ * @returns {Promise<boolean>} True if the business has no token or the token matches
+ */
+export async function verifyStreamToken(businessId, token) {
+  try {
+    const { data, error } = await supabase
+      .from("business_config")
+      .select("stream_auth_token")
+      .eq("business_id", businessId)
+      .maybeSingle();
+
+    if (error) {
+      logger.error("❌ Failed to load stream token:", error);
+      return false;
+    }
+
+    // Businesses without a token rely on the Twilio signature alone
+    if (!data?.stream_auth_token) {
+      return true;
+    }
+
+    return secretsMatch(data.stream_auth_token, token);
+  } catch (error) {
+    logger.error("❌ Error verifying stream token:", error);
+    return false;
+  }
+}
+
+/**
+ * Check a browser test-call token minted by the dashboard
+ * The token is hex HMAC-SHA256 of "<businessId>.<expiresAt>" keyed with INTERNAL_API_SECRET,
+ * where expiresAt is a Unix timestamp in seconds.
+ * @param {string} businessId - Business the test call is for
+ * @param {string} expiresAt - Expiry timestamp from the URL
+ * @param {string} token - Token from the URL
+ * @returns {boolean} True if the token is valid and not expired
+ */
+export function verifyTestCallToken(businessId, expiresAt, token) {
+  if (!config.nextjs.internalApiSecret || !businessId || !expiresAt) {
+    return false;
+  }
+
+  if (Number(expiresAt) * 1000 < Date.now()) {
+    logger.warn(`🔒 Rejecting test call for ${businessId} - token expired`);
+    return false;
+  }
+
+  const expected = createHmac("sha256", config.nextjs.internalApiSecret)
+    .update(`${businessId}.${expiresAt}`)
+    .digest("hex");
+
+  return secretsMatch(expected, token);
+}
@@ -1,4 +1,5 @@
 import { supabase } from "./database.js";
+import { logger } from "./logger.js";
 
 /**
  * Calculate minutes from call duration in seconds (rounds up to nearest minute)
@@ -26,7 +27,7 @@ export async function canMakeCall(businessId) {
       .single();
 
     if (businessError || !business) {
-      console.error('Error fetching business:', businessError);
+      logger.error('Error fetching business:', businessError);
       return {
         allowed: false,
         reason: 'Business not found'
@@ -60,7 +61,7 @@ export async function canMakeCall(businessId) {
       .single();
 
     if (subscriptionError || !subscription) {
-      console.error('Error fetching subscription:', subscriptionError);
+      logger.error('Error fetching subscription:', subscriptionError);
       return {
         allowed: false,
         reason: 'Subscription not found'
@@ -93,7 +94,7 @@ export async function canMakeCall(businessId) {
     };
 
   } catch (error) {
-    console.error('Error checking subscription status:', error);
+    logger.error('Error checking subscription status:', error);
     return {
       allowed: false,
       reason: 'Subscription check failed'
@@ -123,7 +124,32 @@ export async function updateMinutesUsage(businessId, minutesUsed) {
         .eq('id', businessId);
     }
   } catch (error) {
-    console.error('Error updating minutes usage:', error);
+    logger.error('Error updating minutes usage:', error);
+    throw error;
+  }
+}
+
+/**
+ * Update the subscription's monthly minutes after a call - the counter canMakeCall checks
+ */
+export async function updateSubscriptionMinutesUsage(subscriptionId, minutesUsed) {
+  try {
+    const { data: subscription } = await supabase
+      .from('subscriptions')
+      .select('monthly_minutes_used')
+      .eq('id', subscriptionId)
+      .single();
+
+    if (subscription) {
+      const newMinutesUsed = (subscription.monthly_minutes_used || 0) + minutesUsed;
+
+      await supabase
+        .from('subscriptions')
+        .update({ monthly_minutes_used: newMinutesUsed })
+        .eq('id', subscriptionId);
+    }
+  } catch (error) {
+    logger.error('Error updating subscription minutes usage:', error);
     throw error;
   }
 }
@@ -146,9 +172,31 @@ export async function logSubscriptionUsage(subscriptionId, businessId, callLogId
         usage_year: new Date().getFullYear(),
       });
 
-    console.log(`📊 Logged subscription usage: ${minutesUsed} minutes for business ${businessId}`);
+    logger.info(`📊 Logged subscription usage: ${minutesUsed} minutes for business ${businessId}`);
   } catch (error) {
-    console.error('Error logging subscription usage:', error);
+    logger.error('Error logging subscription usage:', error);
     throw error;
   }
-}
\ No newline at end of file
+}
+
+/**
+ * Record billable minutes for a completed call against the business and its subscription
+ */
+export async function recordCallUsage({ businessId, subscriptionId, callLogId, durationSeconds }) {
+  const minutesUsed = calculateMinutesFromDuration(durationSeconds);
+  if (minutesUsed === 0) {
+    logger.info(`📊 No billable minutes for business ${businessId}`);
+    return 0;
+  }
+
+  await updateMinutesUsage(businessId, minutesUsed);
+
+  // Businesses on free minutes have no subscription to meter or log against
+  if (subscriptionId) {
+    await updateSubscriptionMinutesUsage(subscriptionId, minutesUsed);
+    await logSubscriptionUsage(subscriptionId, businessId, callLogId, minutesUsed);
+  }
+
+  logger.info(`📊 Recorded ${minutesUsed} billable minutes for business ${businessId}`);
+  return minutesUsed;
+}
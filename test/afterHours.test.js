@@ -0,0 +1,178 @@
+import { after, before, beforeEach, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { db, supabase } from "../database.js";
+
+const DIGEST_HOUR = 7;
+
+// Open 09:00-17:00 on weekdays
+const BUSINESS_HOURS = {
+  monday: { open: "09:00", close: "17:00" },
+  tuesday: { open: "09:00", close: "17:00" },
+  wednesday: { open: "09:00", close: "17:00" },
+  thursday: { open: "09:00", close: "17:00" },
+  friday: { open: "09:00", close: "17:00" },
+  saturday: { closed: true },
+};
+
+let afterHours;
+
+before(async () => {
+  // Read when the config first loads
+  process.env.AFTER_HOURS_DIGEST_HOUR = String(DIGEST_HOUR);
+  afterHours = await import("../afterHours.js");
+});
+
+/**
+ * Business configuration open during BUSINESS_HOURS
+ * @param {Object} [fields] - Business and business_config fields to override
+ * @returns {Object} Business configuration
+ */
+function business({ timezone = "Europe/London", config = {} } = {}) {
+  return {
+    business: { id: "biz-1", name: "Studio", timezone, business_hours: BUSINESS_HOURS },
+    config,
+  };
+}
+
+describe("isAfterHours", () => {
+  // Monday 19 October 2026 - London is on BST (UTC+1)
+  it("is false while the business is open", () => {
+    assert.equal(afterHours.isAfterHours(business(), new Date("2026-10-19T09:00:00Z")), false);
+  });
+
+  it("is true before opening and from closing time", () => {
+    assert.equal(afterHours.isAfterHours(business(), new Date("2026-10-19T07:59:00Z")), true);
+    assert.equal(afterHours.isAfterHours(business(), new Date("2026-10-19T16:00:00Z")), true);
+  });
+
+  it("is true on a day the business is closed", () => {
+    assert.equal(afterHours.isAfterHours(business(), new Date("2026-10-24T12:00:00Z")), true);
+    assert.equal(afterHours.isAfterHours(business(), new Date("2026-10-25T12:00:00Z")), true);
+  });
+
+  it("uses the business's timezone", () => {
+    const newYork = business({ timezone: "America/New_York" });
+    // 10:00 in London, 05:00 in New York
+    assert.equal(afterHours.isAfterHours(newYork, new Date("2026-10-19T09:00:00Z")), true);
+  });
+
+  it("is false for a business that turned after-hours mode off", () => {
+    const optedOut = business({ config: { after_hours_mode_enabled: false } });
+    assert.equal(afterHours.isAfterHours(optedOut, new Date("2026-10-19T22:00:00Z")), false);
+  });
+});
+
+describe("sendAfterHoursDigests", () => {
+  const originals = {
+    from: supabase.from,
+    fetch: globalThis.fetch,
+    getCalls: db.getUndigestedAfterHoursCalls,
+    markSent: db.markAfterHoursDigestSent,
+    getCallbacks: db.getCallbackRequests,
+  };
+  // 07:00 in London
+  const digestTime = new Date("2026-10-19T06:00:00Z");
+  const calls = [
+    { id: "log-1", business_id: "biz-1", twilio_call_sid: "CA1" },
+    { id: "log-2", business_id: "biz-1", twilio_call_sid: "CA2" },
+  ];
+  let businessConfigRow;
+  let claimable;
+  let claims;
+  let texts;
+
+  beforeEach(() => {
+    businessConfigRow = { notification_phone: "+447700900099" };
+    claimable = calls;
+    claims = [];
+    texts = [];
+
+    db.getUndigestedAfterHoursCalls = async () => calls;
+    db.markAfterHoursDigestSent = async (callLogIds) => {
+      claims.push(callLogIds);
+      return claimable;
+    };
+    db.getCallbackRequests = async (callSids) =>
+      callSids.includes("CA2")
+        ? [{ customer_name: "Sam", callback_number: "+447700900001", message: "About Friday" }]
+        : [];
+
+    // Just enough of the business for loadBusinessConfig
+    supabase.from = (table) => {
+      const result =
+        table === "businesses"
+          ? business().business
+          : table === "business_config"
+            ? businessConfigRow
+            : [];
+      const query = {
+        select: () => query,
+        eq: () => query,
+        single: () => query,
+        then: (resolve) => resolve({ data: result, error: null }),
+      };
+      return query;
+    };
+
+    // The dashboard's SMS API
+    globalThis.fetch = async (url, init) => {
+      texts.push(JSON.parse(init.body));
+      return { ok: true, status: 200 };
+    };
+  });
+
+  after(() => {
+    supabase.from = originals.from;
+    globalThis.fetch = originals.fetch;
+    db.getUndigestedAfterHoursCalls = originals.getCalls;
+    db.markAfterHoursDigestSent = originals.markSent;
+    db.getCallbackRequests = originals.getCallbacks;
+  });
+
+  it("claims the business's calls and texts it one digest at its digest hour", async () => {
+    assert.equal(await afterHours.sendAfterHoursDigests(digestTime), 1);
+
+    assert.deepEqual(claims, [["log-1", "log-2"]]);
+    assert.equal(texts.length, 1);
+    assert.equal(texts[0].customerPhone, "+447700900099");
+    assert.equal(texts[0].type, "after_hours_digest");
+    assert.equal(
+      texts[0].message,
+      'Studio after-hours summary: 2 calls, 1 callback request.\n1. Sam (+447700900001): "About Friday"'
+    );
+  });
+
+  it("waits for the digest hour", async () => {
+    assert.equal(await afterHours.sendAfterHoursDigests(new Date("2026-10-19T07:00:00Z")), 0);
+    assert.equal(claims.length, 0);
+    assert.equal(texts.length, 0);
+  });
+
+  it("uses the business's own digest hour", async () => {
+    businessConfigRow.after_hours_digest_hour = 8;
+
+    assert.equal(await afterHours.sendAfterHoursDigests(digestTime), 0);
+    assert.equal(await afterHours.sendAfterHoursDigests(new Date("2026-10-19T07:00:00Z")), 1);
+  });
+
+  it("sends only the calls it claimed", async () => {
+    claimable = [calls[0]];
+
+    assert.equal(await afterHours.sendAfterHoursDigests(digestTime), 1);
+    assert.equal(texts[0].message, "Studio after-hours summary: 1 call, 0 callback requests.");
+  });
+
+  it("sends nothing when another run claimed the calls first", async () => {
+    claimable = [];
+
+    assert.equal(await afterHours.sendAfterHoursDigests(digestTime), 0);
+    assert.equal(texts.length, 0);
+  });
+
+  it("leaves the calls unclaimed while the business has no notification phone", async () => {
+    businessConfigRow = {};
+
+    assert.equal(await afterHours.sendAfterHoursDigests(digestTime), 0);
+    assert.equal(claims.length, 0);
+  });
+});
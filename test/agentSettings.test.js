@@ -0,0 +1,152 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import {
+  DEFAULT_AGENT_SETTINGS,
+  hasVoiceFor,
+  resolveAgentSettings,
+} from "../agentSettings.js";
+
+// A provider with one voice per language, named like Deepgram's
+const VOICES = { en: "voice-a-en", es: "voice-b-es" };
+const Provider = {
+  providerName: "fake",
+  defaultVoiceFor: (language) => VOICES[language] || null,
+  isSupportedVoice: (voice) => /^voice-[a-z]+-[a-z]{2}$/.test(voice),
+  voiceSpeaksLanguage: (voice, language) => voice.endsWith(`-${language}`),
+};
+
+/**
+ * Resolve settings for a business_config row
+ * @param {Object} config - business_config columns
+ * @param {string} [language] - Language the call is in
+ * @returns {Object} Resolved settings
+ */
+function resolve(config, language) {
+  return resolveAgentSettings({ config }, Provider, language);
+}
+
+describe("resolveAgentSettings", () => {
+  it("uses the defaults for a business that configured nothing", () => {
+    assert.deepEqual(resolveAgentSettings({}, Provider), {
+      provider: "fake",
+      ...DEFAULT_AGENT_SETTINGS,
+      voice: "voice-a-en",
+    });
+  });
+
+  it("takes every allowed setting", () => {
+    const settings = resolve({
+      agent_language: "es",
+      stt_model: "nova-2",
+      stt_endpointing_ms: "450",
+      llm_provider: "anthropic",
+      llm_model: "claude-sonnet-4-20250514",
+      llm_temperature: 0.3,
+      ai_voice: "voice-c-es",
+    });
+
+    assert.deepEqual(settings, {
+      provider: "fake",
+      language: "es",
+      listenModel: "nova-2",
+      endpointingMs: 450,
+      thinkProvider: "anthropic",
+      thinkModel: "claude-sonnet-4-20250514",
+      temperature: 0.3,
+      voice: "voice-c-es",
+    });
+  });
+
+  it("falls back to the default for each value that isn't allowed", () => {
+    const settings = resolve({
+      agent_language: "xx",
+      stt_model: "whisper",
+      stt_endpointing_ms: 50,
+      llm_provider: "someone_else",
+      llm_temperature: 5,
+      ai_voice: "not a voice",
+    });
+
+    assert.deepEqual(settings, {
+      provider: "fake",
+      ...DEFAULT_AGENT_SETTINGS,
+      voice: "voice-a-en",
+    });
+  });
+
+  it("treats empty columns as unset", () => {
+    const settings = resolve({ stt_endpointing_ms: "", llm_temperature: "", ai_voice: "" });
+    assert.equal(settings.endpointingMs, null);
+    assert.equal(settings.temperature, null);
+    assert.equal(settings.voice, "voice-a-en");
+  });
+
+  it("uses the provider's first model when only the provider is chosen", () => {
+    const settings = resolve({ llm_provider: "anthropic" });
+    assert.equal(settings.thinkModel, "claude-3-5-haiku-latest");
+  });
+
+  it("rejects a model from another provider", () => {
+    const settings = resolve({ llm_provider: "anthropic", llm_model: "gpt-4.1" });
+    assert.equal(settings.thinkModel, "claude-3-5-haiku-latest");
+  });
+
+  it("checks the temperature against the chosen provider's range", () => {
+    assert.equal(resolve({ llm_temperature: 1.5 }).temperature, 1.5);
+    assert.equal(resolve({ llm_provider: "anthropic", llm_temperature: 1.5 }).temperature, null);
+  });
+
+  describe("voice", () => {
+    it("prefers the voice set for the call's language", () => {
+      const settings = resolve(
+        { ai_voice: "voice-c-en", language_voices: { es: "voice-d-es" } },
+        "es"
+      );
+      assert.equal(settings.language, "es");
+      assert.equal(settings.voice, "voice-d-es");
+    });
+
+    it("uses the business's voice when it speaks the call's language", () => {
+      assert.equal(resolve({ ai_voice: "voice-c-en" }).voice, "voice-c-en");
+    });
+
+    it("uses the provider's voice for the language when the business's doesn't speak it", () => {
+      assert.equal(resolve({ ai_voice: "voice-c-en" }, "es").voice, "voice-b-es");
+    });
+
+    it("ignores an unsupported language voice", () => {
+      const settings = resolve({ language_voices: { es: "robot" } }, "es");
+      assert.equal(settings.voice, "voice-b-es");
+    });
+
+    it("falls back to the business's voice when the provider has none for the language", () => {
+      assert.equal(resolve({ ai_voice: "voice-c-en" }, "de").voice, "voice-c-en");
+    });
+
+    it("falls back to the provider's default language voice as a last resort", () => {
+      assert.equal(resolve({}, "de").voice, "voice-a-en");
+    });
+  });
+});
+
+describe("hasVoiceFor", () => {
+  it("finds the provider's own voice for a language", () => {
+    assert.equal(hasVoiceFor({}, Provider, "es"), true);
+    assert.equal(hasVoiceFor({}, Provider, "pl"), false);
+  });
+
+  it("finds a voice the business set for the language", () => {
+    const businessConfig = { config: { language_voices: { pl: "voice-c-pl" } } };
+    assert.equal(hasVoiceFor(businessConfig, Provider, "pl"), true);
+  });
+
+  it("finds the business's voice when it speaks the language", () => {
+    assert.equal(hasVoiceFor({ config: { ai_voice: "voice-c-pl" } }, Provider, "pl"), true);
+    assert.equal(hasVoiceFor({ config: { ai_voice: "voice-c-en" } }, Provider, "pl"), false);
+  });
+
+  it("skips voices the provider doesn't support", () => {
+    const businessConfig = { config: { language_voices: { pl: "robot" } } };
+    assert.equal(hasVoiceFor(businessConfig, Provider, "pl"), false);
+  });
+});
@@ -0,0 +1,120 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import {
+  decodeMulaw,
+  encodeMulaw,
+  encodeWav,
+  pcm16FromBuffer,
+  pcm16ToBuffer,
+  resample,
+} from "../audioCodec.js";
+
+describe("μ-law coding", () => {
+  it("decodes silence to zero", () => {
+    // 0xff and 0x7f are positive and negative zero
+    assert.deepEqual([...decodeMulaw(Buffer.from([0xff, 0x7f]))], [0, 0]);
+  });
+
+  it("decodes the loudest codes to the μ-law peak", () => {
+    assert.deepEqual([...decodeMulaw(Buffer.from([0x80, 0x00]))], [32124, -32124]);
+  });
+
+  it("re-encodes every μ-law byte to itself", () => {
+    const everyByte = Buffer.from([...Array(256).keys()]);
+    const roundTrip = encodeMulaw(decodeMulaw(everyByte));
+    // Negative zero (0x7f) comes back as positive zero (0xff)
+    const expected = Buffer.from(everyByte);
+    expected[0x7f] = 0xff;
+    assert.deepEqual(roundTrip, expected);
+  });
+
+  it("clips samples beyond the μ-law range", () => {
+    const clipped = encodeMulaw(Int16Array.from([32767, -32768]));
+    assert.deepEqual(clipped, Buffer.from([0x80, 0x00]));
+  });
+
+  it("keeps linear samples close through a round trip", () => {
+    const samples = Int16Array.from([0, 100, -100, 1000, -1000, 12000, -12000]);
+    const decoded = decodeMulaw(encodeMulaw(samples));
+    samples.forEach((sample, i) => {
+      // μ-law steps grow with amplitude, up to about 3% of the value
+      assert.ok(
+        Math.abs(decoded[i] - sample) <= Math.max(8, Math.abs(sample) * 0.04),
+        `${sample} came back as ${decoded[i]}`
+      );
+    });
+  });
+});
+
+describe("PCM16 buffers", () => {
+  it("round-trips little-endian samples", () => {
+    const samples = Int16Array.from([0, 1, -1, 32767, -32768]);
+    const buffer = pcm16ToBuffer(samples);
+    assert.equal(buffer.length, 10);
+    assert.equal(buffer.readInt16LE(6), 32767);
+    assert.deepEqual(pcm16FromBuffer(buffer), samples);
+  });
+
+  it("ignores a trailing odd byte", () => {
+    assert.equal(pcm16FromBuffer(Buffer.from([1, 0, 2])).length, 1);
+  });
+});
+
+describe("resample", () => {
+  it("returns the input when the rates match", () => {
+    const samples = Int16Array.from([1, 2, 3]);
+    assert.equal(resample(samples, 8000, 8000), samples);
+  });
+
+  it("returns empty input as it is", () => {
+    assert.equal(resample(new Int16Array(0), 16000, 8000).length, 0);
+  });
+
+  it("halves 16kHz browser audio to 8kHz", () => {
+    const samples = Int16Array.from([0, 10, 20, 30, 40, 50]);
+    assert.deepEqual([...resample(samples, 16000, 8000)], [0, 20, 40]);
+  });
+
+  it("interpolates between samples when upsampling", () => {
+    const samples = Int16Array.from([0, 10, 20]);
+    // The last sample is held rather than read past the end
+    assert.deepEqual([...resample(samples, 8000, 16000)], [0, 5, 10, 15, 20, 20]);
+  });
+
+  it("keeps the duration for rates that don't divide evenly", () => {
+    const tenMs = new Int16Array(441); // 10ms at 44.1kHz
+    assert.equal(resample(tenMs, 44100, 8000).length, 80);
+  });
+
+  it("rounds interpolated values to whole samples", () => {
+    const samples = Int16Array.from([0, 1, 0]);
+    assert.deepEqual([...resample(samples, 8000, 32000)].slice(0, 4), [0, 0, 1, 1]);
+  });
+});
+
+describe("encodeWav", () => {
+  it("writes a PCM header and interleaves the channels", () => {
+    const caller = Int16Array.from([1, 2, 3]);
+    const agent = Int16Array.from([-1, -2, -3]);
+    const wav = encodeWav([caller, agent], 8000);
+
+    assert.equal(wav.toString("ascii", 0, 4), "RIFF");
+    assert.equal(wav.toString("ascii", 8, 12), "WAVE");
+    assert.equal(wav.readUInt16LE(20), 1); // PCM
+    assert.equal(wav.readUInt16LE(22), 2); // channels
+    assert.equal(wav.readUInt32LE(24), 8000); // sample rate
+    assert.equal(wav.readUInt32LE(28), 8000 * 4); // byte rate
+    assert.equal(wav.readUInt32LE(40), 12); // data size
+    assert.equal(wav.length, 44 + 12);
+    assert.deepEqual(
+      [...pcm16FromBuffer(wav.subarray(44))],
+      [1, -1, 2, -2, 3, -3]
+    );
+  });
+
+  it("writes an empty file for no audio", () => {
+    const wav = encodeWav([new Int16Array(0)], 8000);
+    assert.equal(wav.length, 44);
+    assert.equal(wav.readUInt32LE(40), 0);
+  });
+});
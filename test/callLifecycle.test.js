@@ -0,0 +1,122 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { CALL_STATES, CallLifecycle } from "../managers/CallLifecycle.js";
+
+describe("CallLifecycle", () => {
+  it("starts connecting and becomes active when accepted", () => {
+    const lifecycle = new CallLifecycle(async () => {});
+    assert.equal(lifecycle.getState(), CALL_STATES.CONNECTING);
+    assert.equal(lifecycle.accept(), true);
+    assert.equal(lifecycle.getState(), CALL_STATES.ACTIVE);
+    assert.equal(lifecycle.wasAccepted(), true);
+    assert.equal(lifecycle.endReason, null);
+  });
+
+  it("keeps the rejection reason and never counts the call as accepted", () => {
+    const lifecycle = new CallLifecycle(async () => {});
+    assert.equal(lifecycle.reject("blocked"), true);
+    assert.equal(lifecycle.accept(), false);
+    assert.equal(lifecycle.wasAccepted(), false);
+    assert.equal(lifecycle.endReason, "blocked");
+
+    // Hanging up the rejected call doesn't replace why it ended
+    assert.equal(lifecycle.beginEnding("rejected call hung up"), true);
+    assert.equal(lifecycle.endReason, "blocked");
+  });
+
+  it("lets only the first hang-up claim the call", () => {
+    const lifecycle = new CallLifecycle(async () => {});
+    lifecycle.accept();
+    assert.equal(lifecycle.beginEnding("end_call"), true);
+    assert.equal(lifecycle.beginEnding("silence timeout"), false);
+    assert.equal(lifecycle.isEnding(), true);
+    assert.equal(lifecycle.endReason, "end_call");
+  });
+
+  it("can't start ending before the call is accepted or rejected", () => {
+    const lifecycle = new CallLifecycle(async () => {});
+    assert.equal(lifecycle.beginEnding("end_call"), false);
+    assert.equal(lifecycle.isEnding(), false);
+  });
+
+  it("goes back to active when a claimed hang-up is cancelled", () => {
+    const lifecycle = new CallLifecycle(async () => {});
+    lifecycle.accept();
+    lifecycle.beginEnding("end_call");
+
+    assert.equal(lifecycle.cancelEnding(), true);
+    assert.equal(lifecycle.getState(), CALL_STATES.ACTIVE);
+    assert.equal(lifecycle.endReason, null);
+    assert.equal(lifecycle.cancelEnding(), false);
+
+    // The next hang-up gets its turn
+    assert.equal(lifecycle.beginEnding("silence timeout"), true);
+    assert.equal(lifecycle.endReason, "silence timeout");
+  });
+
+  it("goes back to rejected, with its reason, when that hang-up is cancelled", () => {
+    const lifecycle = new CallLifecycle(async () => {});
+    lifecycle.reject("overflow");
+    lifecycle.beginEnding("rejected call hung up");
+
+    assert.equal(lifecycle.cancelEnding(), true);
+    assert.equal(lifecycle.getState(), CALL_STATES.REJECTED);
+    assert.equal(lifecycle.endReason, "overflow");
+  });
+
+  it("can't cancel ending once finalizing", async () => {
+    const lifecycle = new CallLifecycle(async () => {});
+    lifecycle.accept();
+    lifecycle.beginEnding("end_call");
+    const finalized = lifecycle.finalize("stream stopped");
+
+    assert.equal(lifecycle.cancelEnding(), false);
+    await finalized;
+    assert.equal(lifecycle.getState(), CALL_STATES.FINALIZED);
+  });
+
+  it("runs the finalizer once however many paths finalize", async () => {
+    let runs = 0;
+    const lifecycle = new CallLifecycle(async () => {
+      runs++;
+    });
+    lifecycle.accept();
+
+    const first = lifecycle.finalize("stream stopped");
+    const second = lifecycle.finalize("socket closed");
+    assert.equal(first, second);
+    assert.equal(lifecycle.getState(), CALL_STATES.FINALIZING);
+
+    await Promise.all([first, second, lifecycle.finalize("drain")]);
+    assert.equal(runs, 1);
+    assert.equal(lifecycle.getState(), CALL_STATES.FINALIZED);
+    assert.equal(lifecycle.endReason, "stream stopped");
+  });
+
+  it("keeps the hang-up reason over the one that finalized", async () => {
+    const lifecycle = new CallLifecycle(async () => {});
+    lifecycle.accept();
+    lifecycle.beginEnding("call minute budget exhausted");
+    await lifecycle.finalize("stream stopped");
+    assert.equal(lifecycle.endReason, "call minute budget exhausted");
+  });
+
+  it("finishes finalizing when the finalizer throws", async () => {
+    const lifecycle = new CallLifecycle(async () => {
+      throw new Error("transcript save failed");
+    });
+    lifecycle.accept();
+
+    await lifecycle.finalize("stream stopped");
+    assert.equal(lifecycle.getState(), CALL_STATES.FINALIZED);
+  });
+
+  it("passes itself to the finalizer", async () => {
+    let received = null;
+    const lifecycle = new CallLifecycle(async (finalizing) => {
+      received = finalizing;
+    });
+    await lifecycle.finalize("socket closed");
+    assert.equal(received, lifecycle);
+  });
+});
@@ -0,0 +1,148 @@
+import { after, before, beforeEach, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { db } from "../database.js";
+
+const DEFAULT_LIMIT = 5;
+
+describe("screenCaller", () => {
+  const originals = {
+    getBlocks: db.getCallerBlocks,
+    countCalls: db.countCallsFromCaller,
+  };
+  let screenCaller;
+  let SCREENING_REASONS;
+  let blocks;
+  let recentCalls;
+  let lookups;
+
+  /**
+   * Business configuration with the given business_config columns
+   * @param {Object} [config] - business_config columns
+   * @returns {Object} Business configuration
+   */
+  function business(config = {}) {
+    return { business: { id: "biz-1" }, config };
+  }
+
+  before(async () => {
+    // Read when the config first loads
+    process.env.MAX_CALLS_PER_CALLER_PER_HOUR = String(DEFAULT_LIMIT);
+    ({ screenCaller, SCREENING_REASONS } = await import("../callerScreening.js"));
+  });
+
+  beforeEach(() => {
+    blocks = [];
+    recentCalls = 0;
+    lookups = [];
+
+    db.getCallerBlocks = async (businessId, phone) => {
+      lookups.push({ table: "blocked_callers", businessId, phone });
+      return blocks;
+    };
+    db.countCallsFromCaller = async (businessId, phone, since) => {
+      lookups.push({ table: "call_logs", businessId, phone, since });
+      return recentCalls;
+    };
+  });
+
+  after(() => {
+    db.getCallerBlocks = originals.getBlocks;
+    db.countCallsFromCaller = originals.countCalls;
+  });
+
+  describe("blocklist", () => {
+    it("lets through a caller who isn't blocked", async () => {
+      assert.deepEqual(await screenCaller(business(), "+447700900001"), { allowed: true });
+    });
+
+    it("turns away a caller on the business's blocklist", async () => {
+      blocks = [{ business_id: "biz-1", reason: "abusive" }];
+
+      const screening = await screenCaller(business(), "+447700900001");
+
+      assert.equal(screening.allowed, false);
+      assert.equal(screening.reason, SCREENING_REASONS.BLOCKED);
+      assert.equal(
+        screening.summary,
+        "Call blocked - caller is on the business blocklist (abusive)"
+      );
+    });
+
+    it("names the business's entry over the global one", async () => {
+      blocks = [{ business_id: null, reason: null }, { business_id: "biz-1", reason: null }];
+
+      const screening = await screenCaller(business(), "+447700900001");
+      assert.equal(screening.summary, "Call blocked - caller is on the business blocklist");
+    });
+
+    it("turns away a caller on the global blocklist", async () => {
+      blocks = [{ business_id: null, reason: "spam" }];
+
+      const screening = await screenCaller(business(), "+447700900001");
+      assert.equal(screening.summary, "Call blocked - caller is on the global blocklist (spam)");
+    });
+
+    it("looks numbers up without their formatting", async () => {
+      await screenCaller(business(), " +44 (7700) 900-001 ");
+
+      assert.equal(lookups[0].phone, "+447700900001");
+      assert.equal(lookups[1].phone, "+447700900001");
+    });
+
+    it("lets through a caller with no number", async () => {
+      assert.deepEqual(await screenCaller(business(), "anonymous"), { allowed: true });
+      assert.equal(lookups.length, 0);
+    });
+  });
+
+  describe("rate limit", () => {
+    it("counts the caller's calls over the last hour", async () => {
+      const screenedAt = Date.now();
+      await screenCaller(business(), "+447700900001");
+
+      const since = new Date(lookups[1].since).getTime();
+      assert.ok(Math.abs(screenedAt - 60 * 60 * 1000 - since) < 1000);
+    });
+
+    it("turns away a caller at the server's limit", async () => {
+      recentCalls = DEFAULT_LIMIT - 1;
+      assert.equal((await screenCaller(business(), "+447700900001")).allowed, true);
+
+      recentCalls = DEFAULT_LIMIT;
+      const screening = await screenCaller(business(), "+447700900001");
+      assert.equal(screening.allowed, false);
+      assert.equal(screening.reason, SCREENING_REASONS.RATE_LIMITED);
+      assert.equal(
+        screening.summary,
+        `Call blocked - ${DEFAULT_LIMIT} calls from this number in the last hour (limit ${DEFAULT_LIMIT})`
+      );
+    });
+
+    it("uses the business's own limit", async () => {
+      recentCalls = 2;
+      const screening = await screenCaller(
+        business({ max_calls_per_caller_per_hour: 2 }),
+        "+447700900001"
+      );
+      assert.equal(screening.reason, SCREENING_REASONS.RATE_LIMITED);
+    });
+
+    it("lets a business turn the limit off", async () => {
+      recentCalls = 100;
+      const screening = await screenCaller(
+        business({ max_calls_per_caller_per_hour: 0 }),
+        "+447700900001"
+      );
+
+      assert.equal(screening.allowed, true);
+      assert.equal(lookups.length, 1);
+    });
+  });
+
+  it("lets the caller through when the lookups fail", async () => {
+    db.getCallerBlocks = async () => {
+      throw new Error("Failed to check blocklist: connection refused");
+    };
+    assert.deepEqual(await screenCaller(business(), "+447700900001"), { allowed: true });
+  });
+});
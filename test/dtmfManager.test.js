@@ -0,0 +1,128 @@
+import { afterEach, beforeEach, describe, it, mock } from "node:test";
+import assert from "node:assert/strict";
+import { DTMF_ACTIONS, DtmfManager } from "../managers/DtmfManager.js";
+
+describe("DtmfManager", () => {
+  let dtmf;
+  let actions;
+  let sequences;
+
+  /**
+   * Press keys one after another, as the caller would
+   * @param {string} digits - Keys to press
+   */
+  function press(digits) {
+    for (const digit of digits) {
+      dtmf.handleDigit(
+        digit,
+        (action, pressed) => actions.push({ action, digit: pressed }),
+        (sequence) => sequences.push(sequence)
+      );
+    }
+  }
+
+  beforeEach(() => {
+    mock.timers.enable({ apis: ["setTimeout"] });
+    dtmf = new DtmfManager();
+    dtmf.configure({
+      0: DTMF_ACTIONS.TRANSFER_TO_HUMAN,
+      1: DTMF_ACTIONS.CONFIRM_BOOKING,
+    });
+    actions = [];
+    sequences = [];
+  });
+
+  afterEach(() => {
+    dtmf.cleanup();
+    mock.timers.reset();
+  });
+
+  describe("shortcuts", () => {
+    it("ignores actions it doesn't know", () => {
+      dtmf.configure({ 0: DTMF_ACTIONS.TRANSFER_TO_HUMAN, 9: "order_pizza" });
+      assert.deepEqual(dtmf.getShortcuts(), { 0: DTMF_ACTIONS.TRANSFER_TO_HUMAN });
+    });
+
+    it("fires a mapped digit straight away", () => {
+      press("0");
+      assert.deepEqual(actions, [{ action: DTMF_ACTIONS.TRANSFER_TO_HUMAN, digit: "0" }]);
+
+      mock.timers.tick(dtmf.DIGIT_GAP_MS);
+      assert.deepEqual(sequences, []);
+    });
+
+    it("confirms only while the agent is asking for a confirmation", () => {
+      press("1");
+      assert.deepEqual(actions, []);
+
+      mock.timers.tick(dtmf.DIGIT_GAP_MS);
+      dtmf.noteConversationTurn("assistant", "Shall I book that for you?");
+      press("1");
+
+      assert.deepEqual(sequences, ["1"]);
+      assert.deepEqual(actions, [{ action: DTMF_ACTIONS.CONFIRM_BOOKING, digit: "1" }]);
+      assert.equal(dtmf.isConfirmationPending(), false);
+    });
+
+    it("stops waiting on a confirmation once the caller speaks or the agent moves on", () => {
+      dtmf.noteConversationTurn("assistant", "Would you like me to confirm that?");
+      dtmf.noteConversationTurn("user", "Hang on");
+      assert.equal(dtmf.isConfirmationPending(), false);
+
+      dtmf.noteConversationTurn("assistant", "Would you like me to confirm that?");
+      dtmf.noteConversationTurn("assistant", "I'll book that now.");
+      assert.equal(dtmf.isConfirmationPending(), false);
+    });
+
+    it("doesn't fire a shortcut in the middle of a number", () => {
+      press("20");
+      assert.deepEqual(actions, []);
+
+      mock.timers.tick(dtmf.DIGIT_GAP_MS);
+      assert.deepEqual(sequences, ["20"]);
+    });
+  });
+
+  describe("sequences", () => {
+    it("sends the digits once the caller pauses", () => {
+      press("4321");
+      mock.timers.tick(dtmf.DIGIT_GAP_MS - 1);
+      assert.deepEqual(sequences, []);
+
+      mock.timers.tick(1);
+      assert.deepEqual(sequences, ["4321"]);
+    });
+
+    it("waits for the pause after the last digit", () => {
+      press("43");
+      mock.timers.tick(dtmf.DIGIT_GAP_MS - 1);
+      press("21");
+      mock.timers.tick(dtmf.DIGIT_GAP_MS - 1);
+      assert.deepEqual(sequences, []);
+
+      mock.timers.tick(1);
+      assert.deepEqual(sequences, ["4321"]);
+    });
+
+    it("sends the digits straight away on #", () => {
+      press("4321#");
+      assert.deepEqual(sequences, ["4321"]);
+
+      mock.timers.tick(dtmf.DIGIT_GAP_MS);
+      assert.deepEqual(sequences, ["4321"]);
+    });
+
+    it("sends nothing for a lone #", () => {
+      press("#");
+      assert.deepEqual(sequences, []);
+    });
+
+    it("drops a half-typed sequence when the call ends", () => {
+      press("43");
+      dtmf.cleanup();
+
+      mock.timers.tick(dtmf.DIGIT_GAP_MS);
+      assert.deepEqual(sequences, []);
+    });
+  });
+});
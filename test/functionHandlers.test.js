@@ -0,0 +1,44 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { getConfig } from "../config.js";
+import { handleFunctionCall } from "../functionHandlers.js";
+import { getSessionStore } from "../sessionStore.js";
+
+/**
+ * An agent stand-in recording the results it is sent
+ * @returns {Object} Agent with a results array
+ */
+function recordingAgent() {
+  const agent = { results: [] };
+  agent.sendFunctionResult = (functionCall, result) => {
+    agent.results.push({ functionCall, result });
+  };
+  return agent;
+}
+
+describe("handleFunctionCall", () => {
+  it("answers a create_booking call ID that was already processed", async () => {
+    const agent = recordingAgent();
+    await getSessionStore().claim(
+      "function_call:fc-duplicate",
+      getConfig().sessions.dedupTtlMs
+    );
+
+    await handleFunctionCall(
+      agent,
+      {
+        function_name: "create_booking",
+        function_call_id: "fc-duplicate",
+        parameters: { service_id: "svc-1", date: "2026-10-20", time: "10:00" },
+      },
+      { business: { id: "biz-1", name: "Studio" }, services: [], staff: [] }
+    );
+
+    assert.equal(agent.results.length, 1);
+    assert.deepEqual(agent.results[0].functionCall, {
+      id: "fc-duplicate",
+      name: "create_booking",
+    });
+    assert.match(agent.results[0].result.error, /already been made/);
+  });
+});
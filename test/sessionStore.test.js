@@ -0,0 +1,219 @@
+import { after, before, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { supabase } from "../database.js";
+
+const UNIQUE_VIOLATION = "23505";
+const TTL_MS = 60 * 1000;
+const later = () => new Date(Date.now() + TTL_MS).toISOString();
+const earlier = () => new Date(Date.now() - TTL_MS).toISOString();
+
+/**
+ * Stand in for the call_sessions table
+ * Each query takes the next scripted response, which must be for the same operation.
+ * @param {Array<Array>} responses - [operation, { data, error }] in the order the queries run
+ * @returns {Array<Object>} Queries made, as { op, payload, filters }
+ */
+function scriptCallSessions(responses) {
+  const queries = [];
+  supabase.from = (table) => {
+    assert.equal(table, "call_sessions");
+    const query = { op: null, payload: null, filters: {} };
+    queries.push(query);
+
+    const builder = {
+      select() {
+        // An update's .select() only returns the updated rows
+        query.op = query.op || "select";
+        return builder;
+      },
+      insert(payload) {
+        query.op = "insert";
+        query.payload = payload;
+        return builder;
+      },
+      update(payload) {
+        query.op = "update";
+        query.payload = payload;
+        return builder;
+      },
+      delete() {
+        query.op = "delete";
+        return builder;
+      },
+      eq(column, value) {
+        query.filters[column] = value;
+        return builder;
+      },
+      gt: () => builder,
+      lte: () => builder,
+      maybeSingle: () => builder,
+      then(resolve, reject) {
+        const next = responses.shift();
+        if (!next) {
+          reject(new Error(`Unexpected ${query.op} query`));
+          return;
+        }
+        const [op, result] = next;
+        assert.equal(query.op, op, "queries ran in an unexpected order");
+        resolve({ data: null, error: null, ...result });
+      },
+    };
+    return builder;
+  };
+  return queries;
+}
+
+describe("supabase session store", () => {
+  const originalFrom = supabase.from;
+  let store;
+
+  before(async () => {
+    // The store is chosen when the module loads
+    process.env.SESSION_STORE = "supabase";
+    const { getSessionStore } = await import("../sessionStore.js");
+    store = getSessionStore();
+  });
+
+  after(() => {
+    supabase.from = originalFrom;
+  });
+
+  describe("update", () => {
+    it("inserts a new session at version 1", async () => {
+      const queries = scriptCallSessions([
+        ["select", { data: null }],
+        ["insert", {}],
+      ]);
+
+      const value = await store.update("session:CA1", () => ({ step: 1 }), TTL_MS);
+
+      assert.deepEqual(value, { step: 1 });
+      assert.equal(queries[1].payload.version, 1);
+      assert.deepEqual(queries[1].payload.value, { step: 1 });
+    });
+
+    it("only writes over the version it read", async () => {
+      const queries = scriptCallSessions([
+        ["select", { data: { value: { step: 1 }, version: 3, expires_at: later() } }],
+        ["update", { data: [{ key: "session:CA1" }] }],
+      ]);
+
+      const value = await store.update(
+        "session:CA1",
+        (current) => ({ step: current.step + 1 }),
+        TTL_MS
+      );
+
+      assert.deepEqual(value, { step: 2 });
+      assert.equal(queries[1].filters.version, 3);
+      assert.equal(queries[1].payload.version, 4);
+    });
+
+    it("re-reads and re-applies the update when another writer got in first", async () => {
+      const queries = scriptCallSessions([
+        ["select", { data: { value: { count: 1 }, version: 3, expires_at: later() } }],
+        ["update", { data: [] }], // Version 3 was already replaced
+        ["select", { data: { value: { count: 5 }, version: 4, expires_at: later() } }],
+        ["update", { data: [{ key: "session:CA1" }] }],
+      ]);
+      const seen = [];
+
+      const value = await store.update(
+        "session:CA1",
+        (current) => {
+          seen.push(current.count);
+          return { count: current.count + 1 };
+        },
+        TTL_MS
+      );
+
+      assert.deepEqual(seen, [1, 5]);
+      assert.deepEqual(value, { count: 6 });
+      assert.equal(queries[3].filters.version, 4);
+      assert.equal(queries[3].payload.version, 5);
+    });
+
+    it("updates instead when another writer created the session first", async () => {
+      scriptCallSessions([
+        ["select", { data: null }],
+        ["insert", { error: { code: UNIQUE_VIOLATION, message: "duplicate key" } }],
+        ["select", { data: { value: { step: 1 }, version: 1, expires_at: later() } }],
+        ["update", { data: [{ key: "session:CA1" }] }],
+      ]);
+
+      const value = await store.update(
+        "session:CA1",
+        (current) => ({ step: (current?.step || 0) + 1 }),
+        TTL_MS
+      );
+
+      assert.deepEqual(value, { step: 2 });
+    });
+
+    it("starts an expired session from empty", async () => {
+      const queries = scriptCallSessions([
+        ["select", { data: { value: { step: 9 }, version: 2, expires_at: earlier() } }],
+        ["update", { data: [{ key: "session:CA1" }] }],
+      ]);
+      let seen;
+
+      await store.update(
+        "session:CA1",
+        (current) => {
+          seen = current;
+          return { step: 1 };
+        },
+        TTL_MS
+      );
+
+      assert.equal(seen, null);
+      assert.equal(queries[1].filters.version, 2);
+    });
+
+    it("gives up on a key that stays contended", async () => {
+      const contended = [];
+      for (let attempt = 0; attempt < 5; attempt++) {
+        contended.push(
+          ["select", { data: { value: {}, version: attempt, expires_at: later() } }],
+          ["update", { data: [] }]
+        );
+      }
+      scriptCallSessions(contended);
+
+      await assert.rejects(
+        store.update("session:CA1", () => ({}), TTL_MS),
+        /still contended after 5 attempts/
+      );
+    });
+
+    it("throws errors other than a lost race", async () => {
+      scriptCallSessions([
+        ["select", { data: null }],
+        ["insert", { error: { code: "42P01", message: "relation does not exist" } }],
+      ]);
+
+      await assert.rejects(
+        store.update("session:CA1", () => ({}), TTL_MS),
+        /relation does not exist/
+      );
+    });
+  });
+
+  describe("claim", () => {
+    it("lets the first caller claim a key", async () => {
+      scriptCallSessions([
+        ["delete", {}],
+        ["insert", {}],
+      ]);
+      assert.equal(await store.claim("function_call:fc-1", TTL_MS), true);
+    });
+
+    it("refuses a key someone else holds", async () => {
+      scriptCallSessions([
+        ["delete", {}],
+        ["insert", { error: { code: UNIQUE_VIOLATION, message: "duplicate key" } }],
+      ]);
+      assert.equal(await store.claim("function_call:fc-1", TTL_MS), false);
+    });
+  });
+});
@@ -0,0 +1,346 @@
+import { after, before, beforeEach, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { db, supabase } from "../database.js";
+
+const RETRY_BASE_MS = 30000;
+const MAX_ATTEMPTS = 12;
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Build a claimed sms_outbox row
+ * @param {Object} fields - Fields to override
+ * @returns {Object} Row as claimDueSmsOutboxEntries returns it
+ */
+function outboxEntry(fields) {
+  return {
+    id: "entry-1",
+    business_id: "biz-1",
+    call_sid: "CA1",
+    appointment_id: "appt-1",
+    customer_phone: "+447700900001",
+    customer_name: "Sam",
+    service_name: "Haircut",
+    appointment_date: "2026-10-20",
+    start_time: "10:00",
+    duration_minutes: 30,
+    language: null,
+    attempts: 0,
+    status: "sending",
+    ...fields,
+  };
+}
+
+describe("SMS outbox dispatch", () => {
+  const originals = {
+    from: supabase.from,
+    fetch: globalThis.fetch,
+    requeue: db.requeueStaleSmsOutboxEntries,
+    claim: db.claimDueSmsOutboxEntries,
+    update: db.updateSmsOutboxEntries,
+    release: db.releaseSmsOutboxEntries,
+    upsert: db.upsertSmsOutboxEntry,
+    cancel: db.cancelSmsOutboxEntries,
+  };
+  let outbox;
+  let claimable;
+  let claims;
+  let requeueCutoffs;
+  let updates;
+  let texts;
+  let smsApiStatus;
+
+  before(async () => {
+    // Read when the config first loads; raised so the backoff cap is reached before giving up
+    process.env.SMS_OUTBOX_RETRY_BASE_MS = String(RETRY_BASE_MS);
+    process.env.SMS_OUTBOX_MAX_ATTEMPTS = String(MAX_ATTEMPTS);
+    outbox = await import("../smsOutbox.js");
+  });
+
+  beforeEach(() => {
+    claimable = [];
+    claims = [];
+    requeueCutoffs = [];
+    updates = [];
+    texts = [];
+    smsApiStatus = 200;
+
+    db.requeueStaleSmsOutboxEntries = async (claimedBefore) => {
+      requeueCutoffs.push(new Date(claimedBefore).getTime());
+      return [];
+    };
+    db.claimDueSmsOutboxEntries = async (limit, callSid) => {
+      claims.push({ limit, callSid });
+      return claimable;
+    };
+    db.updateSmsOutboxEntries = async (ids, changes) => {
+      updates.push({ ids, changes });
+    };
+
+    // Just enough of the business for loadBusinessConfig
+    supabase.from = (table) => {
+      const result =
+        table === "businesses"
+          ? { data: { id: "biz-1", name: "Studio", phone_number: "+441134960000" } }
+          : { data: table === "business_config" ? null : [] };
+      const query = {
+        select: () => query,
+        eq: () => query,
+        single: () => query,
+        then: (resolve) => resolve({ error: null, ...result }),
+      };
+      return query;
+    };
+
+    // The dashboard's SMS API
+    globalThis.fetch = async (url, init) => {
+      texts.push(JSON.parse(init.body));
+      return {
+        ok: smsApiStatus < 400,
+        status: smsApiStatus,
+        text: async () => "SMS provider unavailable",
+      };
+    };
+  });
+
+  after(() => {
+    supabase.from = originals.from;
+    globalThis.fetch = originals.fetch;
+    db.requeueStaleSmsOutboxEntries = originals.requeue;
+    db.claimDueSmsOutboxEntries = originals.claim;
+    db.updateSmsOutboxEntries = originals.update;
+    db.releaseSmsOutboxEntries = originals.release;
+    db.upsertSmsOutboxEntry = originals.upsert;
+    db.cancelSmsOutboxEntries = originals.cancel;
+  });
+
+  describe("claiming", () => {
+    it("requeues entries claimed more than five minutes ago before claiming", async () => {
+      const startedAt = Date.now();
+      await outbox.dispatchSmsOutbox();
+
+      assert.equal(requeueCutoffs.length, 1);
+      assert.ok(Math.abs(startedAt - 5 * 60 * 1000 - requeueCutoffs[0]) < 1000);
+      assert.deepEqual(claims, [{ limit: 50, callSid: null }]);
+    });
+
+    it("only claims the given call's entries", async () => {
+      await outbox.dispatchSmsOutbox({ callSid: "CA9" });
+      assert.equal(claims[0].callSid, "CA9");
+    });
+
+    it("sends nothing when there is nothing to claim", async () => {
+      assert.equal(await outbox.dispatchSmsOutbox(), 0);
+      assert.equal(texts.length, 0);
+      assert.equal(updates.length, 0);
+    });
+
+    it("survives the claim failing", async () => {
+      db.claimDueSmsOutboxEntries = async () => {
+        throw new Error("Failed to claim SMS outbox entries: timeout");
+      };
+      assert.equal(await outbox.dispatchSmsOutbox(), 0);
+    });
+
+    it("releases a finished call's entries and sends only those", async () => {
+      db.releaseSmsOutboxEntries = async () => [{ id: "entry-1" }];
+      claimable = [outboxEntry({})];
+
+      assert.equal(await outbox.releaseBookingConfirmations("CA1"), 1);
+      assert.equal(claims[0].callSid, "CA1");
+    });
+
+    it("doesn't dispatch when a call has nothing held", async () => {
+      db.releaseSmsOutboxEntries = async () => [];
+
+      assert.equal(await outbox.releaseBookingConfirmations("CA1"), 0);
+      assert.equal(claims.length, 0);
+    });
+  });
+
+  describe("sending", () => {
+    it("combines a call's bookings for one number into one text", async () => {
+      claimable = [
+        outboxEntry({ id: "entry-1", appointment_id: "appt-1" }),
+        outboxEntry({ id: "entry-2", appointment_id: "appt-2", start_time: "11:00" }),
+        outboxEntry({ id: "entry-3", call_sid: "CA2", customer_phone: "+447700900002" }),
+      ];
+
+      assert.equal(await outbox.dispatchSmsOutbox(), 2);
+      assert.equal(texts.length, 2);
+      assert.equal(texts[0].customerPhone, "+447700900001");
+      assert.match(texts[0].message, /1\. Haircut .* 10:00/);
+      assert.match(texts[0].message, /2\. Haircut .* 11:00/);
+
+      assert.deepEqual(updates[0].ids, ["entry-1", "entry-2"]);
+      assert.equal(updates[0].changes.status, outbox.OUTBOX_STATUSES.SENT);
+      assert.equal(updates[0].changes.attempts, 1);
+      assert.deepEqual(updates[1].ids, ["entry-3"]);
+    });
+  });
+
+  describe("retrying", () => {
+    /**
+     * Fail one send and return the delay before its next attempt
+     * @param {number} attempts - Attempts the entry had already had
+     * @returns {Promise<Object>} The entry's update and its retry delay
+     */
+    async function failSend(attempts) {
+      smsApiStatus = 503;
+      claimable = [outboxEntry({ attempts })];
+      const failedAt = Date.now();
+      assert.equal(await outbox.dispatchSmsOutbox(), 0);
+
+      const { changes } = updates[0];
+      return { changes, delayMs: new Date(changes.send_after).getTime() - failedAt };
+    }
+
+    /**
+     * Check a retry delay, allowing for the time the dispatch took
+     * @param {number} delayMs - Delay that was set
+     * @param {number} expectedMs - Delay expected
+     */
+    function assertDelay(delayMs, expectedMs) {
+      assert.ok(
+        delayMs >= expectedMs - 1000 && delayMs <= expectedMs + 1000,
+        `expected a delay of about ${expectedMs}ms, got ${delayMs}ms`
+      );
+    }
+
+    it("puts a failed send back in the queue after the base delay", async () => {
+      const { changes, delayMs } = await failSend(0);
+
+      assert.equal(changes.status, outbox.OUTBOX_STATUSES.PENDING);
+      assert.equal(changes.attempts, 1);
+      assert.match(changes.last_error, /503 SMS provider unavailable/);
+      assertDelay(delayMs, RETRY_BASE_MS);
+    });
+
+    it("doubles the delay with each attempt", async () => {
+      const { changes, delayMs } = await failSend(3);
+
+      assert.equal(changes.attempts, 4);
+      assertDelay(delayMs, RETRY_BASE_MS * 8);
+    });
+
+    it("waits no more than an hour between attempts", async () => {
+      const { changes, delayMs } = await failSend(9);
+
+      assert.equal(changes.status, outbox.OUTBOX_STATUSES.PENDING);
+      assertDelay(delayMs, HOUR_MS);
+    });
+
+    it("gives up after the last attempt", async () => {
+      const { changes } = await failSend(MAX_ATTEMPTS - 1);
+
+      assert.equal(changes.status, outbox.OUTBOX_STATUSES.FAILED);
+      assert.equal(changes.attempts, MAX_ATTEMPTS);
+    });
+
+    it("retries when the business can't be loaded", async () => {
+      supabase.from = () => {
+        const query = {
+          select: () => query,
+          eq: () => query,
+          single: () => query,
+          then: (resolve) => resolve({ data: null, error: { message: "not found" } }),
+        };
+        return query;
+      };
+      claimable = [outboxEntry({})];
+
+      assert.equal(await outbox.dispatchSmsOutbox(), 0);
+      assert.equal(texts.length, 0);
+      assert.equal(updates[0].changes.status, outbox.OUTBOX_STATUSES.PENDING);
+      assert.match(updates[0].changes.last_error, /Business biz-1 not found/);
+    });
+  });
+
+  describe("queueing", () => {
+    const booking = {
+      businessId: "biz-1",
+      callSid: "CA1",
+      appointmentId: "appt-1",
+      customerPhone: "+447700900001",
+      customerName: "Sam",
+      serviceName: "Haircut",
+      date: "2026-10-20",
+      time: "10:00",
+      durationMinutes: 30,
+    };
+    let writes;
+
+    /**
+     * Have the outbox refuse the next writes
+     * @param {number} failures - Writes to refuse before accepting them again
+     */
+    function outboxDownFor(failures) {
+      writes = [];
+      db.upsertSmsOutboxEntry = async (entry) => {
+        writes.push(entry);
+        if (writes.length <= failures) {
+          throw new Error("Failed to save SMS outbox entry: connection refused");
+        }
+        return { id: `entry-${writes.length}`, ...entry };
+      };
+    }
+
+    beforeEach(() => {
+      db.releaseSmsOutboxEntries = async () => [];
+    });
+
+    it("holds the confirmation until the hold period has passed", async () => {
+      outboxDownFor(0);
+      const queuedAt = Date.now();
+
+      assert.equal(await outbox.enqueueBookingConfirmation(booking), true);
+      assert.equal(writes[0].appointment_id, "appt-1");
+      const holdMs = new Date(writes[0].send_after).getTime() - queuedAt;
+      assert.ok(Math.abs(holdMs - 30 * 60 * 1000) < 1000);
+    });
+
+    it("tries the write again when it fails", async () => {
+      outboxDownFor(1);
+
+      assert.equal(await outbox.enqueueBookingConfirmation(booking), true);
+      assert.equal(writes.length, 2);
+
+      await outbox.releaseBookingConfirmations("CA1");
+      assert.equal(writes.length, 2);
+    });
+
+    it("queues a confirmation the outbox couldn't take once the call ends", async () => {
+      outboxDownFor(3);
+
+      assert.equal(await outbox.enqueueBookingConfirmation(booking), false);
+      await outbox.releaseBookingConfirmations("CA1");
+
+      assert.equal(writes.length, 4);
+      assert.equal(texts.length, 0);
+    });
+
+    it("texts a confirmation the outbox still can't take when the call ends", async () => {
+      outboxDownFor(Infinity);
+
+      assert.equal(await outbox.enqueueBookingConfirmation(booking), false);
+      assert.equal(await outbox.releaseBookingConfirmations("CA1"), 1);
+
+      assert.equal(texts.length, 1);
+      assert.equal(texts[0].customerPhone, "+447700900001");
+      assert.match(texts[0].message, /10:00 for Haircut/);
+
+      // Only once
+      assert.equal(await outbox.releaseBookingConfirmations("CA1"), 0);
+    });
+
+    it("drops a held confirmation when its appointment is cancelled", async () => {
+      outboxDownFor(Infinity);
+      db.cancelSmsOutboxEntries = async () => [];
+
+      await outbox.enqueueBookingConfirmation(booking);
+      await outbox.cancelBookingConfirmations("appt-1");
+
+      assert.equal(await outbox.releaseBookingConfirmations("CA1"), 0);
+      assert.equal(texts.length, 0);
+    });
+  });
+});
@@ -0,0 +1,221 @@
+import { afterEach, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { createHmac } from "crypto";
+import twilio from "twilio";
+import { supabase } from "../database.js";
+import {
+  secretsMatch,
+  verifyStreamToken,
+  verifyTestCallToken,
+  verifyTwilioUpgrade,
+  verifyTwilioWebhook,
+} from "../streamAuth.js";
+
+const AUTH_TOKEN = process.env.TWILIO_AUTH_TOKEN;
+const STREAM_PATH = "/twilio?business_id=biz-1";
+const SIGNED_URL = `${process.env.PUBLIC_WS_URL}${STREAM_PATH}`;
+
+/**
+ * Build a WebSocket upgrade request as Twilio sends it
+ * @param {Object} headers - Request headers
+ * @param {string} [url] - Request path
+ * @returns {Object} Minimal http.IncomingMessage
+ */
+function upgradeRequest(headers, url = STREAM_PATH) {
+  return { url, headers: { host: "internal:8080", ...headers } };
+}
+
+describe("secretsMatch", () => {
+  it("matches identical secrets", () => {
+    assert.equal(secretsMatch("s3cret", "s3cret"), true);
+  });
+
+  it("rejects different secrets of the same length", () => {
+    assert.equal(secretsMatch("s3cret", "s3cres"), false);
+  });
+
+  it("rejects secrets of different lengths", () => {
+    assert.equal(secretsMatch("s3cret", "s3cret-longer"), false);
+  });
+
+  it("rejects missing secrets", () => {
+    assert.equal(secretsMatch("s3cret", undefined), false);
+    assert.equal(secretsMatch(null, "s3cret"), false);
+  });
+});
+
+describe("verifyTwilioUpgrade", () => {
+  it("accepts a request signed for the public stream URL", () => {
+    const signature = twilio.getExpectedTwilioSignature(AUTH_TOKEN, SIGNED_URL, {});
+    assert.equal(
+      verifyTwilioUpgrade(upgradeRequest({ "x-twilio-signature": signature })),
+      true
+    );
+  });
+
+  it("rejects a request without a signature", () => {
+    assert.equal(verifyTwilioUpgrade(upgradeRequest({})), false);
+  });
+
+  it("rejects a signature made with another auth token", () => {
+    const signature = twilio.getExpectedTwilioSignature("other-token", SIGNED_URL, {});
+    assert.equal(
+      verifyTwilioUpgrade(upgradeRequest({ "x-twilio-signature": signature })),
+      false
+    );
+  });
+
+  it("rejects a signature for a different URL", () => {
+    const signature = twilio.getExpectedTwilioSignature(AUTH_TOKEN, SIGNED_URL, {});
+    assert.equal(
+      verifyTwilioUpgrade(
+        upgradeRequest(
+          { "x-twilio-signature": signature },
+          "/twilio?business_id=biz-2"
+        )
+      ),
+      false
+    );
+  });
+});
+
+describe("verifyTwilioWebhook", () => {
+  const CALLBACK_PATH = "/reminders/status?booking_id=booking-1";
+  // Twilio calls the https:// form of the public URL
+  const CALLBACK_URL = `https://stream.example.com${CALLBACK_PATH}`;
+  const body = { CallSid: "CA123", CallStatus: "no-answer" };
+
+  /**
+   * Build a status callback request as Express hands it over
+   * @param {Object} headers - Request headers
+   * @param {Object} requestBody - Parsed form body
+   * @returns {Object} Minimal express.Request
+   */
+  function webhookRequest(headers, requestBody = body) {
+    return {
+      originalUrl: CALLBACK_PATH,
+      headers: { host: "internal:8080", ...headers },
+      body: requestBody,
+    };
+  }
+
+  it("accepts a callback signed with its form body", () => {
+    const signature = twilio.getExpectedTwilioSignature(AUTH_TOKEN, CALLBACK_URL, body);
+    assert.equal(
+      verifyTwilioWebhook(webhookRequest({ "x-twilio-signature": signature })),
+      true
+    );
+  });
+
+  it("rejects a callback without a signature", () => {
+    assert.equal(verifyTwilioWebhook(webhookRequest({})), false);
+  });
+
+  it("rejects a callback whose body was changed", () => {
+    const signature = twilio.getExpectedTwilioSignature(AUTH_TOKEN, CALLBACK_URL, body);
+    assert.equal(
+      verifyTwilioWebhook(
+        webhookRequest(
+          { "x-twilio-signature": signature },
+          { ...body, CallStatus: "completed" }
+        )
+      ),
+      false
+    );
+  });
+});
+
+describe("verifyStreamToken", () => {
+  const originalFrom = supabase.from;
+
+  /**
+   * Answer the business_config lookup with a fixed result
+   * @param {Object} result - { data, error } for the query
+   */
+  function stubTokenLookup(result) {
+    const query = {
+      select: () => query,
+      eq: () => query,
+      maybeSingle: async () => result,
+    };
+    supabase.from = () => query;
+  }
+
+  afterEach(() => {
+    supabase.from = originalFrom;
+  });
+
+  it("accepts any stream for a business without a token", async () => {
+    stubTokenLookup({ data: { stream_auth_token: null }, error: null });
+    assert.equal(await verifyStreamToken("biz-1", undefined), true);
+  });
+
+  it("accepts the business's token", async () => {
+    stubTokenLookup({ data: { stream_auth_token: "token-1" }, error: null });
+    assert.equal(await verifyStreamToken("biz-1", "token-1"), true);
+  });
+
+  it("rejects a wrong or missing token", async () => {
+    stubTokenLookup({ data: { stream_auth_token: "token-1" }, error: null });
+    assert.equal(await verifyStreamToken("biz-1", "token-2"), false);
+    assert.equal(await verifyStreamToken("biz-1", undefined), false);
+  });
+
+  it("rejects the stream when the token can't be loaded", async () => {
+    stubTokenLookup({ data: null, error: { message: "connection refused" } });
+    assert.equal(await verifyStreamToken("biz-1", "token-1"), false);
+  });
+});
+
+describe("verifyTestCallToken", () => {
+  /**
+   * Mint a test-call token the way the dashboard does
+   * @param {string} businessId - Business the test call is for
+   * @param {number} expiresAt - Unix timestamp in seconds
+   * @returns {string} Hex token
+   */
+  function mintToken(businessId, expiresAt) {
+    return createHmac("sha256", process.env.INTERNAL_API_SECRET)
+      .update(`${businessId}.${expiresAt}`)
+      .digest("hex");
+  }
+
+  const inAnHour = () => Math.floor(Date.now() / 1000) + 3600;
+
+  it("accepts an unexpired token for the business", () => {
+    const expiresAt = inAnHour();
+    assert.equal(
+      verifyTestCallToken("biz-1", String(expiresAt), mintToken("biz-1", expiresAt)),
+      true
+    );
+  });
+
+  it("rejects an expired token", () => {
+    const expiresAt = Math.floor(Date.now() / 1000) - 60;
+    assert.equal(
+      verifyTestCallToken("biz-1", String(expiresAt), mintToken("biz-1", expiresAt)),
+      false
+    );
+  });
+
+  it("rejects a token minted for another business", () => {
+    const expiresAt = inAnHour();
+    assert.equal(
+      verifyTestCallToken("biz-2", String(expiresAt), mintToken("biz-1", expiresAt)),
+      false
+    );
+  });
+
+  it("rejects a token whose expiry was pushed back", () => {
+    const expiresAt = inAnHour();
+    assert.equal(
+      verifyTestCallToken("biz-1", String(expiresAt + 3600), mintToken("biz-1", expiresAt)),
+      false
+    );
+  });
+
+  it("rejects a request without an expiry or token", () => {
+    assert.equal(verifyTestCallToken("biz-1", undefined, "abc"), false);
+    assert.equal(verifyTestCallToken("biz-1", String(inAnHour()), undefined), false);
+  });
+});
@@ -0,0 +1,74 @@
+import { after, beforeEach, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { supabase } from "../database.js";
+import { canMakeCall, recordCallUsage } from "../subscription-utils.js";
+
+describe("subscription minutes", () => {
+  const originalFrom = supabase.from;
+  let rows;
+  let inserts;
+
+  beforeEach(() => {
+    rows = {
+      businesses: { id: "biz-1", subscription_id: "sub-1", minutes_allowed: 0, minutes_used: 10 },
+      subscriptions: { status: "active", monthly_minutes_included: 100, monthly_minutes_used: 98 },
+    };
+    inserts = [];
+
+    // One row per table, updated in place
+    supabase.from = (table) => {
+      let changes = null;
+      const query = {
+        select: () => query,
+        eq: () => query,
+        single: () => query,
+        update: (values) => {
+          changes = values;
+          return query;
+        },
+        insert: async (values) => {
+          inserts.push({ table, values });
+          return { error: null };
+        },
+        then: (resolve) => {
+          if (changes) Object.assign(rows[table], changes);
+          resolve({ data: rows[table], error: null });
+        },
+      };
+      return query;
+    };
+  });
+
+  after(() => {
+    supabase.from = originalFrom;
+  });
+
+  it("counts a call's minutes against the subscription it checks", async () => {
+    assert.equal((await canMakeCall("biz-1")).allowed, true);
+
+    const minutes = await recordCallUsage({
+      businessId: "biz-1",
+      subscriptionId: "sub-1",
+      callLogId: "log-1",
+      durationSeconds: 61,
+    });
+
+    assert.equal(minutes, 2);
+    assert.equal(rows.subscriptions.monthly_minutes_used, 100);
+    assert.equal(rows.businesses.minutes_used, 12);
+    assert.equal(inserts[0].table, "subscription_usage");
+    assert.equal(inserts[0].values.minutes_used, 2);
+
+    const check = await canMakeCall("biz-1");
+    assert.equal(check.allowed, false);
+    assert.equal(check.reason, "Monthly minutes limit exceeded");
+  });
+
+  it("leaves subscriptions alone for a business on free minutes", async () => {
+    await recordCallUsage({ businessId: "biz-1", subscriptionId: null, durationSeconds: 30 });
+
+    assert.equal(rows.subscriptions.monthly_minutes_used, 98);
+    assert.equal(rows.businesses.minutes_used, 11);
+    assert.equal(inserts.length, 0);
+  });
+});
@@ -0,0 +1,159 @@
+import { after, before, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { reconnectVoiceAgent, switchCallLanguage } from "../voiceAgent.js";
+
+const businessConfig = {
+  business: { id: "biz-1", name: "Studio" },
+  config: { agent_language: "en", supported_languages: ["es"] },
+  services: [],
+  staff: [],
+};
+
+/**
+ * A connected provider stand-in whose language switch succeeds or fails
+ * @param {Error} [switchError] - Error switchLanguage rejects with
+ * @returns {Object} Agent as initializeVoiceAgent returns it, recording its switches
+ */
+function connectedAgent(switchError = null) {
+  class Provider {
+    static get providerName() {
+      return "fake";
+    }
+    static defaultVoiceFor(language) {
+      return `voice-a-${language}`;
+    }
+    static isSupportedVoice() {
+      return true;
+    }
+    static voiceSpeaksLanguage(voice, language) {
+      return voice.endsWith(`-${language}`);
+    }
+    async switchLanguage(options) {
+      this.switches.push(options);
+      if (switchError) throw switchError;
+      return options.settings;
+    }
+  }
+
+  const agent = new Provider();
+  agent.switches = [];
+  agent.agentSettings = { language: "en", voice: "voice-a-en" };
+  agent.callContext = { languages: ["en", "es"], language: "en" };
+  return agent;
+}
+
+describe("switchCallLanguage", () => {
+  it("moves the call and the agent to the new language", async () => {
+    const agent = connectedAgent();
+
+    const result = await switchCallLanguage(agent, businessConfig, "es");
+
+    assert.equal(result.success, true);
+    assert.equal(agent.callContext.language, "es");
+    assert.equal(agent.agentSettings.language, "es");
+    assert.equal(agent.agentSettings.voice, "voice-a-es");
+    assert.equal(agent.switches[0].settings.language, "es");
+  });
+
+  it("keeps the call in its language when the agent can't switch", async () => {
+    const agent = connectedAgent(new Error("Deepgram connection not available"));
+
+    const result = await switchCallLanguage(agent, businessConfig, "es");
+
+    assert.equal(result.success, false);
+    assert.match(result.error, /Carry on in English/);
+    assert.equal(agent.callContext.language, "en");
+    assert.deepEqual(agent.agentSettings, { language: "en", voice: "voice-a-en" });
+  });
+
+  it("builds the new prompt in the new language", async () => {
+    const agent = connectedAgent();
+    let promptLanguage = null;
+    agent.switchLanguage = async (options) => {
+      promptLanguage = agent.callContext.language;
+      return options.settings;
+    };
+
+    await switchCallLanguage(agent, businessConfig, "es");
+    assert.equal(promptLanguage, "es");
+  });
+
+  it("refuses a language the business doesn't take", async () => {
+    const agent = connectedAgent();
+
+    const result = await switchCallLanguage(agent, businessConfig, "pl");
+
+    assert.equal(result.success, false);
+    assert.equal(agent.switches.length, 0);
+    assert.equal(agent.callContext.language, "en");
+  });
+});
+
+describe("reconnectVoiceAgent", () => {
+  const originalFetch = globalThis.fetch;
+  const closedTransport = { isOpen: () => false };
+
+  before(() => {
+    // No apology clip can be synthesized
+    globalThis.fetch = async () => ({ ok: false, status: 503 });
+  });
+
+  after(() => {
+    globalThis.fetch = originalFetch;
+  });
+
+  /**
+   * An agent that dropped mid-call and reconnects when asked
+   * @returns {Object} Agent recording what it was reconnected with
+   */
+  function droppedAgent() {
+    const agent = connectedAgent();
+    agent.callSid = "CA-reconnect";
+    agent.connections = [];
+    agent.connect = async (options) => {
+      agent.connections.push(options);
+      return options.settings;
+    };
+    agent.connectionState = {
+      silenceManager: { pauseTimer() {}, resumeTimer() {} },
+      transcriptManager: {
+        getTranscript: () => [
+          { speaker: "User", text: "I'd like a haircut" },
+          { speaker: "System", text: "set_call_language" },
+          { speaker: "AI", text: "What day suits you?" },
+        ],
+      },
+    };
+    return agent;
+  }
+
+  it("reconnects with the conversation so far", async () => {
+    const agent = droppedAgent();
+
+    assert.equal(await reconnectVoiceAgent(agent, businessConfig, closedTransport), true);
+    assert.deepEqual(agent.connections[0].history, [
+      { role: "user", content: "I'd like a haircut" },
+      { role: "assistant", content: "What day suits you?" },
+    ]);
+  });
+
+  it("stops reconnecting an agent that keeps dropping on the same call", async () => {
+    const agent = droppedAgent();
+
+    for (let drop = 1; drop <= 3; drop++) {
+      assert.equal(await reconnectVoiceAgent(agent, businessConfig, closedTransport), true);
+    }
+    assert.equal(await reconnectVoiceAgent(agent, businessConfig, closedTransport), false);
+    assert.equal(agent.connections.length, 3);
+  });
+
+  it("gives up when the call ends before reconnecting", async () => {
+    const agent = droppedAgent();
+
+    assert.equal(
+      await reconnectVoiceAgent(agent, businessConfig, closedTransport, () => false),
+      false
+    );
+    assert.equal(agent.connections.length, 0);
+  });
+});
@@ -0,0 +1,442 @@
+import { after, before, beforeEach, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { once } from "events";
+import WebSocket, { WebSocketServer } from "ws";
+
+const UNREADABLE_ARGUMENTS = "The function arguments could not be read. Please try again.";
+
+// Stands in for Deepgram's Voice Agent endpoint
+let fakeDeepgram;
+let getVoiceAgentProvider;
+
+before(async () => {
+  fakeDeepgram = new WebSocketServer({ host: "127.0.0.1", port: 0 });
+  await once(fakeDeepgram, "listening");
+  // Read when the config first loads
+  process.env.DEEPGRAM_AGENT_URL = `ws://127.0.0.1:${fakeDeepgram.address().port}`;
+  ({ getVoiceAgentProvider } = await import("../voiceAgents/index.js"));
+});
+
+after(() => {
+  fakeDeepgram.close();
+});
+
+/**
+ * Create a provider whose session is open, recording what it sends
+ * @param {string} providerName - Registered provider name
+ * @returns {Object} { agent, sent } where sent holds the parsed JSON messages
+ */
+function openAgent(providerName) {
+  const Provider = getVoiceAgentProvider(providerName);
+  const agent = new Provider("CA1");
+  const sent = [];
+  agent.ws = {
+    readyState: WebSocket.OPEN,
+    send: (message) => sent.push(JSON.parse(message)),
+  };
+  return { agent, sent };
+}
+
+/**
+ * Record every payload a provider emits for an event
+ * @param {EventEmitter} agent - Provider
+ * @param {string} event - Event name
+ * @returns {Array} Emitted payloads, filled in as they arrive
+ */
+function collect(agent, event) {
+  const payloads = [];
+  agent.on(event, (payload) => payloads.push(payload));
+  return payloads;
+}
+
+describe("DeepgramVoiceAgent", () => {
+  let agent;
+  let sent;
+
+  /**
+   * Deliver a JSON event as Deepgram does, in a Buffer
+   * @param {Object} data - Event
+   */
+  function receive(data) {
+    agent.handleMessage(Buffer.from(JSON.stringify(data)));
+  }
+
+  beforeEach(() => {
+    ({ agent, sent } = openAgent("deepgram"));
+  });
+
+  describe("connect", () => {
+    const settings = {
+      provider: "deepgram",
+      language: "es",
+      listenModel: "nova-3",
+      endpointingMs: 300,
+      thinkProvider: "open_ai",
+      thinkModel: "gpt-4.1-mini",
+      temperature: 0.4,
+      voice: "aura-2-celeste-es",
+    };
+
+    /**
+     * Have the fake Deepgram welcome each connection and apply the settings it is sent
+     * @returns {Array<Object>} Settings messages received, filled in as they arrive
+     */
+    function applySettings() {
+      const received = [];
+      fakeDeepgram.removeAllListeners("connection");
+      fakeDeepgram.on("connection", (socket) => {
+        socket.on("message", (message) => {
+          const data = JSON.parse(message);
+          if (data.type === "Settings") {
+            received.push(data);
+            socket.send(JSON.stringify({ type: "SettingsApplied" }));
+          }
+        });
+        socket.send(JSON.stringify({ type: "Welcome", request_id: "req-1" }));
+      });
+      return received;
+    }
+
+    it("sends the call's settings once welcomed and resolves when they are applied", async () => {
+      const received = applySettings();
+      const connecting = new (getVoiceAgentProvider("deepgram"))("CA1");
+
+      const applied = await connecting.connect({
+        prompt: "You are the receptionist.",
+        functions: [{ name: "end_call" }],
+        greeting: "Hola, ¿en qué puedo ayudarle?",
+        settings,
+        history: [{ role: "user", content: "Hola" }],
+      });
+      connecting.close();
+
+      assert.equal(applied, settings);
+      assert.equal(connecting.settings, settings);
+      assert.equal(received.length, 1);
+      assert.deepEqual(received[0].audio, {
+        input: { encoding: "mulaw", sample_rate: 8000 },
+        output: { encoding: "mulaw", sample_rate: 8000, container: "none" },
+      });
+      assert.deepEqual(received[0].agent, {
+        language: "es",
+        listen: { provider: { type: "deepgram", model: "nova-3", endpointing: 300 } },
+        think: {
+          provider: { type: "open_ai", model: "gpt-4.1-mini", temperature: 0.4 },
+          prompt: "You are the receptionist.",
+          functions: [{ name: "end_call" }],
+        },
+        speak: { provider: { type: "deepgram", model: "aura-2-celeste-es" } },
+        context: { messages: [{ type: "History", role: "user", content: "Hola" }] },
+        greeting: "Hola, ¿en qué puedo ayudarle?",
+      });
+    });
+
+    it("leaves out settings the business hasn't set", async () => {
+      const received = applySettings();
+      const connecting = new (getVoiceAgentProvider("deepgram"))("CA1");
+
+      await connecting.connect({
+        prompt: "You are the receptionist.",
+        functions: [],
+        greeting: null,
+        settings: { ...settings, endpointingMs: null, temperature: null },
+      });
+      connecting.close();
+
+      const { agent: sentAgent } = received[0];
+      assert.deepEqual(sentAgent.listen.provider, { type: "deepgram", model: "nova-3" });
+      assert.deepEqual(sentAgent.think.provider, { type: "open_ai", model: "gpt-4.1-mini" });
+      assert.equal("context" in sentAgent, false);
+      assert.equal("greeting" in sentAgent, false);
+    });
+
+    it("fails when the socket closes before the settings are applied", async () => {
+      fakeDeepgram.removeAllListeners("connection");
+      fakeDeepgram.on("connection", (socket) => socket.close(1011, "overloaded"));
+      const connecting = new (getVoiceAgentProvider("deepgram"))("CA1");
+
+      await assert.rejects(
+        connecting.connect({ prompt: "", functions: [], settings }),
+        /closed with code 1011: overloaded/
+      );
+    });
+  });
+
+  describe("function calls", () => {
+    it("emits every function in a request with its parsed arguments", () => {
+      const requests = collect(agent, "functionRequest");
+      receive({
+        type: "FunctionCallRequest",
+        functions: [
+          { id: "fc-1", name: "check_availability", arguments: '{"date":"2026-10-20"}' },
+          { id: "fc-2", name: "list_services", arguments: "" },
+        ],
+      });
+
+      assert.deepEqual(requests, [
+        [
+          { id: "fc-1", name: "check_availability", parameters: { date: "2026-10-20" } },
+          { id: "fc-2", name: "list_services", parameters: {} },
+        ],
+      ]);
+      assert.deepEqual([...agent.pendingFunctionCalls], ["fc-1", "fc-2"]);
+      assert.equal(sent.length, 0);
+    });
+
+    it("answers a call with unreadable arguments and passes the rest on", () => {
+      const requests = collect(agent, "functionRequest");
+      receive({
+        type: "FunctionCallRequest",
+        functions: [
+          { id: "fc-1", name: "book_appointment", arguments: '{"date":' },
+          { id: "fc-2", name: "list_services", arguments: "{}" },
+        ],
+      });
+
+      assert.deepEqual(sent, [
+        {
+          type: "FunctionCallResponse",
+          id: "fc-1",
+          name: "book_appointment",
+          content: JSON.stringify({ error: UNREADABLE_ARGUMENTS }),
+        },
+      ]);
+      assert.deepEqual(requests, [[{ id: "fc-2", name: "list_services", parameters: {} }]]);
+    });
+
+    it("answers arguments that aren't an object", () => {
+      const requests = collect(agent, "functionRequest");
+      receive({
+        type: "FunctionCallRequest",
+        functions: [{ id: "fc-1", name: "list_services", arguments: '["a"]' }],
+      });
+
+      assert.equal(sent[0].id, "fc-1");
+      assert.equal(requests.length, 0);
+    });
+
+    it("takes the older one-function message with parsed parameters", () => {
+      const requests = collect(agent, "functionRequest");
+      receive({
+        type: "FunctionCall",
+        function_call_id: "fc-1",
+        function_name: "end_call",
+        parameters: { reason: "caller said goodbye" },
+      });
+
+      assert.deepEqual(requests, [
+        [{ id: "fc-1", name: "end_call", parameters: { reason: "caller said goodbye" } }],
+      ]);
+    });
+
+    it("doesn't throw when a bad call can't be answered", () => {
+      agent.ws.readyState = WebSocket.CLOSED;
+      assert.doesNotThrow(() =>
+        receive({
+          type: "FunctionCallRequest",
+          functions: [{ id: "fc-1", name: "end_call", arguments: "{" }],
+        })
+      );
+    });
+  });
+
+  describe("conversation", () => {
+    it("tells the caller's words from the agent's", () => {
+      const userSpeech = collect(agent, "userSpeech");
+      const agentText = collect(agent, "agentText");
+      receive({ type: "ConversationText", role: "user", content: "Do you have anything Friday?" });
+      receive({ type: "ConversationText", role: "assistant", content: "Let me check." });
+      receive({ type: "ConversationText", role: "user", content: "   " });
+
+      assert.deepEqual(userSpeech, [{ text: "Do you have anything Friday?" }]);
+      assert.deepEqual(agentText, [{ text: "Let me check." }]);
+    });
+
+    it("reports the caller talking over the agent", () => {
+      const bargeIns = collect(agent, "bargeIn");
+      receive({ type: "UserStartedSpeaking" });
+      assert.equal(bargeIns.length, 1);
+    });
+  });
+
+  describe("audio", () => {
+    it("passes binary frames on as agent audio", () => {
+      const audio = collect(agent, "agentAudio");
+      const frame = Buffer.alloc(160, 0xff);
+      agent.handleMessage(frame);
+      assert.deepEqual(audio, [frame]);
+    });
+
+    it("drops empty and tiny frames", () => {
+      const audio = collect(agent, "agentAudio");
+      agent.handleMessage(Buffer.alloc(0));
+      agent.handleMessage(Buffer.alloc(4, 0xff));
+      assert.equal(audio.length, 0);
+    });
+
+    it("treats a frame that only looks like JSON as audio", () => {
+      const audio = collect(agent, "agentAudio");
+      const frame = Buffer.concat([Buffer.from("{"), Buffer.alloc(159, 0xff)]);
+      agent.handleMessage(frame);
+      assert.deepEqual(audio, [frame]);
+    });
+
+    it("decodes base64 TtsAudio", () => {
+      const audio = collect(agent, "agentAudio");
+      const frame = Buffer.alloc(160, 0x7f);
+      receive({ type: "TtsAudio", data: frame.toString("base64") });
+      assert.deepEqual(audio, [frame]);
+    });
+
+    it("drops TtsAudio that isn't base64", () => {
+      const audio = collect(agent, "agentAudio");
+      receive({ type: "TtsAudio", data: "not base64!" });
+      assert.equal(audio.length, 0);
+    });
+  });
+});
+
+describe("OpenAIRealtimeVoiceAgent", () => {
+  let agent;
+  let sent;
+
+  beforeEach(() => {
+    ({ agent, sent } = openAgent("openai_realtime"));
+  });
+
+  /**
+   * Build a response.done event carrying function calls
+   * @param {Array<Object>} calls - Calls as { call_id, name, arguments }
+   * @returns {Object} Server event
+   */
+  function responseDone(calls) {
+    return {
+      type: "response.done",
+      response: {
+        output: [
+          { type: "message", content: [] },
+          ...calls.map((call) => ({ type: "function_call", ...call })),
+        ],
+      },
+    };
+  }
+
+  describe("function calls", () => {
+    it("emits the response's function calls together", () => {
+      const requests = collect(agent, "functionRequest");
+      agent.handleEvent(
+        responseDone([
+          { call_id: "call-1", name: "check_availability", arguments: '{"date":"2026-10-20"}' },
+          { call_id: "call-2", name: "list_services", arguments: "{}" },
+        ])
+      );
+
+      assert.deepEqual(requests, [
+        [
+          { id: "call-1", name: "check_availability", parameters: { date: "2026-10-20" } },
+          { id: "call-2", name: "list_services", parameters: {} },
+        ],
+      ]);
+      assert.deepEqual([...agent.pendingFunctionCalls], ["call-1", "call-2"]);
+    });
+
+    it("ignores a response without function calls", () => {
+      const requests = collect(agent, "functionRequest");
+      agent.handleEvent(responseDone([]));
+      assert.equal(requests.length, 0);
+    });
+
+    it("answers unreadable arguments without asking for a response too early", () => {
+      const requests = collect(agent, "functionRequest");
+      agent.handleEvent(
+        responseDone([
+          { call_id: "call-1", name: "book_appointment", arguments: "{not json" },
+          { call_id: "call-2", name: "list_services", arguments: "{}" },
+        ])
+      );
+
+      assert.deepEqual(sent, [
+        {
+          type: "conversation.item.create",
+          item: {
+            type: "function_call_output",
+            call_id: "call-1",
+            output: JSON.stringify({ error: UNREADABLE_ARGUMENTS }),
+          },
+        },
+      ]);
+      assert.deepEqual(requests, [[{ id: "call-2", name: "list_services", parameters: {} }]]);
+      assert.deepEqual([...agent.pendingFunctionCalls], ["call-2"]);
+    });
+
+    it("asks for a response once the last result is in", () => {
+      agent.handleEvent(
+        responseDone([
+          { call_id: "call-1", name: "check_availability", arguments: "{}" },
+          { call_id: "call-2", name: "list_services", arguments: "{}" },
+        ])
+      );
+
+      agent.sendFunctionResult({ id: "call-2", name: "list_services" }, { services: [] });
+      assert.equal(sent.at(-1).type, "conversation.item.create");
+
+      agent.sendFunctionResult({ id: "call-1", name: "check_availability" }, { slots: [] });
+      assert.deepEqual(
+        sent.map((event) => event.type),
+        ["conversation.item.create", "conversation.item.create", "response.create"]
+      );
+    });
+
+    it("asks for a response when every call had unreadable arguments", () => {
+      const requests = collect(agent, "functionRequest");
+      agent.handleEvent(
+        responseDone([{ call_id: "call-1", name: "end_call", arguments: "null" }])
+      );
+
+      assert.equal(requests.length, 0);
+      assert.equal(sent.at(-1).type, "response.create");
+    });
+  });
+
+  describe("conversation", () => {
+    it("reports finished transcripts from both sides", () => {
+      const userSpeech = collect(agent, "userSpeech");
+      const agentText = collect(agent, "agentText");
+      agent.handleEvent({
+        type: "conversation.item.input_audio_transcription.completed",
+        transcript: " Do you have anything Friday? ",
+      });
+      agent.handleEvent({ type: "response.audio_transcript.done", transcript: "Let me check." });
+      agent.handleEvent({ type: "response.audio_transcript.done", transcript: "" });
+
+      assert.deepEqual(userSpeech, [{ text: "Do you have anything Friday?" }]);
+      assert.deepEqual(agentText, [{ text: "Let me check." }]);
+    });
+
+    it("reports the caller talking over the agent", () => {
+      const bargeIns = collect(agent, "bargeIn");
+      agent.handleEvent({ type: "input_audio_buffer.speech_started" });
+      assert.equal(bargeIns.length, 1);
+    });
+  });
+
+  describe("audio", () => {
+    it("decodes audio deltas and reports the end of the utterance", () => {
+      const audio = collect(agent, "agentAudio");
+      const done = collect(agent, "agentAudioDone");
+      const frame = Buffer.alloc(160, 0xff);
+      agent.handleEvent({ type: "response.audio.delta", delta: frame.toString("base64") });
+      agent.handleEvent({ type: "response.audio.done" });
+
+      assert.deepEqual(audio, [frame]);
+      assert.equal(done.length, 1);
+    });
+
+    it("sends caller audio as base64", () => {
+      agent.sendAudio(Buffer.from([0xff, 0x7f]));
+      assert.deepEqual(sent, [
+        { type: "input_audio_buffer.append", audio: Buffer.from([0xff, 0x7f]).toString("base64") },
+      ]);
+    });
+  });
+});
@@ -0,0 +1,146 @@
+import { randomUUID } from "crypto";
+import WebSocket from "ws";
+import { verifyTestCallToken } from "../streamAuth.js";
+import {
+  decodeMulaw,
+  encodeMulaw,
+  pcm16FromBuffer,
+  pcm16ToBuffer,
+  resample,
+} from "../audioCodec.js";
+
+const TELEPHONY_SAMPLE_RATE = 8000;
+const SUPPORTED_ENCODINGS = ["pcm16", "mulaw"];
+
+/**
+ * Browser "test call" transport
+ * Lets a business talk to its agent from the dashboard without a phone. The call runs
+ * in sandbox mode, so bookings, transfers and SMS are simulated.
+ *
+ * Protocol: connect to /test-call?business_id=...&expires=...&token=..., then
+ * - send {"type":"start","encoding":"pcm16"|"mulaw","sample_rate":16000,"timezone":"Europe/London"}
+ * - send caller audio as binary frames in that encoding and rate
+ * - receive agent audio as binary frames in the same encoding and rate
+ * - receive {"type":"mark","name":...} and echo it back once the audio before it has played
+ * - receive {"type":"clear"} when the caller interrupts - drop any queued agent audio
+ * - optionally send {"type":"dtmf","digit":"1"} and {"type":"stop"}
+ */
+export class BrowserTransport {
+  static get carrier() {
+    return "browser";
+  }
+
+  static verifyUpgrade(req) {
+    const { searchParams } = new URL(req.url, "http://localhost");
+    return verifyTestCallToken(
+      searchParams.get("business_id"),
+      searchParams.get("expires"),
+      searchParams.get("token")
+    );
+  }
+
+  constructor(ws, req) {
+    const { searchParams } = new URL(req.url, "http://localhost");
+    this.ws = ws;
+    this.businessId = searchParams.get("business_id");
+    this.started = false;
+    this.encoding = "pcm16";
+    this.sampleRate = 16000;
+    this.supportsMarks = true;
+    this.expectedFrameSize = null; // Browsers send whatever chunk size their audio graph produces
+  }
+
+  parseMessage(message, isBinary) {
+    if (isBinary) {
+      return {
+        type: "media",
+        audio: this.started ? this._toTelephonyAudio(message) : null,
+        timestamp: NaN,
+      };
+    }
+
+    const data = JSON.parse(message.toString());
+    switch (data.type) {
+      case "start": {
+        this.encoding = SUPPORTED_ENCODINGS.includes(data.encoding)
+          ? data.encoding
+          : "pcm16";
+        this.sampleRate = Number(data.sample_rate) || (this.encoding === "mulaw" ? 8000 : 16000);
+        this.started = true;
+        const testCallId = randomUUID();
+
+        return {
+          type: "start",
+          streamId: `browser-${testCallId}`,
+          callSid: `test-${testCallId}`,
+          sandbox: true,
+          // The business was authenticated by the upgrade token, not the message body
+          parameters: {
+            business_id: this.businessId,
+            timezone: data.timezone,
+          },
+          raw: { ...data, business_id: this.businessId },
+        };
+      }
+
+      case "dtmf":
+        return { type: "dtmf", digit: data.digit || null };
+
+      case "mark":
+        return { type: "mark", name: data.name || null };
+
+      case "stop":
+        return { type: "stop", raw: data };
+
+      default:
+        return { type: "unknown", raw: data };
+    }
+  }
+
+  isOpen() {
+    return this.ws.readyState === WebSocket.OPEN && this.started;
+  }
+
+  /**
+   * Send agent audio, converted to the browser's format
+   * @param {Buffer} audio - 8kHz μ-law audio
+   */
+  sendAudio(audio) {
+    if (!this.isOpen()) return;
+
+    let output = audio;
+    if (this.encoding !== "mulaw" || this.sampleRate !== TELEPHONY_SAMPLE_RATE) {
+      const samples = resample(decodeMulaw(audio), TELEPHONY_SAMPLE_RATE, this.sampleRate);
+      output = this.encoding === "mulaw" ? encodeMulaw(samples) : pcm16ToBuffer(samples);
+    }
+    this.ws.send(output, { binary: true });
+  }
+
+  sendMark(name) {
+    this._sendJson({ type: "mark", name });
+  }
+
+  clearAudio() {
+    this._sendJson({ type: "clear" });
+  }
+
+  /**
+   * Convert caller audio to the 8kHz μ-law the agent pipeline expects
+   * @param {Buffer} audio - Audio in the browser's encoding and rate
+   * @returns {Buffer} 8kHz μ-law audio
+   */
+  _toTelephonyAudio(audio) {
+    if (this.encoding === "mulaw" && this.sampleRate === TELEPHONY_SAMPLE_RATE) {
+      return audio;
+    }
+
+    const samples = this.encoding === "mulaw" ? decodeMulaw(audio) : pcm16FromBuffer(audio);
+    return encodeMulaw(resample(samples, this.sampleRate, TELEPHONY_SAMPLE_RATE));
+  }
+
+  _sendJson(message) {
+    if (this.isOpen()) {
+      this.ws.send(JSON.stringify(message));
+    }
+  }
+}
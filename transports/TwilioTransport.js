@@ -0,0 +1,117 @@
+import WebSocket from "ws";
+import { verifyTwilioUpgrade } from "../streamAuth.js";
+
+/**
+ * Twilio Media Streams transport
+ * Translates Twilio's JSON media-stream protocol to and from the transport events
+ * used by the call pipeline (see transports/index.js).
+ */
+export class TwilioTransport {
+  static get carrier() {
+    return "twilio";
+  }
+
+  /**
+   * Check an upgrade request before any call state is created
+   * @param {http.IncomingMessage} req - The WebSocket upgrade request
+   * @returns {boolean} True if the request came from Twilio
+   */
+  static verifyUpgrade(req) {
+    return verifyTwilioUpgrade(req);
+  }
+
+  constructor(ws) {
+    this.ws = ws;
+    this.streamSid = null;
+    this.supportsMarks = true;
+    this.expectedFrameSize = 160; // 20ms of 8kHz μ-law
+  }
+
+  /**
+   * Parse a raw WebSocket message into a transport event
+   * @param {Buffer|string} message - Raw message from Twilio
+   * @returns {Object} { type, ... } - connected, start, media, dtmf, mark, stop or unknown
+   */
+  parseMessage(message) {
+    const data = JSON.parse(message.toString());
+
+    switch (data.event) {
+      case "connected":
+        return { type: "connected", raw: data };
+
+      case "start": {
+        this.streamSid = data.start?.streamSid || data.streamSid || null;
+        const parameters = data.start?.customParameters || {};
+        return {
+          type: "start",
+          streamId: this.streamSid,
+          callSid: parameters.call_sid || data.start?.callSid || null,
+          parameters,
+          raw: data,
+        };
+      }
+
+      case "media":
+        return {
+          type: "media",
+          audio: data.media?.payload
+            ? Buffer.from(data.media.payload, "base64")
+            : null,
+          timestamp: Number(data.media?.timestamp),
+        };
+
+      case "dtmf":
+        return { type: "dtmf", digit: data.dtmf?.digit || null };
+
+      case "mark":
+        return { type: "mark", name: data.mark?.name || null };
+
+      case "stop":
+        return { type: "stop", raw: data };
+
+      default:
+        return { type: "unknown", raw: data };
+    }
+  }
+
+  isOpen() {
+    return this.ws.readyState === WebSocket.OPEN && !!this.streamSid;
+  }
+
+  /**
+   * Send μ-law audio to the caller
+   * @param {Buffer} audio - 8kHz μ-law audio
+   */
+  sendAudio(audio) {
+    this._send({
+      event: "media",
+      streamSid: this.streamSid,
+      media: { payload: audio.toString("base64") },
+    });
+  }
+
+  /**
+   * Ask Twilio to echo a mark back once everything sent before it has played
+   * @param {string} name - Mark name
+   */
+  sendMark(name) {
+    this._send({
+      event: "mark",
+      streamSid: this.streamSid,
+      mark: { name },
+    });
+  }
+
+  /**
+   * Drop any audio Twilio has buffered but not yet played (barge-in)
+   */
+  clearAudio() {
+    this._send({ event: "clear", streamSid: this.streamSid });
+  }
+
+  _send(message) {
+    if (this.isOpen()) {
+      this.ws.send(JSON.stringify(message));
+    }
+  }
+}
@@ -0,0 +1,41 @@
+import { TwilioTransport } from "./TwilioTransport.js";
+import { BrowserTransport } from "./BrowserTransport.js";
+
+/**
+ * Carrier transports, selected by the WebSocket URL path
+ *
+ * A transport wraps one media-stream WebSocket (constructed with the socket and upgrade request) and implements:
+ * - static verifyUpgrade(req) -> boolean, checked before the upgrade is accepted
+ * - parseMessage(message, isBinary) -> { type, ... } with type one of:
+ *     connected, start { streamId, callSid, parameters, sandbox? }, media { audio, timestamp },
+ *     dtmf { digit }, mark { name }, stop, unknown
+ *   where parameters carries business_id, caller_phone, business_phone, timezone, stream_token
+ * - isOpen(), sendAudio(mulawBuffer), sendMark(name), clearAudio()
+ * - supportsMarks - false if the carrier can't report playback completion
+ *
+ * Audio in both directions is 8kHz μ-law; adapters for other encodings convert at the edge.
+ */
+const transportsByPath = new Map([
+  ["/", TwilioTransport],
+  ["/twilio", TwilioTransport],
+  ["/test-call", BrowserTransport],
+]);
+
+/**
+ * Serve a carrier's media streams on a URL path
+ * @param {string} path - URL path, e.g. "/telnyx"
+ * @param {Function} Transport - Transport class
+ */
+export function registerTransport(path, Transport) {
+  transportsByPath.set(path, Transport);
+}
+
+/**
+ * Find the transport for an upgrade request
+ * @param {http.IncomingMessage} req - The WebSocket upgrade request
+ * @returns {Function|null} Transport class, or null if nothing is served on the path
+ */
+export function getTransportForRequest(req) {
+  const { pathname } = new URL(req.url, "http://localhost");
+  return transportsByPath.get(pathname.replace(/\/+$/, "") || "/") || null;
+}
@@ -9,6 +9,12 @@ import {
   parseISODate,
   formatConversationalDate,
 } from "./dateUtils.js";
+import { logger } from "./logger.js";
+import {
+  DEFAULT_CALL_LANGUAGE,
+  getCallLanguage,
+  getLanguagePromptSection,
+} from "./languages.js";
 
 /**
  * Get today's date in YYYY-MM-DD format
@@ -27,13 +33,14 @@ export function getTodayDate() {
 export function generateSystemPrompt(businessConfig, callContext = {}) {
   const business = businessConfig.business;
   const services = businessConfig.services;
+  const language = callContext.language || DEFAULT_CALL_LANGUAGE;
 
   // Get today's date and current time in conversational format
   const today = getTodayDate();
   const todayDate = getCurrentUKDateTime();
-  const todayConversational = formatConversationalDate(todayDate);
+  const todayConversational = formatConversationalDate(todayDate, language);
   const tomorrowDate = new Date(todayDate.getTime() + 24 * 60 * 60 * 1000);
-  const tomorrowConversational = formatConversationalDate(tomorrowDate);
+  const tomorrowConversational = formatConversationalDate(tomorrowDate, language);
 
   // Get current time information
   const currentTime = todayDate.toLocaleString("en-GB", {
@@ -497,6 +504,61 @@ Be friendly and helpful. Provide immediate responses about availability without
 - After saying the transfer message, immediately call the transfer_to_human function
 - NEVER refuse a legitimate human handoff request - always accommodate customer preferences`;
 
+  prompt += `\n\n📝 TAKING MESSAGES:
+- If the caller wants to leave a message for the owner or a team member (e.g. "tell Sarah I'll be late"), call take_message
+- Capture their name, the message in their own words, a callback number if they want a reply, and how urgent it is (low, normal or urgent)
+- Read the message back briefly before saving it
+- Offer to take a message instead of transferring when the caller only needs to pass something on`;
+
+  // Keypad shortcuts configured for this business
+  const dtmfShortcuts = Object.entries(businessConfig.config?.dtmf_shortcuts || {});
+  const shortcutDescriptions = {
+    transfer_to_human: "speak to a member of the team",
+    confirm_booking: "confirm a booking when you ask",
+  };
+  prompt += `\n\n☎️ KEYPAD INPUT:\n- Callers may type digits on their keypad instead of speaking - these arrive as "(I typed ... on my phone keypad.)"\n- Treat typed digits exactly like spoken ones (e.g. phone numbers, menu choices)`;
+  dtmfShortcuts.forEach(([digit, action]) => {
+    if (shortcutDescriptions[action]) {
+      prompt += `\n- Pressing ${digit} lets the caller ${shortcutDescriptions[action]}`;
+    }
+  });
+  if (dtmfShortcuts.length > 0) {
+    prompt += `\n- Mention these shortcuts only if the caller is struggling to be heard`;
+  }
+
+  // After-hours calls: nobody is in, so book ahead or take a callback request instead
+  if (callContext.afterHours) {
+    prompt += `\n\n🌙 AFTER-HOURS MODE - THIS OVERRIDES THE INSTRUCTIONS ABOVE WHERE THEY CONFLICT:
+- ${business.name} is CLOSED right now and nobody is available to take the call. You already told the caller this in your greeting
+- You can still book appointments for future dates and times when the business is open - use get_available_slots and create_booking as normal
+- Never offer a time earlier than the next opening time; use check_business_status if you need to know when that is
+- If the caller wants to speak to someone or has a question you can't answer, call request_callback with their name, the number to call back, the best time to call and what it's about
+- If they just want to pass on a message, use take_message instead
+- Confirm the callback number with the caller before calling request_callback
+- There is NO transfer to a human while the business is closed - never promise one
+- Changes or cancellations to existing bookings are handled by a callback from the team`;
+  }
+
+  // Outbound reminder calls: we called the customer, not the other way round
+  const reminder = callContext.reminder;
+  if (reminder) {
+    prompt += `\n\n📞 OUTBOUND REMINDER CALL - THIS OVERRIDES THE BOOKING INSTRUCTIONS ABOVE:
+- YOU called the customer; they did not call you. You have already introduced yourself and reminded them of the appointment
+- The appointment: ${reminder.serviceName} for ${reminder.customerName || "the customer"} on ${reminder.date} at ${reminder.time} (it is already in list_current_bookings)
+- Your ONLY job is to find out whether they will confirm, reschedule or cancel it:
+  * Confirm: call confirm_appointment, then thank them
+  * Reschedule: call get_available_slots for the day they want, offer times, then call update_booking with the booking reference from list_current_bookings
+  * Cancel: check they are sure, then call cancel_booking with the appointment's date and time
+- Do not try to sell or book additional appointments
+- If you reached voicemail or someone who doesn't know about the appointment, apologise briefly and say goodbye
+- When finished, say "Thanks, have a great day!" to end the call`;
+  }
+
+  prompt += getLanguagePromptSection(
+    language,
+    callContext.languages || [language]
+  );
+
   return prompt;
 }
 
@@ -527,11 +589,11 @@ export function isWithinBusinessHours(date, time, businessConfig) {
     const dayHours = businessHours[dayName];
 
     // Enhanced closed day checking with debug logging
-    console.log(`🔍 Checking business hours for ${dayName}:`, dayHours);
+    logger.info(`🔍 Checking business hours for ${dayName}:`, dayHours);
 
     // Check if day is closed - multiple conditions for robustness
     if (!dayHours) {
-      console.log(`❌ No configuration found for ${dayName} - treating as closed`);
+      logger.info(`❌ No configuration found for ${dayName} - treating as closed`);
       return {
         isWithin: false,
         message: `We're closed on ${
@@ -542,7 +604,7 @@ export function isWithinBusinessHours(date, time, businessConfig) {
 
     // Check explicit closed flag (handle both boolean and string values)
     if (dayHours.closed === true || dayHours.closed === "true" || dayHours.closed === 1) {
-      console.log(`❌ ${dayName} is explicitly marked as closed`);
+      logger.info(`❌ ${dayName} is explicitly marked as closed`);
       return {
         isWithin: false,
         message: `We're closed on ${
@@ -553,7 +615,7 @@ export function isWithinBusinessHours(date, time, businessConfig) {
 
     // If not explicitly closed, check if we have valid open/close times
     if (!dayHours.open || !dayHours.close) {
-      console.log(`❌ ${dayName} missing open/close times - treating as closed`);
+      logger.info(`❌ ${dayName} missing open/close times - treating as closed`);
       return {
         isWithin: false,
         message: `We're closed on ${
@@ -573,7 +635,7 @@ export function isWithinBusinessHours(date, time, businessConfig) {
     const closeMinutes = closeHour * 60 + closeMin;
 
     if (requestMinutes < openMinutes || requestMinutes >= closeMinutes) {
-      console.log(`❌ ${time} is outside business hours ${dayHours.open}-${dayHours.close} on ${dayName}`);
+      logger.info(`❌ ${time} is outside business hours ${dayHours.open}-${dayHours.close} on ${dayName}`);
       return {
         isWithin: false,
         message: `We're open ${dayHours.open}-${dayHours.close} on ${
@@ -582,15 +644,100 @@ export function isWithinBusinessHours(date, time, businessConfig) {
       };
     }
 
-    console.log(`✅ ${time} is within business hours on ${dayName}`);
+    logger.info(`✅ ${time} is within business hours on ${dayName}`);
     return { isWithin: true };
   } catch (error) {
-    console.error("Error checking business hours:", error);
+    logger.error("Error checking business hours:", error);
     return { isWithin: true }; // Default to allowing if error
   }
 }
 
-export function getAvailableFunctions(currentYear, currentMonth) {
+// Functions the agent may use on an outbound reminder call
+const REMINDER_CALL_FUNCTIONS = [
+  "get_current_time",
+  "get_day_of_week",
+  "get_available_slots",
+  "list_current_bookings",
+  "confirm_appointment",
+  "update_booking",
+  "cancel_booking",
+  "transfer_to_human",
+  "end_call",
+];
+
+// Functions the agent may use while the business is closed
+const AFTER_HOURS_FUNCTIONS = [
+  "get_services",
+  "get_staff_members",
+  "get_current_time",
+  "check_business_status",
+  "get_day_of_week",
+  "get_available_slots",
+  "create_booking",
+  "list_current_bookings",
+  "request_callback",
+  "take_message",
+  "end_call",
+];
+
+// Functions that only exist in one of the modes above
+const MODE_ONLY_FUNCTIONS = ["confirm_appointment", "request_callback"];
+
+/**
+ * Get the functions available for a call
+ * Reminder calls get a reduced set focused on confirming, moving or cancelling one booking;
+ * after-hours calls can book ahead or request a callback, but not transfer or change bookings.
+ * Calls to a business with more than one language can also switch language.
+ * @param {number} currentYear - Current year, for date examples in descriptions
+ * @param {string} currentMonth - Current month name, for date examples in descriptions
+ * @param {Object} callContext - Call context information
+ * @returns {Array} Array of function definitions
+ */
+export function getAvailableFunctions(currentYear, currentMonth, callContext = {}) {
+  const functions = getAllFunctions(currentYear, currentMonth);
+  let available;
+  if (callContext.reminder) {
+    available = functions.filter((f) => REMINDER_CALL_FUNCTIONS.includes(f.name));
+  } else if (callContext.afterHours) {
+    available = functions.filter((f) => AFTER_HOURS_FUNCTIONS.includes(f.name));
+  } else {
+    available = functions.filter((f) => !MODE_ONLY_FUNCTIONS.includes(f.name));
+  }
+
+  const languages = callContext.languages || [];
+  if (languages.length > 1) {
+    available.push(getSetCallLanguageFunction(languages));
+  }
+  return available;
+}
+
+/**
+ * Definition of set_call_language, limited to the business's languages
+ * @param {Array<string>} languages - Languages from resolveCallLanguages
+ * @returns {Object} Function definition
+ */
+function getSetCallLanguageFunction(languages) {
+  const names = languages
+    .map((language) => `${language} = ${getCallLanguage(language).name}`)
+    .join(", ");
+  return {
+    name: "set_call_language",
+    description: `Switch the call to another language. Call this IMMEDIATELY when the caller speaks or asks for one of these languages: ${names}. After it succeeds, speak only the new language.`,
+    parameters: {
+      type: "object",
+      properties: {
+        language: {
+          type: "string",
+          enum: languages,
+          description: "Language code to switch to",
+        },
+      },
+      required: ["language"],
+    },
+  };
+}
+
+function getAllFunctions(currentYear, currentMonth) {
   return [
     {
       name: "get_services",
@@ -829,6 +976,75 @@ export function getAvailableFunctions(currentYear, currentMonth) {
         required: [],
       },
     },
+    {
+      name: "confirm_appointment",
+      description:
+        "Record that the customer confirmed they will attend the appointment you called to remind them about. Only use on reminder calls, once the customer clearly says yes.",
+      parameters: {
+        type: "object",
+        properties: {},
+        required: [],
+      },
+    },
+    {
+      name: "take_message",
+      description:
+        "Take a message for the business owner or a team member and pass it on to them by text. Use when the caller wants to leave a message rather than book.",
+      parameters: {
+        type: "object",
+        properties: {
+          caller_name: {
+            type: "string",
+            description: "Name of the caller leaving the message",
+          },
+          callback_number: {
+            type: "string",
+            description:
+              "Number to reply on, if different from the number they are calling from",
+          },
+          urgency: {
+            type: "string",
+            enum: ["low", "normal", "urgent"],
+            description: "How urgent the message is",
+          },
+          message: {
+            type: "string",
+            description:
+              "The message, in the caller's words (e.g., 'Tell Sarah I'll be 10 minutes late')",
+          },
+        },
+        required: ["caller_name", "message"],
+      },
+    },
+    {
+      name: "request_callback",
+      description:
+        "Record a request for the team to call the customer back once the business reopens, including any message they want to leave. Only available while the business is closed.",
+      parameters: {
+        type: "object",
+        properties: {
+          customer_name: {
+            type: "string",
+            description: "Customer's name",
+          },
+          callback_number: {
+            type: "string",
+            description:
+              "Number to call back, if different from the number they are calling from",
+          },
+          preferred_time: {
+            type: "string",
+            description:
+              "When the customer would like to be called (e.g., 'tomorrow morning', 'after 5 PM')",
+          },
+          message: {
+            type: "string",
+            description: "What the customer wants to talk about or their message for the team",
+          },
+        },
+        required: ["customer_name", "message"],
+      },
+    },
     {
       name: "transfer_to_human",
       description:
@@ -0,0 +1,1306 @@
+import { generateSystemPrompt, getAvailableFunctions } from "./utils.js";
+import { getCurrentUKDateTime, getShortTimestamp } from "./dateUtils.js";
+import { validateConfig } from "./config.js";
+import {
+  handleFunctionCall,
+  endCall,
+  transferToHuman,
+  listCurrentBookings,
+} from "./functionHandlers.js";
+import { db, supabase } from "./database.js";
+import { ConnectionState } from "./managers/ConnectionState.js";
+import { DTMF_ACTIONS } from "./managers/DtmfManager.js";
+import { saveRecording } from "./recordingStorage.js";
+import { getReminderGreeting } from "./reminderCalls.js";
+import { DEFAULT_AFTER_HOURS_GREETING } from "./afterHours.js";
+import { logger } from "./logger.js";
+import { loadMulawClip, synthesizeMulawClip } from "./audioClips.js";
+import { recordVoiceAgentReconnect } from "./metrics.js";
+import { getVoiceAgentProvider } from "./voiceAgents/index.js";
+import { hasVoiceFor, resolveAgentSettings } from "./agentSettings.js";
+import {
+  detectCallerLanguage,
+  getCallLanguage,
+  getLanguageOffer,
+  getLanguageSwitchInstructions,
+  getPrimaryLanguage,
+  isFarewell,
+  resolveCallLanguages,
+} from "./languages.js";
+
+/**
+ * Replace variables in greeting message with actual values
+ * @param {string} greeting - The greeting template with variables
+ * @param {Object} businessConfig - Business configuration
+ * @param {string} callerPhone - Caller's phone number
+ * @returns {Promise<string>} - Greeting with variables replaced
+ */
+async function replaceGreetingVariables(greeting, businessConfig, callerPhone) {
+  if (!greeting) return { greeting, customerName: null };
+
+  let processedGreeting = greeting;
+  let customerName = null;
+
+  // Replace business name
+  const businessName = businessConfig?.business?.name || "our business";
+  processedGreeting = processedGreeting.replace(
+    /{business_name}/g,
+    businessName
+  );
+
+  // Replace customer name if caller phone is available
+  if (callerPhone && processedGreeting.includes("{customer_name}")) {
+    try {
+      // Look up customer by phone number in customer table
+      const { data: existingCustomers } = await supabase
+        .from("customers")
+        .select("first_name, last_name")
+        .eq("phone", callerPhone)
+        .eq("business_id", businessConfig?.business?.id)
+        .not("first_name", "is", null)
+        .order("created_at", { ascending: false })
+        .limit(1);
+
+      if (existingCustomers && existingCustomers.length > 0) {
+        const customer = existingCustomers[0];
+        customerName =
+          customer.first_name +
+          (customer.last_name ? ` ${customer.last_name}` : "");
+        processedGreeting = processedGreeting.replace(
+          /{customer_name}/g,
+          customerName
+        );
+      } else {
+        // If no customer found, remove the {customer_name} variable
+        processedGreeting = processedGreeting.replace(/{customer_name}/g, "");
+        // Clean up any extra spaces or punctuation that might result
+        processedGreeting = processedGreeting.replace(/Hi\s*!/g, "Hi!");
+        processedGreeting = processedGreeting.replace(/\s+/g, " ").trim();
+      }
+    } catch (error) {
+      logger.error("Error looking up customer for greeting:", error);
+      // Fallback: remove the variable
+      processedGreeting = processedGreeting.replace(/{customer_name}/g, "");
+      processedGreeting = processedGreeting.replace(/Hi\s*!/g, "Hi!");
+      processedGreeting = processedGreeting.replace(/\s+/g, " ").trim();
+    }
+  }
+
+  return { greeting: processedGreeting, customerName };
+}
+
+// Get configuration
+const config = validateConfig();
+
+/**
+ * Pick the voice agent provider for a business
+ * An unknown provider in business_config falls back to the default rather than failing the call.
+ * @param {Object} businessConfig - Business configuration object
+ * @returns {Function} Provider class
+ */
+function resolveVoiceAgentProvider(businessConfig) {
+  const requested = businessConfig.config?.voice_agent_provider;
+  const Provider = requested && getVoiceAgentProvider(requested);
+  if (requested && !Provider) {
+    logger.warn(
+      `⚠️ VOICE_AGENT: Unknown provider '${requested}', using '${config.voiceAgents.defaultProvider}'`
+    );
+  }
+  return Provider || getVoiceAgentProvider(config.voiceAgents.defaultProvider);
+}
+
+/**
+ * Get the functions for a call, with today's date in their descriptions
+ * @param {Object} callContext - Call context information
+ * @returns {Array} Function definitions
+ */
+function getCallFunctions(callContext) {
+  const todayUK = getCurrentUKDateTime();
+  const currentYear = todayUK.getFullYear();
+  const currentMonth = todayUK.toLocaleString("en-GB", {
+    month: "long",
+  });
+
+  return getAvailableFunctions(currentYear, currentMonth, callContext);
+}
+
+/**
+ * Connect a voice agent for the call
+ * Builds the greeting, prompt and functions, then hands them to the business's provider.
+ * @param {Object} businessConfig - Business configuration object
+ * @param {Object} callContext - Call context information
+ * @returns {Promise<Object>} - Connected voice agent, with the call's connectionState, the
+ *   agentSettings it was connected with and the callContext (including its language) attached
+ */
+export async function initializeVoiceAgent(businessConfig, callContext) {
+  // Create isolated connection state for this call
+  const connectionState = new ConnectionState(callContext.callSid);
+
+  // Carry the caller's minute budget so it can be enforced mid-call
+  connectionState.budgetManager.configure({
+    minutesRemaining: callContext.minutesRemaining,
+    overagePolicy: businessConfig.config?.minutes_overage_policy,
+    overageMinutes: businessConfig.config?.minutes_overage_allowance,
+    callStartedAt: callContext.callStartedAt,
+  });
+
+  // Keypad shortcuts such as "press 0 for a human"
+  connectionState.dtmfManager.configure(businessConfig.config?.dtmf_shortcuts);
+
+  if (businessConfig.config?.call_recording_enabled) {
+    connectionState.startRecording(callContext.callStartedAt);
+    logger.info(`🎙️ RECORDING: Enabled for call ${callContext.callSid}`);
+  }
+
+  const timestamp = getShortTimestamp();
+
+  const Provider = resolveVoiceAgentProvider(businessConfig);
+
+  // Greet in the caller's likely language; the agent can switch to another of the business's.
+  // Other languages the provider has no voice for are left out rather than spoken in the wrong one.
+  callContext.languages = resolveCallLanguages(businessConfig).filter(
+    (language, index) => {
+      if (index === 0 || hasVoiceFor(businessConfig, Provider, language)) return true;
+      logger.warn(
+        `⚠️ LANGUAGE: Not offering ${language} - no ${Provider.providerName} voice for it, set language_voices.${language}`
+      );
+      return false;
+    }
+  );
+  callContext.language = detectCallerLanguage(
+    callContext.callerPhone,
+    callContext.languages
+  );
+  const inPrimaryLanguage =
+    callContext.language === getPrimaryLanguage(businessConfig);
+  const languageText = getCallLanguage(callContext.language);
+  logger.info(
+    `[${timestamp}] 🌍 LANGUAGE: ${callContext.language} (business takes ${callContext.languages.join(", ")})`
+  );
+
+  // First, extract customer name from greeting to include in system prompt
+  // The business's own greetings are in its primary language, so other languages get the built-in one
+  let greetingSource = languageText.greeting;
+  if (inPrimaryLanguage) {
+    greetingSource = callContext.afterHours
+      ? businessConfig.config?.after_hours_greeting ||
+        DEFAULT_AFTER_HOURS_GREETING
+      : businessConfig.business?.ai_greeting || languageText.greeting;
+  }
+
+  // Reminder calls open with the appointment instead of the inbound greeting
+  const { greeting, customerName } = callContext.reminder
+    ? {
+        greeting: getReminderGreeting(
+          businessConfig,
+          callContext.reminder,
+          callContext.language
+        ),
+        customerName: callContext.reminder.customerName,
+      }
+    : await replaceGreetingVariables(
+        greetingSource,
+        businessConfig,
+        callContext.callerPhone
+      );
+
+  // Store customer name in call context
+  if (customerName) {
+    callContext.customerName = customerName;
+  }
+
+  const languageOffer = getLanguageOffer(
+    callContext.language,
+    callContext.languages
+  );
+  const openingGreeting = languageOffer
+    ? `${greeting} ${languageOffer}`
+    : greeting;
+
+  // Generate system prompt with customer context
+  const systemPrompt = generateSystemPrompt(businessConfig, callContext);
+
+  const functionsArray = getCallFunctions(callContext);
+
+  logger.info(`[${timestamp}] 📋 CONFIG: Summary:`);
+  logger.info(
+    `[${timestamp}]    - Functions available:`,
+    Array.isArray(functionsArray) ? functionsArray.length : 0
+  );
+  logger.info(
+    `[${timestamp}]    - Prompt length:`,
+    systemPrompt?.length || 0,
+    "characters"
+  );
+
+  if (!systemPrompt) {
+    logger.error(`[${timestamp}] ❌ CONFIG: Missing system prompt!`);
+    throw new Error("Missing system prompt");
+  }
+
+  if (!Array.isArray(functionsArray) || functionsArray.length === 0) {
+    logger.error(`[${timestamp}] ❌ CONFIG: Missing functions!`);
+    throw new Error("Missing function definitions");
+  }
+
+  const settings = resolveAgentSettings(
+    businessConfig,
+    Provider,
+    callContext.language
+  );
+  const agent = new Provider(callContext.callSid);
+  agent.connectionState = connectionState;
+  agent.callContext = callContext;
+
+  const consentMessage =
+    (inPrimaryLanguage && businessConfig.config?.recording_consent_message) ||
+    languageText.recordingNotice;
+
+  logger.info(
+    `[${timestamp}] 📤 CONNECTING: ${Provider.providerName} voice agent...`,
+    settings
+  );
+  agent.agentSettings = await agent.connect({
+    prompt: systemPrompt,
+    functions: functionsArray,
+    // Callers must hear the consent notice before anything else
+    greeting: connectionState.recorder
+      ? `${consentMessage} ${openingGreeting}`
+      : openingGreeting,
+    settings,
+  });
+  logger.info(
+    `[${timestamp}] 🎯 READY: Agent can now handle conversations and function calls`
+  );
+
+  return agent;
+}
+
+/**
+ * Carry a call on in another of the business's languages
+ * The prompt, voice and (where the provider allows) transcription move to the new language.
+ * @param {Object} agent - Voice agent from initializeVoiceAgent
+ * @param {Object} businessConfig - Business configuration object
+ * @param {string} language - Language to switch to (ISO 639-1)
+ * @returns {Promise<Object>} Function result for the agent
+ */
+export async function switchCallLanguage(agent, businessConfig, language) {
+  const callContext = agent.callContext;
+  if (!callContext.languages.includes(language)) {
+    return {
+      success: false,
+      error: `This business doesn't take calls in '${language}'. Available: ${callContext.languages.join(", ")}`,
+    };
+  }
+
+  const { name } = getCallLanguage(language);
+  if (language === callContext.language) {
+    return { success: true, language, message: `The call is already in ${name}` };
+  }
+
+  const previousLanguage = callContext.language;
+  const settings = resolveAgentSettings(businessConfig, agent.constructor, language);
+  // The prompt is built for the call's language
+  callContext.language = language;
+  try {
+    agent.agentSettings = await agent.switchLanguage({
+      prompt: generateSystemPrompt(businessConfig, callContext),
+      instructions: getLanguageSwitchInstructions(language),
+      settings,
+    });
+  } catch (error) {
+    // The agent carries on in the old language, and so must the SMS, farewell and reconnects
+    callContext.language = previousLanguage;
+    logger.error(
+      `[${getShortTimestamp()}] ❌ LANGUAGE: Failed to switch from ${previousLanguage} to ${language}:`,
+      error
+    );
+    return {
+      success: false,
+      error: `The call couldn't be switched to ${name}. Carry on in ${getCallLanguage(previousLanguage).name}.`,
+    };
+  }
+
+  logger.info(
+    `[${getShortTimestamp()}] 🌍 LANGUAGE: Switched from ${previousLanguage} to ${language}`
+  );
+  return {
+    success: true,
+    language,
+    message: `The call is now in ${name}. Carry on speaking only ${name}.`,
+  };
+}
+
+// Most recent transcript entries given to a reconnected agent
+const RECONNECT_HISTORY_LIMIT = 50;
+
+/**
+ * Build the conversation so far for a reconnecting agent
+ * The transcript gives what was said; the session's bookings are added as a note so the agent
+ * knows what was actually booked even if it never got to say so.
+ * @param {Object} agent - Voice agent with connectionState
+ * @returns {Promise<Array>} History as [{ role, content }]
+ */
+async function buildConversationHistory(agent) {
+  const history = agent.connectionState.transcriptManager
+    .getTranscript()
+    .filter((entry) => entry.speaker === "User" || entry.speaker === "AI")
+    .slice(-RECONNECT_HISTORY_LIMIT)
+    .map((entry) => ({
+      role: entry.speaker === "User" ? "user" : "assistant",
+      content: entry.text,
+    }));
+
+  const { bookings = [] } = await listCurrentBookings(agent.callSid);
+  if (bookings.length > 0) {
+    const ledger = bookings
+      .map(
+        (booking) =>
+          `${booking.reference}: ${booking.service} for ${booking.customer} on ${booking.date} at ${booking.time} (${booking.status}, ${booking.source})`
+      )
+      .join("; ");
+    history.push({
+      role: "assistant",
+      content: `[Call notes - not said to the caller] Bookings on this call so far: ${ledger}`,
+    });
+  }
+
+  return history;
+}
+
+/**
+ * Play a short apology to the caller while the agent reconnects
+ * Uses the configured clip if there is one, otherwise the phrase in the call's language,
+ * spoken with the call's Deepgram voice (or that language's default Deepgram voice).
+ * @param {Object} agent - Voice agent with connectionState and callContext
+ * @param {Object} transport - Carrier transport for the call
+ */
+async function playReconnectApology(agent, transport) {
+  const { language } = agent.callContext;
+  const Deepgram = getVoiceAgentProvider("deepgram");
+  const voice = Deepgram.isSupportedVoice(agent.agentSettings?.voice)
+    ? agent.agentSettings.voice
+    : Deepgram.defaultVoiceFor(language) || Deepgram.defaultVoiceFor("en");
+
+  const clip =
+    (await loadMulawClip(config.voiceAgents.reconnectAudioPath)) ||
+    (await synthesizeMulawClip(getCallLanguage(language).reconnecting, voice));
+  if (!clip || !transport.isOpen()) {
+    logger.warn("⚠️ RECONNECT: No apology to play - the caller hears silence");
+    return;
+  }
+
+  playAudioClip(agent.connectionState, transport, clip, () => {
+    logger.info(`[${getShortTimestamp()}] 🔊 RECONNECT: Apology played`);
+  });
+}
+
+/**
+ * Reconnect an agent that dropped mid-call, picking up the conversation where it left off
+ * The same agent object is reconnected, so the listeners from attachVoiceAgent carry on working.
+ * The prompt, functions and settings are rebuilt for the call's current language.
+ * @param {Object} agent - Voice agent from initializeVoiceAgent
+ * @param {Object} businessConfig - Business configuration object
+ * @param {Object} transport - Carrier transport for the call
+ * @param {Function} [shouldContinue] - Checked before each attempt; return false to give up,
+ *   e.g. because the call has ended
+ * @returns {Promise<boolean>} True once the agent is taking caller audio again; false if it
+ *   couldn't be reconnected or has already dropped too many times on this call
+ */
+export async function reconnectVoiceAgent(
+  agent,
+  businessConfig,
+  transport,
+  shouldContinue = () => true
+) {
+  const { connectionState, callContext } = agent;
+  const timestamp = getShortTimestamp();
+
+  // Each drop gets a full set of attempts, so a flapping provider is limited per call too
+  const { maxReconnectsPerCall } = config.voiceAgents;
+  callContext.reconnects = (callContext.reconnects || 0) + 1;
+  if (callContext.reconnects > maxReconnectsPerCall) {
+    logger.error(
+      `[${timestamp}] ❌ RECONNECT: Voice agent dropped ${callContext.reconnects} times on this call - giving up`
+    );
+    recordVoiceAgentReconnect(false);
+    return false;
+  }
+
+  // The silence timer would otherwise count the outage against the caller
+  connectionState.silenceManager.pauseTimer("Reconnecting voice agent", timestamp);
+  await playReconnectApology(agent, transport);
+
+  const history = await buildConversationHistory(agent);
+  const settings = resolveAgentSettings(
+    businessConfig,
+    agent.constructor,
+    callContext.language
+  );
+
+  const { reconnectAttempts, reconnectDelayMs } = config.voiceAgents;
+  for (let attempt = 1; attempt <= reconnectAttempts; attempt++) {
+    if (!shouldContinue()) {
+      logger.info(`[${getShortTimestamp()}] 🔌 RECONNECT: Call ended - giving up`);
+      return false;
+    }
+
+    try {
+      logger.info(
+        `[${getShortTimestamp()}] 🔌 RECONNECT: Attempt ${attempt}/${reconnectAttempts} with ${history.length} history messages`
+      );
+      agent.agentSettings = await agent.connect({
+        prompt: generateSystemPrompt(businessConfig, callContext),
+        functions: getCallFunctions(callContext),
+        greeting: getCallLanguage(callContext.language).reconnected,
+        settings,
+        history,
+      });
+
+      recordVoiceAgentReconnect(true);
+      connectionState.silenceManager.resumeTimer("Voice agent reconnected");
+      logger.info(`[${getShortTimestamp()}] ✅ RECONNECT: Voice agent is back`);
+      return true;
+    } catch (error) {
+      logger.error(
+        `[${getShortTimestamp()}] ❌ RECONNECT: Attempt ${attempt} failed:`,
+        error.message
+      );
+      if (attempt < reconnectAttempts) {
+        await new Promise((resolve) =>
+          setTimeout(resolve, reconnectDelayMs * attempt)
+        );
+      }
+    }
+  }
+
+  recordVoiceAgentReconnect(false);
+  connectionState.silenceManager.resumeTimer("Voice agent reconnection failed");
+  return false;
+}
+
+/**
+ * Enforce the business's remaining minutes during the call
+ * Warns the caller through the agent near the limit and ends the call once the budget is gone.
+ * Ending goes through endCall like any other hang-up, so bookings made so far still get their SMS confirmation.
+ * @param {Object} agent - Voice agent with connectionState
+ * @param {string} callSid - The Twilio call SID
+ */
+export function startMinuteBudgetEnforcement(agent, callSid) {
+  const budgetManager = agent?.connectionState?.budgetManager;
+  if (!budgetManager || !budgetManager.hasBudget()) {
+    logger.info(`⏳ BUDGET: No minute budget to enforce for call ${callSid}`);
+    return;
+  }
+
+  budgetManager.start(
+    (timeRemainingMs) => {
+      logger.info(
+        `[${getShortTimestamp()}] ⏳ BUDGET_WARNING: ${Math.round(
+          timeRemainingMs / 1000
+        )}s left for call ${callSid}`
+      );
+      agent.injectAgentMessage(
+        getCallLanguage(agent.callContext?.language).budgetWarning
+      );
+    },
+    () => {
+      logger.info(
+        `[${getShortTimestamp()}] ⌛ BUDGET_EXHAUSTED: Ending call ${callSid}`
+      );
+      agent.injectAgentMessage(
+        getCallLanguage(agent.callContext?.language).budgetLimit
+      );
+
+      // Hang up once the goodbye has played, within the remaining grace period
+      agent.connectionState.audioManager.onPlaybackComplete(() => {
+        endCall(callSid, { reason: "call minute budget exhausted" });
+      }, budgetManager.FAREWELL_GRACE_MS - 2000);
+    }
+  );
+}
+
+/**
+ * Handle a keypad press from the caller
+ * Mapped shortcuts run straight away; other digits are passed to the agent as context
+ * so callers in noisy places can type numbers instead of saying them.
+ * @param {Object} agent - Voice agent with connectionState
+ * @param {string} digit - The digit pressed
+ * @param {Object} businessConfig - Business configuration
+ * @param {string} callSid - The Twilio call SID
+ */
+export function handleDtmfDigit(agent, digit, businessConfig, callSid) {
+  const dtmfManager = agent?.connectionState?.dtmfManager;
+  if (!dtmfManager) {
+    logger.info(`⚠️ DTMF: Agent not ready, ignoring digit ${digit}`);
+    return;
+  }
+
+  const runShortcut = async (action, pressedDigit) => {
+    logger.info(
+      `[${getShortTimestamp()}] ☎️ DTMF_SHORTCUT: ${pressedDigit} -> ${action} for call ${callSid}`
+    );
+
+    if (action === DTMF_ACTIONS.CONFIRM_BOOKING) {
+      agent.injectUserMessage(
+        `Yes, please go ahead and book it. (I pressed ${pressedDigit} on my keypad to confirm.)`
+      );
+      return;
+    }
+
+    if (action === DTMF_ACTIONS.TRANSFER_TO_HUMAN) {
+      const result = await transferToHuman(
+        businessConfig,
+        { reason: `Caller pressed ${pressedDigit} on the keypad` },
+        callSid
+      );
+
+      // Let the agent explain if the transfer couldn't happen
+      if (!result?.success) {
+        agent.injectAgentMessage(
+          result?.message ||
+            "I'm sorry, I couldn't transfer you right now. Can I help you with anything else?"
+        );
+      }
+    }
+  };
+
+  dtmfManager.handleDigit(
+    digit,
+    (action, pressedDigit) => {
+      runShortcut(action, pressedDigit).catch((error) => {
+        logger.error(`❌ DTMF: Shortcut ${action} failed:`, error);
+      });
+    },
+    (digits) => {
+      logger.info(
+        `[${getShortTimestamp()}] ☎️ DTMF_DIGITS: Forwarding "${digits}" to agent for call ${callSid}`
+      );
+      agent.injectUserMessage(`(I typed "${digits}" on my phone keypad.)`);
+    }
+  );
+}
+
+/**
+ * Handle a mark echoed back by Twilio once the audio before it has played
+ * @param {ConnectionState} connectionState - State of the connection that sent the mark
+ * @param {string} markName - Name of the mark
+ */
+export function handlePlaybackMark(connectionState, markName) {
+  const audioManager = connectionState?.audioManager;
+  if (!audioManager) return;
+
+  if (audioManager.handleMark(markName)) {
+    logger.info(
+      `[${getShortTimestamp()}] 🏁 PLAYBACK_COMPLETE: Caller heard utterance ${markName}`
+    );
+  } else {
+    logger.info(
+      `[${getShortTimestamp()}] 🏷️ MARK_IGNORED: ${markName} is stale or superseded`
+    );
+  }
+}
+
+/**
+ * Play a pre-recorded μ-law clip to the caller through the persistent pacer
+ * Used when no agent is attached to the call, e.g. the overflow message.
+ * @param {ConnectionState} connectionState - Connection-specific state
+ * @param {Object} transport - Carrier transport for the call
+ * @param {Buffer} clip - 8kHz μ-law audio
+ * @param {Function} onFinished - Called once the clip has played (or failed to report back)
+ */
+export function playAudioClip(connectionState, transport, clip, onFinished) {
+  const audioManager = connectionState.audioManager;
+  audioManager.setTransport(transport);
+  if (!audioManager.pacer) {
+    initializePersistentPacer(connectionState);
+  }
+
+  audioManager.appendToBuffer(clip);
+  audioManager.endUtterance();
+
+  // Clip length plus a few seconds in case the mark never comes back
+  const clipDurationMs = Math.ceil(clip.length / audioManager.BYTES_PER_MS);
+  audioManager.onPlaybackComplete(onFinished, clipDurationMs + 3000);
+}
+
+/**
+ * Export cleanup function for external use
+ * @param {Object} agent - Voice agent with connectionState
+ */
+export function cleanupAudioSystem(agent) {
+  const connectionState = agent?.connectionState;
+  if (!connectionState) {
+    logger.warn("⚠️ No connection state found for audio cleanup");
+    return;
+  }
+
+  // Don't cleanup the persistent pacer to maintain continuous audio flow
+  // Just reset the audio buffer and streaming state
+  const audioManager = connectionState.audioManager;
+  audioManager.resetBuffer();
+  audioManager.setStreamingState(false);
+  if (audioManager.audioStreamTimeout) {
+    clearTimeout(audioManager.audioStreamTimeout);
+    audioManager.audioStreamTimeout = null;
+  }
+  // Keep the transport to maintain the connection
+  // This allows the pacer to continue sending silence between utterances
+}
+
+/**
+ * Close the voice agent and cleanup all resources
+ * @param {Object} agent - Voice agent to close
+ */
+export function closeVoiceAgent(agent) {
+  logger.info("🔌 Closing voice agent and cleaning up resources");
+
+  const connectionState = agent?.connectionState;
+  if (connectionState) {
+    // Clean up audio system
+    cleanupAudioSystem(agent);
+
+    // Clean up persistent pacer
+    cleanupPersistentPacer(connectionState);
+
+    // Clean up silence tracking using connection state
+    connectionState.silenceManager.cleanup();
+    logger.info("🔇 Silence tracking cleaned up");
+
+    // Clean up all connection state
+    connectionState.cleanup();
+  } else {
+    logger.warn("⚠️ No connection state found for cleanup");
+  }
+
+  if (agent?.isOpen()) {
+    agent.close();
+  } else {
+    logger.info("ℹ️ Voice agent already closed or not open");
+  }
+}
+
+/**
+ * Save the call recording, if one was made, and link it from the call log
+ * @param {string} callSid - The Twilio call SID
+ * @param {string} businessId - Business the call belongs to
+ * @param {Object} agent - Voice agent with connectionState
+ */
+export async function saveCallRecording(callSid, businessId, agent) {
+  const recorder = agent?.connectionState?.recorder;
+  if (!recorder || recorder.finished || !recorder.hasAudio()) return;
+
+  try {
+    const durationMs = recorder.getDurationMs();
+    const wav = recorder.finish();
+    const recordingUrl = await saveRecording(businessId, callSid, wav);
+    await db.updateCallRecording(callSid, recordingUrl);
+    logger.info(
+      `✅ Saved recording for call ${callSid} (${Math.round(durationMs / 1000)}s): ${recordingUrl}`
+    );
+  } catch (error) {
+    logger.error(`❌ Failed to save recording for call ${callSid}:`, error);
+  }
+}
+
+// Legacy global transcript tracking - kept for backward compatibility
+// New connections should use ConnectionState.transcriptManager instead
+let conversationTranscript = [];
+let currentCallSid = null;
+
+/**
+ * Initialize transcript tracking for a new call
+ */
+export function initializeTranscriptTracking(callSid) {
+  currentCallSid = callSid;
+  conversationTranscript = [];
+  logger.info(`📝 Initialized transcript tracking for call: ${callSid}`);
+}
+
+/**
+ * Save the accumulated transcript to the database
+ * @param {string} callSid - The call SID to save transcript for
+ * @param {Object} agent - Optional voice agent with connectionState
+ */
+export async function saveConversationTranscript(
+  callSid = null,
+  agent = null
+) {
+  // Try to use connection-specific transcript first
+  if (agent?.connectionState?.transcriptManager) {
+    const transcriptManager = agent.connectionState.transcriptManager;
+    const transcript = transcriptManager.getTranscript();
+    const targetCallSid = callSid || transcriptManager.getCallSid();
+
+    if (targetCallSid && transcript.length > 0) {
+      try {
+        const transcriptText = transcript
+          .map(
+            (entry) => `[${entry.timestamp}] ${entry.speaker}: ${entry.text}`
+          )
+          .join("\n");
+
+        await db.updateCallTranscript(targetCallSid, transcriptText);
+        logger.info(
+          `✅ Saved transcript for call ${targetCallSid} (${transcript.length} entries)`
+        );
+
+        // Clear the transcript after saving
+        transcriptManager.clear();
+        return;
+      } catch (_error) {
+        logger.error(
+          `❌ Failed to save transcript for call ${targetCallSid}:`,
+          _error
+        );
+        return;
+      }
+    }
+  }
+
+  // Fallback to legacy global transcript (for backward compatibility)
+  const targetCallSid = callSid || currentCallSid;
+  if (targetCallSid && conversationTranscript.length > 0) {
+    try {
+      const transcriptText = conversationTranscript
+        .map((entry) => `[${entry.timestamp}] ${entry.speaker}: ${entry.text}`)
+        .join("\n");
+
+      await db.updateCallTranscript(targetCallSid, transcriptText);
+      logger.info(
+        `✅ Saved legacy transcript for call ${targetCallSid} (${conversationTranscript.length} entries)`
+      );
+
+      // Reset for next call
+      conversationTranscript = [];
+      currentCallSid = null;
+    } catch (error) {
+      logger.error(
+        `❌ Failed to save legacy transcript for call ${targetCallSid}:`,
+        error
+      );
+    }
+  }
+}
+
+/**
+ * Initialize the persistent pacer that sends audio packets every 20ms
+ * @param {ConnectionState} connectionState - Connection-specific state
+ */
+function initializePersistentPacer(connectionState) {
+  const audioManager = connectionState.audioManager;
+
+  if (audioManager.pacer) {
+    clearInterval(audioManager.pacer);
+  }
+
+  logger.info(
+    "🎵 Initializing persistent pacer for continuous audio flow (120ms intervals)"
+  );
+
+  audioManager.pacer = setInterval(() => {
+    const transport = audioManager.transport;
+    if (!transport || !transport.isOpen()) {
+      return;
+    }
+
+    let frame;
+    let markName = null;
+
+    if (audioManager.audioBuffer.length >= audioManager.FRAME_SIZE) {
+      // Send real audio if available
+      frame = audioManager.audioBuffer.slice(0, audioManager.FRAME_SIZE);
+      audioManager.audioBuffer = audioManager.audioBuffer.slice(
+        audioManager.FRAME_SIZE
+      );
+      audioManager.startPlayback();
+      connectionState.recorder?.addOutbound(frame);
+    } else {
+      // Once an utterance has drained, send its tail followed by a mark
+      const utteranceEnd = audioManager.takeUtteranceEnd();
+      if (utteranceEnd?.frame) {
+        frame = utteranceEnd.frame;
+        audioManager.startPlayback();
+        connectionState.recorder?.addOutbound(frame);
+      } else {
+        // Send silence to keep the stream alive
+        frame = audioManager.SILENCE_FRAME;
+      }
+      markName = utteranceEnd?.markName || null;
+    }
+
+    try {
+      // Always send audio to maintain continuous flow
+      transport.sendAudio(frame);
+
+      // The carrier echoes the mark back once everything before it has played;
+      // carriers without marks rely on the playback fallback timer
+      if (markName && transport.supportsMarks) {
+        transport.sendMark(markName);
+      }
+    } catch (error) {
+      logger.error("❌ Error sending audio packet in pacer:", error);
+    }
+  }, 120); // 120ms interval to match the agent's chunk size
+
+  logger.info("✅ Persistent pacer initialized - sending packets every 120ms");
+}
+
+/**
+ * Clean up the persistent pacer
+ * @param {ConnectionState} connectionState - Connection-specific state
+ */
+function cleanupPersistentPacer(connectionState) {
+  const audioManager = connectionState.audioManager;
+  if (audioManager.pacer) {
+    clearInterval(audioManager.pacer);
+    audioManager.pacer = null;
+    logger.info("🔇 Persistent pacer cleaned up");
+  }
+}
+
+/**
+ * Wire a connected voice agent to the call
+ * Agent audio is fed to the persistent pacer, and the provider's events drive barge-in,
+ * silence tracking, the transcript and function calls.
+ * @param {Object} agent - Connected voice agent
+ * @param {Object} transport - Carrier transport for the call
+ * @param {Object} businessConfig - Business configuration
+ * @param {Object} call - Call details
+ * @param {string} call.callSid - The Twilio call SID
+ * @param {string} call.callerPhone - Caller's phone number
+ */
+export function attachVoiceAgent(agent, transport, businessConfig, { callSid, callerPhone }) {
+  const connectionState = agent.connectionState;
+
+  // Store the transport for pacer access in connection state
+  connectionState.audioManager.setTransport(transport);
+
+  // Initialize persistent pacer if not already running
+  if (!connectionState.audioManager.pacer && transport) {
+    initializePersistentPacer(connectionState);
+  }
+
+  // Tracks whether the agent owes us a function call after a booking request
+  let expectingFunctionCall = false;
+  let functionCallTimeout = null;
+  const context = {
+    transport,
+    agent,
+    businessConfig,
+    callSid,
+    callerPhone,
+    state: {
+      get expectingFunctionCall() {
+        return expectingFunctionCall;
+      },
+      get functionCallTimeout() {
+        return functionCallTimeout;
+      },
+      setExpectingFunctionCall: (value) => {
+        expectingFunctionCall = value;
+      },
+      setFunctionCallTimeout: (value) => {
+        functionCallTimeout = value;
+      },
+    },
+  };
+
+  // Provider events run outside the socket handlers, so failures are caught here
+  const on = (event, handler) => {
+    agent.on(event, async (...args) => {
+      try {
+        await handler(...args);
+      } catch (error) {
+        logger.error(`❌ Error handling voice agent ${event}:`, error);
+      }
+    });
+  };
+
+  on("agentAudio", (audio) => handleAgentAudio(audio, context));
+  on("agentAudioDone", () => handleAgentAudioDone(context));
+  on("bargeIn", () => handleBargeIn(context));
+  on("agentThinking", () => {
+    // Pause silence timer while agent is thinking
+    connectionState.silenceManager.pauseTimer(
+      "Agent is thinking/processing",
+      getShortTimestamp()
+    );
+  });
+  on("userSpeech", ({ text }) => handleUserSpeech(text, context));
+  on("agentText", ({ text }) => handleAgentText(text, context));
+  on("functionRequest", (requests) => handleFunctionRequests(requests, context));
+}
+
+/**
+ * Feed agent audio to the pacer's buffer (the pacer handles sending)
+ * @param {Buffer} audio - 8kHz μ-law agent audio
+ * @param {Object} context - Agent event context
+ */
+function handleAgentAudio(audio, context) {
+  const { transport, agent } = context;
+  const timestamp = getShortTimestamp();
+
+  // Validate that the carrier stream has started
+  if (!transport?.isOpen()) {
+    logger.warn(
+      `[${timestamp}] ⚠️ Carrier stream not open for audio forwarding`
+    );
+    return;
+  }
+
+  const audioManager = agent.connectionState.audioManager;
+
+  // Mark that we're actively streaming audio
+  if (!audioManager.isStreamingAudio) {
+    audioManager.setStreamingState(true);
+    logger.info(`[${timestamp}] 🎵 Starting audio stream - feeding buffer`);
+  }
+
+  // Clear any existing timeout
+  if (audioManager.audioStreamTimeout) {
+    clearTimeout(audioManager.audioStreamTimeout);
+  }
+
+  // Add incoming audio to buffer instead of sending directly
+  // Apply fade-in to first chunk of audio to prevent crackling at the beginning
+  if (!audioManager.isStreamingAudio) {
+    // This is the first chunk of a new audio stream - apply fade-in
+    const fadeInBuffer = Buffer.from(audio);
+    // Apply fade-in over first 240 samples (30ms) of first chunk
+    const fadeLength = Math.min(240, fadeInBuffer.length);
+    for (let i = 0; i < fadeLength; i++) {
+      // Gradually increase volume from 0 to full
+      const fadeRatio = i / fadeLength;
+      // μ-law is non-linear, so we need to adjust the value carefully
+      // Start closer to silence (0xFF) and gradually move to the actual value
+      const originalValue = fadeInBuffer[i];
+      const silenceValue = 0xff;
+      fadeInBuffer[i] = Math.round(
+        silenceValue - fadeRatio * (silenceValue - originalValue)
+      );
+    }
+    audioManager.appendToBuffer(fadeInBuffer);
+  } else {
+    // Normal audio chunk - add directly
+    audioManager.appendToBuffer(audio);
+  }
+
+  // Set timeout to detect end of audio stream
+  audioManager.audioStreamTimeout = setTimeout(() => {
+    if (audioManager.isStreamingAudio) {
+      logger.info(`[${timestamp}] 🔇 Audio stream ended (timeout)`);
+      audioManager.setStreamingState(false);
+    }
+  }, 500); // 500ms timeout to detect stream end
+}
+
+/**
+ * The agent has sent the whole utterance; silence tracking starts once it has played
+ * @param {Object} context - Agent event context
+ */
+function handleAgentAudioDone(context) {
+  const { agent } = context;
+  const connectionState = agent.connectionState;
+  const timestamp = getShortTimestamp();
+  logger.info(`[${timestamp}] 🔇 AGENT_AUDIO_DONE: AI finished sending audio`);
+
+  // While the pacer handles most of this, explicitly clearing the streaming state is good practice.
+  connectionState.audioManager.setStreamingState(false);
+
+  // Clear any lingering timeout as a failsafe.
+  if (connectionState.audioManager.audioStreamTimeout) {
+    clearTimeout(connectionState.audioManager.audioStreamTimeout);
+    connectionState.audioManager.audioStreamTimeout = null;
+  }
+
+  // Silence only starts once the caller has actually heard the whole utterance,
+  // which Twilio confirms by echoing the pacer's mark back
+  connectionState.audioManager.onPlaybackComplete(() => {
+    startSilenceTracking(connectionState, agent, context);
+  });
+  connectionState.audioManager.endUtterance();
+
+  // The pacer will automatically switch to sending silence once the buffer is empty.
+  logger.info(
+    `[${timestamp}] ✅ Agent speech ended. Pacer will mark the end of playback and then send silence.`
+  );
+}
+
+/**
+ * The caller started talking over the agent - stop the agent's audio
+ * @param {Object} context - Agent event context
+ */
+function handleBargeIn(context) {
+  const { transport, agent } = context;
+  const connectionState = agent.connectionState;
+  const timestamp = getShortTimestamp();
+  logger.info(`[${timestamp}] 🎤 USER_STARTED_SPEAKING: User began speaking`);
+
+  // Clear the carrier's audio queue
+  if (transport?.isOpen()) {
+    transport.clearAudio();
+    logger.info(
+      `[${timestamp}] 🔄 BARGE_IN: Cleared carrier audio queue for user speech`
+    );
+  }
+
+  // Clear local audio buffer to stop AI from continuing to speak
+  // Any marks Twilio echoes back for the cleared audio are ignored
+  const wasPlaying = connectionState.audioManager.isPlaybackActive();
+  connectionState.audioManager.clearPlayback();
+  logger.info(
+    `[${timestamp}] 🔄 BARGE_IN: Cleared local audio buffer and stopped streaming${
+      wasPlaying ? " (interrupted agent playback)" : ""
+    }`
+  );
+
+  // Reset silence tracking when user starts speaking
+  connectionState.silenceManager.resetTimer();
+  logger.info(
+    `[${timestamp}] 🔄 SILENCE_RESET: User speaking, silence tracking reset`
+  );
+}
+
+/**
+ * A finished caller utterance
+ * @param {string} text - What the caller said
+ * @param {Object} context - Agent event context
+ */
+async function handleUserSpeech(text, context) {
+  const connectionState = context.agent.connectionState;
+  const timestamp = getShortTimestamp();
+  logger.info(`[${timestamp}] 📝 USER_SPEECH:`, text);
+
+  connectionState.addTranscriptEntry("User", text, timestamp);
+  connectionState.dtmfManager.noteConversationTurn("user", text);
+
+  // Enhanced detection for booking triggers
+  await handleTranscriptAnalysis(text, timestamp, context.state);
+}
+
+/**
+ * What the agent is saying
+ * @param {string} text - Agent's words
+ * @param {Object} context - Agent event context
+ */
+function handleAgentText(text, context) {
+  const connectionState = context.agent.connectionState;
+  const timestamp = getShortTimestamp();
+  logger.info(`[${timestamp}] 💬 AGENT_TEXT:`, text);
+
+  connectionState.addTranscriptEntry("AI", text, timestamp);
+
+  // Lets "press 1 to confirm" answer the agent's booking question
+  connectionState.dtmfManager.noteConversationTurn("assistant", text);
+
+  // Check if AI is mentioning availability without calling function
+  const lowerText = text.toLowerCase();
+  if (
+    lowerText.includes("available") ||
+    lowerText.includes("check") ||
+    lowerText.includes("let me see")
+  ) {
+    logger.info(
+      `[${timestamp}] 🚨 WARNING: AI mentioned availability but NO FUNCTION CALL detected!`
+    );
+  }
+
+  // Check for farewell message to trigger call ending
+  const callContext = context.agent.callContext;
+  if (isFarewell(text, callContext?.languages || [callContext?.language])) {
+    logger.info(
+      `[${timestamp}] 👋 FAREWELL_DETECTED: AI said goodbye - triggering call end`
+    );
+
+    // End the call once the farewell has finished playing (10s fallback)
+    connectionState.audioManager.onPlaybackComplete(() => {
+      logger.info(`[${getShortTimestamp()}] 👋 FAREWELL_PLAYED: Ending call`);
+      endCall(context.callSid, { reason: "AI farewell finished" });
+    }, 10000);
+  }
+}
+
+/**
+ * Start silence tracking once the agent's speech has finished playing
+ * Ends the call with a farewell after 15 seconds without the caller speaking.
+ * @param {ConnectionState} connectionState - Connection-specific state
+ * @param {Object} agent - Voice agent
+ * @param {Object} context - Agent event context (callSid, businessConfig)
+ */
+function startSilenceTracking(connectionState, agent, context) {
+  const timestamp = getShortTimestamp();
+  connectionState.silenceManager.startTracking(timestamp);
+
+  // Set up silence detection timeouts using connection state
+  const scheduleNextSilenceCheck = () => {
+    connectionState.silenceManager.setSilenceTimeout(() => {
+      if (!connectionState.silenceManager.silenceStartTime) return; // User started speaking or timer paused, abort
+
+      const silenceDuration =
+        connectionState.silenceManager.getSilenceDuration();
+      logger.info(
+        `[${timestamp}] 🔇 SILENCE_CHECK: ${silenceDuration}ms of silence`
+      );
+
+      if (silenceDuration >= 15000) {
+        // Auto-disconnect at 15 seconds - send InjectAgentMessage to trigger farewell and end_call
+        logger.info(
+          `[${timestamp}] 📞 SILENCE_DISCONNECT: Auto-disconnecting after 15s silence`
+        );
+        agent.injectAgentMessage(
+          getCallLanguage(agent.callContext?.language).silenceGoodbye
+        );
+
+        // End the call once the farewell has played, or after 7 seconds if it never does
+        connectionState.audioManager.onPlaybackComplete(() => {
+          logger.info(
+            `[${getShortTimestamp()}] 📞 SILENCE_FAREWELL_DONE: Ending call`
+          );
+          endCall(context.callSid, { reason: "silence timeout" });
+        }, 7000);
+
+        // Clear silence tracking since we're ending the call
+        connectionState.silenceManager.cleanup();
+      } else if (silenceDuration < 15000) {
+        // Continue checking
+        scheduleNextSilenceCheck();
+      }
+    }, 1000); // Check every second
+  };
+
+  scheduleNextSilenceCheck();
+}
+
+/**
+ * Handle transcript analysis for booking triggers
+ * @param {string} transcript - The transcript text
+ * @param {string} timestamp - Current timestamp
+ * @param {Object} state - State object
+ */
+async function handleTranscriptAnalysis(transcript, timestamp, state) {
+  const lowerTranscript = transcript.toLowerCase();
+  const bookingKeywords = [
+    "available",
+    "appointment",
+    "book",
+    "schedule",
+    "tomorrow",
+    "today",
+    "monday",
+    "tuesday",
+    "wednesday",
+    "thursday",
+    "friday",
+    "saturday",
+    "sunday",
+  ];
+  const namePattern = /my name is|i'm|i am|this is|call me/i;
+
+  const hasBookingKeyword = bookingKeywords.some((keyword) =>
+    lowerTranscript.includes(keyword)
+  );
+  const hasName =
+    namePattern.test(transcript) ||
+    /\b[A-Z][a-z]+\s+[A-Z][a-z]+\b/.test(transcript);
+
+  if (hasBookingKeyword) {
+    logger.info(`[${timestamp}] 🎯 BOOKING_KEYWORD_DETECTED:`, transcript);
+    logger.info(
+      `[${timestamp}] 🤖 EXPECTING: get_available_slots function call soon!`
+    );
+
+    // Set expectation for function call
+    state.setExpectingFunctionCall(true);
+
+    // Clear any existing timeout
+    if (state.functionCallTimeout) {
+      clearTimeout(state.functionCallTimeout);
+    }
+
+    // Set timeout to detect if function call doesn't happen
+    const timeout = setTimeout(() => {
+      if (state.expectingFunctionCall) {
+        logger.info("🚨🚨 CRITICAL: AI FAILED TO CALL FUNCTION! 🚨🚨");
+        logger.info(
+          "💡 Expected get_available_slots but AI responded with text instead"
+        );
+        logger.info("🔧 This indicates the system prompt needs adjustment");
+        state.setExpectingFunctionCall(false);
+      }
+    }, 8000); // 8 second timeout
+    state.setFunctionCallTimeout(timeout);
+  }
+
+  if (hasName) {
+    logger.info(`[${timestamp}] 👤 CUSTOMER_NAME_DETECTED:`, transcript);
+    logger.info(
+      `[${timestamp}] 🚨 NEXT: Booking request should trigger function call!`
+    );
+  }
+}
+
+/**
+ * Run the functions the agent asked for and send each result back through the provider
+ * @param {Array<Object>} requests - [{ id, name, parameters }] from the provider
+ * @param {Object} context - Agent event context
+ */
+async function handleFunctionRequests(requests, context) {
+  const { agent, businessConfig, state } = context;
+  const timestamp = getShortTimestamp();
+
+  logger.info(
+    `[${timestamp}] 🚨🚨 FUNCTION_REQUEST DETECTED: ${requests.length} function(s) 🚨🚨`
+  );
+
+  // Clear expectation since function call happened
+  state.setExpectingFunctionCall(false);
+  if (state.functionCallTimeout) {
+    clearTimeout(state.functionCallTimeout);
+    state.setFunctionCallTimeout(null);
+  }
+
+  // Pause silence timer during function processing
+  const connectionState = agent.connectionState;
+  connectionState.silenceManager.pauseTimer(
+    "Processing function calls",
+    timestamp
+  );
+
+  for (const request of requests) {
+    const funcTimestamp = getShortTimestamp();
+    logger.info(
+      `[${funcTimestamp}] 🔧 CALLING: handleFunctionCall for ${request.name} with ID ${request.id}...`
+    );
+    logger.debug(
+      `[${funcTimestamp}] 📋 Parameters:`,
+      JSON.stringify(request.parameters, null, 2)
+    );
+
+    const startTime = Date.now();
+    await handleFunctionCall(
+      agent,
+      {
+        function_name: request.name,
+        function_call_id: request.id,
+        parameters: request.parameters,
+      },
+      businessConfig,
+      context.callSid,
+      context.callerPhone
+    );
+    logger.info(
+      `[${funcTimestamp}] ✅ COMPLETED: handleFunctionCall for ${
+        request.name
+      } with ID ${request.id} (took ${Date.now() - startTime}ms)`
+    );
+  }
+
+  // Resume silence timer after function processing
+  connectionState.silenceManager.resumeTimer(
+    "Function processing completed",
+    timestamp
+  );
+}
+
+// Utility functions are now imported from utils.js module
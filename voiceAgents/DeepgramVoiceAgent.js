@@ -0,0 +1,550 @@
+import { EventEmitter } from "events";
+import WebSocket from "ws";
+import { getConfig } from "../config.js";
+import { getShortTimestamp } from "../dateUtils.js";
+import { recordAudioAnomaly, AUDIO_ANOMALIES } from "../metrics.js";
+import { logger } from "../logger.js";
+
+const config = getConfig();
+
+// Voice for a call in each language, when the business hasn't chosen one. Aura has no Polish or
+// Portuguese voice, so a Deepgram business only offers those if language_voices gives one.
+const DEFAULT_VOICES = {
+  en: "aura-2-thalia-en",
+  es: "aura-2-celeste-es",
+};
+// Aura voices, e.g. aura-2-thalia-en or aura-asteria-en
+const VOICE_PATTERN = /^aura-(2-)?[a-z]+-[a-z]{2}$/;
+const CONNECT_TIMEOUT_MS = 10000;
+// Deepgram requires KeepAlive messages every 3-5 seconds to prevent NET-0001 timeouts
+const KEEPALIVE_INTERVAL_MS = 4000;
+// KeepAlive stays paused this long after a function response so Deepgram processes it first
+const FUNCTION_RESPONSE_SETTLE_MS = 1000;
+
+/**
+ * Check whether a message from Deepgram is a JSON event rather than agent audio
+ * All messages arrive as Buffers, so the content has to be inspected.
+ * @param {Buffer} message - Raw message
+ * @returns {Object|null} Parsed event, or null for audio
+ */
+function parseEvent(message) {
+  const messageStr = message.toString("utf8");
+  const trimmed = messageStr.trim();
+  if (!trimmed.startsWith("{") && !trimmed.startsWith("[")) {
+    return null;
+  }
+  try {
+    return JSON.parse(messageStr);
+  } catch {
+    // Audio that happens to start with a brace
+    return null;
+  }
+}
+
+/**
+ * Parse the arguments the agent sent with a function call
+ * @param {string|Object} rawArguments - JSON string, or already-parsed parameters
+ * @returns {Object} Parameters
+ * @throws {Error} If the arguments aren't a JSON object
+ */
+function parseFunctionArguments(rawArguments) {
+  const parameters =
+    typeof rawArguments === "string" ? JSON.parse(rawArguments || "{}") : rawArguments || {};
+  if (typeof parameters !== "object" || Array.isArray(parameters)) {
+    throw new Error("arguments are not a JSON object");
+  }
+  return parameters;
+}
+
+/**
+ * Deepgram Voice Agent provider
+ * Speaks Deepgram's agent protocol: Settings/SettingsApplied to configure the agent, binary
+ * frames (or TtsAudio) for agent audio and FunctionCallRequest/FunctionCallResponse for functions.
+ */
+export class DeepgramVoiceAgent extends EventEmitter {
+  static get providerName() {
+    return "deepgram";
+  }
+
+  static defaultVoiceFor(language) {
+    return DEFAULT_VOICES[language] || null;
+  }
+
+  static isSupportedVoice(voice) {
+    return VOICE_PATTERN.test(voice);
+  }
+
+  static voiceSpeaksLanguage(voice, language) {
+    // Aura voice names end with their language
+    return voice.endsWith(`-${language}`);
+  }
+
+  constructor(callSid) {
+    super();
+    this.callSid = callSid;
+    this.ws = null;
+    this.settings = null; // Settings the agent is running with
+    this.keepAliveInterval = null;
+    this.pendingFunctionCalls = new Set(); // KeepAlive is paused while any are unanswered
+    this.closeRequested = false;
+  }
+
+  connect({ prompt, functions, greeting, settings, history = [] }) {
+    // Also used to reconnect, when whatever was in flight on the old socket is gone
+    this.stopKeepAlive();
+    this.pendingFunctionCalls.clear();
+    this.closeRequested = false;
+
+    return new Promise((resolve, reject) => {
+      const ws = new WebSocket(config.deepgram.agentUrl, ["token", config.deepgram.apiKey]);
+      this.ws = ws;
+      let ready = false;
+      // A socket that was replaced by a reconnect must not touch the agent
+      const isCurrent = () => ws === this.ws;
+
+      ws.on("open", () => {
+        logger.info(
+          "✅ Deepgram WebSocket connected successfully - waiting for Welcome message"
+        );
+      });
+
+      // Wait for Welcome before sending Settings, then for SettingsApplied before taking audio
+      const initMessageHandler = (message) => {
+        const timestamp = getShortTimestamp();
+        const data = parseEvent(message);
+        if (!data) {
+          logger.info(
+            `[${timestamp}] 🔊 INIT: Ignoring non-JSON data (${message.length} bytes)`
+          );
+          return;
+        }
+        logger.debug(`[${timestamp}] 📨 INIT: Deepgram message:`, data.type);
+
+        if (data.type === "Welcome") {
+          logger.info(
+            `[${timestamp}] ✅ WELCOME: Received - sending agent configuration...`
+          );
+
+          const settingsMessage = {
+            type: "Settings",
+            audio: {
+              input: {
+                encoding: "mulaw",
+                sample_rate: 8000,
+              },
+              output: {
+                encoding: "mulaw",
+                sample_rate: 8000,
+                container: "none",
+              },
+            },
+            agent: {
+              language: settings.language,
+              listen: {
+                provider: {
+                  type: "deepgram",
+                  model: settings.listenModel,
+                  ...(settings.endpointingMs !== null && {
+                    endpointing: settings.endpointingMs,
+                  }),
+                },
+              },
+              think: {
+                provider: {
+                  type: settings.thinkProvider,
+                  model: settings.thinkModel,
+                  ...(settings.temperature !== null && {
+                    temperature: settings.temperature,
+                  }),
+                },
+                prompt,
+                functions,
+              },
+              speak: {
+                provider: {
+                  type: "deepgram",
+                  model: settings.voice,
+                },
+              },
+              ...(history.length > 0 && {
+                context: {
+                  messages: history.map(({ role, content }) => ({
+                    type: "History",
+                    role,
+                    content,
+                  })),
+                },
+              }),
+              ...(greeting && { greeting }),
+            },
+          };
+
+          try {
+            ws.send(JSON.stringify(settingsMessage));
+            logger.info(
+              `[${timestamp}] ✅ SENT: Configuration sent - waiting for SettingsApplied...`
+            );
+          } catch (error) {
+            logger.error(
+              `[${timestamp}] ❌ ERROR: Sending configuration to Deepgram:`,
+              error
+            );
+            reject(error);
+          }
+        } else if (data.type === "SettingsApplied") {
+          logger.info(
+            `[${timestamp}] ✅ SETTINGS_APPLIED: Agent configuration confirmed!`
+          );
+
+          ready = true;
+          clearTimeout(connectTimeout);
+          this.settings = settings;
+          ws.on("message", (message) => {
+            if (!isCurrent()) return;
+            try {
+              this.handleMessage(message);
+            } catch (error) {
+              logger.error(
+                `[${getShortTimestamp()}] ❌ MESSAGE_ERROR: Processing Deepgram message:`,
+                error
+              );
+            }
+          });
+          this.startKeepAlive();
+          resolve(settings);
+        } else {
+          // Conversation events only start once the settings are applied
+          logger.debug(
+            `[${timestamp}] 📨 OTHER: Initialization message type:`,
+            data.type
+          );
+        }
+      };
+
+      ws.on("message", (message) => {
+        if (ready || !isCurrent()) return; // handleMessage takes over
+        try {
+          initMessageHandler(message);
+        } catch (error) {
+          logger.error(
+            `[${getShortTimestamp()}] ❌ INIT_ERROR: Processing message:`,
+            error
+          );
+          reject(error);
+        }
+      });
+
+      ws.on("error", (error) => {
+        logger.error("Deepgram WebSocket error:", error);
+        if (!ready) reject(error);
+      });
+
+      ws.on("close", (code, reason) => {
+        if (!isCurrent()) return;
+        this.stopKeepAlive();
+        if (!ready) {
+          reject(new Error(`WebSocket closed with code ${code}: ${reason}`));
+          return;
+        }
+        this.emit("close", {
+          code,
+          reason: reason?.toString(),
+          requested: this.closeRequested,
+        });
+      });
+
+      const connectTimeout = setTimeout(() => {
+        if (!ready) {
+          reject(new Error("Deepgram connection timeout"));
+          // close() only closes an open socket; this one may still be connecting
+          ws.terminate();
+        }
+      }, CONNECT_TIMEOUT_MS);
+      ws.once("close", () => clearTimeout(connectTimeout));
+    });
+  }
+
+  /**
+   * Translate a Deepgram message into provider events
+   * @param {Buffer} message - Raw message from Deepgram
+   */
+  handleMessage(message) {
+    const timestamp = getShortTimestamp();
+    const data = parseEvent(message);
+
+    if (!data) {
+      // Binary agent audio
+      if (message.length === 0) {
+        recordAudioAnomaly(AUDIO_ANOMALIES.AGENT_EMPTY_BUFFER);
+        logger.warn(`[${timestamp}] ⚠️ Received empty audio buffer from Deepgram`);
+        return;
+      }
+      if (message.length < 10) {
+        recordAudioAnomaly(AUDIO_ANOMALIES.AGENT_TINY_BUFFER);
+        logger.warn(
+          `[${timestamp}] ⚠️ Received suspiciously small audio buffer: ${message.length} bytes`
+        );
+        return;
+      }
+      this.emit("agentAudio", message);
+      return;
+    }
+
+    logger.info(`[${timestamp}] 🎯 DEEPGRAM: ${data.type}`);
+
+    switch (data.type) {
+      case "UserStartedSpeaking":
+      case "SpeechStarted":
+        this.emit("bargeIn");
+        break;
+
+      case "ConversationText": {
+        const text = data.text || data.content;
+        logger.info(`[${timestamp}] 💭 CONVERSATION_TEXT (${data.role}):`, text);
+        if (text && text.trim()) {
+          this.emit(data.role === "user" ? "userSpeech" : "agentText", { text });
+        }
+        break;
+      }
+
+      case "TtsAudio":
+        this.handleTtsAudio(data, timestamp);
+        break;
+
+      case "AgentAudioDone":
+        this.emit("agentAudioDone");
+        break;
+
+      case "AgentThinking":
+        logger.info(
+          `[${timestamp}] 🧠 AGENT_THINKING:`,
+          data.text || data.content || "No thinking details"
+        );
+        this.emit("agentThinking");
+        break;
+
+      case "FunctionCallRequest": {
+        const calls = (data.functions || []).map((func) => {
+          logger.info(
+            `[${timestamp}] 🔍 FUNCTION_REQUEST: ${func.name} (${func.id}) ${func.arguments}`
+          );
+          return { id: func.id, name: func.name, arguments: func.arguments };
+        });
+        this.dispatchFunctionCalls(calls, timestamp);
+        break;
+      }
+
+      case "FunctionCall":
+        // Older agent API: one function per message
+        this.dispatchFunctionCalls(
+          [
+            {
+              id: data.function_call_id,
+              name: data.function_name,
+              arguments: data.parameters,
+            },
+          ],
+          timestamp
+        );
+        break;
+
+      case "TtsText":
+      case "AgentResponse":
+        logger.info(
+          `[${timestamp}] 🤖 AGENT_RESPONSE:`,
+          data.text || data.response || "No response text"
+        );
+        break;
+
+      case "Error":
+        logger.error(`[${timestamp}] ❌ DEEPGRAM_ERROR:`, data);
+        break;
+
+      case "Warning":
+        logger.warn(`[${timestamp}] ⚠️ DEEPGRAM_WARNING:`, data);
+        break;
+
+      case "Welcome":
+      case "SettingsApplied":
+      case "TtsStart":
+      case "FunctionResponse":
+      case "History":
+      case "Results":
+        // Already covered by the events above
+        logger.debug(`[${timestamp}] 📦 ${data.type}:`, JSON.stringify(data));
+        break;
+
+      default:
+        logger.info(`[${timestamp}] ❓ UNKNOWN_EVENT_TYPE: ${data.type}`);
+        logger.debug(
+          `[${timestamp}] 📦 Full message:`,
+          JSON.stringify(data, null, 2)
+        );
+    }
+  }
+
+  /**
+   * Hand the agent's function calls to the call, answering any with unreadable arguments directly
+   * @param {Array<Object>} calls - Calls as { id, name, arguments }
+   * @param {string} timestamp - Current timestamp
+   */
+  dispatchFunctionCalls(calls, timestamp) {
+    this.pauseKeepAliveFor(calls);
+
+    const requests = [];
+    for (const call of calls) {
+      try {
+        requests.push({
+          id: call.id,
+          name: call.name,
+          parameters: parseFunctionArguments(call.arguments),
+        });
+      } catch (error) {
+        logger.error(
+          `[${timestamp}] ❌ FUNCTION_REQUEST: Bad arguments for ${call.name} (${call.id}):`,
+          error.message
+        );
+        try {
+          this.sendFunctionResult(call, {
+            error: "The function arguments could not be read. Please try again.",
+          });
+        } catch (sendError) {
+          logger.error(
+            `[${timestamp}] ❌ FUNCTION_REQUEST: Could not answer ${call.id}:`,
+            sendError
+          );
+        }
+      }
+    }
+
+    if (requests.length > 0) {
+      this.emit("functionRequest", requests);
+    }
+  }
+
+  /**
+   * Agent audio sent as base64 JSON instead of binary frames
+   * @param {Object} data - TtsAudio message
+   * @param {string} timestamp - Current timestamp
+   */
+  handleTtsAudio(data, timestamp) {
+    if (!data.data || data.data.length === 0) {
+      logger.warn(`[${timestamp}] ⚠️ Empty or invalid audio data received`);
+      return;
+    }
+    if (!/^[A-Za-z0-9+/]*={0,2}$/.test(data.data)) {
+      recordAudioAnomaly(AUDIO_ANOMALIES.TTS_INVALID_BASE64);
+      logger.error(`[${timestamp}] ❌ Invalid base64 audio data received`);
+      return;
+    }
+    // Tiny chunks are a crackling risk
+    if (data.data.length < 100) {
+      recordAudioAnomaly(AUDIO_ANOMALIES.TTS_TINY_CHUNK);
+      logger.warn(
+        `[${timestamp}] ⚠️ Very small audio chunk (${data.data.length} chars) - potential crackling risk`
+      );
+    }
+    this.emit("agentAudio", Buffer.from(data.data, "base64"));
+  }
+
+  sendAudio(audio) {
+    if (this.isOpen()) {
+      this.ws.send(audio);
+    }
+  }
+
+  sendFunctionResult({ id, name }, result) {
+    if (!this.isOpen()) {
+      throw new Error("Deepgram connection not available");
+    }
+
+    this.ws.send(
+      JSON.stringify({
+        type: "FunctionCallResponse",
+        id,
+        name,
+        content: JSON.stringify(result), // Deepgram expects content as string
+      })
+    );
+    setTimeout(
+      () => this.pendingFunctionCalls.delete(id),
+      FUNCTION_RESPONSE_SETTLE_MS
+    );
+  }
+
+  /**
+   * Carry on the conversation in another language
+   * Deepgram takes extra instructions and a new voice mid-session, but listening is fixed
+   * when the session starts, so the caller is still transcribed in the original language.
+   * @param {Object} options
+   * @param {string} options.instructions - Instructions for the new language
+   * @param {Object} options.settings - Settings resolved for the new language
+   * @returns {Promise<Object>} Settings the agent is now running with
+   */
+  async switchLanguage({ instructions, settings }) {
+    if (!this.isOpen()) {
+      throw new Error("Deepgram connection not available");
+    }
+
+    this.ws.send(JSON.stringify({ type: "UpdatePrompt", prompt: instructions }));
+    this.ws.send(
+      JSON.stringify({
+        type: "UpdateSpeak",
+        speak: { provider: { type: "deepgram", model: settings.voice } },
+      })
+    );
+    if (settings.language !== this.settings.language) {
+      logger.warn(
+        `⚠️ DEEPGRAM: Still transcribing in '${this.settings.language}' after switching to '${settings.language}'`
+      );
+    }
+
+    this.settings = { ...this.settings, voice: settings.voice };
+    return this.settings;
+  }
+
+  injectAgentMessage(text) {
+    if (this.isOpen()) {
+      this.ws.send(JSON.stringify({ type: "InjectAgentMessage", content: text }));
+    }
+  }
+
+  injectUserMessage(text) {
+    if (this.isOpen()) {
+      this.ws.send(JSON.stringify({ type: "InjectUserMessage", content: text }));
+    }
+  }
+
+  isOpen() {
+    return this.ws?.readyState === WebSocket.OPEN;
+  }
+
+  close() {
+    this.closeRequested = true;
+    this.stopKeepAlive();
+    if (this.isOpen()) {
+      this.ws.close(1000, "Call ended");
+      logger.info("✅ Deepgram connection closed successfully");
+    }
+  }
+
+  startKeepAlive() {
+    this.keepAliveInterval = setInterval(() => {
+      if (this.isOpen() && this.pendingFunctionCalls.size === 0) {
+        this.ws.send(JSON.stringify({ type: "KeepAlive" }));
+        logger.debug(`[${getShortTimestamp()}] 💓 KEEPALIVE: Sent to Deepgram`);
+      }
+    }, KEEPALIVE_INTERVAL_MS);
+  }
+
+  stopKeepAlive() {
+    if (this.keepAliveInterval) {
+      clearInterval(this.keepAliveInterval);
+      this.keepAliveInterval = null;
+    }
+  }
+
+  pauseKeepAliveFor(requests) {
+    requests.forEach((request) => this.pendingFunctionCalls.add(request.id));
+  }
+}
@@ -0,0 +1,397 @@
+import { EventEmitter } from "events";
+import WebSocket from "ws";
+import { getConfig } from "../config.js";
+import { getShortTimestamp } from "../dateUtils.js";
+import { logger } from "../logger.js";
+
+const config = getConfig();
+
+const REALTIME_URL = "wss://api.openai.com/v1/realtime";
+const CONNECT_TIMEOUT_MS = 10000;
+const VOICES = ["alloy", "ash", "ballad", "coral", "echo", "sage", "shimmer", "verse"];
+const DEFAULT_VOICE = "alloy";
+// The Realtime API only accepts temperatures in this range
+const TEMPERATURE_RANGE = [0.6, 1.2];
+const TRANSCRIPTION_MODEL = "whisper-1";
+
+/**
+ * Parse the arguments the model sent with a function call
+ * @param {string} rawArguments - JSON string
+ * @returns {Object} Parameters
+ * @throws {Error} If the arguments aren't a JSON object
+ */
+function parseFunctionArguments(rawArguments) {
+  const parameters = JSON.parse(rawArguments || "{}");
+  if (typeof parameters !== "object" || parameters === null || Array.isArray(parameters)) {
+    throw new Error("arguments are not a JSON object");
+  }
+  return parameters;
+}
+
+/**
+ * OpenAI Realtime provider
+ * One speech-to-speech model over a WebSocket: the session is configured with session.update,
+ * the model decides turns with server-side voice activity detection, and function calls come
+ * back on response.done and are answered with function_call_output items.
+ */
+export class OpenAIRealtimeVoiceAgent extends EventEmitter {
+  static get providerName() {
+    return "openai_realtime";
+  }
+
+  static defaultVoiceFor() {
+    return DEFAULT_VOICE;
+  }
+
+  static isSupportedVoice(voice) {
+    return VOICES.includes(voice);
+  }
+
+  static voiceSpeaksLanguage() {
+    // Every voice speaks every language the model does
+    return true;
+  }
+
+  constructor(callSid) {
+    super();
+    this.callSid = callSid;
+    this.ws = null;
+    this.settings = null; // Settings the session is running with
+    this.pendingFunctionCalls = new Set(); // A new response is requested once all are answered
+    this.closeRequested = false;
+  }
+
+  connect({ prompt, functions, greeting, settings, history = [] }) {
+    // Also used to reconnect, when whatever was in flight on the old socket is gone
+    this.pendingFunctionCalls.clear();
+    this.closeRequested = false;
+
+    // One model does listening and thinking, so only these settings apply
+    const applied = {
+      provider: settings.provider,
+      language: settings.language,
+      listenModel: TRANSCRIPTION_MODEL,
+      endpointingMs: settings.endpointingMs,
+      thinkProvider: "open_ai",
+      thinkModel: config.openai.realtimeModel,
+      temperature:
+        settings.temperature === null
+          ? null
+          : Math.min(Math.max(settings.temperature, TEMPERATURE_RANGE[0]), TEMPERATURE_RANGE[1]),
+      voice: settings.voice,
+    };
+
+    return new Promise((resolve, reject) => {
+      if (!config.openai.apiKey) {
+        reject(new Error("OPENAI_API_KEY is not set"));
+        return;
+      }
+
+      const ws = new WebSocket(
+        `${REALTIME_URL}?model=${encodeURIComponent(config.openai.realtimeModel)}`,
+        {
+          headers: {
+            Authorization: `Bearer ${config.openai.apiKey}`,
+            "OpenAI-Beta": "realtime=v1",
+          },
+        }
+      );
+      this.ws = ws;
+      let ready = false;
+      // A socket that was replaced by a reconnect must not touch the agent
+      const isCurrent = () => ws === this.ws;
+
+      ws.on("open", () => {
+        if (!isCurrent()) return;
+        logger.info("✅ OpenAI Realtime WebSocket connected - configuring session");
+        this.send({
+          type: "session.update",
+          session: {
+            instructions: prompt,
+            voice: applied.voice,
+            input_audio_format: "g711_ulaw",
+            output_audio_format: "g711_ulaw",
+            input_audio_transcription: {
+              model: TRANSCRIPTION_MODEL,
+              language: applied.language,
+            },
+            turn_detection: {
+              type: "server_vad",
+              ...(applied.endpointingMs !== null && {
+                silence_duration_ms: applied.endpointingMs,
+              }),
+            },
+            ...(applied.temperature !== null && { temperature: applied.temperature }),
+            tools: functions.map((func) => ({
+              type: "function",
+              name: func.name,
+              description: func.description,
+              parameters: func.parameters,
+            })),
+            tool_choice: "auto",
+          },
+        });
+      });
+
+      ws.on("message", (message) => {
+        if (!isCurrent()) return;
+        let data;
+        try {
+          data = JSON.parse(message.toString());
+        } catch (error) {
+          logger.error("❌ OpenAI Realtime: Unparseable message:", error);
+          return;
+        }
+
+        if (!ready && data.type === "session.updated") {
+          logger.info(`[${getShortTimestamp()}] ✅ SESSION_UPDATED: Agent configured`);
+          ready = true;
+          clearTimeout(connectTimeout);
+          this.settings = applied;
+          history.forEach(({ role, content }) => {
+            this.send({
+              type: "conversation.item.create",
+              item: {
+                type: "message",
+                role,
+                content: [
+                  { type: role === "user" ? "input_text" : "text", text: content },
+                ],
+              },
+            });
+          });
+          if (greeting) {
+            this.injectAgentMessage(greeting);
+          }
+          resolve(applied);
+          return;
+        }
+        if (!ready && data.type === "error") {
+          reject(new Error(data.error?.message || "OpenAI Realtime session error"));
+          return;
+        }
+        if (ready) {
+          try {
+            this.handleEvent(data);
+          } catch (error) {
+            logger.error(
+              `[${getShortTimestamp()}] ❌ EVENT_ERROR: Processing OpenAI Realtime ${data.type}:`,
+              error
+            );
+          }
+        }
+      });
+
+      ws.on("error", (error) => {
+        logger.error("OpenAI Realtime WebSocket error:", error);
+        if (!ready) reject(error);
+      });
+
+      ws.on("close", (code, reason) => {
+        if (!isCurrent()) return;
+        if (!ready) {
+          reject(new Error(`WebSocket closed with code ${code}: ${reason}`));
+          return;
+        }
+        this.emit("close", {
+          code,
+          reason: reason?.toString(),
+          requested: this.closeRequested,
+        });
+      });
+
+      const connectTimeout = setTimeout(() => {
+        if (!ready) {
+          reject(new Error("OpenAI Realtime connection timeout"));
+          // close() only closes an open socket; this one may still be connecting
+          ws.terminate();
+        }
+      }, CONNECT_TIMEOUT_MS);
+      ws.once("close", () => clearTimeout(connectTimeout));
+    });
+  }
+
+  /**
+   * Translate a Realtime server event into provider events
+   * @param {Object} data - Parsed server event
+   */
+  handleEvent(data) {
+    const timestamp = getShortTimestamp();
+
+    switch (data.type) {
+      case "response.audio.delta":
+        // Too frequent to log
+        this.emit("agentAudio", Buffer.from(data.delta, "base64"));
+        return;
+
+      case "response.audio.done":
+        this.emit("agentAudioDone");
+        break;
+
+      case "response.audio_transcript.done":
+        if (data.transcript?.trim()) {
+          this.emit("agentText", { text: data.transcript });
+        }
+        break;
+
+      case "input_audio_buffer.speech_started":
+        // Server VAD cancels the model's response itself; the audio already sent still has to go
+        this.emit("bargeIn");
+        break;
+
+      case "input_audio_buffer.committed":
+        this.emit("agentThinking");
+        break;
+
+      case "conversation.item.input_audio_transcription.completed":
+        if (data.transcript?.trim()) {
+          this.emit("userSpeech", { text: data.transcript.trim() });
+        }
+        break;
+
+      case "response.done": {
+        // Every function call in the response arrives together, like a Deepgram FunctionCallRequest
+        const calls = (data.response?.output || []).filter(
+          (item) => item.type === "function_call"
+        );
+        if (calls.length > 0) {
+          this.dispatchFunctionCalls(calls, timestamp);
+        }
+        break;
+      }
+
+      case "error":
+        logger.error(`[${timestamp}] ❌ OPENAI_REALTIME_ERROR:`, data.error);
+        break;
+
+      default:
+        logger.debug(`[${timestamp}] 📦 OPENAI_REALTIME: ${data.type}`);
+        return;
+    }
+
+    logger.info(`[${timestamp}] 🎯 OPENAI_REALTIME: ${data.type}`);
+  }
+
+  /**
+   * Hand the model's function calls to the call, answering any with unreadable arguments directly
+   * @param {Array<Object>} calls - function_call output items
+   * @param {string} timestamp - Current timestamp
+   */
+  dispatchFunctionCalls(calls, timestamp) {
+    // All are pending before any is answered, so no response is requested too early
+    calls.forEach((call) => this.pendingFunctionCalls.add(call.call_id));
+
+    const requests = [];
+    for (const call of calls) {
+      try {
+        requests.push({
+          id: call.call_id,
+          name: call.name,
+          parameters: parseFunctionArguments(call.arguments),
+        });
+      } catch (error) {
+        logger.error(
+          `[${timestamp}] ❌ FUNCTION_REQUEST: Bad arguments for ${call.name} (${call.call_id}):`,
+          error.message
+        );
+        try {
+          this.sendFunctionResult(
+            { id: call.call_id, name: call.name },
+            { error: "The function arguments could not be read. Please try again." }
+          );
+        } catch (sendError) {
+          logger.error(
+            `[${timestamp}] ❌ FUNCTION_REQUEST: Could not answer ${call.call_id}:`,
+            sendError
+          );
+        }
+      }
+    }
+
+    if (requests.length > 0) {
+      this.emit("functionRequest", requests);
+    }
+  }
+
+  send(event) {
+    if (this.isOpen()) {
+      this.ws.send(JSON.stringify(event));
+    }
+  }
+
+  sendAudio(audio) {
+    this.send({ type: "input_audio_buffer.append", audio: audio.toString("base64") });
+  }
+
+  sendFunctionResult({ id }, result) {
+    if (!this.isOpen()) {
+      throw new Error("OpenAI Realtime connection not available");
+    }
+
+    this.send({
+      type: "conversation.item.create",
+      item: { type: "function_call_output", call_id: id, output: JSON.stringify(result) },
+    });
+    this.pendingFunctionCalls.delete(id);
+    // The model only carries on speaking once it has every result from the turn
+    if (this.pendingFunctionCalls.size === 0) {
+      this.send({ type: "response.create" });
+    }
+  }
+
+  /**
+   * Carry on the conversation in another language
+   * The whole prompt is replaced. The voice stays, as Realtime can't change it once the model
+   * has spoken, and every voice speaks every language anyway.
+   * @param {Object} options
+   * @param {string} options.prompt - Full system prompt for the new language
+   * @param {Object} options.settings - Settings resolved for the new language
+   * @returns {Promise<Object>} Settings the session is now running with
+   */
+  async switchLanguage({ prompt, settings }) {
+    if (!this.isOpen()) {
+      throw new Error("OpenAI Realtime connection not available");
+    }
+
+    this.send({
+      type: "session.update",
+      session: {
+        instructions: prompt,
+        input_audio_transcription: {
+          model: TRANSCRIPTION_MODEL,
+          language: settings.language,
+        },
+      },
+    });
+
+    this.settings = { ...this.settings, language: settings.language };
+    return this.settings;
+  }
+
+  injectAgentMessage(text) {
+    this.send({
+      type: "response.create",
+      response: { instructions: `Say exactly this to the caller, then wait: "${text}"` },
+    });
+  }
+
+  injectUserMessage(text) {
+    this.send({
+      type: "conversation.item.create",
+      item: { type: "message", role: "user", content: [{ type: "input_text", text }] },
+    });
+    this.send({ type: "response.create" });
+  }
+
+  isOpen() {
+    return this.ws?.readyState === WebSocket.OPEN;
+  }
+
+  close() {
+    this.closeRequested = true;
+    if (this.isOpen()) {
+      this.ws.close(1000, "Call ended");
+      logger.info("✅ OpenAI Realtime connection closed successfully");
+    }
+  }
+}
@@ -0,0 +1,60 @@
+import { DeepgramVoiceAgent } from "./DeepgramVoiceAgent.js";
+import { OpenAIRealtimeVoiceAgent } from "./OpenAIRealtimeVoiceAgent.js";
+
+/**
+ * Voice agent providers, selected per business by business_config.voice_agent_provider
+ *
+ * A provider wraps one speech-to-speech session (constructed with the call SID), is an
+ * EventEmitter, and implements:
+ * - static providerName
+ * - static defaultVoiceFor(language) - voice for a call in the language, or null if there isn't one
+ * - static isSupportedVoice(voice), static voiceSpeaksLanguage(voice, language)
+ * - connect({ prompt, functions, greeting, settings, history }) -> Promise of the settings actually
+ *   applied, resolved once the agent takes caller audio; the agent speaks the greeting by itself.
+ *   settings come from resolveAgentSettings in agentSettings.js. history is the conversation so
+ *   far as [{ role: "user" | "assistant", content }], for reconnecting; connect may be called
+ *   again on the same provider after it closes, keeping its listeners
+ * - sendAudio(mulawBuffer) - caller audio
+ * - sendFunctionResult({ id, name }, result) - answer a function request; throws if the session is closed
+ * - switchLanguage({ prompt, instructions, settings }) -> Promise of the settings now applied;
+ *   carries the conversation on in settings.language, taking either the full new prompt or just
+ *   the instructions to add to the current one. A provider that can't change its transcription
+ *   language mid-session (Deepgram) keeps transcribing the caller in the language it started in
+ * - injectAgentMessage(text) - have the agent say something now
+ * - injectUserMessage(text) - tell the agent something on the caller's behalf, e.g. keypad digits
+ * - isOpen(), close()
+ *
+ * Events:
+ * - userSpeech { text } - a finished caller utterance
+ * - agentText { text } - what the agent is saying
+ * - agentAudio (mulawBuffer), then agentAudioDone once the utterance has been sent
+ * - agentThinking - the agent is working on a reply
+ * - functionRequest [{ id, name, parameters }] - every request must be answered with sendFunctionResult
+ * - bargeIn - the caller started talking over the agent
+ * - close { code, reason, requested } - the session ended after connecting; requested is true
+ *   when close() ended it rather than the provider
+ *
+ * Audio in both directions is 8kHz μ-law, the same as the carrier transports.
+ */
+const voiceAgentProviders = new Map([
+  ["deepgram", DeepgramVoiceAgent],
+  ["openai_realtime", OpenAIRealtimeVoiceAgent],
+]);
+
+/**
+ * Make a voice agent provider available to businesses
+ * @param {string} name - Name used in business_config.voice_agent_provider
+ * @param {Function} Provider - Provider class
+ */
+export function registerVoiceAgentProvider(name, Provider) {
+  voiceAgentProviders.set(name, Provider);
+}
+
+/**
+ * Find a voice agent provider by name
+ * @param {string} name - Provider name, e.g. "deepgram"
+ * @returns {Function|null} Provider class, or null if nothing is registered under the name
+ */
+export function getVoiceAgentProvider(name) {
+  return voiceAgentProviders.get(name) || null;
+}